@@ -2,7 +2,19 @@
 
 let uploadedFiles = [];
 let currentBreakdown = '';
-let conversationHistory = [];
+let currentStructured = null; // schema-validated breakdown from the server (source of truth)
+let currentProject = null; // saved project this breakdown belongs to (server-side store)
+let viewedVersion = null; // version number currently shown (latest unless picked in the version bar)
+let rateCardList = []; // saved rate cards (summaries)
+let budgetOptions = null; // { rateCardId, shootDays } once a rate card is picked; also sent with every export
+let currentBudget = null; // budget of the breakdown on screen, priced on the server
+let inventorySummary = null; // uploaded kit inventory ({ filename, updatedAt, items }) or null
+let shootDates = { from: null, to: null }; // for the inventory availability check; also sent with the exports
+let inventoryMatches = null; // one result per EQUIPMENT line: owned & available / owned but booked / needs rental
+let questionnaire = null; // numbered client questions from SPECIAL NOTES & QUESTIONS + MISSING/TBD
+let lastAnswersResult = null; // { applied, unanswered } after the client's answers were applied
+let editDraft = null; // copy of the breakdown being edited inline; null when not editing
+let revisionSections = []; // section ids the next revision is limited to ("Edit this section"); empty = whole breakdown
 
 // DOM Elements
 const uploadZone = document.getElementById('uploadZone');
@@ -13,13 +25,50 @@ const uploadSection = document.getElementById('uploadSection');
 const loadingSection = document.getElementById('loadingSection');
 const resultsSection = document.getElementById('resultsSection');
 const breakdownContent = document.getElementById('breakdownContent');
+const citationView = document.getElementById('citationView');
+const sceneList = document.getElementById('sceneList');
+const stripboard = document.getElementById('stripboard');
+const budgetPanel = document.getElementById('budgetPanel');
+const inventoryPanel = document.getElementById('inventoryPanel');
+const questionnairePanel = document.getElementById('questionnairePanel');
+const warningsBox = document.getElementById('warningsBox');
+const verificationReport = document.getElementById('verificationReport');
 const downloadBtn = document.getElementById('downloadBtn');
+const downloadPdfBtn = document.getElementById('downloadPdfBtn');
+const downloadXlsxBtn = document.getElementById('downloadXlsxBtn');
+const downloadCsvBtn = document.getElementById('downloadCsvBtn');
 const newBreakdownBtn = document.getElementById('newBreakdownBtn');
 const editBtn = document.getElementById('editBtn');
+const inlineEditBtn = document.getElementById('inlineEditBtn');
 const revisionInterface = document.getElementById('revisionInterface');
 const revisionInput = document.getElementById('revisionInput');
+const revisionScope = document.getElementById('revisionScope');
 const submitRevisionBtn = document.getElementById('submitRevisionBtn');
 const cancelRevisionBtn = document.getElementById('cancelRevisionBtn');
+const projectsSection = document.getElementById('projectsSection');
+const projectList = document.getElementById('projectList');
+const projectMeta = document.getElementById('projectMeta');
+const versionBar = document.getElementById('versionBar');
+const versionSelect = document.getElementById('versionSelect');
+const compareSelect = document.getElementById('compareSelect');
+const restoreVersionBtn = document.getElementById('restoreVersionBtn');
+const diffView = document.getElementById('diffView');
+const briefChangesView = document.getElementById('briefChangesView');
+const updateBriefBtn = document.getElementById('updateBriefBtn');
+const briefUpdateInput = document.getElementById('briefUpdateInput');
+const progressTitle = document.getElementById('progressTitle');
+const progressBarFill = document.getElementById('progressBarFill');
+const progressElapsed = document.getElementById('progressElapsed');
+const progressLog = document.getElementById('progressLog');
+const progressPreview = document.getElementById('progressPreview');
+const cancelJobBtn = document.getElementById('cancelJobBtn');
+const templateSelect = document.getElementById('templateSelect');
+const projectFieldInputs = {
+    name: document.getElementById('projectNameInput'),
+    client: document.getElementById('projectClientInput'),
+    jobNumber: document.getElementById('projectJobNumberInput'),
+    dates: document.getElementById('projectDatesInput'),
+};
 
 // File Upload Handlers
 uploadZone.addEventListener('click', () => fileInput.click());
@@ -108,28 +157,17 @@ generateBtn.addEventListener('click', async () => {
     uploadedFiles.forEach(file => {
       formData.append('files', file);
     });
+    Object.entries(projectFieldInputs).forEach(([field, input]) => {
+      if (input.value.trim()) formData.append(field, input.value.trim());
+    });
+    if (templateSelect.value) formData.append('templateId', templateSelect.value);
 
-    const response = await fetch('/api/generate-breakdown', {
+    startProgress('Analyzing documents and generating breakdown...');
+    const outcome = await runJob('/api/jobs/generate', {
       method: 'POST',
       body: formData
     });
-
-    let data = {};
-    try {
-      data = await response.json();
-    } catch (e) {
-      // response might not be JSON
-    }
-
-    if (!response.ok) {
-      alert(data.error || `Failed to generate breakdown (HTTP ${response.status}).`);
-      showUpload();
-      return;
-    }
-
-    currentBreakdown = data.breakdown;
-    conversationHistory = data.conversationHistory || [];
-    showResults(data.breakdown);
+    await handleGenerateOutcome(outcome);
 
   } catch (error) {
     console.error('Error:', error);
@@ -137,15 +175,68 @@ generateBtn.addEventListener('click', async () => {
     showUpload();
   }
 });
+
+async function handleGenerateOutcome({ ok, status, cancelled, data }) {
+  if (cancelled) {
+    showUpload();
+    return;
+  }
+
+  if (!ok) {
+    const details = (data.warnings || [])
+      .map(w => `- ${w.filename}: ${w.message}`)
+      .join('\n');
+    alert((data.error || `Failed to generate breakdown (HTTP ${status}).`) +
+      (details ? `\n\n${details}` : ''));
+    showUpload();
+    return;
+  }
+
+  currentBreakdown = data.breakdown;
+  currentStructured = data.structuredBreakdown;
+  await loadCurrentProject(data.projectId);
+  renderWarnings(data.warnings || []);
+  showResults(data.breakdown);
+}
+
 // Revision Handlers
-editBtn.addEventListener('click', () => {
-    revisionInterface.classList.remove('hidden');
-    revisionInput.focus();
-});
+editBtn.addEventListener('click', () => openRevision([]));
 
 cancelRevisionBtn.addEventListener('click', () => {
     revisionInterface.classList.add('hidden');
     revisionInput.value = '';
+    revisionSections = [];
+});
+
+// sections: ids to limit the revision to; [] = the whole breakdown
+function openRevision(sections) {
+    revisionSections = sections;
+    renderRevisionScope();
+    revisionInterface.classList.remove('hidden');
+    revisionInput.focus();
+}
+
+function renderRevisionScope() {
+    if (!revisionSections.length) {
+        revisionScope.innerHTML = '';
+        revisionScope.classList.add('hidden');
+        return;
+    }
+
+    const titles = revisionSections.map(id =>
+        currentStructured.sections.find(s => s.id === id)?.title || id);
+    revisionScope.innerHTML = `
+        Only revising <strong>${escapeHtml(titles.join(', '))}</strong>; the other sections stay exactly as they are.
+        <button class="citation-link" id="wholeBreakdownBtn">Revise the whole breakdown instead</button>
+    `;
+    revisionScope.classList.remove('hidden');
+}
+
+revisionScope.addEventListener('click', (e) => {
+    if (e.target.closest('#wholeBreakdownBtn')) {
+        revisionSections = [];
+        renderRevisionScope();
+    }
 });
 
 submitRevisionBtn.addEventListener('click', async () => {
@@ -160,27 +251,26 @@ submitRevisionBtn.addEventListener('click', async () => {
     showLoading();
 
     try {
-        const response = await fetch('/api/revise-breakdown', {
+        startProgress('Revising breakdown...');
+        const outcome = await runJob('/api/jobs/revise', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
+            // A saved project's conversation and breakdown are kept on the server: just say
+            // which version to revise
             body: JSON.stringify({
                 revisionRequest,
-                currentBreakdown,
-                conversationHistory
+                structuredBreakdown: currentProject ? undefined : currentStructured,
+                projectId: currentProject ? currentProject.id : null,
+                version: currentProject ? viewedVersion : undefined,
+                sections: revisionSections.length ? revisionSections : undefined
             })
         });
 
-        if (!response.ok) {
-            throw new Error('Failed to revise breakdown');
-        }
-
-        const data = await response.json();
-        currentBreakdown = data.breakdown;
-        conversationHistory = data.conversationHistory || [];
-        showResults(data.breakdown);
+        await handleRevisionOutcome(outcome);
         revisionInput.value = '';
+        revisionSections = [];
     } catch (error) {
         console.error('Error:', error);
         alert('Failed to revise breakdown. Please try again.');
@@ -188,15 +278,47 @@ submitRevisionBtn.addEventListener('click', async () => {
     }
 });
 
+async function handleRevisionOutcome({ ok, cancelled, data }) {
+    if (cancelled) {
+        showResults(currentBreakdown);
+        return;
+    }
+
+    if (!ok) {
+        throw new Error(data.error || 'Failed to revise breakdown');
+    }
+
+    currentBreakdown = data.breakdown;
+    currentStructured = data.structuredBreakdown;
+    if (data.projectId) await loadCurrentProject(data.projectId);
+    showResults(data.breakdown);
+
+    if (data.lockedRestored?.length) {
+        alert('The revision tried to change locked lines; they were kept as they were:\n' +
+            data.lockedRestored.map(r => `- ${r.sectionTitle}: ${r.description}`).join('\n'));
+    }
+}
+
 // Download Word Doc
-downloadBtn.addEventListener('click', async () => {
+downloadBtn.addEventListener('click', () => downloadExport('/api/download-docx', 'docx'));
+downloadPdfBtn.addEventListener('click', () => downloadExport('/api/download-pdf', 'pdf'));
+downloadXlsxBtn.addEventListener('click', () => downloadExport('/api/download-xlsx', 'xlsx'));
+downloadCsvBtn.addEventListener('click', () => downloadExport('/api/download-csv', 'zip'));
+
+async function downloadExport(url, extension) {
     try {
-        const response = await fetch('/api/download-docx', {
+        const response = await fetch(url, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ breakdown: currentBreakdown })
+            body: JSON.stringify({
+                structuredBreakdown: currentStructured,
+                projectId: currentProject?.id,
+                version: viewedVersion,
+                budget: budgetOptions,
+                inventory: shootDates,
+            })
         });
 
         if (!response.ok) {
@@ -204,48 +326,1640 @@ downloadBtn.addEventListener('click', async () => {
         }
 
         const blob = await response.blob();
-        const url = window.URL.createObjectURL(blob);
+        const blobUrl = window.URL.createObjectURL(blob);
         const a = document.createElement('a');
-        a.href = url;
-        a.download = `production-breakdown-${Date.now()}.docx`;
+        a.href = blobUrl;
+        a.download = `production-breakdown-${Date.now()}.${extension}`;
         document.body.appendChild(a);
         a.click();
-        window.URL.revokeObjectURL(url);
+        window.URL.revokeObjectURL(blobUrl);
         document.body.removeChild(a);
     } catch (error) {
         console.error('Error:', error);
         alert('Failed to download document. Please try again.');
     }
-});
+}
 
 // New Breakdown
 newBreakdownBtn.addEventListener('click', () => {
     uploadedFiles = [];
     currentBreakdown = '';
-    conversationHistory = [];
+    currentStructured = null;
+    currentProject = null;
+    viewedVersion = null;
+    lastAnswersResult = null;
+    // Keep the rate card for the next job, but not this job's shoot day count
+    if (budgetOptions) budgetOptions.shootDays = null;
+    renderVersionBar();
     fileInput.value = '';
+    Object.values(projectFieldInputs).forEach(input => { input.value = ''; });
+    renderWarnings([]);
     renderFileList();
     updateGenerateButton();
     showUpload();
 });
 
+// Background jobs
+// Generation / revision run as server-side jobs: closing the tab doesn't lose the work,
+// and the active job id is remembered so the page picks it up again on reload.
+const ACTIVE_JOB_KEY = 'activeJobId';
+const JOB_POLL_INTERVAL_MS = 1500;
+let activeJobId = null;
+
+// Resolves to { ok, status, cancelled, data } where data is the job result or the error body.
+async function runJob(url, options) {
+    const response = await fetch(url, options);
+    let data = {};
+    try {
+        data = await response.json();
+    } catch (e) {
+        // response might not be JSON
+    }
+
+    if (!response.ok) return { ok: false, status: response.status, data };
+    return waitForJob(data.job.id);
+}
+
+async function waitForJob(jobId) {
+    activeJobId = jobId;
+    localStorage.setItem(ACTIVE_JOB_KEY, jobId);
+    let seen = 0;
+
+    try {
+        while (true) {
+            const response = await fetch(`/api/jobs/${jobId}?since=${seen}`);
+            if (!response.ok) {
+                return { ok: false, status: response.status, data: { error: 'This job no longer exists.' } };
+            }
+
+            const { job } = await response.json();
+            job.progress.forEach(p => handleProgressEvent(p.event, p.data));
+            seen = job.progressCount;
+
+            if (job.preview) {
+                // Tail of the breakdown as Claude writes it
+                progressPreview.textContent = job.preview;
+                progressPreview.classList.remove('hidden');
+            }
+
+            if (job.status === 'succeeded') return { ok: true, status: 200, data: job.result };
+            if (job.status === 'cancelled') return { ok: false, cancelled: true, data: {} };
+            if (job.status === 'failed') {
+                const { message, status, ...extra } = job.error || {};
+                return { ok: false, status, data: { error: message, ...extra } };
+            }
+
+            await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+        }
+    } finally {
+        activeJobId = null;
+        localStorage.removeItem(ACTIVE_JOB_KEY);
+    }
+}
+
+cancelJobBtn.addEventListener('click', async () => {
+    if (!activeJobId) return;
+    if (!confirm('Cancel this job? Any remaining work is stopped.')) return;
+
+    cancelJobBtn.disabled = true;
+    try {
+        await fetch(`/api/jobs/${activeJobId}/cancel`, { method: 'POST' });
+        logProgress('Cancelling...');
+    } catch (error) {
+        console.error('Error:', error);
+        alert('Failed to cancel the job. Please try again.');
+    } finally {
+        cancelJobBtn.disabled = false;
+    }
+});
+
+// Pick up a job that was still running when the page was closed / refreshed
+async function resumeActiveJob() {
+    const jobId = localStorage.getItem(ACTIVE_JOB_KEY);
+    if (!jobId) return;
+
+    try {
+        const response = await fetch(`/api/jobs/${jobId}`);
+        if (!response.ok) {
+            localStorage.removeItem(ACTIVE_JOB_KEY);
+            return;
+        }
+        const { job } = await response.json();
+
+        // Applying client answers or a new brief is a revision too
+        const revising = ['revise', 'answers', 'update'].includes(job.type);
+        if (revising && job.projectId) {
+            await openProject(job.projectId);
+        }
+
+        showLoading();
+        startProgress(revising ? 'Revising breakdown...' : 'Analyzing documents and generating breakdown...');
+        const outcome = await waitForJob(jobId);
+
+        if (revising) await handleRevisionOutcome(outcome);
+        else await handleGenerateOutcome(outcome);
+    } catch (error) {
+        console.error('Error:', error);
+        alert(`Unexpected error: ${error.message}`);
+        if (currentBreakdown) showResults(currentBreakdown);
+        else showUpload();
+    }
+}
+
+// Progress view (replaces the old spinner)
+let progressTimer = null;
+let cachedChunkCount = 0;
+
+function startProgress(title) {
+    const startedAt = Date.now();
+    progressTitle.textContent = title;
+    progressLog.innerHTML = '';
+    progressPreview.textContent = '';
+    progressPreview.classList.add('hidden');
+    setProgressBar(null);
+
+    clearInterval(progressTimer);
+    progressElapsed.textContent = 'Elapsed 0:00';
+    progressTimer = setInterval(() => {
+        const seconds = Math.floor((Date.now() - startedAt) / 1000);
+        progressElapsed.textContent =
+            `Elapsed ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }, 1000);
+}
+
+function stopProgress() {
+    clearInterval(progressTimer);
+    progressTimer = null;
+}
+
+// fraction: 0..1, or null for "unknown" (indeterminate)
+function setProgressBar(fraction) {
+    const bar = progressBarFill.parentElement;
+    bar.classList.toggle('indeterminate', fraction === null);
+    progressBarFill.style.width = fraction === null ? '' : `${Math.round(fraction * 100)}%`;
+}
+
+function logProgress(text, key) {
+    // Lines with a key (e.g. chunk counter) update in place instead of piling up
+    let li = key ? progressLog.querySelector(`[data-key="${key}"]`) : null;
+    if (!li) {
+        li = document.createElement('li');
+        if (key) li.dataset.key = key;
+        progressLog.appendChild(li);
+    }
+    li.textContent = text;
+}
+
+function handleProgressEvent(event, data) {
+    switch (event) {
+        case 'file-received':
+            logProgress(`Received ${data.filename} (${formatFileSize(data.size)})`);
+            break;
+        case 'pdf-extracted':
+            logProgress(`Extracted text from ${data.filename}: ${data.numpages ?? '?'} pages, ` +
+                `${data.textLength.toLocaleString()} characters, ${data.chunkCount} chunk(s)` +
+                (data.cached ? ' (cached)' : ''));
+            break;
+        case 'document-extracted':
+            logProgress(`Extracted text from ${data.filename} (${data.kind}): ` +
+                `${data.textLength.toLocaleString()} characters, ${data.chunkCount} chunk(s)`);
+            break;
+        case 'pages-rendered':
+            logProgress(`Rendered ${data.pages.length} page(s) of ${data.filename} for visual analysis` +
+                (data.cachedPages ? `, ${data.cachedPages} from cache` : '') +
+                (data.failed.length ? ` (${data.failed.length} failed)` : ''));
+            break;
+        case 'screenplay-parsed':
+            logProgress(`Parsed ${data.filename} as a script: ${data.scenes} scenes, ` +
+                `${data.characters} speaking characters, ${data.locations} locations`);
+            break;
+        case 'multipass-started':
+            cachedChunkCount = 0;
+            logProgress(`Large documents: summarising ${data.chunks} chunk(s) first`);
+            setProgressBar(0);
+            break;
+        case 'chunk-summarised':
+            if (data.cached) cachedChunkCount++;
+            logProgress(`Summarised ${data.completed} of ${data.total} chunk(s)` +
+                (cachedChunkCount ? ` (${cachedChunkCount} from cache)` : ''), 'chunks');
+            setProgressBar(data.completed / data.total);
+            break;
+        case 'chunk-retry':
+            logProgress(`Chunk ${data.index} hit an API error, retrying in ${Math.ceil(data.delayMs / 1000)}s ` +
+                `(attempt ${data.attempt})`);
+            break;
+        case 'chunk-failed':
+            logProgress(`Gave up on ${data.range}: ${data.error}`);
+            setProgressBar(data.completed / data.total);
+            break;
+        case 'final-started':
+            logProgress(data.attempt > 1
+                ? `Writing final breakdown (attempt ${data.attempt})...`
+                : 'Writing final breakdown...', 'final');
+            setProgressBar(null);
+            break;
+        case 'conflicts-checked':
+            logProgress(`Compared ${data.files} files: ${data.conflicts} conflicting detail(s)` +
+                (data.differentProjects ? ', they may be different projects' : '') +
+                (data.cached ? ' (from cache)' : ''));
+            break;
+        case 'brief-compared':
+            logProgress(`Compared with the brief of v${data.comparedWith}: ${data.added} added, ` +
+                `${data.removed} removed, ${data.changed} changed`);
+            break;
+        case 'locked-restored':
+            logProgress(`Kept ${data.restored.length} locked line(s) that the revision tried to change`);
+            break;
+        case 'validation-failed':
+            logProgress(`Output failed validation, asking for a corrected version (${data.errors[0] || ''})`);
+            break;
+        case 'verified':
+            logProgress(`Checked ${data.checked} CONFIRMED item(s) against the documents` +
+                (data.downgraded ? `, ${data.downgraded} downgraded to ASSUMED` : ''));
+            break;
+        case 'verification-skipped':
+            logProgress(data.reason);
+            break;
+        default:
+            break;
+    }
+}
+
+// Breakdown templates (production types): sections, rules and export layout are defined per template
+async function loadTemplates() {
+    try {
+        const response = await fetch('/api/templates');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        const selected = templateSelect.value || data.defaultTemplateId;
+        templateSelect.innerHTML = (data.templates || []).map(template => `
+            <option value="${escapeHtml(template.id)}" title="${escapeHtml(template.description || '')}"
+                ${template.id === selected ? 'selected' : ''}>
+                ${escapeHtml(template.name)}${template.builtIn ? '' : ` (v${template.version})`}
+            </option>
+        `).join('');
+    } catch (error) {
+        // Server falls back to the default template when none is sent
+        console.error('Error loading templates:', error);
+        templateSelect.innerHTML = '<option value="">Default</option>';
+    }
+}
+
+// Projects (saved on the server so work survives a refresh)
+async function loadProjects() {
+    try {
+        const response = await fetch('/api/projects');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        renderProjectList(data.projects || []);
+    } catch (error) {
+        console.error('Error loading projects:', error);
+        projectList.innerHTML = '<p class="empty">Could not load saved projects.</p>';
+    }
+}
+
+function renderProjectList(projects) {
+    if (projects.length === 0) {
+        projectList.innerHTML = '<p class="empty">No saved projects yet.</p>';
+        return;
+    }
+
+    projectList.innerHTML = projects.map(project => `
+        <div class="project-item">
+            <div>
+                <h4>${escapeHtml(project.name || 'Untitled project')}</h4>
+                <p>${escapeHtml(formatProjectMeta(project))}</p>
+                <p>Updated ${new Date(project.updatedAt).toLocaleString()} · ${project.breakdownCount} breakdown(s) · ${project.sourceCount} file(s)</p>
+            </div>
+            <div class="project-actions">
+                <button class="btn-secondary" onclick="openProject('${project.id}')" ${project.breakdownCount ? '' : 'disabled'}>Open</button>
+                <button class="btn-secondary" onclick="deleteProject('${project.id}')">Delete</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+function formatProjectMeta(project) {
+    return [
+        project.client && `Client: ${project.client}`,
+        project.jobNumber && `Job #${project.jobNumber}`,
+        project.dates,
+    ].filter(Boolean).join(' · ');
+}
+
+async function loadCurrentProject(projectId) {
+    if (!projectId) {
+        currentProject = null;
+        viewedVersion = null;
+        projectMeta.textContent = '';
+        renderVersionBar();
+        renderSceneList();
+        renderStripboard();
+        return null;
+    }
+
+    const response = await fetch(`/api/projects/${projectId}`);
+    if (!response.ok) throw new Error(`Failed to load project (HTTP ${response.status})`);
+    const data = await response.json();
+
+    currentProject = data.project;
+    const latest = currentProject.breakdowns[currentProject.breakdowns.length - 1];
+    projectMeta.textContent = [
+        currentProject.name,
+        formatProjectMeta(currentProject),
+        latest?.template && `${latest.template.name} template`,
+    ].filter(Boolean).join(' · ');
+
+    viewedVersion = latest ? latest.version : null;
+    renderVersionBar();
+    renderSceneList();
+    renderStripboard();
+    return currentProject;
+}
+
+// Version history: picker, diff against another version, restore
+function renderVersionBar() {
+    const versions = currentProject ? currentProject.breakdowns : [];
+    diffView.classList.add('hidden');
+    diffView.innerHTML = '';
+
+    if (versions.length === 0) {
+        versionBar.classList.add('hidden');
+        return;
+    }
+
+    const options = versions.slice().reverse().map(v => `
+        <option value="${v.version}">${escapeHtml(formatVersionLabel(v))}</option>
+    `).join('');
+
+    versionSelect.innerHTML = options;
+    versionSelect.value = String(viewedVersion);
+    compareSelect.innerHTML = '<option value="">—</option>' + options;
+    compareSelect.value = '';
+
+    const latest = versions[versions.length - 1];
+    restoreVersionBtn.classList.toggle('hidden', viewedVersion === latest.version);
+    versionBar.classList.remove('hidden');
+}
+
+function formatVersionLabel(v) {
+    const when = new Date(v.createdAt).toLocaleString();
+    if (v.source === 'revise') {
+        const request = v.revisionRequest.length > 60
+            ? `${v.revisionRequest.slice(0, 60)}…`
+            : v.revisionRequest;
+        const scope = v.sections ? ` (${v.sections.join(', ')})` : '';
+        return `v${v.version} · revision${scope}: "${request}" · ${when}`;
+    }
+    if (v.source === 'restore') return `v${v.version} · restored v${v.restoredFrom} · ${when}`;
+    if (v.source === 'answers') return `v${v.version} · client answers (${v.answers.length}) · ${when}`;
+    if (v.source === 'edit') return `v${v.version} · edited by hand (from v${v.editedFrom}) · ${when}`;
+    if (v.source === 'update') return `v${v.version} · new brief: ${v.briefFiles.join(', ')} · ${when}`;
+    return `v${v.version} · generated · ${when}`;
+}
+
+function findVersion(version) {
+    return currentProject.breakdowns.find(v => v.version === Number(version));
+}
+
+versionSelect.addEventListener('change', () => {
+    const version = findVersion(versionSelect.value);
+    if (!version) return;
+
+    viewedVersion = version.version;
+    lastAnswersResult = null;
+    editDraft = null;
+    currentBreakdown = version.breakdownText;
+    currentStructured = version.structuredBreakdown;
+
+    const latest = currentProject.breakdowns[currentProject.breakdowns.length - 1];
+    restoreVersionBtn.classList.toggle('hidden', viewedVersion === latest.version);
+    renderBreakdownContent();
+    renderVerification();
+    renderBriefChanges();
+    showDiff();
+    refreshBudget();
+    refreshInventory();
+    refreshQuestionnaire();
+});
+
+compareSelect.addEventListener('change', showDiff);
+
+async function showDiff() {
+    const compareWith = compareSelect.value;
+    if (!compareWith) {
+        diffView.classList.add('hidden');
+        diffView.innerHTML = '';
+        return;
+    }
+
+    try {
+        const response = await fetch(
+            `/api/projects/${currentProject.id}/diff?from=${compareWith}&to=${viewedVersion}`
+        );
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        renderDiff(data);
+    } catch (error) {
+        console.error('Error:', error);
+        alert('Failed to compare versions. Please try again.');
+    }
+}
+
+function renderDiff({ from, to, diff }) {
+    diffView.innerHTML = `
+        <h3>Changes from v${from} to v${to}</h3>
+        ${diffHtml(diff)}
+    `;
+    diffView.classList.remove('hidden');
+}
+
+// Summary line plus the added / removed / changed items per section
+function diffHtml(diff) {
+    const { added, removed, changed } = diff.summary;
+    const metaChanges = diff.meta.map(m => `
+        <li class="diff-changed">~ ${escapeHtml(m.field)}: ${escapeHtml(m.before || '—')} → ${escapeHtml(m.after || '—')}</li>
+    `).join('');
+
+    const sections = diff.sections
+        .filter(s => s.added.length || s.removed.length || s.changed.length)
+        .map(s => `
+            <h4>${escapeHtml(s.title)}</h4>
+            <ul>
+                ${s.added.map(item => `<li class="diff-added">+ ${escapeHtml(formatItem(item))}</li>`).join('')}
+                ${s.removed.map(item => `<li class="diff-removed">− ${escapeHtml(formatItem(item))}</li>`).join('')}
+                ${s.changed.map(c => `
+                    <li class="diff-changed">~ ${escapeHtml(formatItem(c.before))} → ${escapeHtml(formatItem(c.after))}</li>
+                `).join('')}
+            </ul>
+        `).join('');
+
+    return `
+        <p>${added} added · ${removed} removed · ${changed} changed</p>
+        ${metaChanges ? `<ul>${metaChanges}</ul>` : ''}
+        ${sections || (metaChanges ? '' : '<p>No differences.</p>')}
+    `;
+}
+
+// "What changed in the brief" for a version made from a new brief (see Update from New Brief)
+function renderBriefChanges() {
+    const version = currentProject && viewedVersion !== null ? findVersion(viewedVersion) : null;
+    if (version?.source !== 'update') {
+        briefChangesView.innerHTML = '';
+        briefChangesView.classList.add('hidden');
+        return;
+    }
+
+    briefChangesView.innerHTML = `
+        <details open>
+            <summary><strong>What changed in the brief</strong> (${escapeHtml(version.briefFiles.join(', '))})</summary>
+            ${diffHtml(version.briefChanges)}
+            <p class="budget-note">Applied to v${version.updatedFrom}; earlier revisions were kept.</p>
+        </details>
+    `;
+    briefChangesView.classList.remove('hidden');
+}
+
+updateBriefBtn.addEventListener('click', () => briefUpdateInput.click());
+
+briefUpdateInput.addEventListener('change', async () => {
+    const files = Array.from(briefUpdateInput.files);
+    briefUpdateInput.value = '';
+    if (!files.length || !currentProject) return;
+
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+    formData.append('projectId', currentProject.id);
+    formData.append('version', viewedVersion);
+
+    showLoading();
+    try {
+        startProgress('Reading the new brief and updating the breakdown...');
+        const outcome = await runJob('/api/jobs/update', { method: 'POST', body: formData });
+        if (outcome.ok) renderWarnings(outcome.data.warnings || []);
+        await handleRevisionOutcome(outcome);
+    } catch (error) {
+        console.error('Error:', error);
+        alert('Failed to update from the new brief: ' + error.message);
+        showResults(currentBreakdown);
+    }
+});
+
+// Same line format as the server's text rendering
+function formatItem(item) {
+    const notes = item.notes ? ` (${item.notes})` : '';
+    return `[${item.status}] ${item.description}${notes}`;
+}
+
+restoreVersionBtn.addEventListener('click', async () => {
+    if (!confirm(`Restore v${viewedVersion}? It will be saved as a new version.`)) return;
+
+    try {
+        const response = await fetch(
+            `/api/projects/${currentProject.id}/versions/${viewedVersion}/restore`,
+            { method: 'POST' }
+        );
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+
+        currentBreakdown = data.breakdown;
+        currentStructured = data.structuredBreakdown;
+        await loadCurrentProject(data.projectId);
+        showResults(currentBreakdown);
+    } catch (error) {
+        console.error('Error:', error);
+        alert('Failed to restore version. Please try again.');
+    }
+});
+
+async function openProject(projectId) {
+    try {
+        const project = await loadCurrentProject(projectId);
+        const latest = project.breakdowns[project.breakdowns.length - 1];
+        if (!latest) {
+            alert('This project has no breakdown yet.');
+            return;
+        }
+
+        currentBreakdown = latest.breakdownText;
+        currentStructured = latest.structuredBreakdown;
+        renderWarnings(latest.warnings || []);
+        showResults(currentBreakdown);
+    } catch (error) {
+        console.error('Error:', error);
+        alert('Failed to open project. Please try again.');
+    }
+}
+
+async function deleteProject(projectId) {
+    if (!confirm('Delete this project and all its files and breakdowns?')) return;
+
+    try {
+        const response = await fetch(`/api/projects/${projectId}`, { method: 'DELETE' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        await loadProjects();
+    } catch (error) {
+        console.error('Error:', error);
+        alert('Failed to delete project. Please try again.');
+    }
+}
+
+// Breakdown view
+// Rendered from the structured breakdown (same layout as the server's text rendering) so that
+// CONFIRMED items can link to the passage they were taken from.
+let renderedCitations = [];
+
+function renderBreakdownContent(text = currentBreakdown) {
+    hideCitation();
+    renderedCitations = [];
+
+    if (editDraft) {
+        renderInlineEditor();
+        return;
+    }
+
+    if (!currentStructured) {
+        breakdownContent.textContent = text;
+        return;
+    }
+
+    const lines = [];
+    const { title, client, sections } = currentStructured;
+    if (title) lines.push(escapeHtml(`PROJECT: ${title}`));
+    if (client) lines.push(escapeHtml(`CLIENT: ${client}`));
+    if (lines.length) lines.push('');
+
+    for (const section of sections) {
+        lines.push(`<strong>${escapeHtml(section.title)}</strong> ` +
+            `<button class="section-edit-btn" data-section="${escapeHtml(section.id)}">Edit this section</button>`);
+        if (!section.items.length) lines.push('- None stated');
+
+        let currentGroup = null;
+        for (const [idx, item] of section.items.entries()) {
+            if (item.group && item.group !== currentGroup) {
+                currentGroup = item.group;
+                lines.push(escapeHtml(`${item.group}:`));
+            }
+
+            let line = escapeHtml(`- ${formatItem(item)}`);
+            if (item.citation) {
+                renderedCitations.push(item.citation);
+                const index = renderedCitations.length - 1;
+                line += ` <button class="citation-link" data-citation="${index}" ` +
+                    `title="${escapeHtml(formatCitation(item.citation))}">[${index + 1}]</button>`;
+            }
+            if (item.locked) {
+                line += ' <span class="locked-badge" title="Locked: AI revisions keep this line as it is">locked</span>';
+            }
+            const match = section.id === 'equipment' && inventoryMatches?.[idx];
+            if (match) {
+                line += ` <span class="inventory-badge inventory-${match.status}" ` +
+                    `title="${escapeHtml(match.item ? match.item.name : 'Not in our inventory')}">${escapeHtml(match.label)}</span>`;
+            }
+            lines.push(line);
+        }
+        lines.push('');
+    }
+
+    breakdownContent.innerHTML = lines.join('\n').trim();
+}
+
+// "brief.pdf, page 3"
+function formatCitation(citation) {
+    return [citation.filename, citation.location].filter(Boolean).join(', ');
+}
+
+breakdownContent.addEventListener('click', (e) => {
+    const link = e.target.closest('.citation-link');
+    if (link) showCitation(Number(link.dataset.citation));
+
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    if (editDraft && action) {
+        if (action === 'add-item') {
+            const section = editDraft.sections[Number(e.target.closest('[data-section]').dataset.section)];
+            section.items.push({
+                description: '',
+                quantity: null,
+                status: 'CONFIRMED',
+                group: null,
+                notes: null,
+                citation: null,
+            });
+            renderInlineEditor();
+        } else if (action === 'remove-item') {
+            const row = e.target.closest('.edit-row');
+            editDraft.sections[Number(row.dataset.section)].items.splice(Number(row.dataset.item), 1);
+            renderInlineEditor();
+        } else if (action === 'cancel-edit') {
+            editDraft = null;
+            renderBreakdownContent();
+        } else if (action === 'save-edit') {
+            saveInlineEdits();
+        }
+        return;
+    }
+
+    // Adds to the sections of a revision that is already open, so several can be edited at once
+    const editSection = e.target.closest('.section-edit-btn');
+    if (editSection) {
+        const open = !revisionInterface.classList.contains('hidden') && revisionSections.length;
+        const sections = open ? revisionSections : [];
+        openRevision(sections.includes(editSection.dataset.section)
+            ? sections
+            : [...sections, editSection.dataset.section]);
+    }
+});
+
+// Inline editing: every line as form fields, saved as a new version of the project
+const ITEM_STATUSES = ['CONFIRMED', 'RECOMMENDED', 'ASSUMED'];
+
+inlineEditBtn.addEventListener('click', () => {
+    if (!currentStructured || !currentProject) return;
+    editDraft = JSON.parse(JSON.stringify(currentStructured));
+    revisionInterface.classList.add('hidden');
+    renderBreakdownContent();
+});
+
+function renderInlineEditor() {
+    const sections = editDraft.sections.map((section, s) => `
+        <h4>${escapeHtml(section.title)}</h4>
+        ${section.items.map((item, i) => `
+            <div class="edit-row${item.locked ? ' locked' : ''}" data-section="${s}" data-item="${i}">
+                <select data-field="status">
+                    ${ITEM_STATUSES.map(status => `
+                        <option value="${status}" ${item.status === status ? 'selected' : ''}>${status}</option>
+                    `).join('')}
+                </select>
+                <input type="text" data-field="description" value="${escapeHtml(item.description)}" placeholder="Description">
+                <input type="number" data-field="quantity" min="0" step="any" value="${item.quantity ?? ''}" placeholder="Qty">
+                <input type="text" data-field="notes" value="${escapeHtml(item.notes || '')}" placeholder="Notes">
+                <label title="AI revisions keep locked lines exactly as they are">
+                    <input type="checkbox" data-field="locked" ${item.locked ? 'checked' : ''}> Locked
+                </label>
+                <button class="btn-secondary" data-action="remove-item">Remove</button>
+            </div>
+        `).join('')}
+        <button class="btn-secondary" data-action="add-item" data-section="${s}">+ Add line</button>
+    `).join('');
+
+    breakdownContent.innerHTML = `
+        <div class="inline-editor">
+            <p class="budget-note">Edit the lines directly. Lock a line to keep it exactly as it is in later AI revisions.</p>
+            ${sections}
+            <div class="revision-buttons">
+                <button class="btn-secondary" data-action="cancel-edit">Cancel</button>
+                <button class="btn-primary" data-action="save-edit">Save as new version</button>
+            </div>
+        </div>
+    `;
+}
+
+function editedItem(target) {
+    const row = target.closest('.edit-row');
+    if (!row) return null;
+    return editDraft.sections[Number(row.dataset.section)].items[Number(row.dataset.item)];
+}
+
+// Fields are copied into the draft as they are typed; the editor is only re-rendered when lines
+// are added or removed, so focus stays where it is
+function updateDraftField(e) {
+    const item = editDraft && editedItem(e.target);
+    const field = e.target.dataset.field;
+    if (!item || !field) return;
+
+    if (field === 'locked') {
+        if (e.target.checked) item.locked = true;
+        else delete item.locked;
+        e.target.closest('.edit-row').classList.toggle('locked', e.target.checked);
+    } else if (field === 'quantity') {
+        item.quantity = e.target.value === '' ? null : Number(e.target.value);
+    } else if (field === 'notes') {
+        item.notes = e.target.value.trim() || null;
+    } else {
+        item[field] = e.target.value;
+        // The quoted passage no longer states a description that was typed over
+        if (field === 'description') item.citation = null;
+    }
+}
+
+breakdownContent.addEventListener('input', updateDraftField);
+breakdownContent.addEventListener('change', updateDraftField);
+
+async function saveInlineEdits() {
+    try {
+        const response = await fetch(`/api/projects/${currentProject.id}/edits`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ structuredBreakdown: editDraft, version: viewedVersion }),
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error([data.error, ...(data.details || [])].filter(Boolean).join('\n- '));
+        }
+
+        editDraft = null;
+        currentBreakdown = data.breakdown;
+        currentStructured = data.structuredBreakdown;
+        await loadCurrentProject(data.projectId);
+        showResults(currentBreakdown);
+    } catch (error) {
+        console.error('Error:', error);
+        alert('Failed to save the edits: ' + error.message);
+    }
+}
+
+// Shows the quote first, then swaps in the surrounding passage from the stored source text
+async function showCitation(index) {
+    const citation = renderedCitations[index];
+    if (!citation) return;
+
+    const heading = `<h4>[${index + 1}] ${escapeHtml(formatCitation(citation))}</h4>`;
+    citationView.innerHTML = `
+        ${heading}
+        <blockquote>${escapeHtml(citation.quote || '')}</blockquote>
+        <button class="btn-secondary" id="closeCitationBtn">Close</button>
+    `;
+    citationView.classList.remove('hidden');
+    citationView.querySelector('#closeCitationBtn').addEventListener('click', hideCitation);
+
+    if (!currentProject || !citation.quote) return;
+
+    try {
+        const params = new URLSearchParams({ filename: citation.filename || '', quote: citation.quote });
+        const response = await fetch(`/api/projects/${currentProject.id}/citation?${params}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const { source, citedFileMatched, passage } = await response.json();
+
+        // Another citation may have been opened in the meantime
+        if (renderedCitations[index] !== citation || citationView.classList.contains('hidden')) return;
+
+        const blockquote = citationView.querySelector('blockquote');
+        if (!passage.found) {
+            blockquote.insertAdjacentHTML('afterend',
+                '<p class="citation-note">This exact passage was not found in the extracted text of the uploaded files.</p>');
+            return;
+        }
+
+        blockquote.innerHTML = `${escapeHtml(passage.before)}<mark>${escapeHtml(passage.match)}</mark>${escapeHtml(passage.after)}`;
+        if (!citedFileMatched) {
+            blockquote.insertAdjacentHTML('afterend',
+                `<p class="citation-note">Found in ${escapeHtml(source.filename)}, not in the cited file.</p>`);
+        }
+    } catch (error) {
+        console.error('Error:', error);
+    }
+}
+
+function hideCitation() {
+    citationView.classList.add('hidden');
+    citationView.innerHTML = '';
+}
+
+// Scene table for uploaded scripts (parsed on the server, stored with the source file)
+function renderSceneList() {
+    const scripts = (currentProject?.sources || []).filter(s => s.screenplay?.scenes.length);
+    // Re-uploads of the same script: only show the latest
+    const latestByName = new Map(scripts.map(s => [s.filename, s]));
+
+    if (!latestByName.size) {
+        sceneList.innerHTML = '';
+        sceneList.classList.add('hidden');
+        return;
+    }
+
+    sceneList.innerHTML = [...latestByName.values()].map(({ filename, screenplay }) => `
+        <details>
+            <summary>
+                Scenes: ${escapeHtml(filename)} — ${screenplay.scenes.length} scenes,
+                ${formatEighths(screenplay.totalEighths)} pages,
+                ${screenplay.characters.length} speaking characters,
+                ${screenplay.locations.length} locations
+            </summary>
+            <table>
+                <thead>
+                    <tr><th>Sc</th><th>Int/Ext</th><th>Location</th><th>Time</th><th>Pages</th><th>Length</th><th>Speaking</th></tr>
+                </thead>
+                <tbody>
+                    ${screenplay.scenes.map(scene => `
+                        <tr>
+                            <td>${escapeHtml(scene.number)}</td>
+                            <td>${escapeHtml(scene.intExt)}</td>
+                            <td>${escapeHtml(scene.location)}</td>
+                            <td>${escapeHtml([scene.timeOfDay || '—', ...(scene.modifiers || [])].join(', '))}</td>
+                            <td>${escapeHtml(formatScenePages(scene))}</td>
+                            <td>${formatEighths(scene.eighths)}</td>
+                            <td>${escapeHtml(scene.characters.join(', ') || '—')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </details>
+    `).join('');
+    sceneList.classList.remove('hidden');
+}
+
+// Stripboard: proposed shoot days for the breakdown (server groups locations / script scenes; strips can be dragged between days)
+function renderStripboard() {
+    if (!currentProject?.breakdowns.length) {
+        stripboard.innerHTML = '';
+        stripboard.classList.add('hidden');
+        return;
+    }
+
+    // Without a script, strips are the breakdown's locations, measured in days instead of pages
+    const hasScript = currentProject.sources.some(s => s.screenplay?.scenes.length);
+    const schedule = currentProject.schedule;
+    const maxPages = schedule ? schedule.maxEighthsPerDay / 8 : 5;
+
+    stripboard.innerHTML = `
+        <div class="stripboard-header">
+            <h3>Proposed Schedule</h3>
+            ${hasScript ? `<label>Max pages / day <input type="number" id="maxPagesInput" min="0.5" max="20" step="0.5" value="${maxPages}"></label>` : ''}
+            <button class="btn-secondary" id="buildScheduleBtn">${schedule ? 'Rebuild schedule' : 'Build schedule'}</button>
+        </div>
+        ${schedule ? `
+            <p class="stripboard-stats">
+                ${escapeHtml(schedule.filename || `Breakdown v${schedule.version}`)} — ${schedule.stats.days} days,
+                ${formatScheduleLength(schedule.stats.totalEighths, schedule)},
+                ${schedule.stats.companyMoves} company moves ·
+                Cast days: ${schedule.stats.castDays.map(c => `${escapeHtml(c.name)} ${c.days}`).join(', ') || '—'}
+                ${schedule.unscheduledLocations?.length ? `<br>Not in the script: ${escapeHtml(schedule.unscheduledLocations.join(', '))}` : ''}
+            </p>
+            <div class="strip-days">
+                ${schedule.days.map((day, idx) => renderStripDay(day, idx, schedule)).join('')}
+                <div class="strip-day strip-day-new" data-day-index="${schedule.days.length}">
+                    <div class="strip-day-header">Drop here for a new day</div>
+                </div>
+            </div>
+        ` : `<p class="stripboard-stats">Group the ${hasScript ? 'script\'s scenes' : 'breakdown\'s locations'} into shoot days by location, day/night and cast.</p>`}
+    `;
+    stripboard.classList.remove('hidden');
+}
+
+// Script schedules are measured in pages; breakdown-only ones in shoot days (a day = the page limit)
+function formatScheduleLength(eighths, schedule) {
+    if (schedule.basis !== 'breakdown') return `${formatEighths(eighths)} pages`;
+    return `${formatEighths(Math.round(eighths * 8 / schedule.maxEighthsPerDay))} days`;
+}
+
+function renderStripDay(day, idx, schedule) {
+    return `
+        <div class="strip-day ${day.overLimit ? 'over-limit' : ''}" data-day-index="${idx}">
+            <div class="strip-day-header">
+                Day ${day.day} — ${formatScheduleLength(day.eighths, schedule)} / ${formatScheduleLength(schedule.maxEighthsPerDay, schedule)}
+                ${day.locations.length > 1 ? `· ${day.locations.length - 1} move${day.locations.length > 2 ? 's' : ''}` : ''}
+            </div>
+            ${day.strips.map(strip => `
+                <div class="strip ${stripClass(strip)}" draggable="true" data-strip-id="${escapeHtml(strip.id)}"
+                    title="${escapeHtml(strip.heading)}">
+                    <span class="strip-scene">${escapeHtml(strip.number || '—')}</span>
+                    <span class="strip-set">${escapeHtml(strip.intExt || '')} ${escapeHtml(strip.location)}${strip.set && strip.set !== strip.location ? ` (${escapeHtml(strip.set)})` : ''} — ${escapeHtml(strip.dayNight)}</span>
+                    <span class="strip-length">${strip.days !== null && strip.days !== undefined ? `${formatEighths(Math.round(strip.days * 8))} d` : formatEighths(strip.eighths)}</span>
+                    <span class="strip-cast">${escapeHtml(strip.characters.join(', ') || '—')}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// Stripboard colour convention: INT day white, EXT day yellow, INT night blue, EXT night green
+function stripClass(strip) {
+    const exterior = Boolean(strip.intExt) && strip.intExt !== 'INT';
+    if (strip.dayNight === 'NIGHT') return exterior ? 'strip-ext-night' : 'strip-int-night';
+    return exterior ? 'strip-ext-day' : 'strip-int-day';
+}
+
+stripboard.addEventListener('click', async (e) => {
+    if (!e.target.closest('#buildScheduleBtn') || !currentProject) return;
+
+    const maxPagesInput = stripboard.querySelector('#maxPagesInput');
+    try {
+        const response = await fetch(`/api/projects/${currentProject.id}/schedule`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                version: viewedVersion,
+                ...(maxPagesInput && { maxPagesPerDay: Number(maxPagesInput.value) }),
+            }),
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+        currentProject.schedule = data.schedule;
+        renderStripboard();
+    } catch (error) {
+        console.error('Error:', error);
+        alert('Failed to build schedule: ' + error.message);
+    }
+});
+
+let draggedStripId = null;
+
+stripboard.addEventListener('dragstart', (e) => {
+    const strip = e.target.closest('.strip');
+    if (!strip) return;
+    draggedStripId = strip.dataset.stripId;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', draggedStripId);
+    strip.classList.add('dragging');
+});
+
+stripboard.addEventListener('dragend', (e) => {
+    const strip = e.target.closest('.strip');
+    if (strip) strip.classList.remove('dragging');
+    draggedStripId = null;
+});
+
+stripboard.addEventListener('dragover', (e) => {
+    if (!draggedStripId || !e.target.closest('.strip-day')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+});
+
+stripboard.addEventListener('drop', async (e) => {
+    const dayEl = e.target.closest('.strip-day');
+    if (!draggedStripId || !dayEl || !currentProject?.schedule) return;
+    e.preventDefault();
+
+    // Days as strip ids, with the dragged strip moved before the strip it was dropped on (or to the end)
+    const stripId = draggedStripId;
+    const target = e.target.closest('.strip');
+    const days = currentProject.schedule.days.map(day =>
+        day.strips.map(s => s.id).filter(id => id !== stripId)
+    );
+    const dayIndex = Number(dayEl.dataset.dayIndex);
+    if (dayIndex === days.length) days.push([]);
+    const beforeIdx = target ? days[dayIndex].indexOf(target.dataset.stripId) : -1;
+    days[dayIndex].splice(beforeIdx === -1 ? days[dayIndex].length : beforeIdx, 0, stripId);
+
+    try {
+        const response = await fetch(`/api/projects/${currentProject.id}/schedule`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ days }),
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+        currentProject.schedule = data.schedule;
+        renderStripboard();
+    } catch (error) {
+        console.error('Error:', error);
+        alert('Failed to move strip: ' + error.message);
+    }
+});
+
+// Budget: prices the breakdown with a rate card (crew / equipment / location / transport day rates,
+// per diems, travel). CONFIRMED, RECOMMENDED and ASSUMED amounts are shown in separate columns.
+const BUDGET_STATUSES = ['CONFIRMED', 'RECOMMENDED', 'ASSUMED'];
+
+// Starting point for a new rate card in the editor
+const RATE_CARD_EXAMPLE = {
+    name: 'New rate card',
+    currency: 'USD',
+    crew: [{ name: 'Camera', match: ['dop', 'camera operator'], dayRate: 1000 }],
+    equipment: [{ name: 'Camera package', match: ['alexa', 'camera kit'], dayRate: 900 }],
+    locations: [{ name: 'Studio', match: ['stage'], dayRate: 2500 }],
+    transport: [{ name: 'Van', match: ['sprinter'], dayRate: 180 }],
+    perDiem: 60,
+    travel: 450,
+};
+
+async function loadRateCards() {
+    const response = await fetch('/api/rate-cards');
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    rateCardList = (await response.json()).rateCards || [];
+    if (budgetOptions && !rateCardList.some(c => c.id === budgetOptions.rateCardId)) {
+        budgetOptions = null;
+        currentBudget = null;
+    }
+}
+
+async function refreshBudget() {
+    try {
+        await loadRateCards();
+        currentBudget = null;
+        if (budgetOptions && currentStructured) {
+            const response = await fetch('/api/budget', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ structuredBreakdown: currentStructured, ...budgetOptions }),
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+            currentBudget = data.budget;
+        }
+    } catch (error) {
+        console.error('Error building budget:', error);
+    }
+    renderBudgetPanel();
+}
+
+function renderBudgetPanel() {
+    if (!currentStructured) {
+        budgetPanel.classList.add('hidden');
+        return;
+    }
+
+    const selectedId = budgetOptions?.rateCardId || '';
+    budgetPanel.innerHTML = `
+        <div class="budget-header">
+            <h3>Budget</h3>
+            <label>Rate card
+                <select id="rateCardSelect">
+                    <option value="">— none —</option>
+                    ${rateCardList.map(card => `
+                        <option value="${escapeHtml(card.id)}" ${card.id === selectedId ? 'selected' : ''}>
+                            ${escapeHtml(card.name)} (${escapeHtml(card.currency)})
+                        </option>
+                    `).join('')}
+                </select>
+            </label>
+            <label>Shoot days
+                <input type="number" id="budgetDaysInput" min="0.5" step="0.5"
+                    value="${budgetOptions?.shootDays || ''}" placeholder="${currentBudget ? currentBudget.shootDays.days : 'auto'}">
+            </label>
+            <button class="btn-secondary" id="editRateCardsBtn">Rate cards…</button>
+        </div>
+        ${currentBudget ? renderBudget(currentBudget) : `
+            <p class="budget-note">${rateCardList.length
+                ? 'Pick a rate card to price the crew, equipment, locations and transport.'
+                : 'Add a rate card to price this breakdown.'}</p>
+        `}
+        <div class="rate-card-editor hidden" id="rateCardEditor">
+            <p class="budget-note">Rate card as JSON: day rates per crew department, equipment, location and vehicle
+                (<code>match</code> lists other words that identify the entry), <code>perDiem</code> per crew member per
+                shoot day and <code>travel</code> per travelling crew member.</p>
+            <textarea id="rateCardJson" rows="14" spellcheck="false"></textarea>
+            <div class="revision-buttons">
+                <button class="btn-secondary" id="closeRateCardBtn">Close</button>
+                <button class="btn-secondary" id="deleteRateCardBtn">Delete</button>
+                <button class="btn-secondary" id="saveNewRateCardBtn">Save as new</button>
+                <button class="btn-primary" id="saveRateCardBtn">Save</button>
+            </div>
+        </div>
+    `;
+    budgetPanel.classList.remove('hidden');
+}
+
+function formatMoney(amount, currency) {
+    if (amount === null || amount === undefined) return '—';
+    try {
+        return amount.toLocaleString(undefined, { style: 'currency', currency, maximumFractionDigits: 0 });
+    } catch (error) {
+        return `${currency} ${Math.round(amount).toLocaleString()}`;
+    }
+}
+
+function renderBudget(budget) {
+    const money = amount => formatMoney(amount, budget.currency);
+    const { categories, totals } = budget.topSheet;
+    const unpriced = budget.lines.filter(l => l.total === null);
+
+    return `
+        <p class="budget-note">
+            ${budget.shootDays.days} shoot day(s) — ${escapeHtml(budget.shootDays.status)}: ${escapeHtml(budget.shootDays.source)}
+        </p>
+        <table class="budget-table">
+            <thead>
+                <tr><th>Top sheet</th>${BUDGET_STATUSES.map(s => `<th class="status-${s.toLowerCase()}">${s}</th>`).join('')}<th>Total</th></tr>
+            </thead>
+            <tbody>
+                ${categories.map(c => `
+                    <tr>
+                        <td>${escapeHtml(c.title)}${c.unpriced ? ` <span class="budget-unpriced">(${c.unpriced} unpriced)</span>` : ''}</td>
+                        ${BUDGET_STATUSES.map(s => `<td>${money(c[s])}</td>`).join('')}
+                        <td>${money(c.total)}</td>
+                    </tr>
+                `).join('')}
+                <tr class="budget-total">
+                    <td>Total</td>
+                    ${BUDGET_STATUSES.map(s => `<td>${money(totals[s])}</td>`).join('')}
+                    <td>${money(totals.total)}</td>
+                </tr>
+            </tbody>
+        </table>
+        ${unpriced.length ? `
+            <p class="budget-note budget-unpriced">No rate for: ${unpriced.map(l => escapeHtml(l.description)).join(', ')}</p>
+        ` : ''}
+        <details class="budget-lines">
+            <summary>Line items (${budget.lines.length})</summary>
+            <table class="budget-table">
+                <thead>
+                    <tr><th>Item</th><th>Status</th><th>Qty</th><th>Days</th><th>Rate</th><th>Total</th></tr>
+                </thead>
+                <tbody>
+                    ${budget.lines.map(line => `
+                        <tr>
+                            <td>${escapeHtml(line.description)}${line.notes ? `<div class="budget-line-note">${escapeHtml(line.notes)}</div>` : ''}</td>
+                            <td class="status-${line.status.toLowerCase()}">${line.status}</td>
+                            <td>${line.quantity ?? ''}</td>
+                            <td>${line.days ?? ''}</td>
+                            <td>${money(line.rate)}</td>
+                            <td>${money(line.total)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </details>
+    `;
+}
+
+budgetPanel.addEventListener('change', (e) => {
+    if (!e.target.closest('#rateCardSelect, #budgetDaysInput')) return;
+
+    const rateCardId = budgetPanel.querySelector('#rateCardSelect').value;
+    const shootDays = Number(budgetPanel.querySelector('#budgetDaysInput').value) || null;
+    budgetOptions = rateCardId ? { rateCardId, shootDays } : null;
+    refreshBudget();
+});
+
+budgetPanel.addEventListener('click', async (e) => {
+    const editor = budgetPanel.querySelector('#rateCardEditor');
+    const jsonInput = budgetPanel.querySelector('#rateCardJson');
+
+    if (e.target.closest('#editRateCardsBtn')) {
+        try {
+            let card = RATE_CARD_EXAMPLE;
+            if (budgetOptions) {
+                const response = await fetch(`/api/rate-cards/${budgetOptions.rateCardId}`);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const { id, createdAt, updatedAt, ...rates } = (await response.json()).rateCard;
+                card = rates;
+            }
+            jsonInput.value = JSON.stringify(card, null, 2);
+            editor.classList.remove('hidden');
+        } catch (error) {
+            console.error('Error:', error);
+            alert('Failed to load rate card: ' + error.message);
+        }
+        return;
+    }
+
+    if (e.target.closest('#closeRateCardBtn')) {
+        editor.classList.add('hidden');
+        return;
+    }
+
+    if (e.target.closest('#deleteRateCardBtn')) {
+        if (!budgetOptions || !confirm('Delete this rate card?')) return;
+        const response = await fetch(`/api/rate-cards/${budgetOptions.rateCardId}`, { method: 'DELETE' });
+        if (!response.ok) {
+            alert('Failed to delete rate card');
+            return;
+        }
+        budgetOptions = null;
+        refreshBudget();
+        return;
+    }
+
+    const saveNew = e.target.closest('#saveNewRateCardBtn');
+    if (!saveNew && !e.target.closest('#saveRateCardBtn')) return;
+
+    try {
+        const card = JSON.parse(jsonInput.value);
+        const existing = !saveNew && budgetOptions;
+        const response = await fetch(existing ? `/api/rate-cards/${budgetOptions.rateCardId}` : '/api/rate-cards', {
+            method: existing ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(card),
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error([data.error, ...(data.details || [])].filter(Boolean).join('\n- '));
+        }
+        budgetOptions = { rateCardId: data.rateCard.id, shootDays: budgetOptions?.shootDays || null };
+        refreshBudget();
+    } catch (error) {
+        console.error('Error:', error);
+        alert('Failed to save rate card: ' + error.message);
+    }
+});
+
+// Kit inventory: equipment lines checked against the kit we own for the shoot dates
+async function refreshInventory() {
+    try {
+        const response = await fetch('/api/inventory');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        inventorySummary = (await response.json()).inventory;
+
+        inventoryMatches = null;
+        if (inventorySummary && currentStructured) {
+            const matchResponse = await fetch('/api/inventory/match', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ structuredBreakdown: currentStructured, ...shootDates }),
+            });
+            const data = await matchResponse.json();
+            if (!matchResponse.ok) throw new Error(data.error || `HTTP ${matchResponse.status}`);
+            inventoryMatches = data.matches;
+        }
+    } catch (error) {
+        console.error('Error checking inventory:', error);
+    }
+    renderBreakdownContent();
+    renderInventoryPanel();
+}
+
+function renderInventoryPanel() {
+    if (!currentStructured) {
+        inventoryPanel.classList.add('hidden');
+        return;
+    }
+
+    const counts = { available: 0, booked: 0, rental: 0 };
+    (inventoryMatches || []).forEach(m => { counts[m.status]++; });
+
+    inventoryPanel.innerHTML = `
+        <div class="budget-header">
+            <h3>Kit Inventory</h3>
+            <label>Shoot from <input type="date" id="shootFromInput" value="${shootDates.from || ''}"></label>
+            <label>to <input type="date" id="shootToInput" value="${shootDates.to || ''}"></label>
+            <button class="btn-secondary" id="uploadInventoryBtn">${inventorySummary ? 'Replace inventory' : 'Upload inventory'}</button>
+            <input type="file" id="inventoryFileInput" accept=".csv,.json" class="hidden">
+        </div>
+        ${inventorySummary ? `
+            <p class="budget-note">
+                ${escapeHtml(inventorySummary.filename)} — ${inventorySummary.items.length} rows, updated
+                ${new Date(inventorySummary.updatedAt).toLocaleString()} ·
+                ${counts.available} owned &amp; available, ${counts.booked} owned but booked, ${counts.rental} to rent
+            </p>
+            ${inventoryMatches?.length ? renderInventoryMatches(inventoryMatches) : '<p class="budget-note">No equipment lines to check.</p>'}
+        ` : `
+            <p class="budget-note">Upload the kit we own (CSV with item, category, quantity, available_from,
+                available_to columns, or JSON) to see which equipment lines we can cover ourselves.</p>
+        `}
+    `;
+    inventoryPanel.classList.remove('hidden');
+}
+
+function renderInventoryMatches(matches) {
+    return `
+        <table class="budget-table inventory-table">
+            <thead>
+                <tr><th>Equipment</th><th>Needed</th><th>Inventory</th><th>Substitutes</th></tr>
+            </thead>
+            <tbody>
+                ${matches.map(m => `
+                    <tr>
+                        <td>${escapeHtml(m.description)}${m.notes ? `<div class="budget-line-note">${escapeHtml(m.notes)}</div>` : ''}</td>
+                        <td>${m.needed}</td>
+                        <td>
+                            <span class="inventory-badge inventory-${m.status}">${escapeHtml(m.label)}</span>
+                            ${m.item ? `<div class="budget-line-note">${escapeHtml(m.item.name)} · ${m.item.free} of ${m.item.owned} free</div>` : ''}
+                        </td>
+                        <td>${m.substitutes.map(s => `${escapeHtml(s.name)} (${s.free} free)`).join(', ') || '—'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+inventoryPanel.addEventListener('change', async (e) => {
+    if (e.target.closest('#shootFromInput, #shootToInput')) {
+        shootDates = {
+            from: inventoryPanel.querySelector('#shootFromInput').value || null,
+            to: inventoryPanel.querySelector('#shootToInput').value || null,
+        };
+        refreshInventory();
+        return;
+    }
+
+    const fileInputEl = e.target.closest('#inventoryFileInput');
+    if (!fileInputEl || !fileInputEl.files.length) return;
+
+    const formData = new FormData();
+    formData.append('file', fileInputEl.files[0]);
+    try {
+        const response = await fetch('/api/inventory', { method: 'PUT', body: formData });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error([data.error, ...(data.details || [])].filter(Boolean).join('\n- '));
+        }
+        refreshInventory();
+    } catch (error) {
+        console.error('Error:', error);
+        alert('Failed to upload inventory: ' + error.message);
+    }
+});
+
+inventoryPanel.addEventListener('click', (e) => {
+    if (e.target.closest('#uploadInventoryBtn')) {
+        inventoryPanel.querySelector('#inventoryFileInput').click();
+    }
+});
+
+// Client questionnaire: open questions to send out, and the client's reply applied as a revision
+async function refreshQuestionnaire() {
+    questionnaire = null;
+    if (currentStructured) {
+        try {
+            const response = await fetch('/api/questionnaire', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    structuredBreakdown: currentStructured,
+                    projectId: currentProject?.id,
+                    version: viewedVersion,
+                }),
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+            questionnaire = data.questionnaire;
+        } catch (error) {
+            console.error('Error building questionnaire:', error);
+        }
+    }
+    renderQuestionnairePanel();
+}
+
+function renderQuestionnairePanel() {
+    if (!questionnaire) {
+        questionnairePanel.classList.add('hidden');
+        return;
+    }
+
+    const count = questionnaire.questions.length;
+    const result = lastAnswersResult
+        ? `<p class="budget-note">Applied ${lastAnswersResult.applied} answer(s); ` +
+          `${lastAnswersResult.unanswered} question(s) were left unanswered.</p>`
+        : '';
+
+    questionnairePanel.innerHTML = `
+        <div class="budget-header">
+            <h3>Client Questions</h3>
+            <button class="btn-secondary" id="questionnaireDocxBtn" ${count ? '' : 'disabled'}>Download Word</button>
+            <button class="btn-secondary" id="questionnaireTxtBtn" ${count ? '' : 'disabled'}>Download text</button>
+        </div>
+        ${result}
+        ${count ? `
+            <details class="budget-lines">
+                <summary>${count} open question(s)${questionnaire.version ? ` from version ${questionnaire.version}` : ''}</summary>
+                <ol class="questionnaire-list">
+                    ${questionnaire.questions.map(q => `<li value="${q.number}">${escapeHtml(q.question)}</li>`).join('')}
+                </ol>
+            </details>
+            ${currentProject ? `
+                <div class="answers-form">
+                    <textarea id="answersInput" rows="5"
+                        placeholder="Paste the client's reply here, keeping the question numbers (1., 2., ...)"></textarea>
+                    <div class="revision-buttons">
+                        <button class="btn-secondary" id="uploadAnswersBtn">Upload reply (.txt / .docx)</button>
+                        <input type="file" id="answersFileInput" accept=".txt,.doc,.docx" class="hidden">
+                        <button class="btn-primary" id="applyAnswersBtn">Apply answers</button>
+                    </div>
+                </div>
+            ` : '<p class="budget-note">Save the breakdown as a project to apply the client\'s answers.</p>'}
+        ` : '<p class="budget-note">No open questions.</p>'}
+    `;
+    questionnairePanel.classList.remove('hidden');
+}
+
+async function downloadQuestionnaire(format) {
+    try {
+        const response = await fetch('/api/questionnaire', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                structuredBreakdown: currentStructured,
+                projectId: currentProject?.id,
+                version: viewedVersion,
+                format,
+            }),
+        });
+        if (!response.ok) throw new Error('Failed to generate questionnaire');
+
+        const blob = await response.blob();
+        const blobUrl = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = blobUrl;
+        a.download = `client-questions-${Date.now()}.${format}`;
+        document.body.appendChild(a);
+        a.click();
+        window.URL.revokeObjectURL(blobUrl);
+        document.body.removeChild(a);
+    } catch (error) {
+        console.error('Error:', error);
+        alert('Failed to download the questionnaire. Please try again.');
+    }
+}
+
+// reply: pasted text or an uploaded File
+async function applyAnswers(reply) {
+    const formData = new FormData();
+    formData.append('projectId', currentProject.id);
+    formData.append('version', viewedVersion);
+    if (typeof reply === 'string') formData.append('answers', reply);
+    else formData.append('file', reply);
+
+    showLoading();
+    try {
+        startProgress('Applying client answers...');
+        const outcome = await runJob('/api/jobs/answers', { method: 'POST', body: formData });
+        if (outcome.ok) {
+            lastAnswersResult = {
+                applied: outcome.data.answers.length,
+                unanswered: outcome.data.unanswered.length,
+            };
+        }
+        await handleRevisionOutcome(outcome);
+    } catch (error) {
+        console.error('Error:', error);
+        alert('Failed to apply answers: ' + error.message);
+        showResults(currentBreakdown);
+    }
+}
+
+questionnairePanel.addEventListener('click', (e) => {
+    if (e.target.closest('#questionnaireDocxBtn')) downloadQuestionnaire('docx');
+    else if (e.target.closest('#questionnaireTxtBtn')) downloadQuestionnaire('txt');
+    else if (e.target.closest('#uploadAnswersBtn')) questionnairePanel.querySelector('#answersFileInput').click();
+    else if (e.target.closest('#applyAnswersBtn')) {
+        const reply = questionnairePanel.querySelector('#answersInput').value.trim();
+        if (!reply) {
+            alert("Paste the client's reply first (or upload it)");
+            return;
+        }
+        applyAnswers(reply);
+    }
+});
+
+questionnairePanel.addEventListener('change', (e) => {
+    const fileInputEl = e.target.closest('#answersFileInput');
+    if (fileInputEl && fileInputEl.files.length) applyAnswers(fileInputEl.files[0]);
+});
+
+// Same format as the server: 11 -> "1 3/8"
+function formatEighths(eighths) {
+    const pages = Math.floor(eighths / 8);
+    const rest = eighths % 8;
+    if (!rest) return String(pages);
+    return pages ? `${pages} ${rest}/8` : `${rest}/8`;
+}
+
+function formatScenePages(scene) {
+    if (scene.pageStart === null) return '—';
+    return scene.pageStart === scene.pageEnd ? String(scene.pageStart) : `${scene.pageStart}–${scene.pageEnd}`;
+}
+
+// Files the server could not read or compare (shown above the breakdown)
+function renderWarnings(warnings) {
+    if (!warnings.length) {
+        warningsBox.innerHTML = '';
+        warningsBox.classList.add('hidden');
+        return;
+    }
+
+    warningsBox.innerHTML = `
+        <h3>Check these files</h3>
+        <ul>
+            ${warnings.map(w => `<li><strong>${escapeHtml(w.filename)}</strong>: ${escapeHtml(w.message)}</li>`).join('')}
+        </ul>
+    `;
+    warningsBox.classList.remove('hidden');
+}
+
+// Grounding check of the version on screen: each CONFIRMED item with its evidence in the documents
+const VERIFICATION_LABELS = {
+    supported: 'Supported',
+    contradicted: 'Contradicted',
+    unsupported: 'No evidence',
+    unverifiable: 'Not checkable',
+};
+
+function renderVerification() {
+    const version = currentProject && viewedVersion !== null ? findVersion(viewedVersion) : null;
+    const report = version?.verification;
+    if (!report || !report.summary.checked) {
+        verificationReport.innerHTML = '';
+        verificationReport.classList.add('hidden');
+        return;
+    }
+
+    const { summary } = report;
+    const counts = Object.keys(VERIFICATION_LABELS)
+        .filter(verdict => summary[verdict])
+        .map(verdict => `${summary[verdict]} ${VERIFICATION_LABELS[verdict].toLowerCase()}`)
+        .join(' · ');
+
+    // Problems first, then the rest in breakdown order
+    const order = ['contradicted', 'unsupported', 'unverifiable', 'supported'];
+    const items = report.items
+        .slice()
+        .sort((a, b) => order.indexOf(a.verdict) - order.indexOf(b.verdict))
+        .map(item => `
+            <details class="verification-item verdict-${item.verdict}">
+                <summary>
+                    <span class="verdict-badge">${VERIFICATION_LABELS[item.verdict]}</span>
+                    ${escapeHtml(item.sectionTitle)}: ${escapeHtml(item.description)}
+                    ${item.downgraded ? '<em>→ ASSUMED</em>' : ''}
+                </summary>
+                ${item.evidence ? `
+                    <blockquote>${escapeHtml(item.evidence.passage)}</blockquote>
+                    <p class="evidence-source">${escapeHtml(item.evidence.filename)} · ${item.evidence.how === 'citation' ? 'cited passage' : 'found by search'}</p>
+                ` : ''}
+                ${item.reason ? `<p class="evidence-reason">${escapeHtml(item.reason)}</p>` : ''}
+            </details>
+        `).join('');
+
+    verificationReport.innerHTML = `
+        <details ${summary.downgraded ? 'open' : ''}>
+            <summary>
+                <strong>Source check:</strong> ${summary.checked} CONFIRMED item(s) · ${counts}
+                ${summary.downgraded ? ` · <strong>${summary.downgraded} downgraded to ASSUMED</strong>` : ''}
+            </summary>
+            ${items}
+        </details>
+    `;
+    verificationReport.classList.toggle('has-problems', summary.downgraded > 0);
+    verificationReport.classList.remove('hidden');
+}
+
+function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 // UI State Management
 function showLoading() {
     uploadSection.classList.add('hidden');
+    projectsSection.classList.add('hidden');
     resultsSection.classList.add('hidden');
     loadingSection.classList.remove('hidden');
 }
 
 function showResults(breakdown) {
+    stopProgress();
+    editDraft = null;
     uploadSection.classList.add('hidden');
+    projectsSection.classList.add('hidden');
     loadingSection.classList.add('hidden');
     resultsSection.classList.remove('hidden');
-    breakdownContent.textContent = breakdown;
+    renderBreakdownContent(breakdown);
+    renderVerification();
+    renderBriefChanges();
+    updateBriefBtn.classList.toggle('hidden', !currentProject);
+    inlineEditBtn.classList.toggle('hidden', !currentProject);
     revisionInterface.classList.add('hidden');
+    refreshBudget();
+    refreshInventory();
+    refreshQuestionnaire();
 }
 
 function showUpload() {
+    stopProgress();
     resultsSection.classList.add('hidden');
     loadingSection.classList.add('hidden');
     uploadSection.classList.remove('hidden');
+    projectsSection.classList.remove('hidden');
+    loadProjects();
+    loadTemplates();
 }
+
+loadTemplates();
+loadProjects();
+resumeActiveJob();
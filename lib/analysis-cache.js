@@ -0,0 +1,180 @@
+/**
+ * ----------------------------
+ * Analysis cache (content-addressed, local disk)
+ * ----------------------------
+ *
+ * Re-uploading the same brief should not pay for the same work twice. Expensive results are
+ * stored under a key built from a hash of the input (file bytes / chunk text) plus every config
+ * value that changes the output (model, chunk size, prompt version, render settings...).
+ * Changing any of those simply produces new keys; stale entries are never read again.
+ *
+ * Layout:
+ *  data/cache/<kind>/<key>.json   { kind, key, label, createdAt, value }
+ *
+ * Kinds:
+ *  - pdf-text      extractPdfText() result for one PDF
+ *  - pdf-pages     one rendered visual-fallback page (base64 JPEG)
+ *  - chunk-notes   multi-pass notes Claude extracted from one text chunk
+ *  - conflicts     compareFiles() report for one set of uploaded files
+ *
+ * Cache problems are never fatal: a failed read is a miss and a failed write is only logged.
+ */
+const fs = require("fs").promises;
+const { createReadStream } = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { DATA_DIR } = require("./project-store");
+
+const CACHE_DIR = path.join(DATA_DIR, "cache");
+
+const CACHE_KINDS = ["pdf-text", "pdf-pages", "chunk-notes", "conflicts"];
+
+const KEY_PATTERN = /^[a-f0-9]{64}$/;
+
+function isCacheKind(kind) {
+  return CACHE_KINDS.includes(kind);
+}
+
+function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+// Streams the file so large PDFs aren't read into memory just to be hashed
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (data) => hash.update(data))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+/**
+ * Build a cache key from a content hash and the config that affects the result.
+ * Order matters; pass the same parts in the same order every time.
+ */
+function cacheKey(...parts) {
+  return sha256(JSON.stringify(parts));
+}
+
+function entryPath(kind, key) {
+  return path.join(CACHE_DIR, kind, `${key}.json`);
+}
+
+async function get(kind, key) {
+  if (!isCacheKind(kind) || !KEY_PATTERN.test(key)) return null;
+  try {
+    const entry = JSON.parse(await fs.readFile(entryPath(kind, key), "utf8"));
+    return entry.value ?? null;
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error(`Ignoring unreadable cache entry ${kind}/${key}:`, err.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Store `value` (anything JSON-serialisable). `label` is only for inspection,
+ * e.g. "brief.pdf, page 3".
+ */
+async function set(kind, key, value, { label = null } = {}) {
+  if (!isCacheKind(kind) || !KEY_PATTERN.test(key)) return;
+  try {
+    await fs.mkdir(path.join(CACHE_DIR, kind), { recursive: true });
+    const file = entryPath(kind, key);
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(
+      tmp,
+      JSON.stringify({ kind, key, label, createdAt: new Date().toISOString(), value })
+    );
+    await fs.rename(tmp, file);
+  } catch (err) {
+    console.error(`Failed writing cache entry ${kind}/${key}:`, err.message);
+  }
+}
+
+async function readKindDir(kind) {
+  try {
+    return (await fs.readdir(path.join(CACHE_DIR, kind))).filter((name) =>
+      name.endsWith(".json")
+    );
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+/**
+ * Entry count and size per kind.
+ */
+async function stats() {
+  const kinds = [];
+  for (const kind of CACHE_KINDS) {
+    let bytes = 0;
+    const names = await readKindDir(kind);
+    for (const name of names) {
+      const stat = await fs.stat(path.join(CACHE_DIR, kind, name)).catch(() => null);
+      bytes += stat?.size || 0;
+    }
+    kinds.push({ kind, entries: names.length, bytes });
+  }
+
+  return {
+    kinds,
+    totalEntries: kinds.reduce((sum, k) => sum + k.entries, 0),
+    totalBytes: kinds.reduce((sum, k) => sum + k.bytes, 0),
+  };
+}
+
+/**
+ * Entries of one kind (without their values), newest first.
+ */
+async function listEntries(kind) {
+  if (!isCacheKind(kind)) return null;
+
+  const entries = [];
+  for (const name of await readKindDir(kind)) {
+    const file = path.join(CACHE_DIR, kind, name);
+    try {
+      const [raw, stat] = await Promise.all([fs.readFile(file, "utf8"), fs.stat(file)]);
+      const { key, label, createdAt } = JSON.parse(raw);
+      entries.push({ key, label, createdAt, bytes: stat.size });
+    } catch (err) {
+      console.error(`Skipping unreadable cache entry ${kind}/${name}:`, err.message);
+    }
+  }
+
+  return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Delete every entry of `kind`, or the whole cache when no kind is given.
+ * Returns the number of entries removed.
+ */
+async function clear(kind = null) {
+  const kinds = kind ? [kind] : CACHE_KINDS;
+  let removed = 0;
+
+  for (const k of kinds) {
+    if (!isCacheKind(k)) continue;
+    removed += (await readKindDir(k)).length;
+    await fs.rm(path.join(CACHE_DIR, k), { recursive: true, force: true });
+  }
+
+  return removed;
+}
+
+module.exports = {
+  CACHE_KINDS,
+  isCacheKind,
+  hashFile,
+  cacheKey,
+  get,
+  set,
+  stats,
+  listEntries,
+  clear,
+};
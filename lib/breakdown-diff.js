@@ -0,0 +1,168 @@
+/**
+ * ----------------------------
+ * Section-by-section diff of two structured breakdowns
+ * ----------------------------
+ *
+ * Items are matched within a section in two passes:
+ *  1) same description (case / whitespace insensitive) -> "changed" if quantity, status, group
+ *     or notes differ, otherwise unchanged
+ *  2) remaining items whose descriptions are still similar once numbers are ignored
+ *     ("Gaffer 1x" vs "Gaffer 2x", "3 shoot days" vs "4 shoot days") -> "changed"
+ * Whatever is left over is "added" (only in `after`) or "removed" (only in `before`).
+ *
+ * With { ignoreWording: true } (two separate model runs, e.g. an old and a new brief) notes are
+ * not compared and a description only counts as changed when its numbers differ: the model
+ * rewords both on every run, and that is not a change in the requirements.
+ *
+ * Returns:
+ *  {
+ *    meta: [{ field, before, after }],    // title / client changes
+ *    sections: [{ id, title, added: [item], removed: [item], changed: [{ before, after, fields }], unchangedCount }],
+ *    summary: { added, removed, changed }
+ *  }
+ */
+
+const { numbersIn } = require("./grounding");
+
+const COMPARED_FIELDS = ["description", "quantity", "status", "group", "notes"];
+const REQUIREMENT_FIELDS = ["description", "quantity", "status", "group"];
+
+// Below this word overlap two descriptions are treated as different items
+const SIMILARITY_THRESHOLD = 0.5;
+
+function normalizeDescription(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Word set with digits / quantities stripped, used for fuzzy matching
+function descriptionWords(text) {
+  return new Set(
+    normalizeDescription(text)
+      .replace(/\d+(\.\d+)?\s*x?\b/g, " ")
+      .split(/[^a-z]+/)
+      .filter((w) => w.length > 1)
+  );
+}
+
+function similarity(a, b) {
+  const wa = descriptionWords(a);
+  const wb = descriptionWords(b);
+  if (!wa.size || !wb.size) return 0;
+
+  let shared = 0;
+  for (const w of wa) if (wb.has(w)) shared++;
+  return shared / (wa.size + wb.size - shared);
+}
+
+function statedNumbers(text) {
+  return [...numbersIn(text)].sort((a, b) => a - b).join(",");
+}
+
+function changedFields(before, after, ignoreWording) {
+  return (ignoreWording ? REQUIREMENT_FIELDS : COMPARED_FIELDS).filter((field) =>
+    ignoreWording && field === "description"
+      ? statedNumbers(before.description) !== statedNumbers(after.description)
+      : (before[field] ?? null) !== (after[field] ?? null)
+  );
+}
+
+function diffItems(beforeItems, afterItems, ignoreWording) {
+  const remainingBefore = beforeItems.map((item, idx) => ({ item, idx }));
+  const remainingAfter = [];
+  const changed = [];
+  let unchangedCount = 0;
+
+  // Pass 1: identical descriptions
+  for (const after of afterItems) {
+    const key = normalizeDescription(after.description);
+    const matchIdx = remainingBefore.findIndex(
+      (b) => normalizeDescription(b.item.description) === key
+    );
+
+    if (matchIdx === -1) {
+      remainingAfter.push(after);
+      continue;
+    }
+
+    const [{ item: before }] = remainingBefore.splice(matchIdx, 1);
+    const fields = changedFields(before, after, ignoreWording);
+    if (fields.length) changed.push({ before, after, fields });
+    else unchangedCount++;
+  }
+
+  // Pass 2: similar descriptions (best match first)
+  const added = [];
+  for (const after of remainingAfter) {
+    let bestIdx = -1;
+    let bestScore = SIMILARITY_THRESHOLD;
+
+    remainingBefore.forEach((b, idx) => {
+      const score = similarity(b.item.description, after.description);
+      if (score >= bestScore) {
+        bestScore = score;
+        bestIdx = idx;
+      }
+    });
+
+    if (bestIdx === -1) {
+      added.push(after);
+      continue;
+    }
+
+    const [{ item: before }] = remainingBefore.splice(bestIdx, 1);
+    const fields = changedFields(before, after, ignoreWording);
+    if (fields.length || !ignoreWording) changed.push({ before, after, fields });
+    else unchangedCount++;
+  }
+
+  return {
+    added,
+    removed: remainingBefore.map((b) => b.item),
+    changed,
+    unchangedCount,
+  };
+}
+
+function diffBreakdowns(before, after, { ignoreWording = false } = {}) {
+  const meta = ["title", "client"]
+    .filter((field) => (before?.[field] ?? null) !== (after?.[field] ?? null))
+    .map((field) => ({
+      field,
+      before: before?.[field] ?? null,
+      after: after?.[field] ?? null,
+    }));
+
+  // Union of section ids, keeping `after` order then anything only in `before`
+  const beforeSections = before?.sections || [];
+  const afterSections = after?.sections || [];
+  const ids = [
+    ...afterSections.map((s) => s.id),
+    ...beforeSections.map((s) => s.id),
+  ].filter((id, idx, all) => all.indexOf(id) === idx);
+
+  const sections = ids.map((id) => {
+    const b = beforeSections.find((s) => s.id === id);
+    const a = afterSections.find((s) => s.id === id);
+    return {
+      id,
+      title: (a || b).title,
+      ...diffItems(b?.items || [], a?.items || [], ignoreWording),
+    };
+  });
+
+  const summary = sections.reduce(
+    (acc, s) => ({
+      added: acc.added + s.added.length,
+      removed: acc.removed + s.removed.length,
+      changed: acc.changed + s.changed.length,
+    }),
+    { added: 0, removed: 0, changed: 0 }
+  );
+
+  return { meta, sections, summary };
+}
+
+module.exports = { SIMILARITY_THRESHOLD, similarity, diffBreakdowns };
@@ -0,0 +1,252 @@
+/**
+ * ----------------------------
+ * Spreadsheet exports of a breakdown
+ * ----------------------------
+ *
+ * For line producers who work in spreadsheets:
+ *  - breakdownToXlsx():   Summary sheet (project, item counts, MISSING/TBD questions) followed by
+ *                         one sheet per department section
+ *  - breakdownToCsvZip(): the same tables as one CSV per section, for importing into other tools
+ *
+ * Every item row has the same columns: Quantity | Description | Status | Group | Notes | Source
+ *
+ * Both take an optional budget (lib/budget.js), exported alongside as a Budget Top Sheet and
+ * Budget Lines sheet / CSV, and optional inventory matches for the equipment (lib/inventory.js),
+ * exported as an Inventory Check sheet / CSV.
+ */
+const JSZip = require("jszip");
+
+const { ITEM_STATUSES, formatCitation } = require("./breakdown");
+const { BUDGET_CATEGORIES } = require("./budget");
+const { buildXlsx } = require("./xlsx");
+
+const MISSING_SECTION_ID = "missing";
+
+const ITEM_COLUMNS = [
+  { header: "Quantity", width: 10 },
+  { header: "Description", width: 50 },
+  { header: "Status", width: 14 },
+  { header: "Group", width: 20 },
+  { header: "Notes", width: 45 },
+  { header: "Source", width: 30 },
+];
+
+function itemRow(item) {
+  return [
+    item.quantity ?? null,
+    item.description,
+    item.status,
+    item.group || null,
+    item.notes || null,
+    item.citation ? formatCitation(item.citation) : null,
+  ];
+}
+
+function summarySheet(breakdown) {
+  const sections = breakdown.sections || [];
+  const missing = sections.find((s) => s.id === MISSING_SECTION_ID);
+  const count = (section, status) => section.items.filter((i) => i.status === status).length;
+
+  const rows = [
+    ["Project", breakdown.title || null],
+    ["Client", breakdown.client || null],
+    [],
+    { cells: ["Section", "Items", "Confirmed", "Recommended", "Assumed"], bold: true },
+    ...sections
+      .filter((s) => s.id !== MISSING_SECTION_ID)
+      .map((s) => [
+        s.title,
+        s.items.length,
+        count(s, "CONFIRMED"),
+        count(s, "RECOMMENDED"),
+        count(s, "ASSUMED"),
+      ]),
+    [],
+    { cells: ["#", missing?.title || "MISSING/TBD INFORMATION", "Status", "Notes"], bold: true },
+    ...(missing?.items.length
+      ? missing.items.map((item, idx) => [idx + 1, item.description, item.status, item.notes || null])
+      : [[null, "None"]]),
+  ];
+
+  return {
+    name: "Summary",
+    columns: [
+      { header: "Production Breakdown", width: 28 },
+      { header: "", width: 60 },
+      { header: "", width: 14 },
+      { header: "", width: 40 },
+      { header: "", width: 12 },
+    ],
+    rows,
+  };
+}
+
+function sectionSheets(breakdown) {
+  return (breakdown.sections || [])
+    .filter((s) => s.id !== MISSING_SECTION_ID)
+    .map((section) => ({
+      name: section.title,
+      columns: ITEM_COLUMNS,
+      rows: section.items.map(itemRow),
+    }));
+}
+
+/**
+ * ----------------------------
+ * Budget tables
+ * ----------------------------
+ */
+const BUDGET_LINE_COLUMNS = [
+  { header: "Category", width: 14 },
+  { header: "Description", width: 45 },
+  { header: "Status", width: 14 },
+  { header: "Quantity", width: 10 },
+  { header: "Days", width: 8 },
+  { header: "Rate", width: 12 },
+  { header: "Rate card entry", width: 24 },
+  { header: "Total", width: 14 },
+  { header: "Notes", width: 36 },
+];
+
+const STATUS_HEADERS = ITEM_STATUSES.map((s) => s[0] + s.slice(1).toLowerCase());
+
+function categoryTitle(id) {
+  return BUDGET_CATEGORIES.find((c) => c.id === id)?.title || id;
+}
+
+function budgetTopSheetRows(budget) {
+  const { categories, totals } = budget.topSheet;
+  return [
+    ["Rate card", budget.rateCard.name],
+    ["Currency", budget.currency],
+    ["Shoot days", budget.shootDays.days, budget.shootDays.status, budget.shootDays.source],
+    [],
+    { cells: ["Category", ...STATUS_HEADERS, "Total", "Unpriced lines"], bold: true },
+    ...categories.map((c) => [c.title, ...ITEM_STATUSES.map((s) => c[s]), c.total, c.unpriced || null]),
+    {
+      cells: ["TOTAL", ...ITEM_STATUSES.map((s) => totals[s]), totals.total, totals.unpriced || null],
+      bold: true,
+    },
+  ];
+}
+
+function budgetLineRow(line) {
+  return [
+    categoryTitle(line.category),
+    line.description,
+    line.status,
+    line.quantity,
+    line.days,
+    line.rate,
+    line.rateName,
+    line.total,
+    line.notes,
+  ];
+}
+
+function budgetSheets(budget) {
+  return [
+    {
+      name: "Budget Top Sheet",
+      columns: [
+        { header: "Budget", width: 20 },
+        ...STATUS_HEADERS.map(() => ({ header: "", width: 14 })),
+        { header: "", width: 14 },
+        { header: "", width: 40 },
+      ],
+      rows: budgetTopSheetRows(budget),
+    },
+    { name: "Budget Lines", columns: BUDGET_LINE_COLUMNS, rows: budget.lines.map(budgetLineRow) },
+  ];
+}
+
+/**
+ * ----------------------------
+ * Inventory check (equipment lines against the kit we own)
+ * ----------------------------
+ */
+const INVENTORY_COLUMNS = [
+  { header: "Equipment", width: 45 },
+  { header: "Needed", width: 10 },
+  { header: "Inventory", width: 20 },
+  { header: "Our item", width: 30 },
+  { header: "Owned", width: 10 },
+  { header: "Free", width: 10 },
+  { header: "Substitutes", width: 40 },
+  { header: "Notes", width: 40 },
+];
+
+function inventoryRow(match) {
+  return [
+    match.description,
+    match.needed,
+    match.label,
+    match.item?.name || null,
+    match.item?.owned ?? null,
+    match.item?.free ?? null,
+    match.substitutes.map((s) => `${s.name} (${s.free} free)`).join(", ") || null,
+    match.notes,
+  ];
+}
+
+function inventorySheet(matches) {
+  return { name: "Inventory Check", columns: INVENTORY_COLUMNS, rows: matches.map(inventoryRow) };
+}
+
+// options: { budget, inventory }  add the budget / inventory check sheets after the breakdown's
+async function breakdownToXlsx(breakdown, { budget, inventory } = {}) {
+  return buildXlsx([
+    summarySheet(breakdown),
+    ...sectionSheets(breakdown),
+    ...(inventory ? [inventorySheet(inventory)] : []),
+    ...(budget ? budgetSheets(budget) : []),
+  ]);
+}
+
+// RFC 4180: quote fields containing a comma, quote or line break; CRLF line endings
+function toCsv(rows) {
+  return rows
+    .map((row) =>
+      row
+        .map((value) => {
+          const text = value === null || value === undefined ? "" : String(value);
+          return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        })
+        .join(",")
+    )
+    .join("\r\n");
+}
+
+/**
+ * One CSV per section (missing/TBD included), named after the section id: crew.csv, missing.csv...
+ * With options.budget also budget-top-sheet.csv and budget-lines.csv; with options.inventory
+ * also inventory-check.csv.
+ */
+async function breakdownToCsvZip(breakdown, { budget, inventory } = {}) {
+  const zip = new JSZip();
+  const header = ITEM_COLUMNS.map((c) => c.header);
+
+  for (const section of breakdown.sections || []) {
+    zip.file(`${section.id}.csv`, toCsv([header, ...section.items.map(itemRow)]) + "\r\n");
+  }
+
+  if (inventory) {
+    zip.file(
+      "inventory-check.csv",
+      toCsv([INVENTORY_COLUMNS.map((c) => c.header), ...inventory.map(inventoryRow)]) + "\r\n"
+    );
+  }
+
+  if (budget) {
+    const rows = budgetTopSheetRows(budget).map((row) => (Array.isArray(row) ? row : row.cells));
+    zip.file("budget-top-sheet.csv", toCsv(rows) + "\r\n");
+    zip.file(
+      "budget-lines.csv",
+      toCsv([BUDGET_LINE_COLUMNS.map((c) => c.header), ...budget.lines.map(budgetLineRow)]) + "\r\n"
+    );
+  }
+
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+module.exports = { breakdownToXlsx, breakdownToCsvZip, toCsv };
@@ -0,0 +1,385 @@
+/**
+ * ----------------------------
+ * Structured breakdown model
+ * ----------------------------
+ *
+ * Claude returns the breakdown as JSON in this shape:
+ *
+ *  {
+ *    title: string | null,          // project / job name if stated
+ *    client: string | null,         // client / agency if stated
+ *    sections: [
+ *      {
+ *        id: "crew",
+ *        title: "CREW",
+ *        items: [
+ *          {
+ *            description: "Director of Photography 1x",
+ *            quantity: 1 | null,    // numeric count when one is stated/recommended
+ *            status: "CONFIRMED" | "RECOMMENDED" | "ASSUMED",
+ *            group: "Technical Crew" | null,  // optional sub-heading inside a section
+ *            notes: string | null,
+ *            citation: {            // where a CONFIRMED fact was written (null otherwise)
+ *              filename: "brief.pdf",
+ *              location: "page 3" | "chunk 2/5" | null,
+ *              quote: "verbatim passage from the document"
+ *            } | null,
+ *            locked: true           // optional: set by hand, AI revisions keep it (lib/locked-items.js)
+ *          }
+ *        ]
+ *      }
+ *    ]
+ *  }
+ *
+ * Everything human-readable (the on-screen text, Word export, ...) is rendered from this object,
+ * so nothing downstream has to guess where a section starts.
+ */
+
+// Order here is the order sections are rendered / exported in.
+// These are the default template's sections; other production types define their own (lib/templates.js).
+const BREAKDOWN_SECTIONS = [
+  { id: "shoot_days", title: "SHOOT DAYS" },
+  {
+    id: "crew",
+    title: "CREW",
+    groups: ["Travel CONFIRMED", "Travel RECOMMENDED", "Technical Crew"],
+  },
+  { id: "equipment", title: "EQUIPMENT" },
+  { id: "locations", title: "LOCATIONS" },
+  { id: "art_props", title: "ART/PROPS" },
+  { id: "transport", title: "TRANSPORT" },
+  { id: "talents", title: "TALENTS", hint: "extracted from script" },
+  { id: "usage", title: "USAGE", hint: "if mentioned" },
+  { id: "notes", title: "SPECIAL NOTES & QUESTIONS" },
+  { id: "missing", title: "MISSING/TBD INFORMATION" },
+];
+
+const ITEM_STATUSES = ["CONFIRMED", "RECOMMENDED", "ASSUMED"];
+
+// Word / PDF layout of the default sections: which render as tables, which as numbered questions
+const DEFAULT_EXPORT_LAYOUT = {
+  tableSections: ["crew", "equipment"],
+  numberedSections: ["notes", "missing"],
+};
+
+/**
+ * Prompt appendix describing the JSON contract.
+ * Kept next to the validator so the two can't drift apart.
+ */
+function buildJsonInstructions(sections = BREAKDOWN_SECTIONS) {
+  const sectionLines = sections
+    .map((s) => {
+      const groups = s.groups?.length
+        ? ` (use "group" for: ${s.groups.join(", ")})`
+        : "";
+      return `- "${s.id}" -> ${s.title}${groups}`;
+    })
+    .join("\n");
+
+  return (
+    `OUTPUT FORMAT (STRICT):\n` +
+    `Respond with ONE JSON object and nothing else (no markdown fences, no commentary).\n` +
+    `{\n` +
+    `  "title": string or null,\n` +
+    `  "client": string or null,\n` +
+    `  "sections": [\n` +
+    `    { "id": string, "title": string, "items": [\n` +
+    `      { "description": string, "quantity": number or null, "status": "CONFIRMED" | "RECOMMENDED" | "ASSUMED", "group": string or null, "notes": string or null,\n` +
+    `        "citation": { "filename": string, "location": string or null, "quote": string } or null }\n` +
+    `    ] }\n` +
+    `  ]\n` +
+    `}\n` +
+    `Include EVERY section below, in this order, even if it has no items:\n` +
+    `${sectionLines}\n` +
+    `Each item is one line of the breakdown. "status" is CONFIRMED only when the fact is explicitly stated in the documents.\n` +
+    `Every CONFIRMED item MUST have a "citation": "filename" exactly as shown in the ===== file markers, ` +
+    `"location" as the page (e.g. "page 3", from the nearest "--- PAGE n ---" line or the PAGE(S) part of the marker) when known, ` +
+    `otherwise the chunk from the marker (e.g. "chunk 2/5"), ` +
+    `and "quote" copied word for word from the document (the shortest passage that states the fact, max ~200 characters). ` +
+    `Keep the citations of items you carry over unchanged. Use null for RECOMMENDED / ASSUMED items.\n` +
+    `For SPECIAL NOTES & QUESTIONS and MISSING/TBD, each question or open point is its own item.`
+  );
+}
+
+/**
+ * Pull the JSON object out of a model reply.
+ * Tolerates ```json fences and stray text around the object.
+ */
+function parseBreakdownJson(raw) {
+  const text = String(raw || "").trim();
+  const unfenced = text.replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+
+  const start = unfenced.indexOf("{");
+  const end = unfenced.lastIndexOf("}");
+  if (start === -1 || end <= start) {
+    throw new Error("No JSON object found in model output");
+  }
+
+  return JSON.parse(unfenced.slice(start, end + 1));
+}
+
+function normalizeStatus(value) {
+  const upper = String(value || "").trim().toUpperCase();
+  if (ITEM_STATUSES.includes(upper)) return upper;
+  if (upper.startsWith("CONFIRM")) return "CONFIRMED";
+  if (upper.startsWith("RECOMMEND")) return "RECOMMENDED";
+  if (upper.startsWith("ASSUM")) return "ASSUMED";
+  return null;
+}
+
+// "[CONFIRMED] DOP 1x" / "DOP 1x - RECOMMENDED" -> { status, description }
+function splitStatusFromText(text) {
+  const match = String(text).match(/\[?\b(CONFIRMED|RECOMMENDED|ASSUMED)\b\]?/i);
+  if (!match) return { status: null, description: String(text).trim() };
+
+  const description = String(text)
+    .replace(match[0], "")
+    .replace(/^[\s\-–:]+|[\s\-–:]+$/g, "")
+    .trim();
+  return { status: normalizeStatus(match[1]), description };
+}
+
+function normalizeKey(value) {
+  return String(value || "")
+    .toUpperCase()
+    .replace(/[^A-Z]/g, "");
+}
+
+function toNullableString(value) {
+  if (value === undefined || value === null) return null;
+  const str = String(value).trim();
+  return str ? str : null;
+}
+
+function toNullableNumber(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const num = typeof value === "number" ? value : parseFloat(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+// Accepts { filename, location, quote } plus the obvious variants (file / page / chunk / source)
+function normalizeCitation(value) {
+  if (!value || typeof value !== "object") return null;
+
+  const page = toNullableString(value.page);
+  const chunk = toNullableString(value.chunk);
+  const citation = {
+    filename: toNullableString(value.filename ?? value.file ?? value.source),
+    location:
+      toNullableString(value.location) ||
+      (page && (/^\d+$/.test(page) ? `page ${page}` : page)) ||
+      (chunk && (/^\d/.test(chunk) ? `chunk ${chunk}` : chunk)),
+    quote:
+      toNullableString(value.quote)
+        ?.replace(/^["“”']+|["“”']+$/g, "")
+        .replace(/\s+/g, " ") || null,
+  };
+
+  return citation.filename || citation.quote ? citation : null;
+}
+
+// Template section a raw (unrepaired) section stands for: by id, or by title
+function sectionDefinitionOf(raw, sections) {
+  if (!raw || typeof raw !== "object") return null;
+  return (
+    sections.find(
+      (s) =>
+        s.id === raw.id ||
+        normalizeKey(s.id) === normalizeKey(raw.id) ||
+        normalizeKey(s.title) === normalizeKey(raw.title)
+    ) || null
+  );
+}
+
+/**
+ * Best-effort repair of common model slips before validation:
+ * - sections keyed by title instead of id, or missing entirely
+ * - items given as plain strings
+ * - lower-case / decorated statuses ("Recommended", "CONFIRMED ✅")
+ *
+ * Unknown sections and items without a description are dropped. Items whose status can't be
+ * recognised keep `status: null` so validation reports them (we don't invent a status).
+ */
+function repairBreakdown(input, sections = BREAKDOWN_SECTIONS) {
+  const source = input && typeof input === "object" ? input : {};
+  const rawSections = Array.isArray(source.sections) ? source.sections : [];
+
+  const byKey = new Map();
+  for (const raw of rawSections) {
+    const def = sectionDefinitionOf(raw, sections);
+    if (!def) continue;
+
+    const existing = byKey.get(def.id) || [];
+    byKey.set(def.id, existing.concat(Array.isArray(raw.items) ? raw.items : []));
+  }
+
+  return {
+    title: toNullableString(source.title),
+    client: toNullableString(source.client),
+    sections: sections.map((def) => ({
+      id: def.id,
+      title: def.title,
+      items: (byKey.get(def.id) || [])
+        .map((item) => {
+          if (typeof item === "string") return splitStatusFromText(item);
+          return item && typeof item === "object" ? item : null;
+        })
+        .filter(Boolean)
+        .map((item) => ({
+          description: toNullableString(item.description ?? item.text) || "",
+          quantity: toNullableNumber(item.quantity),
+          status: normalizeStatus(item.status),
+          group: toNullableString(item.group),
+          notes: toNullableString(item.notes),
+          citation: normalizeCitation(item.citation),
+          ...(item.locked === true && { locked: true }),
+        }))
+        .filter((item) => item.description),
+    })),
+  };
+}
+
+/**
+ * Validate a (repaired) breakdown against the schema.
+ * Returns a list of human-readable problems; empty list means valid.
+ *
+ * `requireCitations` is on for fresh model output only; breakdowns saved before citations
+ * existed (or sent back by the browser) stay valid without them.
+ *
+ * `reply` is the parsed model output the breakdown was repaired from. Repair adds every template
+ * section, so a section the model left out is only visible there; with `reply` it is reported as
+ * missing (and the model is asked again) instead of turning into an empty section.
+ */
+function validateBreakdown(
+  breakdown,
+  sections = BREAKDOWN_SECTIONS,
+  { requireCitations = false, reply = null } = {}
+) {
+  const errors = [];
+
+  if (!breakdown || typeof breakdown !== "object") {
+    return ["Breakdown must be a JSON object"];
+  }
+  if (!Array.isArray(breakdown.sections)) {
+    return ['Breakdown is missing the "sections" array'];
+  }
+
+  const ids = reply
+    ? (Array.isArray(reply.sections) ? reply.sections : []).map(
+        (raw) => sectionDefinitionOf(raw, sections)?.id
+      )
+    : breakdown.sections.map((s) => s?.id);
+  for (const def of sections) {
+    if (!ids.includes(def.id)) errors.push(`Missing section "${def.id}"`);
+  }
+
+  breakdown.sections.forEach((section, sIdx) => {
+    if (!sections.some((def) => def.id === section?.id)) {
+      errors.push(`Unknown section id "${section?.id}" at sections[${sIdx}]`);
+      return;
+    }
+    if (!Array.isArray(section.items)) {
+      errors.push(`Section "${section.id}" is missing its "items" array`);
+      return;
+    }
+
+    section.items.forEach((item, iIdx) => {
+      const where = `${section.id}.items[${iIdx}]`;
+      if (!item || typeof item !== "object") {
+        errors.push(`${where} must be an object`);
+        return;
+      }
+      if (typeof item.description !== "string" || !item.description.trim()) {
+        errors.push(`${where} has an empty description`);
+      }
+      if (!ITEM_STATUSES.includes(item.status)) {
+        errors.push(
+          `${where} has invalid status "${item.status}" (expected ${ITEM_STATUSES.join(" / ")})`
+        );
+      }
+      if (item.quantity !== null && item.quantity !== undefined && !Number.isFinite(item.quantity)) {
+        errors.push(`${where} has a non-numeric quantity`);
+      }
+      if (
+        requireCitations &&
+        item.status === "CONFIRMED" &&
+        !(item.citation?.filename && item.citation?.quote)
+      ) {
+        errors.push(`${where} is CONFIRMED but has no citation (filename + quote)`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Render the plain-text breakdown shown in the UI (and used as the revision baseline).
+ * Deterministic: the same object always renders to the same text.
+ */
+function renderBreakdownText(breakdown) {
+  const lines = [];
+
+  if (breakdown.title) lines.push(`PROJECT: ${breakdown.title}`);
+  if (breakdown.client) lines.push(`CLIENT: ${breakdown.client}`);
+  if (lines.length) lines.push("");
+
+  for (const section of breakdown.sections || []) {
+    lines.push(section.title);
+
+    if (!section.items.length) {
+      lines.push("- None stated");
+      lines.push("");
+      continue;
+    }
+
+    let currentGroup = null;
+    for (const item of section.items) {
+      if (item.group && item.group !== currentGroup) {
+        currentGroup = item.group;
+        lines.push(`${item.group}:`);
+      }
+      const citation = item.citation ? ` [${formatCitation(item.citation)}]` : "";
+      lines.push(renderItemLine(item) + citation);
+    }
+
+    lines.push("");
+  }
+
+  return lines.join("\n").trim();
+}
+
+function renderItemLine(item) {
+  const notes = item.notes ? ` (${item.notes})` : "";
+  return `- [${item.status}] ${item.description}${notes}`;
+}
+
+// "brief.pdf, page 3"
+function formatCitation(citation) {
+  return [citation.filename, citation.location].filter(Boolean).join(", ");
+}
+
+/**
+ * Heads / units an item stands for: its quantity, else "Camera 2x" / "2 x vans" / "Van x2" in
+ * the description, else 1.
+ */
+function itemQuantity(item) {
+  if (Number.isFinite(item.quantity) && item.quantity > 0) return item.quantity;
+  const match =
+    item.description.match(/\b(\d+)\s*x\b/i) || item.description.match(/\bx\s*(\d+)\b/i);
+  return match ? Number(match[1]) : 1;
+}
+
+module.exports = {
+  BREAKDOWN_SECTIONS,
+  ITEM_STATUSES,
+  DEFAULT_EXPORT_LAYOUT,
+  buildJsonInstructions,
+  parseBreakdownJson,
+  repairBreakdown,
+  validateBreakdown,
+  renderBreakdownText,
+  renderItemLine,
+  formatCitation,
+  itemQuantity,
+};
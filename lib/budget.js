@@ -0,0 +1,297 @@
+/**
+ * ----------------------------
+ * Budget from a breakdown + rate card
+ * ----------------------------
+ *
+ * Prices the crew, equipment, locations and transport of a structured breakdown with a rate card
+ * (lib/rate-cards.js) and adds per diems and travel for the crew:
+ *
+ *  {
+ *    currency, rateCard: { id, name },
+ *    shootDays: { days, status, source },   // where the day count came from
+ *    lines: [{
+ *      category, description, status,      // status of the breakdown item the line prices
+ *      quantity, days, rate, rateName,      // rate: day rate (travel: per person), null if the card has none
+ *      total,                               // null when unpriced
+ *      notes
+ *    }],
+ *    topSheet: {
+ *      categories: [{ id, title, CONFIRMED, RECOMMENDED, ASSUMED, total, unpriced }],
+ *      totals: { CONFIRMED, RECOMMENDED, ASSUMED, total, unpriced }
+ *    }
+ *  }
+ *
+ * CONFIRMED, RECOMMENDED and ASSUMED amounts are kept apart all the way up to the totals, so a
+ * producer can see how much of the number rests on the brief and how much on our suggestions.
+ * Pure functions; the rate card is looked up by the caller.
+ */
+const { ITEM_STATUSES, itemQuantity } = require("./breakdown");
+const { NUMBER_WORDS } = require("./grounding");
+
+const BUDGET_CATEGORIES = [
+  { id: "crew", title: "Crew" },
+  { id: "equipment", title: "Equipment" },
+  { id: "locations", title: "Locations" },
+  { id: "transport", title: "Transport" },
+  { id: "per_diems", title: "Per diems" },
+  { id: "travel", title: "Travel" },
+];
+
+// Breakdown sections priced item by item, each with the rate card category of the same id
+const PRICED_SECTIONS = ["crew", "equipment", "locations", "transport"];
+
+// Crew groups whose members travel to the shoot (see BREAKDOWN_SECTIONS in lib/breakdown.js)
+const TRAVEL_GROUP = /^travel\b/i;
+
+function normalizeText(text) {
+  return ` ${String(text || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim()} `;
+}
+
+/**
+ * Rate card entry for an item: the entry whose name / match phrase appears in the item
+ * (whole words), longest phrase first so "camera operator" beats "camera".
+ */
+function findRate(entries, item) {
+  const text = normalizeText(`${item.description} ${item.group || ""}`);
+  let best = null;
+  for (const entry of entries || []) {
+    for (const phrase of [entry.name, ...(entry.match || [])]) {
+      const needle = normalizeText(phrase);
+      if (needle.trim() && text.includes(needle) && needle.length > (best?.length || 0)) {
+        best = { entry, length: needle.length };
+      }
+    }
+  }
+  return best?.entry || null;
+}
+
+function parseDays(text) {
+  const value = "(\\d+(?:\\.\\d+)?|" + Object.keys(NUMBER_WORDS).join("|") + ")";
+  const match =
+    String(text).match(new RegExp(`\\b${value}\\s*(?:x\\s*)?(?:shoot(?:ing)?\\s+|filming\\s+)?days?\\b`, "i")) ||
+    String(text).match(new RegExp(`\\bdays?\\s*[:=-]\\s*${value}\\b`, "i"));
+  if (!match) return null;
+  const word = match[1].toLowerCase();
+  return NUMBER_WORDS[word] ?? Number(word);
+}
+
+/**
+ * Number of shoot days from the SHOOT DAYS section: the first stated count, CONFIRMED items
+ * before RECOMMENDED before ASSUMED; else one item per "Day n" line; else 1 day, ASSUMED.
+ */
+function detectShootDays(breakdown) {
+  const items = breakdown.sections?.find((s) => s.id === "shoot_days")?.items || [];
+
+  for (const status of ITEM_STATUSES) {
+    for (const item of items.filter((i) => i.status === status)) {
+      const days = parseDays(item.description) ?? parseDays(item.notes || "");
+      if (days > 0) return { days, status, source: item.description };
+    }
+  }
+
+  for (const status of ITEM_STATUSES) {
+    const dayLines = items.filter((i) => i.status === status && /^day\s*\d+\b/i.test(i.description));
+    if (dayLines.length) {
+      return { days: dayLines.length, status, source: `${dayLines.length} "Day n" lines` };
+    }
+  }
+
+  return { days: 1, status: "ASSUMED", source: "Shoot days not stated; 1 day assumed" };
+}
+
+function priceLine({ category, item, entry, quantity, days }) {
+  const rate = entry ? entry.dayRate : null;
+  return {
+    category,
+    description: item.description,
+    status: item.status,
+    quantity,
+    days,
+    rate,
+    rateName: entry?.name || null,
+    total: rate === null ? null : round2(rate * quantity * days),
+    notes: entry ? null : "No matching rate on the card",
+  };
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * breakdown: validated structured breakdown
+ * rateCard:  stored rate card
+ * options:   { shootDays }  overrides the day count found in the breakdown
+ */
+function buildBudget(breakdown, rateCard, { shootDays: shootDaysOverride } = {}) {
+  const shootDays =
+    Number.isFinite(shootDaysOverride) && shootDaysOverride > 0
+      ? { days: shootDaysOverride, status: "CONFIRMED", source: "Entered by user" }
+      : detectShootDays(breakdown);
+  const days = shootDays.days;
+  const lines = [];
+
+  for (const category of PRICED_SECTIONS) {
+    const section = breakdown.sections?.find((s) => s.id === category);
+    for (const item of section?.items || []) {
+      const entry = findRate(rateCard[category], item);
+
+      if (category === "locations") {
+        // A location is paid per day it's used, not per shoot day; a quantity is taken as that
+        // number of days, otherwise one day is assumed
+        const stated = Number.isFinite(item.quantity) && item.quantity > 0;
+        const line = priceLine({ category, item, entry, quantity: 1, days: stated ? item.quantity : 1 });
+        if (entry && !stated) line.notes = "1 day assumed";
+        lines.push(line);
+        continue;
+      }
+
+      lines.push(priceLine({ category, item, entry, quantity: itemQuantity(item), days }));
+    }
+  }
+
+  // Per diems and travel: one line per status, from the crew heads with that status
+  const crew = breakdown.sections?.find((s) => s.id === "crew")?.items || [];
+  for (const status of ITEM_STATUSES) {
+    const heads = crew
+      .filter((i) => i.status === status)
+      .reduce((sum, i) => sum + itemQuantity(i), 0);
+    const travellers = crew
+      .filter((i) => i.status === status && TRAVEL_GROUP.test(i.group || ""))
+      .reduce((sum, i) => sum + itemQuantity(i), 0);
+
+    if (heads && rateCard.perDiem !== null && rateCard.perDiem !== undefined) {
+      lines.push({
+        category: "per_diems",
+        description: `Per diems, ${status.toLowerCase()} crew`,
+        status,
+        quantity: heads,
+        days,
+        rate: rateCard.perDiem,
+        rateName: "Per diem",
+        total: round2(rateCard.perDiem * heads * days),
+        notes: null,
+      });
+    }
+    if (travellers) {
+      const rate = rateCard.travel ?? null;
+      lines.push({
+        category: "travel",
+        description: `Travel, ${status.toLowerCase()} travelling crew`,
+        status,
+        quantity: travellers,
+        days: null,
+        rate,
+        rateName: rate === null ? null : "Travel",
+        total: rate === null ? null : round2(rate * travellers),
+        notes: rate === null ? "No travel rate on the card" : "Per person, return",
+      });
+    }
+  }
+
+  const order = BUDGET_CATEGORIES.map((c) => c.id);
+  lines.sort((a, b) => order.indexOf(a.category) - order.indexOf(b.category));
+
+  return {
+    currency: rateCard.currency,
+    rateCard: { id: rateCard.id, name: rateCard.name },
+    shootDays,
+    lines,
+    topSheet: buildTopSheet(lines),
+  };
+}
+
+function emptyTotals() {
+  return { ...Object.fromEntries(ITEM_STATUSES.map((s) => [s, 0])), total: 0, unpriced: 0 };
+}
+
+function buildTopSheet(lines) {
+  const totals = emptyTotals();
+  const categories = BUDGET_CATEGORIES.map(({ id, title }) => {
+    const row = { id, title, ...emptyTotals() };
+    for (const line of lines.filter((l) => l.category === id)) {
+      if (line.total === null) {
+        row.unpriced++;
+        continue;
+      }
+      row[line.status] = round2(row[line.status] + line.total);
+      row.total = round2(row.total + line.total);
+    }
+    for (const key of Object.keys(totals)) totals[key] = round2(totals[key] + row[key]);
+    return row;
+  });
+
+  return { categories, totals };
+}
+
+// Whole currency units, as in the Budget panel; "—" for unpriced amounts
+function formatMoney(amount, currency) {
+  if (amount === null || amount === undefined) return "—";
+  try {
+    return amount.toLocaleString("en-US", { style: "currency", currency, maximumFractionDigits: 0 });
+  } catch (err) {
+    return `${currency} ${Math.round(amount).toLocaleString("en-US")}`;
+  }
+}
+
+const STATUS_HEADERS = ITEM_STATUSES.map((s) => s[0] + s.slice(1).toLowerCase());
+
+/**
+ * The budget as text tables for the Word and PDF exports (the spreadsheets keep raw numbers):
+ *  {
+ *    summary: [line],                                  // rate card, shoot days, unpriced items
+ *    topSheet: { header, rows: [{ cells, total? }] },  // total: the TOTAL row
+ *    lines: { header, rows: [{ cells, status }] }
+ *  }
+ */
+function budgetDocumentTables(budget) {
+  const money = (amount) => formatMoney(amount, budget.currency);
+  const { categories, totals } = budget.topSheet;
+  const unpriced = budget.lines.filter((l) => l.total === null);
+
+  return {
+    summary: [
+      `Rate card: ${budget.rateCard.name} (${budget.currency})`,
+      `Shoot days: ${budget.shootDays.days} (${budget.shootDays.status}: ${budget.shootDays.source})`,
+      unpriced.length && `No rate for: ${unpriced.map((l) => l.description).join(", ")}`,
+    ].filter(Boolean),
+    topSheet: {
+      header: ["Category", ...STATUS_HEADERS, "Total"],
+      rows: [
+        ...categories.map((c) => ({
+          cells: [
+            c.unpriced ? `${c.title} (${c.unpriced} unpriced)` : c.title,
+            ...ITEM_STATUSES.map((s) => money(c[s])),
+            money(c.total),
+          ],
+        })),
+        {
+          cells: ["TOTAL", ...ITEM_STATUSES.map((s) => money(totals[s])), money(totals.total)],
+          total: true,
+        },
+      ],
+    },
+    lines: {
+      header: ["Item", "Status", "Qty", "Days", "Rate", "Total"],
+      rows: budget.lines.map((line) => ({
+        status: line.status,
+        cells: [
+          line.notes ? `${line.description}\n${line.notes}` : line.description,
+          line.status,
+          line.quantity === null || line.quantity === undefined ? "" : String(line.quantity),
+          line.days === null || line.days === undefined ? "" : String(line.days),
+          money(line.rate),
+          money(line.total),
+        ],
+      })),
+    },
+  };
+}
+
+module.exports = {
+  BUDGET_CATEGORIES,
+  buildBudget,
+  detectShootDays,
+  formatMoney,
+  budgetDocumentTables,
+};
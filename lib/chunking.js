@@ -0,0 +1,181 @@
+/**
+ * ----------------------------
+ * Page-aware chunking of extracted document text
+ * ----------------------------
+ *
+ * Chunks are built from whole pages (PDFs) and, for scripts, whole scenes, so a chunk never ends
+ * mid-sentence just because it hit a character count, and each chunk knows which pages it covers.
+ *
+ * Input pages: [{ num: 3 | null, text }]   (Word / plain text have no page numbers -> one page, num null)
+ * Output chunks: [{ text, pageStart, pageEnd }]
+ *
+ * - Page breaks inside a chunk are marked with "--- PAGE n ---" so notes and citations can name the page.
+ * - Scripts: a chunk that has to be cut is cut before the last scene heading it contains (if that
+ *   doesn't throw away more than half of it), so scenes stay together.
+ * - A single page / scene that is larger than the budget is split on paragraphs, then lines,
+ *   then (last resort) hard character cuts. No chunk ever exceeds `maxChars`.
+ */
+const { isSceneHeading } = require("./screenplay");
+
+function pageMarker(num) {
+  return `--- PAGE ${num} ---`;
+}
+
+// Room kept for the page marker that may be prepended to a unit
+const MARKER_RESERVE = 40;
+
+// Split text before each scene heading: ["text before the first heading", "INT. A ...", "EXT. B ..."]
+function splitAtSceneHeadings(text) {
+  const segments = [];
+  let current = [];
+
+  const flush = () => {
+    const first = current.find((l) => l.trim());
+    if (first !== undefined) {
+      segments.push({ text: current.join("\n"), startsScene: isSceneHeading(first) });
+    }
+    current = [];
+  };
+
+  for (const line of text.split("\n")) {
+    if (isSceneHeading(line)) flush();
+    current.push(line);
+  }
+  flush();
+
+  return segments;
+}
+
+function hardSplit(text, size) {
+  const pieces = [];
+  for (let i = 0; i < text.length; i += size) pieces.push(text.slice(i, i + size));
+  return pieces;
+}
+
+// Greedy re-pack of `parts` (joined by `separator`) into pieces of at most `size`
+function packParts(parts, separator, size, splitFurther) {
+  const pieces = [];
+  let current = "";
+
+  for (const part of parts) {
+    const candidate = current ? current + separator + part : part;
+    if (candidate.length <= size) {
+      current = candidate;
+      continue;
+    }
+    if (current) pieces.push(current);
+    if (part.length <= size) {
+      current = part;
+    } else {
+      pieces.push(...splitFurther(part, size));
+      current = "";
+    }
+  }
+  if (current) pieces.push(current);
+
+  return pieces;
+}
+
+// Paragraphs -> lines -> hard cut
+function splitOversized(text, size) {
+  if (text.length <= size) return [text];
+  return packParts(text.split(/\n\s*\n/), "\n\n", size, (paragraph) =>
+    packParts(paragraph.split("\n"), "\n", size, hardSplit)
+  );
+}
+
+/**
+ * Break pages into units: one per page, or one per scene fragment for scripts.
+ */
+function buildUnits(pages, { screenplay, maxChars }) {
+  const units = [];
+
+  for (const page of pages) {
+    const text = String(page.text || "").replace(/\r\n/g, "\n").trim();
+    if (!text) continue;
+
+    const segments = screenplay
+      ? splitAtSceneHeadings(text)
+      : [{ text, startsScene: false }];
+
+    for (const segment of segments) {
+      const pieces = splitOversized(segment.text.trim(), maxChars - MARKER_RESERVE);
+      pieces.forEach((piece, idx) =>
+        units.push({
+          page: page.num ?? null,
+          text: piece,
+          startsScene: segment.startsScene && idx === 0,
+        })
+      );
+    }
+  }
+
+  return units;
+}
+
+function renderChunk(units) {
+  const parts = [];
+  let lastPage;
+
+  for (const unit of units) {
+    if (unit.page !== null && unit.page !== lastPage) parts.push(pageMarker(unit.page));
+    lastPage = unit.page;
+    parts.push(unit.text);
+  }
+
+  const pageNums = units.map((u) => u.page).filter((p) => p !== null);
+  return {
+    text: parts.join("\n\n"),
+    pageStart: pageNums.length ? Math.min(...pageNums) : null,
+    pageEnd: pageNums.length ? Math.max(...pageNums) : null,
+  };
+}
+
+/**
+ * pages: [{ num, text }]
+ * options: { maxChars, screenplay }  (screenplay: split / keep scenes together)
+ */
+function chunkPages(pages, { maxChars, screenplay = false }) {
+  const units = buildUnits(pages, { screenplay, maxChars });
+  const chunks = [];
+  let current = [];
+
+  const fits = (candidate) => renderChunk(candidate).text.length <= maxChars;
+
+  for (const unit of units) {
+    if (!current.length || fits([...current, unit])) {
+      current.push(unit);
+      continue;
+    }
+
+    // Scripts: if the budget runs out mid-scene, move that scene's start over to the next chunk
+    let cut = current.length;
+    if (screenplay && !unit.startsScene) {
+      const lastScene = current.map((u) => u.startsScene).lastIndexOf(true);
+      if (lastScene > 0 && lastScene >= current.length / 2) cut = lastScene;
+    }
+
+    chunks.push(renderChunk(current.slice(0, cut)));
+    current = current.slice(cut);
+
+    // The carried-over part plus this unit may still be too big
+    if (current.length && !fits([...current, unit])) {
+      chunks.push(renderChunk(current));
+      current = [];
+    }
+    current.push(unit);
+  }
+  if (current.length) chunks.push(renderChunk(current));
+
+  return chunks;
+}
+
+// "PAGES 3-5" / "PAGE 3" / "" (no page numbers)
+function formatPageRange(chunk) {
+  if (chunk.pageStart === null || chunk.pageStart === undefined) return "";
+  return chunk.pageStart === chunk.pageEnd
+    ? `PAGE ${chunk.pageStart}`
+    : `PAGES ${chunk.pageStart}-${chunk.pageEnd}`;
+}
+
+module.exports = { chunkPages, formatPageRange };
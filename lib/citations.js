@@ -0,0 +1,99 @@
+/**
+ * ----------------------------
+ * Citation lookup
+ * ----------------------------
+ *
+ * Finds the passage a citation quotes inside the text we extracted from a source file, so the
+ * UI can show the requirement in context. Quotes come from the model, so matching ignores case,
+ * whitespace / line breaks and curly vs straight quotes. A quote the model shortened with "..."
+ * is matched on its longest fragment.
+ */
+
+const DEFAULT_CONTEXT_CHARS = 300;
+
+// Below this length a fragment is too generic to point at one passage
+const MIN_FRAGMENT_CHARS = 12;
+
+function normalizeChar(ch) {
+  if (/\s/.test(ch)) return " ";
+  if ("“”„\"".includes(ch)) return '"';
+  if ("‘’‚'".includes(ch)) return "'";
+  if ("–—".includes(ch)) return "-";
+  return ch.toLowerCase();
+}
+
+/**
+ * Normalised copy of `text` plus a map from each normalised index back to the original index.
+ */
+function normalizeWithMap(text) {
+  let normalized = "";
+  const map = [];
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = normalizeChar(text[i]);
+    if (ch === " " && (normalized.endsWith(" ") || !normalized)) continue;
+    normalized += ch;
+    map.push(i);
+  }
+
+  return { normalized, map };
+}
+
+function normalizeQuote(quote) {
+  return normalizeWithMap(String(quote || "")).normalized.trim();
+}
+
+/**
+ * Locate `quote` in `text`.
+ * Returns { start, end } (original character offsets) or null.
+ */
+function locateQuote(text, quote) {
+  const { normalized, map } = normalizeWithMap(String(text || ""));
+
+  const fullQuote = normalizeQuote(quote);
+  const candidates = [
+    fullQuote,
+    ...fullQuote
+      .split(/\.{3}|…/)
+      .map((f) => f.trim())
+      .filter((f) => f.length >= MIN_FRAGMENT_CHARS)
+      .sort((a, b) => b.length - a.length),
+  ].filter(Boolean);
+
+  for (const candidate of candidates) {
+    const idx = normalized.indexOf(candidate);
+    if (idx === -1) continue;
+    return {
+      start: map[idx],
+      end: map[idx + candidate.length - 1] + 1,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Quote in context: { found, before, match, after, start, end }.
+ * `before` / `after` are up to `contextChars` of surrounding text, cut at a word boundary.
+ */
+function findQuotedPassage(text, quote, { contextChars = DEFAULT_CONTEXT_CHARS } = {}) {
+  const source = String(text || "");
+  const range = locateQuote(source, quote);
+  if (!range) return { found: false };
+
+  let from = Math.max(0, range.start - contextChars);
+  let to = Math.min(source.length, range.end + contextChars);
+  if (from > 0) from = source.indexOf(" ", from) + 1 || from;
+  if (to < source.length) to = source.lastIndexOf(" ", to) > range.end ? source.lastIndexOf(" ", to) : to;
+
+  return {
+    found: true,
+    start: range.start,
+    end: range.end,
+    before: (from > 0 ? "…" : "") + source.slice(from, range.start),
+    match: source.slice(range.start, range.end),
+    after: source.slice(range.end, to) + (to < source.length ? "…" : ""),
+  };
+}
+
+module.exports = { locateQuote, findQuotedPassage };
@@ -0,0 +1,237 @@
+/**
+ * ----------------------------
+ * Conflicts between uploaded documents
+ * ----------------------------
+ *
+ * Briefs are often uploaded together with a newer brief, a script and a treatment, and they
+ * disagree (3 shoot days in one, 2 in another). Before the final breakdown call, Claude compares
+ * the files (server.js compareFiles()) and returns:
+ *
+ *  {
+ *    files: [filename],                 // the files that were compared
+ *    sameProject: true | false,         // false: the files seem to be about different productions
+ *    projects: [{ filename, project }], // what each file is about
+ *    projectNote: string | null,        // why they look like different projects
+ *    conflicts: [{
+ *      topic: "Shoot days",
+ *      values: [{ value, filename, location, quote }],   // one per file that states it
+ *      note: string | null              // e.g. which file is the later version
+ *    }]
+ *  }
+ *
+ * The report goes into the final prompt (so a value isn't picked silently) and is listed in the
+ * breakdown's own CONFLICTS BETWEEN DOCUMENTS section. The templates don't list that section: it is
+ * added (withConflictsSection()) only when the files were compared, so a single-file breakdown
+ * isn't asked for a section it has to leave empty.
+ */
+const { DEFAULT_EXPORT_LAYOUT } = require("./breakdown");
+
+const CONFLICTS_SECTION = {
+  id: "conflicts",
+  title: "CONFLICTS BETWEEN DOCUMENTS",
+  hint: "filled in automatically when the uploaded files disagree; keep the items already listed and don't add your own",
+};
+
+// The conflicts section goes before the open questions, which follow up on it
+const QUESTION_SECTION_IDS = ["notes", "missing"];
+
+// Bump when the prompt changes so cached reports are no longer used (lib/analysis-cache.js)
+const CONFLICTS_PROMPT_VERSION = 1;
+
+const CONFLICTS_SYSTEM_PROMPT =
+  `You compare production documents that were uploaded together for one job (briefs, revised briefs, scripts, treatments, schedules).\n` +
+  `Each file's text is between "===== <TYPE>: <file name> ... =====" markers, or given as notes that name their source file.\n\n` +
+  `1. Decide whether all files describe the same production (same client / brand / project). Versions of one brief, or a script and ` +
+  `treatment for it, are the same production.\n` +
+  `2. List every production fact on which two or more FILES disagree: shoot days and dates, locations, crew, cast / talent numbers, ` +
+  `equipment, deliverables, durations, usage, budget. Only real disagreements between different files; a fact stated in one file ` +
+  `and not mentioned in another is NOT a conflict, and neither is different wording for the same thing.\n\n` +
+  `Respond with ONE JSON object and nothing else:\n` +
+  `{\n` +
+  `  "sameProject": true or false,\n` +
+  `  "projects": [{ "filename": string, "project": string }],\n` +
+  `  "projectNote": string or null,\n` +
+  `  "conflicts": [{ "topic": string, "note": string or null,\n` +
+  `    "values": [{ "value": string, "filename": string, "location": string or null, "quote": string }] }]\n` +
+  `}\n` +
+  `"projects" says in a few words what each file is about (client, brand, title). "projectNote" explains why the files look like ` +
+  `different projects (null when they are the same). "filename" exactly as in the markers; "location" the page or chunk; "quote" word ` +
+  `for word from the file. "note" is for context such as which file is the later version.`;
+
+/**
+ * The template definition with the conflicts section added before the open questions, for a
+ * breakdown of compared files. In the Word / PDF exports it is numbered like the questions.
+ */
+function withConflictsSection(definition) {
+  if (definition.sections.some((s) => s.id === CONFLICTS_SECTION.id)) return definition;
+
+  const sections = [...definition.sections];
+  const at = sections.findIndex((s) => QUESTION_SECTION_IDS.includes(s.id));
+  sections.splice(at === -1 ? sections.length : at, 0, CONFLICTS_SECTION);
+
+  const layout = definition.export || DEFAULT_EXPORT_LAYOUT;
+  return {
+    ...definition,
+    sections,
+    export: { ...layout, numberedSections: [CONFLICTS_SECTION.id, ...layout.numberedSections] },
+  };
+}
+
+// The definition a saved breakdown was made with: with the conflicts section if it has one
+function definitionForBreakdown(definition, breakdown) {
+  const compared = (breakdown?.sections || []).some((s) => s?.id === CONFLICTS_SECTION.id);
+  return compared ? withConflictsSection(definition) : definition;
+}
+
+function toText(value) {
+  return typeof value === "string" && value.trim() ? value.trim() : null;
+}
+
+function normalizeValue(value) {
+  return String(value || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+/**
+ * Clean up Claude's reply: only the files that were compared, only values from two or more
+ * different files that actually differ.
+ */
+function normalizeConflictReport(raw, filenames) {
+  const canonical = (name) =>
+    filenames.find((f) => f.toLowerCase() === String(name || "").trim().toLowerCase()) || null;
+
+  const conflicts = (Array.isArray(raw?.conflicts) ? raw.conflicts : [])
+    .map((conflict) => ({
+      topic: toText(conflict?.topic),
+      note: toText(conflict?.note),
+      values: (Array.isArray(conflict?.values) ? conflict.values : [])
+        .map((v) => ({
+          value: toText(v?.value),
+          filename: canonical(v?.filename),
+          location: toText(v?.location),
+          quote: toText(v?.quote),
+        }))
+        .filter((v) => v.value && v.filename),
+    }))
+    .filter(
+      (c) =>
+        c.topic &&
+        new Set(c.values.map((v) => v.filename)).size > 1 &&
+        new Set(c.values.map((v) => normalizeValue(v.value))).size > 1
+    );
+
+  const projects = (Array.isArray(raw?.projects) ? raw.projects : [])
+    .map((p) => ({ filename: canonical(p?.filename), project: toText(p?.project) }))
+    .filter((p) => p.filename && p.project);
+
+  const sameProject = raw?.sameProject !== false;
+  return {
+    files: filenames,
+    sameProject,
+    projects,
+    projectNote: sameProject ? null : toText(raw?.projectNote),
+    conflicts,
+  };
+}
+
+function describeValues(conflict) {
+  return conflict.values.map((v) => `"${v.value}" (${v.filename})`).join(" vs ");
+}
+
+function describeProjects(report) {
+  return report.projects.length
+    ? report.projects.map((p) => `${p.filename}: ${p.project}`).join("; ")
+    : report.files.join(", ");
+}
+
+/**
+ * Items for the CONFLICTS BETWEEN DOCUMENTS section. Like the failed-source items in
+ * MISSING/TBD these are flags for the producer, so they are RECOMMENDED (check with the client).
+ */
+function conflictItems(report) {
+  const item = (description, notes) => ({
+    description,
+    quantity: null,
+    status: "RECOMMENDED",
+    group: null,
+    notes,
+    citation: null,
+  });
+
+  const items = [];
+  if (!report.sameProject) {
+    items.push(
+      item(
+        `The files may describe different projects: ${describeProjects(report)}`,
+        [report.projectNote, "Check that these files belong to the same job"].filter(Boolean).join("\n")
+      )
+    );
+  }
+  for (const conflict of report.conflicts) {
+    items.push(
+      item(
+        `${conflict.topic}: ${describeValues(conflict)}`,
+        [
+          conflict.note,
+          ...conflict.values
+            .filter((v) => v.quote)
+            .map((v) => `${v.filename}${v.location ? `, ${v.location}` : ""}: "${v.quote}"`),
+          "Confirm which is correct",
+        ]
+          .filter(Boolean)
+          .join("\n")
+      )
+    );
+  }
+  return items;
+}
+
+/**
+ * Fill the breakdown's conflicts section from the report (replacing whatever is there, since the
+ * model is told to leave it to us). Mutates the breakdown, like addMissingRangeItems().
+ */
+function addConflictItems(breakdown, report) {
+  const section = breakdown.sections.find((s) => s.id === CONFLICTS_SECTION.id);
+  if (!section) return;
+  section.items = conflictItems(report);
+}
+
+// Text block for the final breakdown call, or null when there is nothing to say
+function conflictsPromptBlock(report) {
+  if (!report || (report.sameProject && !report.conflicts.length)) return null;
+
+  const lines = ["===== CONFLICTS BETWEEN FILES ====="];
+  if (!report.sameProject) {
+    lines.push(
+      `WARNING: the files seem to describe different projects (${describeProjects(report)}).` +
+        (report.projectNote ? ` ${report.projectNote}` : ""),
+      "NEVER mix up details from different projects: say in SPECIAL NOTES & QUESTIONS which file each detail comes from."
+    );
+  }
+  if (report.conflicts.length) {
+    lines.push(
+      "The uploaded files disagree on these points:",
+      ...report.conflicts.map(
+        (c) => `- ${c.topic}: ${describeValues(c)}${c.note ? ` (${c.note})` : ""}`
+      ),
+      "Do not silently pick one value. Unless one file is clearly the later version of the other (then use it and say so in " +
+        "the notes), mark items that depend on a conflicting value ASSUMED and name the alternatives in their notes."
+    );
+  }
+  lines.push(
+    `These points are listed in ${CONFLICTS_SECTION.title} automatically; don't list them there yourself.`,
+    "===== END CONFLICTS BETWEEN FILES ====="
+  );
+  return `\n${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  CONFLICTS_SECTION,
+  CONFLICTS_PROMPT_VERSION,
+  CONFLICTS_SYSTEM_PROMPT,
+  withConflictsSection,
+  definitionForBreakdown,
+  normalizeConflictReport,
+  conflictItems,
+  addConflictItems,
+  conflictsPromptBlock,
+};
@@ -0,0 +1,217 @@
+/**
+ * ----------------------------
+ * Revision conversation (kept on the server)
+ * ----------------------------
+ *
+ * A revision used to be sent the whole conversation by the browser: the first turn alone carries
+ * every uploaded document (PDF chunks, base64 page images), so a big job meant a huge request body
+ * on every revision and Claude re-reading all of it each time.
+ *
+ * The project's versions already record what produced each breakdown, so the conversation is
+ * rebuilt from them instead (the project id is the session):
+ *
+ *  - the documents are re-attached from the text the server extracted when they were uploaded
+ *    (never the page images): whole while they fit in SOURCE_TEXT_CHARS, otherwise the passages
+ *    that best match the revision request. Image-only files are referred to by name.
+ *  - the latest RECENT_TURNS versions are kept as separate turns (what was asked, and that a
+ *    breakdown came back); older ones are summarised in one line each
+ *  - breakdown JSON is never repeated: the revision request itself carries the current breakdown
+ *
+ * So the history stays small however long the project runs, and the documents cost at most
+ * SOURCE_TEXT_CHARS.
+ */
+const RECENT_TURNS = 6;
+
+// Longest line an older version gets in the summary (long feedback / client answers are cut)
+const SUMMARY_REQUEST_CHARS = 300;
+
+// Most source text re-attached to one revision, and the size of the passages picked when the
+// documents don't fit
+const SOURCE_TEXT_CHARS = 120000;
+const SOURCE_PASSAGE_CHARS = 4000;
+
+function truncate(text, max) {
+  const oneLine = String(text || "").replace(/\s+/g, " ").trim();
+  return oneLine.length > max ? `${oneLine.slice(0, max - 1)}…` : oneLine;
+}
+
+function itemCount(breakdown) {
+  const count = (breakdown?.sections || []).reduce((n, s) => n + s.items.length, 0);
+  return count === 1 ? "1 item" : `${count} items`;
+}
+
+// What was asked for, for one stored version
+function describeVersion(record) {
+  switch (record.source) {
+    case "generate":
+      return "Create the production breakdown from the uploaded documents.";
+    case "revise":
+      return (
+        `Revise the breakdown${record.sections?.length ? ` (only: ${record.sections.join(", ")})` : ""}: ` +
+        record.revisionRequest
+      );
+    case "answers":
+      return (
+        `Apply the client's answers (${record.answersFile}): ` +
+        record.answers.map((a) => `${a.question} -> ${a.answer}`).join("; ")
+      );
+    case "update": {
+      const summary = record.briefChanges?.summary;
+      return (
+        `Update the breakdown to the new brief (${(record.briefFiles || []).join(", ")})` +
+        (summary ? `: ${summary.added} added, ${summary.removed} removed, ${summary.changed} changed.` : ".")
+      );
+    }
+    case "edit":
+      return `Lines edited by hand in v${record.editedFrom}.`;
+    case "restore":
+      return `Go back to v${record.restoredFrom}.`;
+    default:
+      return `Version ${record.version}.`;
+  }
+}
+
+function sourcesText(project, sources) {
+  if (!project.sources?.length) return "No source documents are stored with this project.";
+  const withText = new Set(sources.filter((s) => s.text).map((s) => s.filename));
+  return (
+    "Source documents (given to you when the breakdown was first made; their extracted text " +
+    "follows, cite it as before):\n" +
+    project.sources
+      .map((s) => `- ${s.filename}${withText.has(s.filename) ? "" : " (no extractable text)"}`)
+      .join("\n")
+  );
+}
+
+function queryWords(text) {
+  return new Set(
+    String(text || "")
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((w) => w.length > 2)
+  );
+}
+
+// Paragraph-aligned passages of at most ~SOURCE_PASSAGE_CHARS
+function passagesOf(text) {
+  const passages = [];
+  let current = "";
+  for (const paragraph of text.split(/\n{2,}/)) {
+    if (current && current.length + paragraph.length > SOURCE_PASSAGE_CHARS) {
+      passages.push(current);
+      current = "";
+    }
+    current += (current ? "\n\n" : "") + paragraph;
+    while (current.length > SOURCE_PASSAGE_CHARS) {
+      passages.push(current.slice(0, SOURCE_PASSAGE_CHARS));
+      current = current.slice(SOURCE_PASSAGE_CHARS);
+    }
+  }
+  if (current.trim()) passages.push(current);
+  return passages;
+}
+
+/**
+ * Content blocks re-attaching the sources' extracted text.
+ *
+ * sources: [{ filename, text }]  (text null when nothing could be extracted)
+ * query:   the revision request; decides which passages are sent when the documents don't fit
+ */
+function sourceContent(sources, query) {
+  const documents = sources.filter((s) => s.text);
+  const total = documents.reduce((n, s) => n + s.text.length, 0);
+  const block = (label, filename, text) => ({
+    type: "text",
+    text: `===== ${label}: ${filename} =====\n${text}\n===== END ${label}: ${filename} =====\n`,
+  });
+
+  if (total <= SOURCE_TEXT_CHARS) {
+    return documents.map((s) => block("SOURCE TEXT", s.filename, s.text));
+  }
+
+  // Too much to send: the best-matching passages, shown in document order
+  const words = queryWords(query);
+  const passages = documents.flatMap((s, doc) =>
+    passagesOf(s.text).map((text, index) => {
+      const own = queryWords(text);
+      return { filename: s.filename, doc, index, text, score: [...words].filter((w) => own.has(w)).length };
+    })
+  );
+  const picked = [];
+  let used = 0;
+  for (const passage of [...passages].sort((a, b) => b.score - a.score || a.doc - b.doc || a.index - b.index)) {
+    if (used + passage.text.length > SOURCE_TEXT_CHARS) continue;
+    picked.push(passage);
+    used += passage.text.length;
+  }
+  picked.sort((a, b) => a.doc - b.doc || a.index - b.index);
+
+  return [
+    {
+      type: "text",
+      text:
+        `The documents are too long to attach in full (${total} characters); these are the ` +
+        "passages that best match the request. Ask in MISSING/TBD INFORMATION for anything not in them.",
+    },
+    ...picked.map((p) => block("SOURCE TEXT EXCERPT", p.filename, p.text)),
+  ];
+}
+
+/**
+ * Messages that go before a revision request.
+ *
+ * project: stored project (lib/project-store.js)
+ * version: the version being revised; later versions are not part of its conversation
+ * options: { sources: [{ filename, text }] extracted text of the project's documents,
+ *            query: the revision request }
+ *
+ * Returns [] when the project has no versions up to `version`.
+ */
+function buildConversation(project, version, { sources = [], query = "" } = {}) {
+  const records = project.breakdowns.filter((b) => b.version <= version);
+  if (!records.length) return [];
+
+  const older = records.slice(0, -RECENT_TURNS);
+  const recent = records.slice(-RECENT_TURNS);
+
+  const opening = [
+    `Production breakdown${project.name ? ` for "${project.name}"` : ""}.`,
+    sourcesText(project, sources),
+    older.length &&
+      "Earlier versions (summarised):\n" +
+        older
+          .map((r) => `- v${r.version}: ${truncate(describeVersion(r), SUMMARY_REQUEST_CHARS)}`)
+          .join("\n"),
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+  return recent.flatMap((record, i) => [
+    {
+      role: "user",
+      content: [
+        ...(i === 0 ? [{ type: "text", text: opening }, ...sourceContent(sources, query)] : []),
+        { type: "text", text: describeVersion(record) },
+      ],
+    },
+    {
+      role: "assistant",
+      content: [
+        {
+          type: "text",
+          text:
+            `Breakdown v${record.version} (${itemCount(record.structuredBreakdown)}). ` +
+            "JSON omitted here; the current breakdown comes with the next request.",
+        },
+      ],
+    },
+  ]);
+}
+
+module.exports = {
+  RECENT_TURNS,
+  SOURCE_TEXT_CHARS,
+  buildConversation,
+  describeVersion,
+  sourceContent,
+};
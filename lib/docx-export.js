@@ -0,0 +1,562 @@
+/**
+ * ----------------------------
+ * Word export of a breakdown
+ * ----------------------------
+ *
+ * Renders the structured breakdown (never the plain text) into a formatted .docx:
+ *  - title page: project, client, job number, date, version
+ *  - table of contents (Word fills it in when the document is opened)
+ *  - sections as Heading 1, item groups as Heading 2
+ *  - crew and equipment as tables (Qty | Item | Status | Notes); other sections as bulleted lists,
+ *    questions (notes, missing/TBD) as numbered lists
+ *  - status tags colour-coded: CONFIRMED green, RECOMMENDED amber, ASSUMED grey
+ *  - citations as footnotes, page numbers in the footer
+ *  - with a budget (lib/budget.js): a BUDGET section at the end, top sheet and line items
+ *
+ * Item text comes from the model and may contain markdown (lib/markdown.js); it is rendered as
+ * such instead of showing up as literal asterisks and pipes.
+ *
+ * The PDF export (lib/pdf-export.js) follows the same layout and shares the constants below.
+ *
+ * questionnaireToDocx() renders the client questionnaire (lib/questionnaire.js) for sending out.
+ */
+const {
+  AlignmentType,
+  Document,
+  Footer,
+  FootnoteReferenceRun,
+  HeadingLevel,
+  LevelFormat,
+  Packer,
+  PageBreak,
+  PageNumber,
+  Paragraph,
+  ShadingType,
+  Table,
+  TableCell,
+  TableOfContents,
+  TableRow,
+  TextRun,
+  WidthType,
+} = require("docx");
+
+const { DEFAULT_EXPORT_LAYOUT, formatCitation } = require("./breakdown");
+const { parseInline, parseBlocks } = require("./markdown");
+const { INSTRUCTIONS } = require("./questionnaire");
+const { budgetDocumentTables } = require("./budget");
+
+const STATUS_STYLES = {
+  CONFIRMED: { color: "2E7D32", shading: "E8F5E9", meaning: "stated in the documents" },
+  RECOMMENDED: { color: "B26A00", shading: "FFF3E0", meaning: "our recommendation" },
+  ASSUMED: { color: "616161", shading: "EEEEEE", meaning: "assumed, to be confirmed" },
+};
+
+const BULLETS = "bullets";
+const NUMBERED = "numbered";
+
+const NUMBERING = {
+  config: [
+    {
+      reference: BULLETS,
+      levels: [0, 1, 2].map((level) => ({
+        level,
+        format: LevelFormat.BULLET,
+        text: ["•", "◦", "▪"][level],
+        alignment: AlignmentType.LEFT,
+        style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } },
+      })),
+    },
+    {
+      reference: NUMBERED,
+      levels: [0, 1, 2].map((level) => ({
+        level,
+        format: [LevelFormat.DECIMAL, LevelFormat.LOWER_LETTER, LevelFormat.LOWER_ROMAN][level],
+        text: `%${level + 1}.`,
+        alignment: AlignmentType.LEFT,
+        style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } },
+      })),
+    },
+  ],
+};
+
+// Table column widths (twips; 9360 = US Letter minus 1" margins)
+const TABLE_WIDTH = 9360;
+const TABLE_COLUMNS = [
+  { header: "Qty", width: 800 },
+  { header: "Item", width: 4160 },
+  { header: "Status", width: 1500 },
+  { header: "Notes", width: 2900 },
+];
+
+// Budget tables, as shares of TABLE_WIDTH (same columns as the Budget panel)
+const BUDGET_TOP_SHEET_SHARES = [0.28, 0.18, 0.18, 0.18, 0.18];
+const BUDGET_LINE_SHARES = [0.36, 0.2, 0.08, 0.08, 0.13, 0.15];
+
+/**
+ * ----------------------------
+ * Markdown (lib/markdown.js) -> docx
+ * ----------------------------
+ */
+function inlineRuns(text, base = {}) {
+  return parseInline(text).map(
+    (span) =>
+      new TextRun({
+        ...base,
+        text: span.text,
+        ...(span.bold && { bold: true }),
+        ...(span.italics && { italics: true }),
+        ...(span.code && { font: "Consolas" }),
+      })
+  );
+}
+
+function markdownTable({ rows, hasHeader }) {
+  const columns = rows[0].length;
+  return new Table({
+    width: { size: TABLE_WIDTH, type: WidthType.DXA },
+    rows: rows.map(
+      (cells, r) =>
+        new TableRow({
+          tableHeader: hasHeader && r === 0,
+          children: cells.map(
+            (text) =>
+              new TableCell({
+                width: { size: Math.floor(TABLE_WIDTH / columns), type: WidthType.DXA },
+                children: [
+                  new Paragraph({ children: inlineRuns(text, { bold: hasHeader && r === 0 }) }),
+                ],
+              })
+          ),
+        })
+    ),
+  });
+}
+
+/**
+ * Multi-line markdown (item notes) -> Paragraphs / Tables.
+ * `level` is the list level the block sits under (0 = top-level item).
+ */
+function markdownBlocks(text, { level = 0, numberingInstance } = {}) {
+  return parseBlocks(text).map((block) => {
+    if (block.type === "table") return markdownTable(block);
+
+    if (block.type === "list") {
+      const indent = Math.min(2, level + 1 + block.depth);
+      return new Paragraph({
+        children: inlineRuns(block.text),
+        numbering: block.ordered
+          ? { reference: NUMBERED, level: indent, instance: numberingInstance }
+          : { reference: BULLETS, level: indent },
+      });
+    }
+
+    return new Paragraph({
+      children: inlineRuns(block.text),
+      indent: { left: 720 * (level + 1) },
+      spacing: { after: 60 },
+    });
+  });
+}
+
+/**
+ * ----------------------------
+ * Breakdown
+ * ----------------------------
+ */
+function statusRun(status) {
+  return new TextRun({
+    text: `[${status}]`,
+    bold: true,
+    color: STATUS_STYLES[status]?.color,
+  });
+}
+
+// Footnotes and numbered-list instances shared by every section of one document
+function createContext() {
+  const footnotes = {};
+  let nextId = 1;
+  let nextInstance = 1;
+
+  return {
+    footnotes,
+    // Numbered lists with a new instance restart at 1
+    newListInstance: () => nextInstance++,
+    // "brief.pdf, page 3: “quoted passage”"
+    referenceFor(citation) {
+      if (!citation) return [];
+      const id = nextId++;
+      const quote = citation.quote ? `: “${citation.quote}”` : "";
+      footnotes[id] = { children: [new Paragraph(`${formatCitation(citation)}${quote}`)] };
+      return [new FootnoteReferenceRun(id)];
+    },
+  };
+}
+
+// Notes with markdown structure go on their own lines; a plain note stays on the item's line
+function isMultilineNote(notes) {
+  return /\n/.test(notes || "");
+}
+
+function listSection(section, { numbered, context }) {
+  const blocks = [];
+  const instance = context.newListInstance();
+  let currentGroup = null;
+
+  for (const item of section.items) {
+    if (item.group && item.group !== currentGroup) {
+      currentGroup = item.group;
+      blocks.push(new Paragraph({ text: item.group, heading: HeadingLevel.HEADING_2 }));
+    }
+
+    const inlineNote = item.notes && !isMultilineNote(item.notes);
+    blocks.push(
+      new Paragraph({
+        children: [
+          statusRun(item.status),
+          new TextRun(" "),
+          ...inlineRuns(item.description),
+          ...context.referenceFor(item.citation),
+          ...(inlineNote ? [new TextRun(" — "), ...inlineRuns(item.notes, { italics: true })] : []),
+        ],
+        numbering: numbered
+          ? { reference: NUMBERED, level: 0, instance }
+          : { reference: BULLETS, level: 0 },
+        spacing: { after: 80 },
+      })
+    );
+
+    if (item.notes && !inlineNote) {
+      blocks.push(
+        ...markdownBlocks(item.notes, { level: 0, numberingInstance: context.newListInstance() })
+      );
+    }
+  }
+
+  return blocks;
+}
+
+function cell(children, { width, shading, columnSpan } = {}) {
+  return new TableCell({
+    width: width ? { size: width, type: WidthType.DXA } : undefined,
+    columnSpan,
+    shading: shading ? { type: ShadingType.CLEAR, color: "auto", fill: shading } : undefined,
+    children,
+  });
+}
+
+function tableSection(section, { context }) {
+  const header = new TableRow({
+    tableHeader: true,
+    children: TABLE_COLUMNS.map((col) =>
+      cell([new Paragraph({ children: [new TextRun({ text: col.header, bold: true })] })], {
+        width: col.width,
+        shading: "D9D9D9",
+      })
+    ),
+  });
+
+  const rows = [header];
+  let currentGroup = null;
+
+  for (const item of section.items) {
+    if (item.group && item.group !== currentGroup) {
+      currentGroup = item.group;
+      rows.push(
+        new TableRow({
+          children: [
+            cell([new Paragraph({ children: [new TextRun({ text: item.group, bold: true })] })], {
+              columnSpan: TABLE_COLUMNS.length,
+              shading: "F2F2F2",
+            }),
+          ],
+        })
+      );
+    }
+
+    const notes = item.notes
+      ? markdownBlocks(item.notes, { level: -1, numberingInstance: context.newListInstance() })
+      : [];
+    rows.push(
+      new TableRow({
+        children: [
+          cell([new Paragraph(item.quantity === null || item.quantity === undefined ? "" : String(item.quantity))], {
+            width: TABLE_COLUMNS[0].width,
+          }),
+          cell(
+            [new Paragraph({ children: [...inlineRuns(item.description), ...context.referenceFor(item.citation)] })],
+            { width: TABLE_COLUMNS[1].width }
+          ),
+          cell([new Paragraph({ children: [statusRun(item.status)] })], {
+            width: TABLE_COLUMNS[2].width,
+            shading: STATUS_STYLES[item.status]?.shading,
+          }),
+          // A table cell must contain at least one paragraph
+          cell(notes.length ? notes : [new Paragraph("")], { width: TABLE_COLUMNS[3].width }),
+        ],
+      })
+    );
+  }
+
+  return [new Table({ width: { size: TABLE_WIDTH, type: WidthType.DXA }, rows })];
+}
+
+/**
+ * ----------------------------
+ * Budget
+ * ----------------------------
+ */
+
+// rows: [{ cells: [text], bold?, status? }]; the cell holding the row's status is colour-coded.
+// A second line in a cell (budget line notes) is set in grey italics.
+function budgetTable(header, rows, shares) {
+  const widths = shares.map((share) => Math.floor(TABLE_WIDTH * share));
+  const textCell = (text, i, { bold, status, shading } = {}) =>
+    cell(
+      String(text)
+        .split("\n")
+        .map(
+          (line, idx) =>
+            new Paragraph({
+              children: [
+                new TextRun({
+                  text: line,
+                  bold: bold || !!status,
+                  color: status ? STATUS_STYLES[status]?.color : undefined,
+                  ...(idx > 0 && { italics: true, color: "616161" }),
+                }),
+              ],
+            })
+        ),
+      { width: widths[i], shading: status ? STATUS_STYLES[status]?.shading : shading }
+    );
+
+  return new Table({
+    width: { size: TABLE_WIDTH, type: WidthType.DXA },
+    rows: [
+      new TableRow({
+        tableHeader: true,
+        children: header.map((text, i) => textCell(text, i, { bold: true, shading: "D9D9D9" })),
+      }),
+      ...rows.map(
+        (row) =>
+          new TableRow({
+            children: row.cells.map((text, i) =>
+              textCell(text, i, {
+                bold: row.bold,
+                status: row.status && text === row.status ? row.status : null,
+                shading: row.bold ? "F2F2F2" : undefined,
+              })
+            ),
+          })
+      ),
+    ],
+  });
+}
+
+function budgetSection(budget) {
+  const { summary, topSheet, lines } = budgetDocumentTables(budget);
+  return [
+    new Paragraph({ text: "BUDGET", heading: HeadingLevel.HEADING_1 }),
+    ...summary.map((text) => new Paragraph({ text, spacing: { after: 60 } })),
+    new Paragraph({ text: "Top sheet", heading: HeadingLevel.HEADING_2 }),
+    budgetTable(
+      topSheet.header,
+      topSheet.rows.map((row) => ({ cells: row.cells, bold: row.total })),
+      BUDGET_TOP_SHEET_SHARES
+    ),
+    new Paragraph({ text: "Line items", heading: HeadingLevel.HEADING_2 }),
+    budgetTable(lines.header, lines.rows, BUDGET_LINE_SHARES),
+  ];
+}
+
+function titlePage(breakdown, meta) {
+  const projectName = meta.projectName || breakdown.title;
+  const date = meta.date ? new Date(meta.date) : new Date();
+
+  const line = (text, options = {}) =>
+    new Paragraph({
+      children: [new TextRun({ text, size: 28, ...options })],
+      alignment: AlignmentType.CENTER,
+      spacing: { after: 160 },
+    });
+
+  return [
+    new Paragraph({ text: "", spacing: { before: 2400 } }),
+    new Paragraph({
+      children: [new TextRun({ text: "PRODUCTION BREAKDOWN", bold: true, size: 48 })],
+      alignment: AlignmentType.CENTER,
+      spacing: { after: 600 },
+    }),
+    ...[
+      projectName && line(projectName, { bold: true, size: 36 }),
+      (meta.client || breakdown.client) && line(`Client: ${meta.client || breakdown.client}`),
+      meta.jobNumber && line(`Job #${meta.jobNumber}`),
+      meta.dates && line(`Shoot dates: ${meta.dates}`),
+      line(
+        `Date: ${date.toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" })}`
+      ),
+      meta.version && line(`Version ${meta.version}`),
+    ].filter(Boolean),
+  ];
+}
+
+function statusKey() {
+  return new Paragraph({
+    children: [
+      new TextRun({ text: "Status key: ", bold: true }),
+      ...Object.entries(STATUS_STYLES).flatMap(([status, style], idx) => [
+        ...(idx ? [new TextRun("   ")] : []),
+        statusRun(status),
+        new TextRun(` ${style.meaning}`),
+      ]),
+    ],
+    spacing: { after: 240 },
+  });
+}
+
+/**
+ * breakdown: validated structured breakdown
+ * meta: { projectName, client, jobNumber, dates, date, version }  (all optional)
+ *   layout: { tableSections, numberedSections } from the breakdown's template (default layout if omitted)
+ *   budget: buildBudget() result to add as a BUDGET section (optional)
+ * Returns a Buffer with the .docx file.
+ */
+async function breakdownToDocx(breakdown, meta = {}) {
+  const layout = meta.layout || DEFAULT_EXPORT_LAYOUT;
+  const context = createContext();
+  const body = [];
+
+  for (const section of breakdown.sections || []) {
+    body.push(new Paragraph({ text: section.title, heading: HeadingLevel.HEADING_1 }));
+
+    if (!section.items.length) {
+      body.push(new Paragraph({ children: [new TextRun({ text: "None stated", italics: true })] }));
+    } else if (layout.tableSections.includes(section.id)) {
+      body.push(...tableSection(section, { context }));
+    } else {
+      body.push(
+        ...listSection(section, { numbered: layout.numberedSections.includes(section.id), context })
+      );
+    }
+  }
+
+  if (meta.budget) body.push(...budgetSection(meta.budget));
+
+  const page = {
+    size: { width: 12240, height: 15840 }, // US Letter
+    margin: { top: 1440, right: 1440, bottom: 1440, left: 1440 },
+  };
+
+  const doc = new Document({
+    features: { updateFields: true },
+    numbering: NUMBERING,
+    footnotes: context.footnotes,
+    sections: [
+      {
+        properties: { page },
+        children: titlePage(breakdown, meta),
+      },
+      {
+        properties: { page: { ...page, pageNumbers: { start: 1 } } },
+        footers: {
+          default: new Footer({
+            children: [
+              new Paragraph({
+                alignment: AlignmentType.CENTER,
+                children: [
+                  new TextRun({ children: ["Page ", PageNumber.CURRENT, " of ", PageNumber.TOTAL_PAGES_IN_SECTION] }),
+                ],
+              }),
+            ],
+          }),
+        },
+        children: [
+          new Paragraph({ text: "Contents", heading: HeadingLevel.TITLE }),
+          new TableOfContents("Contents", { hyperlink: true, headingStyleRange: "1-2" }),
+          new Paragraph({ children: [new PageBreak()] }),
+          statusKey(),
+          ...body,
+        ],
+      },
+    ],
+  });
+
+  return Packer.toBuffer(doc);
+}
+
+/**
+ * questionnaire: buildQuestionnaire() result
+ * meta: { projectName, client, jobNumber }  (all optional)
+ *
+ * Question numbers are written out rather than left to Word's list numbering, so they can't
+ * drift from the numbers parseAnswers() reads back. Returns a Buffer with the .docx file.
+ */
+async function questionnaireToDocx(questionnaire, meta = {}) {
+  const projectName = meta.projectName || questionnaire.title;
+  const client = meta.client || questionnaire.client;
+  const children = [
+    new Paragraph({
+      text: projectName ? `${projectName} – questions` : "Production questions",
+      heading: HeadingLevel.TITLE,
+    }),
+    ...[
+      client && `Client: ${client}`,
+      meta.jobNumber && `Job #${meta.jobNumber}`,
+      questionnaire.version && `Breakdown version ${questionnaire.version}`,
+    ]
+      .filter(Boolean)
+      .map((text) => new Paragraph({ text })),
+    new Paragraph({
+      children: [new TextRun({ text: INSTRUCTIONS, italics: true })],
+      spacing: { before: 240, after: 240 },
+    }),
+  ];
+
+  let sectionId = null;
+  for (const q of questionnaire.questions) {
+    if (q.sectionId !== sectionId) {
+      sectionId = q.sectionId;
+      children.push(new Paragraph({ text: q.sectionTitle, heading: HeadingLevel.HEADING_1 }));
+    }
+    children.push(
+      new Paragraph({
+        children: [new TextRun({ text: `${q.number}. `, bold: true }), ...inlineRuns(q.question, { bold: true })],
+        spacing: { before: 200 },
+      })
+    );
+    if (q.context) {
+      children.push(
+        new Paragraph({ children: [new TextRun({ text: q.context, italics: true, color: "616161" })] })
+      );
+    }
+    children.push(new Paragraph({ text: "Answer: ", spacing: { after: 240 } }));
+  }
+
+  if (!questionnaire.questions.length) {
+    children.push(new Paragraph({ children: [new TextRun({ text: "No open questions.", italics: true })] }));
+  }
+
+  const doc = new Document({
+    sections: [
+      {
+        properties: {
+          page: {
+            size: { width: 12240, height: 15840 }, // US Letter
+            margin: { top: 1440, right: 1440, bottom: 1440, left: 1440 },
+          },
+        },
+        children,
+      },
+    ],
+  });
+
+  return Packer.toBuffer(doc);
+}
+
+module.exports = {
+  STATUS_STYLES,
+  BUDGET_TOP_SHEET_SHARES,
+  BUDGET_LINE_SHARES,
+  breakdownToDocx,
+  questionnaireToDocx,
+};
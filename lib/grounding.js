@@ -0,0 +1,289 @@
+/**
+ * ----------------------------
+ * Grounding check for CONFIRMED items
+ * ----------------------------
+ *
+ * CONFIRMED means "stated in the documents", but nothing in the model call enforces that. After
+ * every generation / revision each CONFIRMED item is checked against the text we extracted from
+ * the sources:
+ *
+ *  - its citation quote is looked up in the cited file (lib/citations.js); if the model's quote
+ *    isn't there, the documents are searched for a passage with the item's words instead
+ *  - numbers in the item must be in that evidence: a CONFIRMED "5 shoot days" whose evidence
+ *    says "4 shoot days" is contradicted, not supported
+ *
+ * Verdicts:
+ *  - "supported"     evidence found (and its numbers agree)
+ *  - "contradicted"  evidence found, but it states different numbers
+ *  - "unsupported"   no passage in the documents backs the item
+ *  - "unverifiable"  the cited file has no text to check (image / scanned page)
+ *
+ * Contradicted and unsupported items are downgraded to ASSUMED with a note saying why; the
+ * report keeps each item's evidence (or the lack of it) for the UI. Locked items were set by hand
+ * (lib/locked-items.js) and are neither checked nor changed.
+ */
+const { locateQuote } = require("./citations");
+
+const VERDICTS = ["supported", "contradicted", "unsupported", "unverifiable"];
+
+// Status given to items that fail the check
+const DOWNGRADED_STATUS = "ASSUMED";
+
+// Search fallback: share of the item's words a passage must contain, and how much text around the
+// best line is kept as evidence
+const MIN_SEARCH_SCORE = 0.6;
+const EVIDENCE_CONTEXT_CHARS = 160;
+
+// Number words read as numbers, here and in lib/budget.js
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+  eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70,
+  eighty: 80, ninety: 90, hundred: 100,
+};
+
+const STOP_WORDS = new Set([
+  "the", "and", "for", "with", "from", "that", "this", "are", "will", "per", "all", "our", "has",
+  "have", "not", "any", "each", "its", "into", "one", "two", "via", "required", "needed", "confirmed",
+]);
+
+// "1,500" / "12,000.5": a comma followed by exactly three digits groups thousands
+const THOUSANDS = /^\d{1,3}(?:,\d{3})+(?:\.\d+)?$/;
+
+function parseNumber(value) {
+  return Number(THOUSANDS.test(value) ? value.replace(/,/g, "") : value.replace(",", "."));
+}
+
+/**
+ * Numbers an item states. "Camera 1x" is the crew formatting convention rather than a stated
+ * count (see CRITICAL RULES), so a bare 1x is ignored. Number words only count as whole words:
+ * "tent" is not 10 and "sixteen" is not 6. "1,500" is fifteen hundred; "1,5" is a decimal comma.
+ */
+function numbersIn(text) {
+  const numbers = new Set();
+  const words = Object.keys(NUMBER_WORDS).join("|");
+  const pattern = new RegExp(
+    `\\b(\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?(?!\\d)|\\d+(?:[.,]\\d+)?|(?:${words})\\b)(x\\b)?`,
+    "gi"
+  );
+  for (const [, value, times] of String(text || "").matchAll(pattern)) {
+    const word = value.toLowerCase();
+    const number = NUMBER_WORDS[word] ?? parseNumber(word);
+    if (times && number === 1) continue;
+    numbers.add(number);
+  }
+  return numbers;
+}
+
+function contentWords(text) {
+  return [
+    ...new Set(
+      String(text || "")
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter((w) => w.length > 2 && !STOP_WORDS.has(w) && !(w in NUMBER_WORDS) && !/^\d+$/.test(w))
+    ),
+  ];
+}
+
+/**
+ * Why the evidence contradicts the item's numbers, or null if it doesn't. Only counts when the
+ * evidence states numbers of its own: a passage that names three houses without counting them
+ * still supports "3 houses".
+ */
+function numberConflict(item, evidenceText, passageName) {
+  const stated = numbersIn(item.description);
+  if (Number.isFinite(item.quantity) && item.quantity > 1) stated.add(item.quantity);
+  const inEvidence = numbersIn(evidenceText);
+  if (!stated.size || !inEvidence.size) return null;
+
+  const missing = [...stated].filter((n) => !inEvidence.has(n));
+  if (!missing.length) return null;
+  return `The ${passageName} states ${[...inEvidence].join(", ")}, not ${missing.join(", ")}`;
+}
+
+function excerpt(text, start, end) {
+  const from = Math.max(0, start - EVIDENCE_CONTEXT_CHARS);
+  const to = Math.min(text.length, end + EVIDENCE_CONTEXT_CHARS);
+  return (
+    (from > 0 ? "…" : "") +
+    text.slice(from, to).replace(/\s+/g, " ").trim() +
+    (to < text.length ? "…" : "")
+  );
+}
+
+/**
+ * Best line (with its neighbours) for an item without a usable quote.
+ * Returns { filename, passage, match, score } or null.
+ */
+function searchEvidence(item, sources) {
+  const words = contentWords(item.description);
+  if (!words.length) return null;
+
+  let best = null;
+  for (const source of sources) {
+    const lines = source.text.split(/\n+/);
+    let offset = 0;
+    for (let i = 0; i < lines.length; i++) {
+      // A fact often spans a line break; look at each line together with the next one
+      const window = `${lines[i]} ${lines[i + 1] || ""}`.toLowerCase();
+      const hits = words.filter((w) => window.includes(w)).length;
+      const score = hits / words.length;
+      if (score > (best?.score || 0)) {
+        const start = source.text.indexOf(lines[i], offset);
+        best = {
+          filename: source.filename,
+          score,
+          match: `${lines[i]} ${lines[i + 1] || ""}`.trim(),
+          passage: excerpt(source.text, start, start + lines[i].length),
+        };
+      }
+      offset += lines[i].length;
+    }
+  }
+
+  return best && best.score >= MIN_SEARCH_SCORE ? best : null;
+}
+
+function sameFile(a, b) {
+  return String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+}
+
+/**
+ * Check one CONFIRMED item. sources: [{ filename, text }] (text null when nothing was extracted).
+ */
+function checkItem(item, sources) {
+  const readable = sources.filter((s) => typeof s.text === "string" && s.text.trim());
+  const cited = item.citation?.filename
+    ? sources.find((s) => sameFile(s.filename, item.citation.filename))
+    : null;
+
+  if (cited && !(typeof cited.text === "string" && cited.text.trim())) {
+    return {
+      verdict: "unverifiable",
+      evidence: null,
+      reason: `${cited.filename} has no extracted text to check against`,
+    };
+  }
+
+  // 1. The quote the model gave, in the file it named (or any file if it named the wrong one)
+  if (item.citation?.quote) {
+    for (const source of cited ? [cited, ...readable.filter((s) => s !== cited)] : readable) {
+      const range = locateQuote(source.text, item.citation.quote);
+      if (!range) continue;
+
+      const match = source.text.slice(range.start, range.end);
+      const evidence = {
+        filename: source.filename,
+        passage: excerpt(source.text, range.start, range.end),
+        how: "citation",
+      };
+      const conflict = numberConflict(item, match, "cited passage");
+      if (conflict) return { verdict: "contradicted", evidence, reason: conflict };
+      return { verdict: "supported", evidence, reason: null };
+    }
+  }
+
+  // 2. No quote, or the quote isn't in the documents: look for the facts themselves
+  const found = searchEvidence(item, readable);
+  if (found) {
+    const evidence = { filename: found.filename, passage: found.passage, how: "search" };
+    const conflict = numberConflict(item, found.match, "closest passage");
+    if (conflict) return { verdict: "contradicted", evidence, reason: conflict };
+    return {
+      verdict: "supported",
+      evidence,
+      reason: item.citation?.quote ? "Quoted text not found; matched a similar passage" : null,
+    };
+  }
+
+  if (!readable.length) {
+    return { verdict: "unverifiable", evidence: null, reason: "No source text to check against" };
+  }
+  return {
+    verdict: "unsupported",
+    evidence: null,
+    reason: item.citation?.quote
+      ? "The quoted text is not in the documents and no passage states this"
+      : "No passage in the documents states this",
+  };
+}
+
+/**
+ * breakdown:  validated structured breakdown
+ * sources:    [{ filename, text }] extracted source text (text null for images)
+ * sectionIds: only check these sections (a section-targeted revision leaves the rest as they are)
+ *
+ * Returns { breakdown, report } where breakdown is a copy with contradicted / unsupported
+ * CONFIRMED items downgraded, and report is
+ *  { checkedAt, summary: { checked, supported, contradicted, unsupported, unverifiable, downgraded },
+ *    items: [{ sectionId, sectionTitle, index, description, verdict, evidence, reason, downgraded }] }
+ */
+function verifyBreakdown(breakdown, sources, { sectionIds = null } = {}) {
+  const items = [];
+  const summary = {
+    checked: 0,
+    ...Object.fromEntries(VERDICTS.map((v) => [v, 0])),
+    downgraded: 0,
+  };
+
+  const sections = breakdown.sections.map((section) => ({
+    ...section,
+    items: section.items.map((item, index) => {
+      if (item.status !== "CONFIRMED" || item.locked) return item;
+      if (sectionIds && !sectionIds.includes(section.id)) return item;
+
+      const result = checkItem(item, sources);
+      const downgrade = result.verdict === "contradicted" || result.verdict === "unsupported";
+      summary.checked++;
+      summary[result.verdict]++;
+      if (downgrade) summary.downgraded++;
+      items.push({
+        sectionId: section.id,
+        sectionTitle: section.title,
+        index,
+        description: item.description,
+        ...result,
+        downgraded: downgrade,
+      });
+
+      if (!downgrade) return item;
+      const note = `Not verified: ${result.reason}`;
+      return {
+        ...item,
+        status: DOWNGRADED_STATUS,
+        notes: item.notes ? `${item.notes}\n${note}` : note,
+      };
+    }),
+  }));
+
+  return {
+    breakdown: { ...breakdown, sections },
+    report: { checkedAt: new Date().toISOString(), summary, items },
+  };
+}
+
+/**
+ * Report for a breakdown there are no sources to check against (a revision sent without a
+ * project): nothing is checked or downgraded, `skipped` says why and `summary.unchecked` how
+ * many CONFIRMED items that leaves unverified.
+ */
+function skippedReport(breakdown, reason) {
+  const unchecked = breakdown.sections.reduce(
+    (n, s) => n + s.items.filter((item) => item.status === "CONFIRMED" && !item.locked).length,
+    0
+  );
+  return {
+    checkedAt: new Date().toISOString(),
+    skipped: reason,
+    summary: {
+      checked: 0,
+      ...Object.fromEntries(VERDICTS.map((v) => [v, 0])),
+      downgraded: 0,
+      unchecked,
+    },
+    items: [],
+  };
+}
+
+module.exports = { VERDICTS, NUMBER_WORDS, verifyBreakdown, skippedReport, checkItem, numbersIn };
@@ -0,0 +1,361 @@
+/**
+ * ----------------------------
+ * In-house equipment inventory
+ * ----------------------------
+ *
+ * The kit we own, uploaded as CSV or JSON and stored as data/inventory.json:
+ *
+ *  { filename, updatedAt, items: [{ name, category, quantity, availableFrom, availableTo }] }
+ *
+ * availableFrom / availableTo are YYYY-MM-DD (either may be null = open-ended). The same item can
+ * appear on several rows, e.g. 2 units free all year and 1 more back from repair in March.
+ *
+ * matchEquipment() checks every EQUIPMENT line of a breakdown against it:
+ *  - "available"  we own enough of it and it is free for the shoot dates
+ *  - "booked"     we own it, but not enough units are free for the shoot dates
+ *  - "rental"     we don't own it
+ * and suggests free items of the same category as substitutes.
+ */
+const fs = require("fs").promises;
+const path = require("path");
+
+const { itemQuantity } = require("./breakdown");
+const { DATA_DIR } = require("./project-store");
+
+const INVENTORY_FILE = path.join(DATA_DIR, "inventory.json");
+
+const INVENTORY_STATUSES = {
+  available: "Owned – available",
+  booked: "Owned – booked",
+  rental: "Needs rental",
+};
+
+// Accepted header / key names (case-insensitive) for each field
+const FIELD_ALIASES = {
+  name: ["item", "name", "description"],
+  category: ["category", "type", "department"],
+  quantity: ["quantity", "qty", "count"],
+  availableFrom: ["available_from", "availablefrom", "from", "available from"],
+  availableTo: ["available_to", "availableto", "to", "available until", "available to"],
+};
+
+// A line matches an inventory item when it mentions at least this share of the item's words
+const MIN_MATCH_SCORE = 0.6;
+const MAX_SUBSTITUTES = 3;
+
+const STOP_WORDS = new Set(["a", "an", "and", "the", "of", "with", "for", "x", "kit", "set"]);
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * ----------------------------
+ * Parsing
+ * ----------------------------
+ */
+
+// RFC 4180: quoted fields may contain commas, doubled quotes and line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((cell) => cell.trim()));
+}
+
+function canonicalField(header) {
+  const key = String(header || "").trim().toLowerCase();
+  return Object.keys(FIELD_ALIASES).find((field) => FIELD_ALIASES[field].includes(key)) || null;
+}
+
+// Raw records (objects keyed by whatever the file used) -> { items, errors }
+function normalizeRecords(records) {
+  const items = [];
+  const errors = [];
+
+  records.forEach((record, idx) => {
+    const where = `row ${idx + 1}`;
+    const fields = {};
+    for (const [key, value] of Object.entries(record || {})) {
+      const field = canonicalField(key);
+      if (field) fields[field] = typeof value === "string" ? value.trim() : value;
+    }
+
+    if (!fields.name) {
+      errors.push(`${where}: item name is missing`);
+      return;
+    }
+    const quantity =
+      fields.quantity === undefined || fields.quantity === "" ? 1 : Number(fields.quantity);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      errors.push(`${where}: quantity must be a whole number (got "${fields.quantity}")`);
+      return;
+    }
+    const dates = {};
+    for (const field of ["availableFrom", "availableTo"]) {
+      const value = fields[field] || null;
+      if (value && !ISO_DATE.test(value)) {
+        errors.push(`${where}: ${field} must be YYYY-MM-DD (got "${value}")`);
+        return;
+      }
+      dates[field] = value;
+    }
+
+    items.push({
+      name: String(fields.name),
+      category: fields.category ? String(fields.category) : null,
+      quantity,
+      ...dates,
+    });
+  });
+
+  return { items, errors };
+}
+
+/**
+ * File contents -> { items, errors }. JSON may be a list of records or { items: [...] };
+ * anything else is read as CSV with a header row.
+ */
+function parseInventory(filename, text) {
+  const isJson = /\.json$/i.test(filename) || /^\s*[[{]/.test(text);
+
+  if (isJson) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      return { items: [], errors: [`Not valid JSON: ${err.message}`] };
+    }
+    const records = Array.isArray(data) ? data : data?.items;
+    if (!Array.isArray(records)) {
+      return { items: [], errors: ['JSON must be a list of items or { "items": [...] }'] };
+    }
+    return normalizeRecords(records);
+  }
+
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ""));
+  if (!header || !header.some((h) => canonicalField(h) === "name")) {
+    return { items: [], errors: ['CSV needs a header row with an "item" column'] };
+  }
+  return normalizeRecords(rows.map((row) => Object.fromEntries(header.map((h, i) => [h, row[i]]))));
+}
+
+/**
+ * ----------------------------
+ * Storage
+ * ----------------------------
+ */
+async function getInventory() {
+  try {
+    return JSON.parse(await fs.readFile(INVENTORY_FILE, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+// Replaces the whole inventory (an upload is the current list of kit, not an addition to it)
+async function saveInventory(filename, items) {
+  const inventory = { filename, updatedAt: new Date().toISOString(), items };
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  const tmp = `${INVENTORY_FILE}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(inventory, null, 2));
+  await fs.rename(tmp, INVENTORY_FILE);
+  return inventory;
+}
+
+async function clearInventory() {
+  try {
+    await fs.unlink(INVENTORY_FILE);
+    return true;
+  } catch (err) {
+    if (err.code === "ENOENT") return false;
+    throw err;
+  }
+}
+
+/**
+ * ----------------------------
+ * Matching
+ * ----------------------------
+ */
+function words(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((w) => w.length > 1 && !STOP_WORDS.has(w));
+}
+
+// Share of the inventory item's words that the breakdown line mentions
+function matchScore(lineWords, itemName) {
+  const itemWords = [...new Set(words(itemName))];
+  if (!itemWords.length) return 0;
+  return itemWords.filter((w) => lineWords.has(w)).length / itemWords.length;
+}
+
+function isFreeFor(record, shootDates) {
+  if (!shootDates?.from) return true;
+  const to = shootDates.to || shootDates.from;
+  return (
+    (!record.availableFrom || record.availableFrom <= shootDates.from) &&
+    (!record.availableTo || record.availableTo >= to)
+  );
+}
+
+// Rows with the same name are one item: total owned, and how many are free for the dates
+function groupInventory(items, shootDates) {
+  const byName = new Map();
+  for (const record of items) {
+    const key = words(record.name).join(" ") || record.name.toLowerCase();
+    const group = byName.get(key) || {
+      name: record.name,
+      category: record.category,
+      owned: 0,
+      free: 0,
+    };
+    group.owned += record.quantity;
+    if (isFreeFor(record, shootDates)) group.free += record.quantity;
+    group.category = group.category || record.category;
+    byName.set(key, group);
+  }
+  return [...byName.values()];
+}
+
+/**
+ * breakdown:  validated structured breakdown
+ * inventory:  stored inventory (getInventory())
+ * shootDates: { from, to } YYYY-MM-DD; without them availability is not checked
+ *
+ * Returns [{ index, description, needed, status, label, item, substitutes, notes }], one per
+ * EQUIPMENT line in order. `item` is { name, category, owned, free } or null.
+ */
+function matchEquipment(breakdown, inventory, shootDates = null) {
+  const equipment = breakdown.sections?.find((s) => s.id === "equipment")?.items || [];
+  const groups = groupInventory(inventory?.items || [], shootDates);
+
+  return equipment.map((line, index) => {
+    const lineWords = new Set(words(`${line.description} ${line.notes || ""}`));
+    const scored = groups
+      .map((group) => ({ group, score: matchScore(lineWords, group.name) }))
+      .filter((s) => s.score > 0)
+      .sort((a, b) => b.score - a.score || b.group.free - a.group.free);
+
+    const match = scored[0]?.score >= MIN_MATCH_SCORE ? scored[0].group : null;
+    const needed = itemQuantity(line);
+
+    let status = "rental";
+    if (match) status = match.free >= needed ? "available" : "booked";
+
+    // Same category as the match; for kit we don't own, a category the line names ("... camera")
+    // or that of the closest partial match
+    const category =
+      match?.category ||
+      groups.find((g) => g.category && matchScore(lineWords, g.category) === 1)?.category ||
+      scored[0]?.group.category ||
+      null;
+    const substitutes =
+      status === "available" || !category
+        ? []
+        : groups
+            .filter((g) => g !== match && g.category === category && g.free > 0)
+            .sort((a, b) => matchScore(lineWords, b.name) - matchScore(lineWords, a.name))
+            .slice(0, MAX_SUBSTITUTES)
+            .map(({ name, free }) => ({ name, free }));
+
+    const notes = [];
+    if (match && status === "booked") {
+      notes.push(`${match.free} of ${needed} free for the shoot dates, ${match.owned} owned`);
+    }
+    if (match && !shootDates?.from) notes.push("Shoot dates not set; availability not checked");
+
+    return {
+      index,
+      description: line.description,
+      needed,
+      status,
+      label: INVENTORY_STATUSES[status],
+      item: match ? { ...match } : null,
+      substitutes,
+      notes: notes.join("; ") || null,
+    };
+  });
+}
+
+/**
+ * One line of text for a match, used where the exports only have a notes column:
+ * "Owned – booked: ARRI Alexa Mini (1 of 2 free ...). Substitutes: Sony FX9 (2 free)"
+ */
+function describeMatch(match) {
+  let text = match.label;
+  if (match.item) text += `: ${match.item.name}`;
+  if (match.notes) text += ` (${match.notes})`;
+  if (match.substitutes.length) {
+    text += `. Substitutes: ${match.substitutes.map((s) => `${s.name} (${s.free} free)`).join(", ")}`;
+  }
+  return text;
+}
+
+/**
+ * Copy of the breakdown with each equipment line's inventory result added to its notes,
+ * for the exports that render items as they are (Word, PDF).
+ */
+function annotateEquipment(breakdown, matches) {
+  return {
+    ...breakdown,
+    sections: breakdown.sections.map((section) =>
+      section.id !== "equipment"
+        ? section
+        : {
+            ...section,
+            items: section.items.map((item, idx) => {
+              const match = matches[idx];
+              if (!match) return item;
+              const note = `Inventory: ${describeMatch(match)}`;
+              return { ...item, notes: item.notes ? `${item.notes}\n${note}` : note };
+            }),
+          }
+    ),
+  };
+}
+
+module.exports = {
+  INVENTORY_STATUSES,
+  parseInventory,
+  getInventory,
+  saveInventory,
+  clearInventory,
+  matchEquipment,
+  describeMatch,
+  annotateEquipment,
+};
@@ -0,0 +1,307 @@
+/**
+ * ----------------------------
+ * Background job queue
+ * ----------------------------
+ *
+ * Long generations run as jobs so the HTTP request that submits them returns immediately
+ * (no proxy / browser timeouts) and the work carries on if the tab is closed.
+ *
+ * Job record (persisted to DATA_DIR/jobs/<id>.json on every status change):
+ *  {
+ *    id, type, status: "queued" | "running" | "succeeded" | "failed" | "cancelled",
+ *    createdAt, startedAt, finishedAt,
+ *    projectId,                 // set as soon as it is known (result / request)
+ *    uploads: [path],           // temporary upload files, deleted when the job ends
+ *    progress: [{ event, data, at }],   // every progress event except streamed tokens
+ *    preview,                   // tail of the streamed breakdown text (in memory only)
+ *    error, result
+ *  }
+ *
+ * Runners receive { onProgress, signal } and should stop promptly once `signal` aborts.
+ * A job's `cleanup` runs and its `uploads` are deleted once when it ends, including when it is
+ * cancelled before its runner ever started. The upload paths are persisted, so a job interrupted
+ * by a restart has them deleted by restore(). Finished jobs are dropped from memory and disk after
+ * JOB_RETENTION_MS.
+ */
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+
+const { DATA_DIR } = require("./project-store");
+
+const JOBS_DIR = path.join(DATA_DIR, "jobs");
+
+// Finished jobs are kept this long so a user can still pick up the result later
+const JOB_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// How often expired jobs are looked for
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// How much of the streamed breakdown text we keep for polling clients
+const PREVIEW_CHARS = 1500;
+
+const ACTIVE_STATUSES = ["queued", "running"];
+
+function publicJob(job, { since = 0 } = {}) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    projectId: job.projectId,
+    progress: job.progress.slice(since),
+    progressCount: job.progress.length,
+    preview: job.preview || "",
+    error: job.error,
+    result: job.result,
+  };
+}
+
+// Upload files a job leaves behind (a successful job has moved its uploads away already)
+async function removeUploads(paths) {
+  for (const file of paths || []) {
+    await fs.unlink(file).catch(() => {});
+  }
+}
+
+function createJobQueue({ concurrency = 2 } = {}) {
+  const jobs = new Map();
+  const controllers = new Map(); // jobId -> AbortController
+  const runners = new Map(); // jobId -> runner (queued jobs only)
+  const cleanups = new Map(); // jobId -> cleanup() (until the job has ended)
+  const waiting = [];
+  let running = 0;
+
+  async function persist(job) {
+    await fs.mkdir(JOBS_DIR, { recursive: true });
+    const { preview, ...stored } = job;
+    const file = path.join(JOBS_DIR, `${job.id}.json`);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(stored, null, 2));
+    await fs.rename(tmp, file);
+  }
+
+  // Saves for one job are chained so an older snapshot can never land after a newer one
+  const saveChains = new Map();
+
+  function save(job) {
+    const previous = saveChains.get(job.id) || Promise.resolve();
+    const next = previous
+      .then(() => persist(job))
+      .catch((err) =>
+        console.error(`Failed to persist job ${job.id}:`, err.message)
+      );
+    saveChains.set(job.id, next);
+    next.then(() => {
+      if (saveChains.get(job.id) === next) saveChains.delete(job.id);
+    });
+  }
+
+  function finish(job, status, fields = {}) {
+    const uploads = job.uploads;
+    Object.assign(job, fields, {
+      status,
+      finishedAt: new Date().toISOString(),
+      uploads: [],
+    });
+    controllers.delete(job.id);
+    runners.delete(job.id);
+    save(job);
+
+    const cleanup = cleanups.get(job.id);
+    cleanups.delete(job.id);
+    Promise.resolve()
+      .then(cleanup)
+      .then(() => removeUploads(uploads))
+      .catch((err) => console.error(`Cleanup failed for job ${job.id}:`, err.message));
+  }
+
+  function expired(job, now) {
+    return (
+      !ACTIVE_STATUSES.includes(job.status) &&
+      now - Date.parse(job.finishedAt) > JOB_RETENTION_MS
+    );
+  }
+
+  // Forget finished jobs past the retention period (memory and disk)
+  async function prune() {
+    const now = Date.now();
+    for (const job of [...jobs.values()].filter((j) => expired(j, now))) {
+      jobs.delete(job.id);
+      await fs.unlink(path.join(JOBS_DIR, `${job.id}.json`)).catch(() => {});
+    }
+  }
+
+  setInterval(() => {
+    prune().catch((err) => console.error("Failed to prune jobs:", err.message));
+  }, PRUNE_INTERVAL_MS).unref();
+
+  function pump() {
+    while (running < concurrency && waiting.length) {
+      const jobId = waiting.shift();
+      const job = jobs.get(jobId);
+      if (!job || job.status !== "queued") continue;
+      running++;
+      run(job).finally(() => {
+        running--;
+        pump();
+      });
+    }
+  }
+
+  async function run(job) {
+    const runner = runners.get(job.id);
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    save(job);
+
+    const onProgress = (event, data) => {
+      if (event === "token") {
+        job.preview = ((job.preview || "") + data.text).slice(-PREVIEW_CHARS);
+        return;
+      }
+      if (event === "final-started") job.preview = "";
+      job.progress.push({ event, data, at: new Date().toISOString() });
+    };
+
+    try {
+      const result = await runner({ onProgress, signal: controller.signal });
+      if (controller.signal.aborted) {
+        finish(job, "cancelled");
+        return;
+      }
+      finish(job, "succeeded", {
+        result,
+        projectId: result?.projectId || job.projectId,
+      });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        finish(job, "cancelled");
+        return;
+      }
+      if (!error.status) console.error(`Job ${job.id} failed:`, error);
+      finish(job, "failed", {
+        error: {
+          message: error.status ? error.message : "Job failed",
+          status: error.status || 500,
+          ...error.extra,
+        },
+      });
+    }
+  }
+
+  /**
+   * Queue a job. `runner({ onProgress, signal })` does the work and resolves to the result;
+   * `cleanup()` runs and the `uploads` files are deleted after it however the job ends (also
+   * when it is cancelled while queued, or interrupted by a restart).
+   * Returns the public job record.
+   */
+  function submit(type, runner, { projectId = null, cleanup = null, uploads = [] } = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: "queued",
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      projectId,
+      uploads,
+      progress: [],
+      preview: "",
+      error: null,
+      result: null,
+    };
+
+    jobs.set(job.id, job);
+    runners.set(job.id, runner);
+    if (cleanup) cleanups.set(job.id, cleanup);
+    waiting.push(job.id);
+    save(job);
+    pump();
+    return publicJob(job);
+  }
+
+  function get(jobId, options) {
+    const job = jobs.get(jobId);
+    return job ? publicJob(job, options) : null;
+  }
+
+  function list({ activeOnly = false } = {}) {
+    return [...jobs.values()]
+      .filter((job) => !activeOnly || ACTIVE_STATUSES.includes(job.status))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map((job) => {
+        const { progress, result, ...summary } = publicJob(job);
+        return summary;
+      });
+  }
+
+  /**
+   * Cancel a queued or running job. Running jobs are aborted via their AbortSignal,
+   * which stops any remaining (and in-flight) Claude calls.
+   * Returns the job, or null if it doesn't exist.
+   */
+  function cancel(jobId) {
+    const job = jobs.get(jobId);
+    if (!job) return null;
+
+    if (job.status === "queued") {
+      finish(job, "cancelled");
+    } else if (job.status === "running") {
+      controllers.get(jobId)?.abort();
+    }
+    return publicJob(job);
+  }
+
+  /**
+   * Load persisted jobs (call once at startup). Jobs that were still active when the
+   * server stopped can't be resumed, so they're marked failed and their uploads deleted; old
+   * finished jobs are pruned.
+   */
+  async function restore() {
+    let entries = [];
+    try {
+      entries = await fs.readdir(JOBS_DIR);
+    } catch (err) {
+      if (err.code === "ENOENT") return;
+      throw err;
+    }
+
+    const now = Date.now();
+    for (const entry of entries.filter((e) => e.endsWith(".json"))) {
+      const file = path.join(JOBS_DIR, entry);
+      try {
+        const job = JSON.parse(await fs.readFile(file, "utf8"));
+
+        if (ACTIVE_STATUSES.includes(job.status)) {
+          await removeUploads(job.uploads);
+          job.uploads = [];
+          job.status = "failed";
+          job.finishedAt = new Date().toISOString();
+          job.error = {
+            message: "Interrupted by a server restart. Please submit it again.",
+            status: 500,
+          };
+          save(job);
+        } else if (expired(job, now)) {
+          await fs.unlink(file).catch(() => {});
+          continue;
+        }
+
+        job.preview = "";
+        jobs.set(job.id, job);
+      } catch (err) {
+        console.error(`Skipping unreadable job ${entry}:`, err.message);
+      }
+    }
+  }
+
+  return { submit, get, list, cancel, restore };
+}
+
+module.exports = { createJobQueue };
@@ -0,0 +1,137 @@
+/**
+ * ----------------------------
+ * Locked items
+ * ----------------------------
+ *
+ * An item edited by hand can be marked `locked: true` (inline editing in the results view). AI
+ * revisions must return locked items exactly as they are. Claude is told so, and
+ * enforceLockedItems() checks its reply against the breakdown it revised:
+ *
+ *  - a locked item that comes back identical is kept where Claude put it
+ *  - one that comes back changed (same or similar description, or still flagged locked) is put
+ *    back as it was
+ *  - one that is missing is put back at its old position in the section; if Claude moved it to
+ *    another section, that copy (same description) is removed so the item isn't listed twice
+ *  - `locked` on any other item is dropped (only a person can lock a line)
+ *
+ * Every restored item is reported, so the revision can say what Claude tried to change.
+ */
+const { SIMILARITY_THRESHOLD, similarity } = require("./breakdown-diff");
+
+const LOCKED_ITEMS_INSTRUCTION =
+  'Items with "locked": true were set by hand. Return every locked item exactly as it is ' +
+  "(same section, same fields, \"locked\": true) even if the feedback seems to contradict it, " +
+  "and never add \"locked\" to other items.";
+
+const ITEM_FIELDS = ["description", "quantity", "status", "group", "notes", "citation", "locked"];
+
+function normalizeDescription(text) {
+  return String(text || "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function sameItem(a, b) {
+  return ITEM_FIELDS.every(
+    (field) => JSON.stringify(a[field] ?? null) === JSON.stringify(b[field] ?? null)
+  );
+}
+
+function hasLockedItems(breakdown) {
+  return (breakdown?.sections || []).some((s) => s.items.some((item) => item.locked === true));
+}
+
+// Item without the `locked` flag (for items Claude marked locked on its own)
+function unlocked(item) {
+  const { locked, ...rest } = item;
+  return rest;
+}
+
+/**
+ * before: breakdown that was sent for revision
+ * after:  Claude's revision of it (validated, same sections)
+ *
+ * Returns { breakdown, restored: [{ sectionId, sectionTitle, description, reason }] } where
+ * reason is "changed", "moved" or "removed". `after` itself is not modified.
+ */
+function enforceLockedItems(before, after) {
+  const restored = [];
+
+  const checked = after.sections.map((section) => {
+    const locked = (before.sections.find((s) => s.id === section.id)?.items || [])
+      .map((item, index) => ({ item, index }))
+      .filter(({ item }) => item.locked === true);
+
+    const items = [...section.items];
+    const kept = new Set(); // positions in `items` that hold a locked item
+
+    for (const { item, index } of locked) {
+      const free = (i) => !kept.has(i);
+      const exact = items.findIndex((candidate, i) => free(i) && sameItem(candidate, item));
+      if (exact !== -1) {
+        kept.add(exact);
+        continue;
+      }
+
+      const key = normalizeDescription(item.description);
+      let changed = items.findIndex(
+        (candidate, i) => free(i) && normalizeDescription(candidate.description) === key
+      );
+      if (changed === -1) {
+        // "4 shoot days" -> "3 shoot days": the closest description, as in lib/breakdown-diff.js
+        let best = SIMILARITY_THRESHOLD;
+        items.forEach((candidate, i) => {
+          const score = free(i) ? similarity(candidate.description, item.description) : 0;
+          if (score >= best) {
+            best = score;
+            changed = i;
+          }
+        });
+      }
+      if (changed === -1) {
+        changed = items.findIndex((candidate, i) => free(i) && candidate.locked === true);
+      }
+
+      if (changed !== -1) {
+        items[changed] = item;
+        kept.add(changed);
+      } else {
+        const at = Math.min(index, items.length);
+        items.splice(at, 0, item);
+        // Positions after the insert move up by one
+        const shifted = [...kept].map((i) => (i >= at ? i + 1 : i));
+        kept.clear();
+        shifted.forEach((i) => kept.add(i));
+        kept.add(at);
+      }
+      restored.push({
+        sectionId: section.id,
+        sectionTitle: section.title,
+        description: item.description,
+        reason: changed !== -1 ? "changed" : "removed",
+      });
+    }
+
+    return { section, items, kept };
+  });
+
+  // Copies of a missing locked item that Claude put in another section
+  const missing = restored.filter((r) => r.reason === "removed");
+  const sections = checked.map(({ section, items, kept }) => ({
+    ...section,
+    items: items
+      .map((item, i) => (kept.has(i) || item.locked !== true ? item : unlocked(item)))
+      .filter((item, i) => {
+        if (kept.has(i)) return true;
+        const original = missing.find(
+          (r) =>
+            r.sectionId !== section.id &&
+            normalizeDescription(r.description) === normalizeDescription(item.description)
+        );
+        if (original) original.reason = "moved";
+        return !original;
+      }),
+  }));
+
+  return { breakdown: { ...after, sections }, restored };
+}
+
+module.exports = { LOCKED_ITEMS_INSTRUCTION, hasLockedItems, enforceLockedItems };
@@ -0,0 +1,99 @@
+/**
+ * ----------------------------
+ * Markdown in model-written item text
+ * ----------------------------
+ *
+ * Item descriptions / notes are free text from the model and sometimes contain markdown. The
+ * exports (Word, PDF) render it instead of printing the asterisks and pipes. Only the subset the
+ * model actually uses is recognised:
+ *  - inline: **bold** / __bold__, *italic*, `code`
+ *  - blocks: "- " / "* " / "• " bullets, "1. " / "1) " numbered lines (indent = nesting),
+ *            | pipe | tables (an optional |---| line marks the first row as header)
+ */
+
+const INLINE_PATTERN = /(\*\*[^*]+\*\*|__[^_]+__|\*[^*\s][^*]*\*|`[^`]+`)/;
+
+/**
+ * "**Lead** actor, *tbc*" -> [{ text: "Lead", bold: true }, { text: " actor, " }, { text: "tbc", italics: true }]
+ */
+function parseInline(text) {
+  return String(text || "")
+    .split(INLINE_PATTERN)
+    .filter(Boolean)
+    .map((part) => {
+      if (/^(\*\*|__)/.test(part)) return { text: part.slice(2, -2), bold: true };
+      if (part.startsWith("`")) return { text: part.slice(1, -1), code: true };
+      if (/^\*[^*]/.test(part)) return { text: part.slice(1, -1), italics: true };
+      return { text: part };
+    });
+}
+
+// Inline markers removed, for places that can only show plain text
+function stripInline(text) {
+  return parseInline(text)
+    .map((span) => span.text)
+    .join("");
+}
+
+const BULLET_LINE = /^(\s*)[-*•]\s+(.*)$/;
+const NUMBERED_LINE = /^(\s*)\d+[.)]\s+(.*)$/;
+const TABLE_LINE = /^\s*\|.*\|\s*$/;
+const TABLE_SEPARATOR = /^\s*\|?[\s:|-]+\|?\s*$/;
+
+function tableCells(line) {
+  return line
+    .trim()
+    .replace(/^\||\|$/g, "")
+    .split("|")
+    .map((c) => c.trim());
+}
+
+/**
+ * Multi-line text -> blocks:
+ *  { type: "paragraph", text }
+ *  { type: "list", ordered: bool, depth: 0.., text }   one per list line
+ *  { type: "table", hasHeader: bool, rows: [[cell text]] }
+ * Block text still contains inline markdown (use parseInline()).
+ */
+function parseBlocks(text) {
+  const lines = String(text || "").replace(/\r\n/g, "\n").split("\n");
+  const blocks = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.trim()) continue;
+
+    if (TABLE_LINE.test(line)) {
+      const tableLines = [];
+      while (i < lines.length && TABLE_LINE.test(lines[i])) tableLines.push(lines[i++]);
+      i--;
+      const rows = tableLines.filter((l) => !TABLE_SEPARATOR.test(l)).map(tableCells);
+      const columns = Math.max(...rows.map((r) => r.length));
+      blocks.push({
+        type: "table",
+        hasHeader: tableLines.length > 1 && TABLE_SEPARATOR.test(tableLines[1]),
+        rows: rows.map((r) => Array.from({ length: columns }, (_, c) => r[c] || "")),
+      });
+      continue;
+    }
+
+    const bullet = line.match(BULLET_LINE);
+    const numbered = !bullet && line.match(NUMBERED_LINE);
+    const match = bullet || numbered;
+    if (match) {
+      blocks.push({
+        type: "list",
+        ordered: !bullet,
+        depth: Math.floor(match[1].length / 2),
+        text: match[2],
+      });
+      continue;
+    }
+
+    blocks.push({ type: "paragraph", text: line.trim() });
+  }
+
+  return blocks;
+}
+
+module.exports = { parseInline, stripInline, parseBlocks };
@@ -0,0 +1,593 @@
+/**
+ * ----------------------------
+ * PDF export of a breakdown
+ * ----------------------------
+ *
+ * Same layout as the Word export (lib/docx-export.js), rendered locally with pdfkit:
+ *  - branded title page (TA PROD wordmark) with project, client, job number, date, version
+ *  - contents page: clickable section links with page numbers, plus PDF bookmarks (outline)
+ *  - crew / equipment as tables, other sections as bulleted lists, questions numbered
+ *  - colour-coded status tags, numbered source references ([n]) listed under SOURCES at the end
+ *  - with a budget (lib/budget.js): a BUDGET section (top sheet and line items) before SOURCES
+ *  - footer on every page after the title page: wordmark + "Page n of N"
+ *
+ * Text is set in DejaVu Sans (embedded from the dejavu-fonts-ttf package) rather than the built-in
+ * Helvetica, which only covers Latin (WinAnsi): client and project text in Cyrillic, Greek, with
+ * arrows, accents or other symbols comes out as written. DejaVu has no CJK or colour emoji glyphs.
+ */
+const path = require("path");
+const PDFDocument = require("pdfkit");
+
+const { DEFAULT_EXPORT_LAYOUT, formatCitation } = require("./breakdown");
+const { parseInline, stripInline, parseBlocks } = require("./markdown");
+const { STATUS_STYLES, BUDGET_TOP_SHEET_SHARES, BUDGET_LINE_SHARES } = require("./docx-export");
+const { budgetDocumentTables } = require("./budget");
+
+const BRAND_RED = "#D63A36";
+const TEXT_COLOR = "#111111";
+const MUTED_COLOR = "#666666";
+
+const FONT_DIR = path.join(path.dirname(require.resolve("dejavu-fonts-ttf/package.json")), "ttf");
+
+// Registered on every document under these names (registerFonts())
+const FONT_FILES = {
+  regular: "DejaVuSans.ttf",
+  bold: "DejaVuSans-Bold.ttf",
+  italics: "DejaVuSans-Oblique.ttf",
+  boldItalics: "DejaVuSans-BoldOblique.ttf",
+  code: "DejaVuSansMono.ttf",
+};
+
+const FONTS = Object.fromEntries(Object.keys(FONT_FILES).map((key) => [key, `dejavu-${key}`]));
+
+function registerFonts(doc) {
+  for (const [key, file] of Object.entries(FONT_FILES)) {
+    doc.registerFont(FONTS[key], path.join(FONT_DIR, file));
+  }
+  doc.font(FONTS.regular);
+}
+
+const PAGE = { size: "LETTER", margin: 72 };
+const FOOTER_OFFSET = 40; // footer baseline distance from the bottom edge
+const BODY_SIZE = 10;
+const TABLE_SIZE = 9;
+const CELL_PADDING = 4;
+const LIST_INDENT = 18;
+
+// Same columns as the Word table; Status is wide enough for "RECOMMENDED" on one line
+const TABLE_COLUMNS = [
+  { header: "Qty", share: 0.07 },
+  { header: "Item", share: 0.4 },
+  { header: "Status", share: 0.2 },
+  { header: "Notes", share: 0.33 },
+];
+
+function fontFor(span) {
+  if (span.code) return FONTS.code;
+  if (span.bold && span.italics) return FONTS.boldItalics;
+  if (span.bold) return FONTS.bold;
+  if (span.italics) return FONTS.italics;
+  return FONTS.regular;
+}
+
+function contentWidth(doc) {
+  return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+function pageBottom(doc) {
+  return doc.page.height - doc.page.margins.bottom;
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > pageBottom(doc)) doc.addPage();
+}
+
+// "TA" bold + "PROD" regular next to the red brand mark, as in the app header
+function drawWordmark(doc, x, y, size) {
+  const mark = size * 1.1;
+  doc.save().roundedRect(x, y, mark, mark, mark * 0.22).fill(BRAND_RED).restore();
+
+  const textX = x + mark + size * 0.7;
+  const spacing = size * 0.08;
+  doc
+    .font(FONTS.bold)
+    .fontSize(size)
+    .fillColor(TEXT_COLOR)
+    .text("TA", textX, y + mark * 0.1, { characterSpacing: spacing, lineBreak: false });
+  const taWidth = doc.widthOfString("TA", { characterSpacing: spacing });
+  doc
+    .font(FONTS.regular)
+    .text("PROD", textX + taWidth, y + mark * 0.1, { characterSpacing: spacing, lineBreak: false });
+}
+
+/**
+ * One paragraph of spans ({ text, bold, italics, code, color, size }) starting at (x, doc.y),
+ * wrapping at `width`.
+ */
+function writeSpans(doc, spans, { x, width, size = BODY_SIZE, color = TEXT_COLOR }) {
+  const parts = spans.filter((s) => s.text);
+  if (!parts.length) return;
+
+  const y = doc.y;
+  parts.forEach((span, idx) => {
+    doc
+      .font(fontFor(span))
+      .fontSize(span.size || size)
+      .fillColor(span.color || color);
+    const options = { continued: idx < parts.length - 1, width };
+    if (idx === 0) doc.text(span.text, x, y, options);
+    else doc.text(span.text, options);
+  });
+  doc.fillColor(TEXT_COLOR);
+}
+
+function statusSpan(status) {
+  return { text: `[${status}]`, bold: true, color: `#${STATUS_STYLES[status]?.color || "000000"}` };
+}
+
+function heading1(doc, title, destination) {
+  ensureSpace(doc, 60);
+  doc.moveDown(0.6);
+  const y = doc.y;
+  doc.addNamedDestination(destination);
+  doc.outline.addItem(title);
+  doc.font(FONTS.bold).fontSize(15).fillColor(TEXT_COLOR).text(title, doc.page.margins.left, y);
+  doc
+    .save()
+    .moveTo(doc.page.margins.left, doc.y + 2)
+    .lineTo(doc.page.margins.left + contentWidth(doc), doc.y + 2)
+    .lineWidth(1.2)
+    .strokeColor(BRAND_RED)
+    .stroke()
+    .restore();
+  doc.moveDown(0.6);
+}
+
+function heading2(doc, title) {
+  ensureSpace(doc, 40);
+  doc.moveDown(0.3);
+  doc
+    .font(FONTS.bold)
+    .fontSize(12)
+    .fillColor(TEXT_COLOR)
+    .text(title, doc.page.margins.left, doc.y);
+  doc.moveDown(0.3);
+}
+
+function listLine(doc, marker, spans, level) {
+  const x = doc.page.margins.left + LIST_INDENT * (level + 1);
+  ensureSpace(doc, 30);
+  const y = doc.y;
+  doc
+    .font(FONTS.regular)
+    .fontSize(BODY_SIZE)
+    .fillColor(TEXT_COLOR)
+    .text(marker, x - LIST_INDENT + 4, y, { width: LIST_INDENT - 4, lineBreak: false });
+  doc.y = y;
+  writeSpans(doc, spans, { x, width: doc.page.margins.left + contentWidth(doc) - x });
+  doc.moveDown(0.25);
+}
+
+/**
+ * ----------------------------
+ * Tables
+ * ----------------------------
+ */
+function cellHeight(doc, text, width, font) {
+  doc.font(font).fontSize(TABLE_SIZE);
+  return doc.heightOfString(text || " ", { width: width - CELL_PADDING * 2 }) + CELL_PADDING * 2;
+}
+
+/**
+ * rows: [{ cells: [{ text, font?, color?, fill? }], fill?, span? }]  (span: one cell across the row)
+ * The header row is repeated at the top of every page the table continues on.
+ */
+function drawTable(doc, { widths, header, rows, left = doc.page.margins.left }) {
+  const total = widths.reduce((a, b) => a + b, 0);
+
+  const drawRow = (row) => {
+    const cells = row.span
+      ? [{ ...row.cells[0], width: total }]
+      : row.cells.map((c, i) => ({ ...c, width: widths[i] }));
+    const height = Math.max(
+      ...cells.map((c) => cellHeight(doc, c.text, c.width, c.font || FONTS.regular))
+    );
+
+    if (doc.y + height > pageBottom(doc)) {
+      doc.addPage();
+      if (header && row !== header) drawRow(header);
+    }
+
+    const y = doc.y;
+    let x = left;
+    for (const c of cells) {
+      const fill = c.fill || row.fill;
+      if (fill) doc.save().rect(x, y, c.width, height).fill(fill).restore();
+      doc.save().rect(x, y, c.width, height).lineWidth(0.5).strokeColor("#BBBBBB").stroke().restore();
+      doc
+        .font(c.font || FONTS.regular)
+        .fontSize(TABLE_SIZE)
+        .fillColor(c.color || TEXT_COLOR)
+        .text(c.text || "", x + CELL_PADDING, y + CELL_PADDING, { width: c.width - CELL_PADDING * 2 });
+      x += c.width;
+    }
+    doc.fillColor(TEXT_COLOR);
+    doc.x = doc.page.margins.left;
+    doc.y = y + height;
+  };
+
+  if (header) drawRow(header);
+  rows.forEach(drawRow);
+  doc.moveDown(0.5);
+}
+
+// Notes inside a table cell are plain text: list lines keep a bullet, tables become "a | b" lines
+function plainNotes(notes) {
+  return parseBlocks(notes)
+    .flatMap((block) => {
+      if (block.type === "table") return block.rows.map((r) => r.map(stripInline).join(" | "));
+      if (block.type === "list") return [`${"  ".repeat(block.depth)}• ${stripInline(block.text)}`];
+      return [stripInline(block.text)];
+    })
+    .join("\n");
+}
+
+function markdownTable(doc, { rows, hasHeader }, x) {
+  const width = doc.page.margins.left + contentWidth(doc) - x;
+  const widths = rows[0].map(() => width / rows[0].length);
+  const toRow = (cells, bold) => ({
+    cells: cells.map((text) => ({ text: stripInline(text), font: bold ? FONTS.bold : FONTS.regular })),
+  });
+
+  drawTable(doc, {
+    widths,
+    left: x,
+    header: hasHeader ? { ...toRow(rows[0], true), fill: "#EEEEEE" } : null,
+    rows: (hasHeader ? rows.slice(1) : rows).map((r) => toRow(r, false)),
+  });
+}
+
+// Multi-line notes under a list item
+function markdownBlocks(doc, text, level) {
+  let number = 0;
+  for (const block of parseBlocks(text)) {
+    const x = doc.page.margins.left + LIST_INDENT * (level + 1);
+    if (block.type === "table") {
+      markdownTable(doc, block, x);
+    } else if (block.type === "list") {
+      number = block.ordered ? number + 1 : 0;
+      listLine(doc, block.ordered ? `${number}.` : "•", parseInline(block.text), level + 1 + block.depth);
+    } else {
+      writeSpans(doc, parseInline(block.text), {
+        x,
+        width: doc.page.margins.left + contentWidth(doc) - x,
+      });
+      doc.moveDown(0.25);
+    }
+  }
+}
+
+/**
+ * ----------------------------
+ * Breakdown
+ * ----------------------------
+ */
+function tableSection(doc, section, sourceRef) {
+  const widths = TABLE_COLUMNS.map((c) => c.share * contentWidth(doc));
+  const rows = [];
+  let currentGroup = null;
+
+  for (const item of section.items) {
+    if (item.group && item.group !== currentGroup) {
+      currentGroup = item.group;
+      rows.push({ span: true, fill: "#F2F2F2", cells: [{ text: item.group, font: FONTS.bold }] });
+    }
+
+    const style = STATUS_STYLES[item.status] || {};
+    const ref = sourceRef(item.citation);
+    rows.push({
+      cells: [
+        { text: item.quantity === null || item.quantity === undefined ? "" : String(item.quantity) },
+        { text: stripInline(item.description) + (ref ? ` ${ref}` : "") },
+        {
+          text: item.status,
+          font: FONTS.bold,
+          color: style.color && `#${style.color}`,
+          fill: style.shading && `#${style.shading}`,
+        },
+        { text: item.notes ? plainNotes(item.notes) : "" },
+      ],
+    });
+  }
+
+  drawTable(doc, {
+    widths,
+    header: {
+      fill: "#D9D9D9",
+      cells: TABLE_COLUMNS.map((c) => ({ text: c.header, font: FONTS.bold })),
+    },
+    rows,
+  });
+}
+
+function listSection(doc, section, { numbered, sourceRef }) {
+  let currentGroup = null;
+
+  section.items.forEach((item, idx) => {
+    if (item.group && item.group !== currentGroup) {
+      currentGroup = item.group;
+      heading2(doc, item.group);
+    }
+
+    const ref = sourceRef(item.citation);
+    const inlineNote = item.notes && !/\n/.test(item.notes);
+    listLine(
+      doc,
+      numbered ? `${idx + 1}.` : "•",
+      [
+        statusSpan(item.status),
+        { text: " " },
+        ...parseInline(item.description),
+        ...(ref ? [{ text: ` ${ref}`, color: MUTED_COLOR, size: 8 }] : []),
+        ...(inlineNote
+          ? [{ text: " — " }, ...parseInline(item.notes).map((s) => ({ ...s, italics: true }))]
+          : []),
+      ],
+      0
+    );
+
+    if (item.notes && !inlineNote) markdownBlocks(doc, item.notes, 0);
+  });
+}
+
+function budgetSection(doc, budget) {
+  const { summary, topSheet, lines } = budgetDocumentTables(budget);
+  const header = (cells) => ({ fill: "#D9D9D9", cells: cells.map((text) => ({ text, font: FONTS.bold })) });
+
+  for (const text of summary) {
+    writeSpans(doc, [{ text }], { x: doc.page.margins.left, width: contentWidth(doc) });
+    doc.moveDown(0.25);
+  }
+
+  heading2(doc, "Top sheet");
+  drawTable(doc, {
+    widths: BUDGET_TOP_SHEET_SHARES.map((share) => share * contentWidth(doc)),
+    header: header(topSheet.header),
+    rows: topSheet.rows.map((row) => ({
+      fill: row.total ? "#F2F2F2" : null,
+      cells: row.cells.map((text) => ({ text, font: row.total ? FONTS.bold : FONTS.regular })),
+    })),
+  });
+
+  heading2(doc, "Line items");
+  drawTable(doc, {
+    widths: BUDGET_LINE_SHARES.map((share) => share * contentWidth(doc)),
+    header: header(lines.header),
+    rows: lines.rows.map((row) => {
+      const style = STATUS_STYLES[row.status] || {};
+      return {
+        cells: row.cells.map((text) =>
+          text === row.status
+            ? {
+                text,
+                font: FONTS.bold,
+                color: style.color && `#${style.color}`,
+                fill: style.shading && `#${style.shading}`,
+              }
+            : { text }
+        ),
+      };
+    }),
+  });
+}
+
+function titlePage(doc, breakdown, meta) {
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+  const projectName = meta.projectName || breakdown.title;
+  const client = meta.client || breakdown.client;
+  const date = meta.date ? new Date(meta.date) : new Date();
+
+  drawWordmark(doc, left, doc.page.margins.top, 16);
+
+  doc.y = 250;
+  doc
+    .font(FONTS.bold)
+    .fontSize(28)
+    .fillColor(TEXT_COLOR)
+    .text("PRODUCTION BREAKDOWN", left, doc.y, { width, align: "center" });
+  doc.moveDown(1.2);
+
+  const line = (text, options = {}) =>
+    doc
+      .font(options.bold ? FONTS.bold : FONTS.regular)
+      .fontSize(options.size || 14)
+      .fillColor(options.color || TEXT_COLOR)
+      .text(text, left, doc.y, { width, align: "center" })
+      .moveDown(0.5);
+
+  if (projectName) line(projectName, { bold: true, size: 20 });
+  if (client) line(`Client: ${client}`);
+  if (meta.jobNumber) line(`Job #${meta.jobNumber}`);
+  if (meta.dates) line(`Shoot dates: ${meta.dates}`);
+  line(`Date: ${date.toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" })}`, {
+    color: MUTED_COLOR,
+  });
+  if (meta.version) line(`Version ${meta.version}`, { color: MUTED_COLOR });
+}
+
+// Contents entries are written once the section page numbers are known
+// sections: [{ id, title }]
+function contentsPage(doc, sections) {
+  doc.addPage();
+  doc.outline.addItem("Contents");
+  doc.font(FONTS.bold).fontSize(20).fillColor(TEXT_COLOR).text("Contents");
+  doc.moveDown(0.8);
+
+  return sections.map((section) => {
+    const entry = { title: section.title, destination: `section-${section.id}`, y: doc.y };
+    doc.moveDown(1.3);
+    return entry;
+  });
+}
+
+function writeContentsEntries(doc, contentsPageIndex, entries, pageOffset) {
+  doc.switchToPage(contentsPageIndex);
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+
+  for (const entry of entries) {
+    doc.font(FONTS.regular).fontSize(11).fillColor(TEXT_COLOR);
+    doc.text(entry.title, left, entry.y, { width: width - 40, goTo: entry.destination, lineBreak: false });
+    doc.text(String(entry.pageIndex - pageOffset + 1), left + width - 40, entry.y, {
+      width: 40,
+      align: "right",
+      goTo: entry.destination,
+      lineBreak: false,
+    });
+  }
+}
+
+function statusKey(doc) {
+  const spans = [{ text: "Status key: ", bold: true }];
+  Object.entries(STATUS_STYLES).forEach(([status, style], idx) => {
+    if (idx) spans.push({ text: "   " });
+    spans.push(statusSpan(status), { text: ` ${style.meaning}` });
+  });
+  writeSpans(doc, spans, { x: doc.page.margins.left, width: contentWidth(doc), size: 9 });
+  doc.moveDown(0.8);
+}
+
+// Footer on every page after the title page; numbering starts at 1 on the contents page
+function writeFooters(doc, pageOffset) {
+  const range = doc.bufferedPageRange();
+  const total = range.count - pageOffset;
+
+  for (let i = range.start + pageOffset; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // Writing below the bottom margin would otherwise start a new page
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+
+    const y = doc.page.height - FOOTER_OFFSET;
+    drawWordmark(doc, doc.page.margins.left, y - 2, 7);
+    doc
+      .font(FONTS.regular)
+      .fontSize(8)
+      .fillColor(MUTED_COLOR)
+      .text(`Page ${i - pageOffset + 1} of ${total}`, doc.page.margins.left, y, {
+        width: contentWidth(doc),
+        align: "right",
+        lineBreak: false,
+      });
+
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+/**
+ * breakdown: validated structured breakdown
+ * meta: { projectName, client, jobNumber, dates, date, version }  (all optional)
+ *   layout: { tableSections, numberedSections } from the breakdown's template (default layout if omitted)
+ *   budget: buildBudget() result to add as a BUDGET section (optional)
+ * Returns a Buffer with the PDF.
+ */
+function breakdownToPdf(breakdown, meta = {}) {
+  const layout = meta.layout || DEFAULT_EXPORT_LAYOUT;
+  return new Promise((resolve, reject) => {
+    const projectName = meta.projectName || breakdown.title;
+    const doc = new PDFDocument({
+      size: PAGE.size,
+      margin: PAGE.margin,
+      bufferPages: true,
+      info: {
+        Title: `Production Breakdown${projectName ? ` - ${projectName}` : ""}`,
+        Author: "TA PROD",
+      },
+    });
+
+    registerFonts(doc);
+
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    // Numbered source references, listed under SOURCES at the end
+    const sources = [];
+    const sourceRef = (citation) => {
+      if (!citation) return "";
+      sources.push(citation);
+      return `[${sources.length}]`;
+    };
+
+    try {
+      const sections = breakdown.sections || [];
+      const hasSources = sections.some((s) => s.items.some((i) => i.citation));
+      titlePage(doc, breakdown, meta);
+
+      const pageOffset = 1; // the title page is not numbered
+      const contentsPageIndex = doc.bufferedPageRange().count;
+      const entries = contentsPage(doc, [
+        ...sections,
+        ...(meta.budget ? [{ id: "budget", title: "BUDGET" }] : []),
+        ...(hasSources ? [{ id: "sources", title: "SOURCES" }] : []),
+      ]);
+
+      doc.addPage();
+      statusKey(doc);
+
+      sections.forEach((section, idx) => {
+        heading1(doc, section.title, entries[idx].destination);
+        entries[idx].pageIndex = doc.bufferedPageRange().count - 1;
+
+        if (!section.items.length) {
+          writeSpans(doc, [{ text: "None stated", italics: true }], {
+            x: doc.page.margins.left,
+            width: contentWidth(doc),
+          });
+          doc.moveDown(0.5);
+        } else if (layout.tableSections.includes(section.id)) {
+          tableSection(doc, section, sourceRef);
+        } else {
+          listSection(doc, section, {
+            numbered: layout.numberedSections.includes(section.id),
+            sourceRef,
+          });
+        }
+      });
+
+      if (meta.budget) {
+        const entry = entries[sections.length];
+        heading1(doc, entry.title, entry.destination);
+        entry.pageIndex = doc.bufferedPageRange().count - 1;
+        budgetSection(doc, meta.budget);
+      }
+
+      if (hasSources) {
+        const entry = entries[entries.length - 1];
+        heading1(doc, entry.title, entry.destination);
+        entry.pageIndex = doc.bufferedPageRange().count - 1;
+
+        sources.forEach((citation, idx) => {
+          const quote = citation.quote ? `: “${citation.quote}”` : "";
+          ensureSpace(doc, 24);
+          writeSpans(
+            doc,
+            [{ text: `[${idx + 1}] `, bold: true }, { text: `${formatCitation(citation)}${quote}` }],
+            { x: doc.page.margins.left, width: contentWidth(doc), size: 9 }
+          );
+          doc.moveDown(0.3);
+        });
+      }
+
+      writeContentsEntries(doc, contentsPageIndex, entries, pageOffset);
+      writeFooters(doc, pageOffset);
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+module.exports = { breakdownToPdf };
@@ -0,0 +1,336 @@
+/**
+ * ----------------------------
+ * Project store (local disk, JSON files)
+ * ----------------------------
+ *
+ * Layout (DATA_DIR defaults to ./data):
+ *
+ *  data/projects/<projectId>/
+ *    project.json            metadata + source list + every breakdown
+ *    sources/<sourceId>-<original filename>
+ *    extracted/<sourceId>.txt  text we extracted from that source (PDF/Word/txt)
+ *
+ * project.json:
+ *  {
+ *    id, name, client, jobNumber, dates, createdAt, updatedAt,
+ *    sources: [{ id, filename, storedName, mediaType, size, uploadedAt, hasExtractedText,
+ *                screenplay }],   // parsed scene table for scripts (lib/screenplay.js), else null
+ *    breakdowns: [{
+ *      id, version, createdAt,
+ *      source: "generate" | "revise" | "restore" | "answers" | "update" | "edit",
+ *      revisionRequest,           // revise only: the feedback that produced this version
+ *      sections,                  // revise only, if it was limited to some sections: their ids
+ *      restoredFrom,              // restore only: version number that was copied
+ *      editedFrom,                // edit only: version that was edited inline
+ *      answeredFrom, answersFile, // answers only: version the client questionnaire was made from,
+ *      answers,                   //   the reply's filename (also kept as a source) and
+ *                                 //   [{ number, sectionId, index, question, answer }]
+ *      updatedFrom, briefFiles,   // update only: version the new brief was applied to, the new files,
+ *      briefChanges,              //   diffBreakdowns() of the previous brief's breakdown and the new
+ *      briefBreakdown,            //   one ("what changed in the brief"), and the new brief's breakdown
+ *                                 //   on its own (compared against by the next update)
+ *      template,                  // { id, version, name } it was made with (lib/templates.js)
+ *      verification,              // source check of the CONFIRMED items (lib/grounding.js), or null
+ *      conflicts,                 // generate / update: what the uploaded files disagree on
+ *                                 //   (lib/conflicts.js), or null for a single file
+ *      lockedRestored,            // revisions: locked items Claude changed and that were put back
+ *                                 //   [{ sectionId, sectionTitle, description, reason }]
+ *      structuredBreakdown, breakdownText, warnings
+ *    }],
+ *    schedule                     // proposed shoot days for a breakdown (lib/schedule.js), or absent
+ *  }
+ *
+ * Every generation / revision / restore / set of client answers / new brief / manual edit is
+ * appended as the next numbered version; nothing is ever overwritten, so any two versions can be
+ * diffed or restored.
+ *
+ * Plain JSON files keep this dependency-free and easy to back up / inspect by hand.
+ * All writes for one project go through a per-project queue so concurrent requests can't
+ * overwrite each other's changes.
+ */
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+const PROJECTS_DIR = path.join(DATA_DIR, "projects");
+
+// Editable metadata fields (everything else is managed by the server)
+const PROJECT_META_FIELDS = ["name", "client", "jobNumber", "dates"];
+
+const ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+function isValidId(id) {
+  return typeof id === "string" && ID_PATTERN.test(id);
+}
+
+function newId() {
+  return crypto.randomUUID();
+}
+
+function projectDir(projectId) {
+  return path.join(PROJECTS_DIR, projectId);
+}
+
+function projectFile(projectId) {
+  return path.join(projectDir(projectId), "project.json");
+}
+
+function pickMeta(input) {
+  const meta = {};
+  for (const field of PROJECT_META_FIELDS) {
+    if (input?.[field] === undefined) continue;
+    meta[field] = String(input[field] ?? "").trim();
+  }
+  return meta;
+}
+
+// Write to a temp file then rename, so a crash never leaves half a project.json behind
+async function writeJsonAtomic(filePath, data) {
+  const tmp = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+  await fs.rename(tmp, filePath);
+}
+
+const writeQueues = new Map();
+
+function withProjectLock(projectId, fn) {
+  const previous = writeQueues.get(projectId) || Promise.resolve();
+  const next = previous.catch(() => {}).then(fn);
+  writeQueues.set(projectId, next);
+  next
+    .catch(() => {})
+    .then(() => {
+      if (writeQueues.get(projectId) === next) writeQueues.delete(projectId);
+    });
+  return next;
+}
+
+async function getProject(projectId) {
+  if (!isValidId(projectId)) return null;
+  try {
+    return JSON.parse(await fs.readFile(projectFile(projectId), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+function summarizeProject(project) {
+  const latest = project.breakdowns[project.breakdowns.length - 1];
+  return {
+    id: project.id,
+    name: project.name,
+    client: project.client,
+    jobNumber: project.jobNumber,
+    dates: project.dates,
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt,
+    sourceCount: project.sources.length,
+    breakdownCount: project.breakdowns.length,
+    latestBreakdownAt: latest?.createdAt || null,
+  };
+}
+
+/**
+ * List project summaries, most recently updated first.
+ */
+async function listProjects() {
+  let entries = [];
+  try {
+    entries = await fs.readdir(PROJECTS_DIR);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  const projects = [];
+  for (const entry of entries) {
+    const project = await getProject(entry).catch((err) => {
+      console.error(`Skipping unreadable project ${entry}:`, err.message);
+      return null;
+    });
+    if (project) projects.push(summarizeProject(project));
+  }
+
+  return projects.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+async function createProject(meta = {}) {
+  const now = new Date().toISOString();
+  const project = {
+    id: newId(),
+    name: "",
+    client: "",
+    jobNumber: "",
+    dates: "",
+    ...pickMeta(meta),
+    createdAt: now,
+    updatedAt: now,
+    sources: [],
+    breakdowns: [],
+  };
+
+  await fs.mkdir(path.join(projectDir(project.id), "sources"), { recursive: true });
+  await fs.mkdir(path.join(projectDir(project.id), "extracted"), { recursive: true });
+  await writeJsonAtomic(projectFile(project.id), project);
+  return project;
+}
+
+/**
+ * Load, mutate and save a project under its write lock.
+ * `mutator(project)` may modify the project in place; its return value is passed through.
+ * Resolves to { project, result } or null if the project does not exist.
+ */
+async function updateProject(projectId, mutator) {
+  if (!isValidId(projectId)) return null;
+
+  return withProjectLock(projectId, async () => {
+    const project = await getProject(projectId);
+    if (!project) return null;
+
+    const result = await mutator(project);
+    project.updatedAt = new Date().toISOString();
+    await writeJsonAtomic(projectFile(projectId), project);
+    return { project, result };
+  });
+}
+
+async function updateProjectMeta(projectId, meta) {
+  const updated = await updateProject(projectId, (project) => {
+    Object.assign(project, pickMeta(meta));
+  });
+  return updated?.project || null;
+}
+
+async function deleteProject(projectId) {
+  if (!isValidId(projectId)) return false;
+  return withProjectLock(projectId, async () => {
+    if (!(await getProject(projectId))) return false;
+    await fs.rm(projectDir(projectId), { recursive: true, force: true });
+    return true;
+  });
+}
+
+/**
+ * Move uploaded files (multer temp files) into the project and store their extracted text.
+ *
+ * files: multer file objects
+ * extractedTexts: Map<file.path, text> (files without extracted text, e.g. images, are fine)
+ * screenplays: Map<file.path, parsed scene table> (scripts only)
+ *
+ * Returns the new source records.
+ */
+async function addSources(
+  projectId,
+  files,
+  extractedTexts = new Map(),
+  screenplays = new Map()
+) {
+  const updated = await updateProject(projectId, async (project) => {
+    const added = [];
+
+    for (const file of files) {
+      const filename = file.originalname || file.filename;
+      const id = newId();
+      const storedName = `${id}-${path.basename(filename).replace(/[^a-zA-Z0-9._-]/g, "_")}`;
+      const dest = path.join(projectDir(projectId), "sources", storedName);
+
+      // rename is cheap on the same disk; fall back to copy across devices (e.g. Docker volumes)
+      await fs.rename(file.path, dest).catch(async (err) => {
+        if (err.code !== "EXDEV") throw err;
+        await fs.copyFile(file.path, dest);
+      });
+
+      const text = extractedTexts.get(file.path);
+      if (typeof text === "string") {
+        await fs.writeFile(
+          path.join(projectDir(projectId), "extracted", `${id}.txt`),
+          text
+        );
+      }
+
+      const source = {
+        id,
+        filename,
+        storedName,
+        mediaType: file.mimetype || null,
+        size: file.size ?? null,
+        uploadedAt: new Date().toISOString(),
+        hasExtractedText: typeof text === "string",
+        screenplay: screenplays.get(file.path) || null,
+      };
+      project.sources.push(source);
+      added.push(source);
+    }
+
+    return added;
+  });
+
+  return updated?.result || null;
+}
+
+function sourcePath(projectId, source) {
+  return path.join(projectDir(projectId), "sources", source.storedName);
+}
+
+async function getSourceText(projectId, sourceId) {
+  if (!isValidId(projectId) || !isValidId(sourceId)) return null;
+  try {
+    return await fs.readFile(
+      path.join(projectDir(projectId), "extracted", `${sourceId}.txt`),
+      "utf8"
+    );
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+/**
+ * Append a breakdown (generation, revision or restore) to the project as the next version.
+ * Returns the stored record.
+ */
+async function addBreakdown(projectId, record) {
+  const updated = await updateProject(projectId, (project) => {
+    const last = project.breakdowns[project.breakdowns.length - 1];
+    const stored = {
+      id: newId(),
+      version: (last?.version || project.breakdowns.length) + 1,
+      createdAt: new Date().toISOString(),
+      ...record,
+    };
+    project.breakdowns.push(stored);
+
+    // Fill in empty metadata from what the model found in the documents
+    const sb = record.structuredBreakdown;
+    if (!project.name && sb?.title) project.name = sb.title;
+    if (!project.client && sb?.client) project.client = sb.client;
+
+    return stored;
+  });
+
+  return updated?.result || null;
+}
+
+function findVersion(project, version) {
+  const number = Number(version);
+  return project.breakdowns.find((b) => b.version === number) || null;
+}
+
+module.exports = {
+  DATA_DIR,
+  PROJECT_META_FIELDS,
+  isValidId,
+  listProjects,
+  getProject,
+  createProject,
+  updateProject,
+  updateProjectMeta,
+  deleteProject,
+  addSources,
+  sourcePath,
+  getSourceText,
+  addBreakdown,
+  findVersion,
+};
@@ -0,0 +1,194 @@
+/**
+ * ----------------------------
+ * Client questionnaire
+ * ----------------------------
+ *
+ * The CONFLICTS BETWEEN DOCUMENTS, SPECIAL NOTES & QUESTIONS and MISSING/TBD INFORMATION sections,
+ * numbered, as something we can send the client:
+ *
+ *  {
+ *    title, client, version,
+ *    questions: [{ number, sectionId, sectionTitle, index, question, context }]
+ *  }
+ *
+ * `index` is the item's position in its section; `context` is the item's notes, if any.
+ * Numbers run across the sections and belong to one breakdown version, so the client's reply
+ * is read against the same version it was sent from (parseAnswers()).
+ */
+const { parseInline } = require("./markdown");
+
+const QUESTION_SECTIONS = ["conflicts", "notes", "missing"];
+
+// Replies that mean "not answered yet"
+const NON_ANSWERS = /^(?:tbc|tbd|to be confirmed|to follow|not sure( yet)?|unknown|\?+|-+)\.?$/i;
+
+// "1.", "1)", "Q1:", "Question 1 -" at the start of a line
+const QUESTION_MARKER = /^\s*(?:q(?:uestion)?\s*)?(\d{1,3})\s*[.):\-–]\s*(.*)$/i;
+
+// "Answer:" / "A:" inside a question block (the layout questionnaireToText() sends out)
+const ANSWER_LABEL = /^\s*(?:answer|a)\s*[:\-–]\s*/im;
+
+/**
+ * breakdown: validated structured breakdown
+ * version:   breakdown version the questionnaire is made from (optional)
+ */
+function buildQuestionnaire(breakdown, version = null) {
+  const questions = [];
+  for (const sectionId of QUESTION_SECTIONS) {
+    const section = breakdown.sections?.find((s) => s.id === sectionId);
+    (section?.items || []).forEach((item, index) => {
+      questions.push({
+        number: questions.length + 1,
+        sectionId,
+        sectionTitle: section.title,
+        index,
+        question: item.description.trim(),
+        context: item.notes?.trim() || null,
+      });
+    });
+  }
+
+  return {
+    title: breakdown.title || null,
+    client: breakdown.client || null,
+    version,
+    questions,
+  };
+}
+
+function heading(questionnaire, meta = {}) {
+  const projectName = meta.projectName || questionnaire.title;
+  return [
+    projectName ? `${projectName} – questions` : "Production questions",
+    (meta.client || questionnaire.client) && `Client: ${meta.client || questionnaire.client}`,
+    meta.jobNumber && `Job #${meta.jobNumber}`,
+    questionnaire.version && `Breakdown version ${questionnaire.version}`,
+  ].filter(Boolean);
+}
+
+const INSTRUCTIONS =
+  "Please write your answer under each question, keeping the numbers. " +
+  "Leave a question blank (or write TBC) if it isn't known yet.";
+
+/**
+ * Plain text version, ready to paste into an email. Every question is followed by an
+ * "Answer:" line for the client to fill in.
+ */
+function questionnaireToText(questionnaire, meta = {}) {
+  const lines = [...heading(questionnaire, meta), "", INSTRUCTIONS, ""];
+  let sectionId = null;
+
+  for (const q of questionnaire.questions) {
+    if (q.sectionId !== sectionId) {
+      sectionId = q.sectionId;
+      lines.push(q.sectionTitle, "");
+    }
+    lines.push(`${q.number}. ${plainText(q.question)}`);
+    if (q.context) lines.push(`   (${plainText(q.context.replace(/\s*\n\s*/g, " "))})`);
+    lines.push("   Answer:", "");
+  }
+
+  if (!questionnaire.questions.length) lines.push("No open questions.");
+  return `${lines.join("\n").trimEnd()}\n`;
+}
+
+// Item text may carry markdown; the text version shows it as plain words
+function plainText(text) {
+  return parseInline(text).map((span) => span.text).join("");
+}
+
+function normalize(text) {
+  return String(text || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+// The answer part of one question block: after "Answer:" if there is one, else whatever
+// follows the question / context lines the client copied back
+function answerText(block, question) {
+  const labelled = block.match(ANSWER_LABEL);
+  if (labelled) return block.slice(labelled.index + labelled[0].length).trim();
+
+  const lines = block.split("\n");
+  const copied = new Set([normalize(question.question), normalize(question.context)]);
+  while (lines.length && (!lines[0].trim() || copied.has(normalize(lines[0].replace(/^\s*\(|\)\s*$/g, ""))))) {
+    lines.shift();
+  }
+  return lines.join("\n").trim();
+}
+
+/**
+ * Read the client's reply against the questionnaire it answers.
+ *
+ * Answers are found by question number; the numbers must go up, so a numbered list inside an
+ * answer ("1. Alexa 2. FX9" under question 5) stays part of that answer. Text before the first
+ * number (greetings) and the section headings are ignored.
+ *
+ * Returns { answers: [{ number, sectionId, index, question, answer }], unanswered: [number] }
+ */
+function parseAnswers(text, questionnaire) {
+  const byNumber = new Map(questionnaire.questions.map((q) => [q.number, q]));
+  // Section headings copied back with the questions aren't part of any answer
+  const headings = new Set(questionnaire.questions.map((q) => normalize(q.sectionTitle)));
+  const blocks = new Map();
+  let current = null;
+
+  for (const line of String(text || "").replace(/\r\n?/g, "\n").split("\n")) {
+    if (line.trim() && headings.has(normalize(line))) continue;
+    const marker = line.match(QUESTION_MARKER);
+    const number = marker ? Number(marker[1]) : null;
+    if (number && byNumber.has(number) && (current === null || number > current)) {
+      current = number;
+      blocks.set(number, marker[2]);
+    } else if (current !== null) {
+      blocks.set(current, `${blocks.get(current)}\n${line}`);
+    }
+  }
+
+  const answers = [];
+  const unanswered = [];
+  for (const q of questionnaire.questions) {
+    const answer = blocks.has(q.number) ? answerText(blocks.get(q.number), q) : "";
+    if (!answer || NON_ANSWERS.test(answer)) {
+      unanswered.push(q.number);
+      continue;
+    }
+    answers.push({
+      number: q.number,
+      sectionId: q.sectionId,
+      index: q.index,
+      question: q.question,
+      answer,
+    });
+  }
+
+  return { answers, unanswered };
+}
+
+/**
+ * Copy of the breakdown without the questions that were answered (matched by section and text,
+ * since a revision may have moved items around).
+ */
+function removeAnsweredQuestions(breakdown, answers) {
+  const answered = new Set(answers.map((a) => `${a.sectionId}:${normalize(a.question)}`));
+  return {
+    ...breakdown,
+    sections: breakdown.sections.map((section) =>
+      QUESTION_SECTIONS.includes(section.id)
+        ? {
+            ...section,
+            items: section.items.filter(
+              (item) => !answered.has(`${section.id}:${normalize(item.description)}`)
+            ),
+          }
+        : section
+    ),
+  };
+}
+
+module.exports = {
+  QUESTION_SECTIONS,
+  INSTRUCTIONS,
+  buildQuestionnaire,
+  questionnaireToText,
+  parseAnswers,
+  removeAnsweredQuestions,
+};
@@ -0,0 +1,214 @@
+/**
+ * ----------------------------
+ * Rate cards (local price lists for budgeting)
+ * ----------------------------
+ *
+ * Stored as data/rate-cards/<id>.json and edited through the API; lib/budget.js prices a
+ * breakdown with one of them.
+ *
+ *  {
+ *    id, name, currency: "USD", createdAt, updatedAt,
+ *    crew:      [{ name: "Camera", match: ["dop", "camera operator"], dayRate: 1200 }],  // per department
+ *    equipment: [{ name: "Camera package", match: ["alexa", "camera kit"], dayRate: 900 }],
+ *    locations: [{ name: "Studio", match: ["stage"], dayRate: 2500 }],
+ *    transport: [{ name: "Van", match: ["sprinter"], dayRate: 180 }],
+ *    perDiem: 60,    // per crew member per shoot day
+ *    travel: 450     // per travelling crew member (return trip)
+ *  }
+ *
+ * `match` lists extra words / phrases that identify the entry in item descriptions besides its name.
+ */
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+
+const { DATA_DIR, isValidId } = require("./project-store");
+
+const RATE_CARDS_DIR = path.join(DATA_DIR, "rate-cards");
+
+// Priced categories, in top-sheet order
+const RATE_CATEGORIES = ["crew", "equipment", "locations", "transport"];
+
+/**
+ * Returns a list of problems with a rate card; empty list means valid.
+ */
+function validateRateCard(input) {
+  const errors = [];
+  if (!input || typeof input !== "object") return ["Rate card must be an object"];
+
+  if (typeof input.name !== "string" || !input.name.trim()) {
+    errors.push("name is required");
+  }
+  if (typeof input.currency !== "string" || !/^[A-Z]{3}$/.test(input.currency)) {
+    errors.push('currency must be a 3-letter code (e.g. "USD")');
+  }
+
+  for (const category of RATE_CATEGORIES) {
+    const entries = input[category];
+    if (entries === undefined) continue;
+    if (!Array.isArray(entries)) {
+      errors.push(`${category} must be a list`);
+      continue;
+    }
+    entries.forEach((entry, idx) => {
+      const where = `${category}[${idx}]`;
+      if (typeof entry?.name !== "string" || !entry.name.trim()) {
+        errors.push(`${where}.name is required`);
+      }
+      if (!Number.isFinite(entry?.dayRate) || entry.dayRate < 0) {
+        errors.push(`${where}.dayRate must be a number >= 0`);
+      }
+      if (
+        entry?.match !== undefined &&
+        !(Array.isArray(entry.match) && entry.match.every((m) => typeof m === "string"))
+      ) {
+        errors.push(`${where}.match must be a list of strings`);
+      }
+    });
+  }
+
+  for (const field of ["perDiem", "travel"]) {
+    const value = input[field];
+    if (value !== undefined && value !== null && !(Number.isFinite(value) && value >= 0)) {
+      errors.push(`${field} must be a number >= 0`);
+    }
+  }
+
+  return errors;
+}
+
+// Only the known fields, trimmed
+function normalizeRateCard(input) {
+  const entries = (list) =>
+    (list || []).map((entry) => ({
+      name: entry.name.trim(),
+      match: (entry.match || []).map((m) => m.trim()).filter(Boolean),
+      dayRate: entry.dayRate,
+    }));
+
+  return {
+    name: input.name.trim(),
+    currency: input.currency,
+    ...Object.fromEntries(RATE_CATEGORIES.map((c) => [c, entries(input[c])])),
+    perDiem: input.perDiem ?? null,
+    travel: input.travel ?? null,
+  };
+}
+
+function invalidRateCard(errors) {
+  const err = new Error("Invalid rate card");
+  err.status = 400;
+  err.details = errors;
+  return err;
+}
+
+/**
+ * ----------------------------
+ * Storage
+ * ----------------------------
+ */
+function rateCardFile(id) {
+  return path.join(RATE_CARDS_DIR, `${id}.json`);
+}
+
+async function writeRateCard(card) {
+  await fs.mkdir(RATE_CARDS_DIR, { recursive: true });
+  const file = rateCardFile(card.id);
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(card, null, 2));
+  await fs.rename(tmp, file);
+}
+
+// Read-modify-write of one card at a time, so two quick edits can't lose one another
+let writeQueue = Promise.resolve();
+function withWriteLock(fn) {
+  const next = writeQueue.catch(() => {}).then(fn);
+  writeQueue = next;
+  return next;
+}
+
+async function getRateCard(id) {
+  if (!isValidId(id)) return null;
+  try {
+    return JSON.parse(await fs.readFile(rateCardFile(id), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+// Summaries, by name
+async function listRateCards() {
+  let names = [];
+  try {
+    names = (await fs.readdir(RATE_CARDS_DIR)).filter((n) => n.endsWith(".json"));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+
+  const cards = [];
+  for (const name of names) {
+    const card = await getRateCard(name.replace(/\.json$/, "")).catch((err) => {
+      console.error(`Skipping unreadable rate card ${name}:`, err.message);
+      return null;
+    });
+    if (card) {
+      cards.push({ id: card.id, name: card.name, currency: card.currency, updatedAt: card.updatedAt });
+    }
+  }
+  return cards.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function createRateCard(input) {
+  const errors = validateRateCard(input);
+  if (errors.length) throw invalidRateCard(errors);
+
+  const now = new Date().toISOString();
+  const card = { id: crypto.randomUUID(), ...normalizeRateCard(input), createdAt: now, updatedAt: now };
+  await withWriteLock(() => writeRateCard(card));
+  return card;
+}
+
+/**
+ * Replaces the card's rates with `input` (a complete card, as returned by getRateCard()).
+ * Returns the updated card, or null if it does not exist.
+ */
+async function updateRateCard(id, input) {
+  const errors = validateRateCard(input);
+  if (errors.length) throw invalidRateCard(errors);
+
+  return withWriteLock(async () => {
+    const existing = await getRateCard(id);
+    if (!existing) return null;
+
+    const card = {
+      id: existing.id,
+      ...normalizeRateCard(input),
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString(),
+    };
+    await writeRateCard(card);
+    return card;
+  });
+}
+
+async function deleteRateCard(id) {
+  if (!isValidId(id)) return false;
+  try {
+    await fs.unlink(rateCardFile(id));
+    return true;
+  } catch (err) {
+    if (err.code === "ENOENT") return false;
+    throw err;
+  }
+}
+
+module.exports = {
+  RATE_CATEGORIES,
+  validateRateCard,
+  listRateCards,
+  getRateCard,
+  createRateCard,
+  updateRateCard,
+  deleteRateCard,
+};
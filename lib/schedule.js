@@ -0,0 +1,431 @@
+/**
+ * ----------------------------
+ * Proposed shooting schedule (stripboard)
+ * ----------------------------
+ *
+ * Groups the breakdown's locations, day/night and cast into shoot days.
+ *
+ *  Strips:
+ *   - from the breakdown (no script): one strip per LOCATIONS item and day/night, as long as the
+ *     days the item states (its quantity, like the budget); locations without a count share
+ *     the SHOOT DAYS the others leave. Cast is the TALENTS items naming the location; talent
+ *     that names none is assumed to be needed at every location.
+ *   - from a parsed script (lib/screenplay.js), when the project has one: one strip per scene,
+ *     measured in eighths of a page. Each scene's set is matched to a LOCATIONS item, so sets
+ *     at the same breakdown location (a house's kitchen and hallway) count as one location, and
+ *     talent naming that location joins the scene's cast. Locations no scene uses are listed
+ *     as unscheduled.
+ *
+ *  1) Strips are blocked by location + day/night (CONTINUOUS / LATER / SAME inherit the
+ *     previous scene's time). A block bigger than the daily limit is split in order.
+ *  2) Blocks are placed largest first into the day that suits them best:
+ *     same location (no company move) > same day/night > shared cast (no extra call day).
+ *     A block only goes into a day with room for it; otherwise a new day is opened.
+ *  3) Days are ordered so the same location shoots on consecutive days, then by script order.
+ *
+ * Breakdown strips have no pages; they're measured in the same units, a full day being the
+ * daily page limit, so both kinds fit the same limit.
+ *
+ * This is a heuristic (the exact problem is NP-hard); the UI lets the AD drag strips between
+ * days, and summarizeSchedule() recomputes totals for any arrangement.
+ *
+ * Schedule:
+ *  {
+ *    basis: "script" | "breakdown", version, sourceId, filename, maxEighthsPerDay,
+ *    createdAt, updatedAt, unscheduledLocations: [name],
+ *    days: [{ day, strips: [strip], eighths, locations: [name], cast: [name], overLimit }],
+ *    stats: { days, totalEighths, companyMoves, castDays: [{ name, days }] }
+ *  }
+ * strip: { id, source: "script" | "breakdown", order, number, heading, intExt, location, set,
+ *          timeOfDay, dayNight, eighths, days, characters, pageStart, pageEnd }
+ *   location: the breakdown location (or the script's set when no item matches)
+ *   days:     share of a shoot day (breakdown strips; null for scenes)
+ */
+const { detectShootDays } = require("./budget");
+
+const DEFAULT_MAX_PAGES_PER_DAY = 5;
+
+// Scoring weights for placing a block into an existing day
+const SAME_LOCATION_SCORE = 100;
+const SAME_DAY_NIGHT_SCORE = 20;
+const SHARED_CAST_SCORE = 5;
+const NEW_CAST_PENALTY = 3;
+
+const NIGHT_TIMES = ["NIGHT", "DUSK", "EVENING", "SUNSET"];
+
+// Sections holding the places and the people on camera, per template (lib/templates.js)
+const LOCATION_SECTION_IDS = ["locations", "venue"];
+const CAST_SECTION_IDS = ["talents", "contributors", "speakers"];
+
+const NIGHT_WORDS = /\b(night|dusk|evening|sunset)\b/i;
+const DAY_AND_NIGHT = /\b(day\s*(\/|&|and)\s*night|night\s*(\/|&|and)\s*day)\b/i;
+const EXTERIOR_WORDS = /\b(ext|exterior|outdoors?|outside)\b/i;
+const INTERIOR_WORDS = /\b(int|interior|indoors?|inside|studio)\b/i;
+
+// Words that say nothing about which place a name means
+const PLACE_STOP_WORDS = new Set(["the", "and", "int", "ext", "day", "night", "location", "set"]);
+
+function dayNightOf(timeOfDay, previous) {
+  if (!timeOfDay) return previous || "DAY";
+  if (NIGHT_TIMES.some((t) => timeOfDay.startsWith(t))) return "NIGHT";
+  if (/^(CONTINUOUS|LATER|MOMENTS LATER|SAME)/.test(timeOfDay)) return previous || "DAY";
+  return "DAY";
+}
+
+function normalizeText(text) {
+  return ` ${String(text || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim()} `;
+}
+
+function placeWords(text) {
+  return normalizeText(text)
+    .trim()
+    .split(" ")
+    .filter((w) => w.length > 2 && !PLACE_STOP_WORDS.has(w));
+}
+
+// "Family house (kitchen, hallway) - 2 days" -> "Family house"
+function shortName(item) {
+  return item.description.split(/\s+[-–—]\s+|[,(:]/)[0].trim() || item.description;
+}
+
+function itemsOf(breakdown, sectionIds) {
+  return (breakdown?.sections || [])
+    .filter((s) => sectionIds.includes(s.id))
+    .flatMap((s) => s.items);
+}
+
+function breakdownLocations(breakdown) {
+  return itemsOf(breakdown, LOCATION_SECTION_IDS).map((item) => ({
+    item,
+    name: shortName(item),
+    words: placeWords(shortName(item)),
+    text: normalizeText(`${item.description} ${item.notes || ""}`),
+  }));
+}
+
+/**
+ * Breakdown location a script set belongs to: every word of the set is in the location's
+ * description / notes, or every word of the location's name is in the set. Most shared words wins.
+ */
+function matchLocation(set, locations) {
+  const words = placeWords(set);
+  if (!words.length) return null;
+
+  let best = null;
+  for (const location of locations) {
+    const setInItem = words.every((w) => location.text.includes(` ${w} `));
+    const nameInSet = location.words.length && location.words.every((w) => words.includes(w));
+    if (!setInItem && !nameInSet) continue;
+
+    const score = location.words.filter((w) => words.includes(w)).length;
+    if (!best || score > best.score) best = { location, score };
+  }
+  return best?.location || null;
+}
+
+/**
+ * Cast per breakdown location: { byLocation: Map<location, [name]>, everywhere: [name] }.
+ * A talent item goes with the locations whose name it mentions.
+ */
+function castByLocation(breakdown, locations) {
+  const byLocation = new Map(locations.map((l) => [l, []]));
+  const everywhere = [];
+
+  for (const item of itemsOf(breakdown, CAST_SECTION_IDS)) {
+    const text = normalizeText(`${item.description} ${item.notes || ""}`);
+    const named = locations.filter(
+      (l) => l.words.length && l.words.every((w) => text.includes(` ${w} `))
+    );
+    if (named.length) named.forEach((l) => byLocation.get(l).push(shortName(item)));
+    else everywhere.push(shortName(item));
+  }
+
+  return { byLocation, everywhere };
+}
+
+function uniqueNames(names) {
+  const seen = new Set();
+  return names.filter((name) => {
+    const key = name.toUpperCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Scenes of a parsed screenplay -> strips (ids are stable: "s<index in the script>").
+ */
+function stripsFromScenes(scenes, locations, cast) {
+  let previous = null;
+  return scenes.map((scene, index) => {
+    const dayNight = dayNightOf(scene.timeOfDay, previous);
+    previous = dayNight;
+    const location = matchLocation(scene.location, locations);
+    return {
+      id: `s${index}`,
+      source: "script",
+      order: index,
+      number: scene.number,
+      heading: scene.heading,
+      intExt: scene.intExt,
+      location: location ? location.name : scene.location,
+      set: scene.location,
+      timeOfDay: scene.timeOfDay,
+      dayNight,
+      eighths: scene.eighths,
+      days: null,
+      characters: uniqueNames([
+        ...scene.characters,
+        ...(location ? cast.byLocation.get(location) : []),
+      ]),
+      pageStart: scene.pageStart,
+      pageEnd: scene.pageEnd,
+    };
+  });
+}
+
+function intExtOf(text) {
+  const exterior = EXTERIOR_WORDS.test(text);
+  const interior = INTERIOR_WORDS.test(text);
+  if (exterior && interior) return "INT/EXT";
+  return exterior ? "EXT" : interior ? "INT" : null;
+}
+
+function dayNightsOf(text) {
+  if (DAY_AND_NIGHT.test(text)) return ["DAY", "NIGHT"];
+  return [NIGHT_WORDS.test(text) ? "NIGHT" : "DAY"];
+}
+
+// 2.5 days -> [1, 1, 0.5]
+function dayParts(days) {
+  const parts = [];
+  for (let left = days; left > 0; left -= 1) parts.push(Math.min(1, left));
+  return parts;
+}
+
+/**
+ * LOCATIONS items -> strips (ids are stable: "l<item index>-<part>"). A location with a stated
+ * quantity shoots that many days; the others share what's left of the shoot days (at least an
+ * eighth of a day each), and a location that's both day and night splits its days between them.
+ */
+function stripsFromBreakdown(breakdown, locations, cast, maxEighthsPerDay) {
+  const stated = (l) => Number.isFinite(l.item.quantity) && l.item.quantity > 0;
+  const unstated = locations.filter((l) => !stated(l));
+  const statedDays = locations.filter(stated).reduce((total, l) => total + l.item.quantity, 0);
+  const shared = unstated.length
+    ? Math.max(1 / 8, (detectShootDays(breakdown).days - statedDays) / unstated.length)
+    : 0;
+
+  const strips = [];
+  locations.forEach((location, index) => {
+    const text = `${location.item.description} ${location.item.notes || ""}`;
+    const dayNights = dayNightsOf(text);
+    const days = stated(location) ? location.item.quantity : shared;
+    const characters = uniqueNames([...cast.byLocation.get(location), ...cast.everywhere]);
+
+    for (const dayNight of dayNights) {
+      for (const part of dayParts(Math.round((days / dayNights.length) * 8) / 8)) {
+        strips.push({
+          id: `l${index}-${strips.length}`,
+          source: "breakdown",
+          order: strips.length,
+          number: null,
+          heading: location.item.description,
+          intExt: intExtOf(text),
+          location: location.name,
+          set: null,
+          timeOfDay: null,
+          dayNight,
+          eighths: Math.max(1, Math.round(part * maxEighthsPerDay)),
+          days: part,
+          characters,
+          pageStart: null,
+          pageEnd: null,
+        });
+      }
+    }
+  });
+  return strips;
+}
+
+function sum(strips) {
+  return strips.reduce((total, s) => total + s.eighths, 0);
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+// Location + day/night blocks, each within the daily limit
+function buildBlocks(strips, maxEighthsPerDay) {
+  const groups = new Map();
+  for (const strip of strips) {
+    const key = `${strip.location}\u0000${strip.dayNight}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(strip);
+  }
+
+  const blocks = [];
+  for (const group of groups.values()) {
+    let current = [];
+    for (const strip of group) {
+      if (current.length && sum(current) + strip.eighths > maxEighthsPerDay) {
+        blocks.push(current);
+        current = [];
+      }
+      current.push(strip);
+    }
+    if (current.length) blocks.push(current);
+  }
+
+  return blocks.map((strips) => ({
+    strips,
+    eighths: sum(strips),
+    location: strips[0].location,
+    dayNight: strips[0].dayNight,
+    cast: unique(strips.flatMap((s) => s.characters)),
+  }));
+}
+
+function placementScore(day, block) {
+  const dayCast = new Set(day.strips.flatMap((s) => s.characters));
+  const shared = block.cast.filter((c) => dayCast.has(c)).length;
+
+  let score = SHARED_CAST_SCORE * shared - NEW_CAST_PENALTY * (block.cast.length - shared);
+  if (day.strips.some((s) => s.location === block.location)) score += SAME_LOCATION_SCORE;
+  if (day.strips.some((s) => s.dayNight === block.dayNight)) score += SAME_DAY_NIGHT_SCORE;
+  return score;
+}
+
+/**
+ * Recompute per-day totals and overall stats for an arrangement of strips.
+ * days: [[strip]]
+ */
+function summarizeSchedule(days, maxEighthsPerDay) {
+  const summarized = days
+    .filter((strips) => strips.length)
+    .map((strips, idx) => ({
+      day: idx + 1,
+      strips,
+      eighths: sum(strips),
+      locations: unique(strips.map((s) => s.location)),
+      cast: unique(strips.flatMap((s) => s.characters)).sort(),
+      overLimit: sum(strips) > maxEighthsPerDay,
+    }));
+
+  const castDays = new Map();
+  for (const day of summarized) {
+    for (const name of day.cast) castDays.set(name, (castDays.get(name) || 0) + 1);
+  }
+
+  return {
+    days: summarized,
+    stats: {
+      days: summarized.length,
+      totalEighths: summarized.reduce((total, d) => total + d.eighths, 0),
+      // Moving the unit to another location during a shoot day
+      companyMoves: summarized.reduce((total, d) => total + d.locations.length - 1, 0),
+      castDays: [...castDays.entries()]
+        .map(([name, count]) => ({ name, days: count }))
+        .sort((a, b) => b.days - a.days || a.name.localeCompare(b.name)),
+    },
+  };
+}
+
+/**
+ * breakdown: structured breakdown the schedule is for
+ * scenes:    parsed screenplay scenes, when the project has a script (else null)
+ * options:   { maxPagesPerDay }
+ * Returns { basis, maxEighthsPerDay, unscheduledLocations, days, stats } (see top of file).
+ */
+function buildSchedule(
+  { breakdown, scenes = null },
+  { maxPagesPerDay = DEFAULT_MAX_PAGES_PER_DAY } = {}
+) {
+  const maxEighthsPerDay = Math.max(1, Math.round(maxPagesPerDay * 8));
+  const locations = breakdownLocations(breakdown);
+  const cast = castByLocation(breakdown, locations);
+  const strips = scenes?.length
+    ? stripsFromScenes(scenes, locations, cast)
+    : stripsFromBreakdown(breakdown, locations, cast, maxEighthsPerDay);
+  const blocks = buildBlocks(strips, maxEighthsPerDay).sort(
+    (a, b) => b.eighths - a.eighths || a.strips[0].order - b.strips[0].order
+  );
+
+  const days = [];
+  for (const block of blocks) {
+    let best = null;
+    let bestScore = -Infinity;
+
+    for (const day of days) {
+      if (sum(day.strips) + block.eighths > maxEighthsPerDay) continue;
+      const score = placementScore(day, block);
+      if (score > bestScore) {
+        best = day;
+        bestScore = score;
+      }
+    }
+
+    if (best) best.strips.push(...block.strips);
+    else days.push({ strips: [...block.strips] });
+  }
+
+  // Keep script order within a day, and shoot each location on consecutive days
+  for (const day of days) day.strips.sort((a, b) => a.order - b.order);
+
+  // strips are in order, so the first one seen per location is its earliest
+  const firstSceneAt = new Map();
+  for (const strip of strips) {
+    if (!firstSceneAt.has(strip.location)) firstSceneAt.set(strip.location, strip.order);
+  }
+  const dayKey = (day) =>
+    Math.min(...day.strips.map((s) => firstSceneAt.get(s.location)));
+  days.sort((a, b) => dayKey(a) - dayKey(b) || a.strips[0].order - b.strips[0].order);
+
+  const scheduled = new Set(strips.map((s) => s.location));
+  return {
+    basis: scenes?.length ? "script" : "breakdown",
+    maxEighthsPerDay,
+    unscheduledLocations: locations.map((l) => l.name).filter((name) => !scheduled.has(name)),
+    ...summarizeSchedule(
+      days.map((d) => d.strips),
+      maxEighthsPerDay
+    ),
+  };
+}
+
+/**
+ * Apply a manual arrangement (drag & drop) to a schedule.
+ * arrangement: [[stripId]] (one array per day; empty days are dropped)
+ * Every strip must appear exactly once. Returns the updated { days, stats } or throws.
+ */
+function rearrangeSchedule(schedule, arrangement, maxEighthsPerDay = schedule.maxEighthsPerDay) {
+  const strips = new Map(schedule.days.flatMap((d) => d.strips).map((s) => [s.id, s]));
+
+  if (!Array.isArray(arrangement) || !arrangement.every(Array.isArray)) {
+    throw new Error("days must be an array of strip id arrays");
+  }
+
+  const seen = new Set();
+  const days = arrangement.map((ids) =>
+    ids.map((id) => {
+      if (!strips.has(id)) throw new Error(`Unknown strip "${id}"`);
+      if (seen.has(id)) throw new Error(`Strip "${id}" appears more than once`);
+      seen.add(id);
+      return strips.get(id);
+    })
+  );
+
+  if (seen.size !== strips.size) {
+    throw new Error(`${strips.size - seen.size} strip(s) missing from the arrangement`);
+  }
+
+  return { maxEighthsPerDay, ...summarizeSchedule(days, maxEighthsPerDay) };
+}
+
+module.exports = {
+  DEFAULT_MAX_PAGES_PER_DAY,
+  buildSchedule,
+  rearrangeSchedule,
+};
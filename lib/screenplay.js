@@ -0,0 +1,359 @@
+/**
+ * ----------------------------
+ * Screenplay parsing
+ * ----------------------------
+ *
+ * Deterministic scene table for uploaded scripts, so scene / talent / location counts don't
+ * depend on the model reading raw chunks the same way twice.
+ *
+ * Recognised formatting:
+ *  - Scene headings (sluglines):  INT. WAREHOUSE - NIGHT / EXT./INT. CAR (MOVING) - DAY /
+ *    12A  I/E. KITCHEN - CONTINUOUS  12A   (numbered scripts repeat the number on both sides)
+ *  - Character cues: an upper-case name line (optionally "(V.O.)", "(CONT'D)"...) followed by
+ *    dialogue or a parenthetical
+ *  - Parentheticals: "(beat)" lines under a cue; they belong to the dialogue, never a cue
+ *
+ * parseScreenplay(pages) returns:
+ *  {
+ *    scenes: [{ number, heading, intExt: "INT" | "EXT" | "INT/EXT", location, timeOfDay,
+ *               modifiers: ["FLASHBACK", ..], characters: [name], pageStart, pageEnd, eighths }],
+ *    characters: [{ name, scenes: [number] }],     // speaking roles, most scenes first
+ *    locations: [{ name, intExt: [..], scenes: [number] }],
+ *    totalEighths
+ *  }
+ *
+ * Scene length is measured in eighths of a page, the way stripboards do it: each scene gets its
+ * share of the lines on every page it covers (minimum 1/8). Documents without page numbers
+ * (Word / text) assume a standard 55-line page, with long paragraphs wrapped at ~60 characters.
+ */
+
+const SCENE_HEADING_PATTERN =
+  /^\s*(?:([0-9]+[A-Z]{0,2})[.)]?\s+)?((?:INT\.?\s*\/\s*EXT|EXT\.?\s*\/\s*INT|INT|EXT|I\s*\/\s*E)[.\s].*?)(?:\s+\1)?\s*$/;
+
+// A document needs at least this many sluglines before we treat it as a script
+const MIN_SCENE_HEADINGS = 3;
+
+function isSceneHeading(line) {
+  const trimmed = String(line || "").trim();
+  // Sluglines are upper case; this filters out prose that happens to start with "Int"
+  return (
+    trimmed.length <= 120 &&
+    trimmed === trimmed.toUpperCase() &&
+    SCENE_HEADING_PATTERN.test(trimmed)
+  );
+}
+
+function looksLikeScreenplay(text) {
+  let count = 0;
+  for (const line of String(text || "").split("\n")) {
+    if (isSceneHeading(line) && ++count >= MIN_SCENE_HEADINGS) return true;
+  }
+  return false;
+}
+
+const INT_EXT_PATTERN = /^(INT\.?\s*\/\s*EXT|EXT\.?\s*\/\s*INT|INT|EXT|I\s*\/\s*E)\.?\s*/;
+
+const TIMES_OF_DAY = [
+  "DAY",
+  "NIGHT",
+  "MORNING",
+  "AFTERNOON",
+  "EVENING",
+  "DAWN",
+  "DUSK",
+  "SUNRISE",
+  "SUNSET",
+  "MAGIC HOUR",
+  "CONTINUOUS",
+  "LATER",
+  "MOMENTS LATER",
+  "SAME",
+];
+
+// Heading parts that qualify a scene rather than name its set: "EXT. PARK - DAY - FLASHBACK"
+const SCENE_MODIFIERS = [
+  "FLASHBACK",
+  "FLASH BACK",
+  "DREAM",
+  "DREAM SEQUENCE",
+  "FANTASY",
+  "MONTAGE",
+  "SERIES OF SHOTS",
+  "INTERCUT",
+  "PRESENT",
+  "PRESENT DAY",
+  "SLOW MOTION",
+  "STOCK FOOTAGE",
+];
+
+// Standard script page (used when the document has no page numbers): 55 lines of ~60 characters
+const LINES_PER_PAGE = 55;
+const CHARS_PER_LINE = 60;
+
+const TRANSITION_PATTERN =
+  /^(FADE (IN|OUT|TO)|CUT TO|SMASH CUT|MATCH CUT|JUMP CUT|DISSOLVE TO|WIPE TO|THE END|END CREDITS|CONTINUED|\(?CONTINUED\)?|\(?MORE\)?)\b|TO:$/;
+
+function parseSceneHeading(line) {
+  const trimmed = String(line || "").trim();
+  if (!isSceneHeading(trimmed)) return null;
+
+  const [, number, body] = trimmed.match(SCENE_HEADING_PATTERN);
+  const prefix = body.match(INT_EXT_PATTERN);
+  const intExt = prefix[1].includes("/")
+    ? "INT/EXT"
+    : prefix[1].startsWith("I")
+      ? "INT"
+      : "EXT";
+
+  // The first part is the set; any later one may hold the time of day ("DAY (1985)" -> DAY) or
+  // a modifier. Everything after the time of day is a modifier too.
+  const [set, ...rest] = body
+    .slice(prefix[0].length)
+    .trim()
+    .split(/\s+[-–—]+\s+/)
+    .map((p) => p.replace(/[.\s]+$/, "").trim());
+  const location = [set];
+  const modifiers = [];
+  let timeOfDay = null;
+  for (const part of rest) {
+    const time = timeOfDay ? null : timeOfDayIn(part);
+    if (time) {
+      timeOfDay = time;
+      const extra = part.slice(time.length).replace(/^[\s(]+|[\s)]+$/g, "");
+      if (extra) modifiers.push(extra);
+    } else if (timeOfDay || SCENE_MODIFIERS.includes(part.replace(/^\(|\)$/g, ""))) {
+      modifiers.push(part.replace(/^\(|\)$/g, ""));
+    } else {
+      location.push(part);
+    }
+  }
+
+  return {
+    number: number || null,
+    heading: body.trim(),
+    intExt,
+    location: location.join(" - ").trim(),
+    timeOfDay,
+    modifiers,
+  };
+}
+
+// "DAY (1985)" / "NIGHT." -> "DAY" / "NIGHT"; "DAYS LATER" is not "DAY"
+function timeOfDayIn(part) {
+  return (
+    [...TIMES_OF_DAY]
+      .sort((a, b) => b.length - a.length)
+      .find((t) => part === t || new RegExp(`^${t}\\b(?![\\w'])`).test(part)) || null
+  );
+}
+
+/**
+ * Numbers for unnumbered scenes. Fully unnumbered scripts count 1, 2, 3...; in a numbered script
+ * a scene without a number is an insert after the previous one (12 -> 12A -> 12B), and a number
+ * the script already uses is never given out again.
+ */
+function numberScenes(scenes) {
+  const taken = new Set(scenes.map((s) => s.number).filter(Boolean));
+  const numbered = taken.size > 0;
+  let previous = null;
+
+  for (const [index, scene] of scenes.entries()) {
+    if (!scene.number) {
+      let candidate = numbered && previous ? insertAfter(previous) : String(index + 1);
+      while (taken.has(candidate)) candidate = insertAfter(candidate);
+      scene.number = candidate;
+      taken.add(candidate);
+    }
+    previous = scene.number;
+  }
+}
+
+// "12" -> "12A", "12A" -> "12B", "12Z" -> "12ZA"
+function insertAfter(number) {
+  const [, base, letters] = number.match(/^(.*?\d)([A-Z]*)$/) || [null, number, ""];
+  if (!letters || letters.endsWith("Z")) return `${base}${letters}A`;
+  return `${base}${letters.slice(0, -1)}${String.fromCharCode(letters.charCodeAt(letters.length - 1) + 1)}`;
+}
+
+function isParenthetical(line) {
+  return /^\(.*\)$/.test(line);
+}
+
+// "JOHN (V.O.)" / "MARY (CONT'D)" / "@McCLANE" (Fountain) -> "JOHN" / "MARY" / "MCCLANE"
+function cueName(line) {
+  return line
+    .replace(/^@/, "")
+    .replace(/\s*\^$/, "")
+    .replace(/\s*\([^)]*\)/g, "")
+    .trim()
+    .toUpperCase();
+}
+
+function isCharacterCue(line, nextLine) {
+  if (!line || line.length > 45 || !nextLine) return false;
+  if (line !== line.toUpperCase() && !line.startsWith("@")) return false;
+  if (isSceneHeading(line) || TRANSITION_PATTERN.test(line) || isParenthetical(line)) return false;
+
+  const name = cueName(line);
+  if (!/^[A-Z][A-Z0-9 .'’&-]*$/.test(name) || /[.!?]$/.test(name)) return false;
+  if (name.split(/\s+/).length > 4) return false;
+
+  // Dialogue is mixed case; a parenthetical can sit between cue and dialogue
+  return (
+    isParenthetical(nextLine) ||
+    (nextLine !== nextLine.toUpperCase() && !isSceneHeading(nextLine))
+  );
+}
+
+function parseScreenplay(pages) {
+  const paged = pages.some((p) => p.num !== null && p.num !== undefined);
+  const scenes = [];
+  let current = null;
+
+  for (const page of pages) {
+    const lines = String(page.text || "")
+      .replace(/\r\n/g, "\n")
+      .split("\n")
+      .map((l) => l.trim());
+    const nonEmpty = lines.filter(Boolean);
+    const linesByScene = new Map();
+    const addLines = (scene, count) =>
+      linesByScene.set(scene, (linesByScene.get(scene) || 0) + count);
+
+    lines.forEach((line, idx) => {
+      if (!line) {
+        if (!paged && current) addLines(current, 1);
+        return;
+      }
+
+      const heading = parseSceneHeading(line);
+      if (heading) {
+        current = {
+          ...heading,
+          number: heading.number,
+          characters: new Set(),
+          pageStart: paged ? page.num : null,
+          pageEnd: paged ? page.num : null,
+          rawEighths: 0,
+        };
+        scenes.push(current);
+      }
+      if (!current) return; // title page / anything before the first scene
+
+      if (paged) current.pageEnd = page.num;
+      addLines(current, paged ? 1 : Math.ceil(line.length / CHARS_PER_LINE));
+
+      if (!heading) {
+        const next = lines.slice(idx + 1).find(Boolean);
+        if (isCharacterCue(line, next)) current.characters.add(cueName(line));
+      }
+    });
+
+    // Each scene's share of this page (blank lines only count on unpaged scripts)
+    for (const [scene, count] of linesByScene) {
+      scene.rawEighths += paged
+        ? (count / nonEmpty.length) * 8
+        : (count / LINES_PER_PAGE) * 8;
+    }
+  }
+
+  numberScenes(scenes);
+  const parsedScenes = scenes.map(({ rawEighths, characters, ...scene }) => ({
+    ...scene,
+    characters: [...characters],
+    eighths: Math.max(1, Math.round(rawEighths)),
+  }));
+
+  return {
+    scenes: parsedScenes,
+    characters: summarizeBy(parsedScenes, (s) => s.characters),
+    locations: summarizeBy(parsedScenes, (s) => [s.location]).map((loc) => ({
+      ...loc,
+      intExt: [
+        ...new Set(
+          parsedScenes.filter((s) => s.location === loc.name).map((s) => s.intExt)
+        ),
+      ],
+    })),
+    totalEighths: parsedScenes.reduce((sum, s) => sum + s.eighths, 0),
+  };
+}
+
+// [{ name, scenes: [number] }], most scenes first, then alphabetical
+function summarizeBy(scenes, keysOf) {
+  const byName = new Map();
+  for (const scene of scenes) {
+    for (const name of keysOf(scene)) {
+      if (!name) continue;
+      if (!byName.has(name)) byName.set(name, []);
+      byName.get(name).push(scene.number);
+    }
+  }
+
+  return [...byName.entries()]
+    .map(([name, sceneNumbers]) => ({ name, scenes: sceneNumbers }))
+    .sort((a, b) => b.scenes.length - a.scenes.length || a.name.localeCompare(b.name));
+}
+
+// 11 -> "1 3/8", 3 -> "3/8", 16 -> "2"
+function formatEighths(eighths) {
+  const pages = Math.floor(eighths / 8);
+  const rest = eighths % 8;
+  if (!rest) return String(pages);
+  return pages ? `${pages} ${rest}/8` : `${rest}/8`;
+}
+
+function formatPages(scene) {
+  if (scene.pageStart === null) return "-";
+  return scene.pageStart === scene.pageEnd
+    ? String(scene.pageStart)
+    : `${scene.pageStart}-${scene.pageEnd}`;
+}
+
+/**
+ * Prompt block with the parsed scene table for one script.
+ * The "===== SCENE LIST:" prefix is how multi-pass recognises it (it goes straight to the final call).
+ */
+function renderSceneListText(filename, screenplay) {
+  const { scenes, characters, locations, totalEighths } = screenplay;
+  const countBy = (time) => scenes.filter((s) => s.timeOfDay === time).length;
+
+  const rows = scenes.map((s) =>
+    [
+      s.number,
+      s.intExt,
+      s.location,
+      [s.timeOfDay || "-", ...s.modifiers].join(", "),
+      formatPages(s),
+      formatEighths(s.eighths),
+      s.characters.join(", ") || "-",
+    ].join(" | ")
+  );
+
+  return (
+    `===== SCENE LIST: ${filename} (parsed from screenplay formatting) =====\n` +
+    `Parsed deterministically from the sluglines and character cues. Use it for the scene count, ` +
+    `locations, day/night split and speaking roles (TALENTS); the text chunks have the detail.\n` +
+    `Scenes: ${scenes.length} | Length: ${formatEighths(totalEighths)} pages | ` +
+    `Day: ${countBy("DAY")} | Night: ${countBy("NIGHT")}\n\n` +
+    `SC | INT/EXT | LOCATION | TIME | PAGES | LENGTH (PAGES) | SPEAKING CHARACTERS\n` +
+    rows.join("\n") +
+    `\n\nSPEAKING CHARACTERS (${characters.length}): ` +
+    characters.map((c) => `${c.name} (${c.scenes.length} sc)`).join(", ") +
+    `\nLOCATIONS (${locations.length}): ` +
+    locations
+      .map((l) => `${l.name} (${l.intExt.join("/")}, ${l.scenes.length} sc)`)
+      .join(", ") +
+    `\n===== END SCENE LIST: ${filename} =====\n`
+  );
+}
+
+module.exports = {
+  SCENE_HEADING_PATTERN,
+  isSceneHeading,
+  looksLikeScreenplay,
+  parseSceneHeading,
+  parseScreenplay,
+  formatEighths,
+  renderSceneListText,
+};
@@ -0,0 +1,463 @@
+/**
+ * ----------------------------
+ * Breakdown templates (per production type)
+ * ----------------------------
+ *
+ * A template decides what a breakdown looks like for one kind of production:
+ *
+ *  definition: {
+ *    productionType: "film/video production",   // what the model is told it is analysing
+ *    sections: [{ id, title, groups?: [..], hint?: "if mentioned" }],   // in output order
+ *    rules: ["Always list drone permits ..."],  // extra CRITICAL RULES after the built-in ones
+ *    crewFormat: "Department 1x",               // crew formatting convention
+ *    export: { tableSections: [id], numberedSections: [id] }   // Word / PDF layout
+ *  }
+ *
+ * Built-in templates live in code and are read-only. Custom templates are stored as
+ * data/templates/<id>.json and are versioned like breakdowns: every edit appends a version, so
+ * a breakdown can always be re-validated / exported with the exact template it was made with.
+ *
+ *  { id, name, description, builtIn: false, archived, basedOn, createdAt, updatedAt,
+ *    versions: [{ version, createdAt, note, definition }] }
+ *
+ * Breakdowns reference a template as { id, version, name } (see lib/project-store.js).
+ */
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+
+const { BREAKDOWN_SECTIONS, DEFAULT_EXPORT_LAYOUT, buildJsonInstructions } = require("./breakdown");
+const { DATA_DIR, isValidId } = require("./project-store");
+
+const TEMPLATES_DIR = path.join(DATA_DIR, "templates");
+
+const DEFAULT_TEMPLATE_ID = "commercial";
+
+// Every template needs this section: failed source ranges and open questions are added to it
+const REQUIRED_SECTION_ID = "missing";
+
+const SECTION_ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+const CREW_SECTION = {
+  id: "crew",
+  title: "CREW",
+  groups: ["Travel CONFIRMED", "Travel RECOMMENDED", "Technical Crew"],
+};
+const NOTES_SECTION = { id: "notes", title: "SPECIAL NOTES & QUESTIONS" };
+const MISSING_SECTION = { id: "missing", title: "MISSING/TBD INFORMATION" };
+
+const BUILT_IN_TEMPLATES = [
+  {
+    id: DEFAULT_TEMPLATE_ID,
+    name: "Commercial",
+    description: "TV / online commercials and branded content (the original breakdown format)",
+    definition: {
+      productionType: "film/video production",
+      sections: BREAKDOWN_SECTIONS,
+      rules: [],
+      crewFormat: "Department 1x",
+      export: DEFAULT_EXPORT_LAYOUT,
+    },
+  },
+  {
+    id: "documentary",
+    name: "Documentary",
+    description: "Observational / interview-led documentaries",
+    definition: {
+      productionType: "documentary",
+      sections: [
+        { id: "shoot_days", title: "SHOOT DAYS" },
+        CREW_SECTION,
+        { id: "equipment", title: "EQUIPMENT" },
+        { id: "locations", title: "LOCATIONS" },
+        { id: "contributors", title: "CONTRIBUTORS", hint: "interviewees and people on camera" },
+        { id: "archive_music", title: "ARCHIVE & MUSIC", hint: "anything that needs licensing" },
+        { id: "permits", title: "PERMITS & RELEASES" },
+        { id: "transport", title: "TRANSPORT" },
+        { id: "usage", title: "USAGE", hint: "if mentioned" },
+        NOTES_SECTION,
+        MISSING_SECTION,
+      ],
+      rules: [
+        "List a release form for every contributor who appears on camera",
+        "Flag every piece of archive footage, stills or music that needs clearing or licensing",
+        "Always list filming permits for public locations and any drone flights",
+      ],
+      crewFormat: "Department 1x",
+      export: { tableSections: ["crew", "equipment", "contributors"], numberedSections: ["notes", "missing"] },
+    },
+  },
+  {
+    id: "corporate_event",
+    name: "Corporate event",
+    description: "Conferences, launches and live-streamed corporate events",
+    definition: {
+      productionType: "corporate event",
+      sections: [
+        { id: "schedule", title: "EVENT SCHEDULE", hint: "load-in, rehearsal, show and load-out" },
+        CREW_SECTION,
+        { id: "equipment", title: "EQUIPMENT", hint: "camera, sound, lighting, AV" },
+        { id: "venue", title: "VENUE & ACCESS", hint: "power, internet, parking, access times" },
+        { id: "streaming", title: "LIVE STREAMING", hint: "if the event is streamed" },
+        { id: "speakers", title: "SPEAKERS & TALENT" },
+        { id: "deliverables", title: "DELIVERABLES" },
+        { id: "transport", title: "TRANSPORT" },
+        NOTES_SECTION,
+        MISSING_SECTION,
+      ],
+      rules: [
+        "List the venue's power, internet and load-in / load-out times, or ask for them",
+        "State whether the event is live-streamed and list the streaming kit and bandwidth needs",
+        "List consent / release requirements for speakers and audience filming",
+      ],
+      crewFormat: "Department 1x",
+      export: { tableSections: ["crew", "equipment"], numberedSections: ["notes", "missing"] },
+    },
+  },
+].map((t) => ({
+  ...t,
+  builtIn: true,
+  archived: false,
+  basedOn: null,
+  createdAt: null,
+  updatedAt: null,
+  versions: [{ version: 1, createdAt: null, note: "Built-in", definition: t.definition }],
+}));
+
+/**
+ * ----------------------------
+ * Prompt
+ * ----------------------------
+ */
+function describeSection(section) {
+  const details = [section.groups?.length && section.groups.join(", "), section.hint]
+    .filter(Boolean)
+    .join("; ");
+  return `- ${section.title}${details ? ` (${details})` : ""}`;
+}
+
+/**
+ * System prompt for every call that must return a breakdown with this template.
+ * The default template produces the original prompt word for word.
+ */
+function buildSystemPrompt(definition) {
+  const rules = [
+    "ONLY state facts explicitly mentioned in the provided documents",
+    'Clearly mark any assumptions as "RECOMMENDED" or "ASSUMED"',
+    "NEVER mix up details from different projects",
+    "Read scripts carefully for hidden requirements (stunts, special equipment, etc.)",
+    `Format crew as "${definition.crewFormat}" unless specific numbers are stated`,
+    ...definition.rules,
+  ];
+
+  return (
+    `You are a professional production breakdown specialist. Your job is to analyze ${definition.productionType} briefs, scripts, and related documents to create detailed production breakdowns.\n\n` +
+    `CRITICAL RULES:\n` +
+    rules.map((rule, idx) => `${idx + 1}. ${rule}`).join("\n") +
+    `\n\nBREAKDOWN STRUCTURE:\n` +
+    definition.sections.map(describeSection).join("\n") +
+    `\n\nAlways separate CONFIRMED facts from RECOMMENDED assumptions.` +
+    `\n\n${buildJsonInstructions(definition.sections)}`
+  );
+}
+
+/**
+ * ----------------------------
+ * Validation
+ * ----------------------------
+ */
+function isStringList(value) {
+  return Array.isArray(value) && value.every((v) => typeof v === "string" && v.trim());
+}
+
+/**
+ * Returns a list of problems with a template definition; empty list means valid.
+ */
+function validateDefinition(definition) {
+  const errors = [];
+  if (!definition || typeof definition !== "object") return ["definition must be an object"];
+
+  if (typeof definition.productionType !== "string" || !definition.productionType.trim()) {
+    errors.push("productionType must be a non-empty string");
+  }
+  if (typeof definition.crewFormat !== "string" || !definition.crewFormat.trim()) {
+    errors.push('crewFormat must be a non-empty string (e.g. "Department 1x")');
+  }
+  if (definition.rules !== undefined && !isStringList(definition.rules)) {
+    errors.push("rules must be a list of non-empty strings");
+  }
+
+  if (!Array.isArray(definition.sections) || !definition.sections.length) {
+    errors.push("sections must be a non-empty list");
+    return errors;
+  }
+
+  const ids = new Set();
+  definition.sections.forEach((section, idx) => {
+    const where = `sections[${idx}]`;
+    if (!section || typeof section !== "object") {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    if (!SECTION_ID_PATTERN.test(section.id || "")) {
+      errors.push(`${where}.id must be lower_snake_case (got "${section.id}")`);
+    } else if (ids.has(section.id)) {
+      errors.push(`${where}.id "${section.id}" is used twice`);
+    }
+    ids.add(section.id);
+    if (typeof section.title !== "string" || !section.title.trim()) {
+      errors.push(`${where}.title must be a non-empty string`);
+    }
+    if (section.groups !== undefined && !isStringList(section.groups)) {
+      errors.push(`${where}.groups must be a list of non-empty strings`);
+    }
+    if (section.hint !== undefined && typeof section.hint !== "string") {
+      errors.push(`${where}.hint must be a string`);
+    }
+  });
+
+  if (!ids.has(REQUIRED_SECTION_ID)) {
+    errors.push(`sections must include "${REQUIRED_SECTION_ID}" (missing / TBD information)`);
+  }
+
+  for (const key of ["tableSections", "numberedSections"]) {
+    const list = definition.export?.[key];
+    if (list === undefined) continue;
+    if (!isStringList(list)) {
+      errors.push(`export.${key} must be a list of section ids`);
+      continue;
+    }
+    for (const id of list) {
+      if (!ids.has(id)) errors.push(`export.${key} refers to unknown section "${id}"`);
+    }
+  }
+
+  return errors;
+}
+
+// Only the known fields, with defaults filled in
+function normalizeDefinition(definition) {
+  return {
+    productionType: definition.productionType.trim(),
+    sections: definition.sections.map((s) => ({
+      id: s.id,
+      title: s.title.trim(),
+      ...(s.groups?.length && { groups: s.groups.map((g) => g.trim()) }),
+      ...(s.hint?.trim() && { hint: s.hint.trim() }),
+    })),
+    rules: (definition.rules || []).map((r) => r.trim()),
+    crewFormat: definition.crewFormat.trim(),
+    export: {
+      tableSections: definition.export?.tableSections || [],
+      numberedSections: definition.export?.numberedSections || [],
+    },
+  };
+}
+
+function invalidDefinition(errors) {
+  const err = new Error("Invalid template definition");
+  err.status = 400;
+  err.details = errors;
+  return err;
+}
+
+/**
+ * ----------------------------
+ * Storage
+ * ----------------------------
+ */
+function templateFile(id) {
+  return path.join(TEMPLATES_DIR, `${id}.json`);
+}
+
+async function writeTemplate(template) {
+  await fs.mkdir(TEMPLATES_DIR, { recursive: true });
+  const file = templateFile(template.id);
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(template, null, 2));
+  await fs.rename(tmp, file);
+}
+
+// Template edits are rare; one queue for all of them keeps version numbers from colliding
+let writeQueue = Promise.resolve();
+function withWriteLock(fn) {
+  const next = writeQueue.catch(() => {}).then(fn);
+  writeQueue = next;
+  return next;
+}
+
+async function readCustomTemplate(id) {
+  if (!isValidId(id)) return null;
+  try {
+    return JSON.parse(await fs.readFile(templateFile(id), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+async function getTemplate(id) {
+  return BUILT_IN_TEMPLATES.find((t) => t.id === id) || (await readCustomTemplate(id));
+}
+
+function summarizeTemplate(template) {
+  const latest = template.versions[template.versions.length - 1];
+  return {
+    id: template.id,
+    name: template.name,
+    description: template.description,
+    productionType: latest.definition.productionType,
+    builtIn: template.builtIn,
+    archived: template.archived,
+    version: latest.version,
+    updatedAt: template.updatedAt,
+  };
+}
+
+/**
+ * Built-ins first, then custom templates by name. Archived templates only with includeArchived.
+ */
+async function listTemplates({ includeArchived = false } = {}) {
+  let names = [];
+  try {
+    names = (await fs.readdir(TEMPLATES_DIR)).filter((n) => n.endsWith(".json"));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+
+  const custom = [];
+  for (const name of names) {
+    const template = await readCustomTemplate(name.replace(/\.json$/, "")).catch((err) => {
+      console.error(`Skipping unreadable template ${name}:`, err.message);
+      return null;
+    });
+    if (template && (includeArchived || !template.archived)) custom.push(template);
+  }
+
+  return [
+    ...BUILT_IN_TEMPLATES,
+    ...custom.sort((a, b) => a.name.localeCompare(b.name)),
+  ].map(summarizeTemplate);
+}
+
+/**
+ * input: { name, description?, definition?, basedOn? }
+ * `basedOn` copies another template's latest definition; `definition` fields override it.
+ */
+async function createTemplate(input = {}) {
+  const name = String(input.name || "").trim();
+  if (!name) throw invalidDefinition(["name is required"]);
+
+  let definition = input.definition;
+  if (input.basedOn) {
+    const base = await getTemplate(input.basedOn);
+    if (!base) throw invalidDefinition([`basedOn: template "${input.basedOn}" not found`]);
+    definition = { ...base.versions[base.versions.length - 1].definition, ...(definition || {}) };
+  }
+
+  const errors = validateDefinition(definition);
+  if (errors.length) throw invalidDefinition(errors);
+
+  const now = new Date().toISOString();
+  const template = {
+    id: crypto.randomUUID(),
+    name,
+    description: String(input.description || "").trim(),
+    builtIn: false,
+    archived: false,
+    basedOn: input.basedOn || null,
+    createdAt: now,
+    updatedAt: now,
+    versions: [
+      { version: 1, createdAt: now, note: input.note || null, definition: normalizeDefinition(definition) },
+    ],
+  };
+
+  await withWriteLock(() => writeTemplate(template));
+  return template;
+}
+
+/**
+ * input: { name?, description?, definition?, note? }
+ * A new definition is appended as the next version; name / description change in place.
+ * Returns the updated template, or null if it does not exist. Built-ins can't be edited.
+ */
+async function updateTemplate(id, input = {}) {
+  if (BUILT_IN_TEMPLATES.some((t) => t.id === id)) {
+    const err = new Error("Built-in templates are read-only; create a copy with basedOn instead");
+    err.status = 403;
+    throw err;
+  }
+
+  return withWriteLock(async () => {
+    const template = await readCustomTemplate(id);
+    if (!template) return null;
+
+    if (input.definition !== undefined) {
+      const errors = validateDefinition(input.definition);
+      if (errors.length) throw invalidDefinition(errors);
+
+      const last = template.versions[template.versions.length - 1];
+      template.versions.push({
+        version: last.version + 1,
+        createdAt: new Date().toISOString(),
+        note: input.note || null,
+        definition: normalizeDefinition(input.definition),
+      });
+    }
+    if (input.name !== undefined && String(input.name).trim()) template.name = String(input.name).trim();
+    if (input.description !== undefined) template.description = String(input.description).trim();
+    if (input.archived !== undefined) template.archived = Boolean(input.archived);
+
+    template.updatedAt = new Date().toISOString();
+    await writeTemplate(template);
+    return template;
+  });
+}
+
+/**
+ * Custom templates are archived rather than deleted: breakdowns made with them still need
+ * their sections. Returns false if there is no such custom template.
+ */
+async function archiveTemplate(id) {
+  if (BUILT_IN_TEMPLATES.some((t) => t.id === id)) return false;
+  return Boolean(await updateTemplate(id, { archived: true }));
+}
+
+/**
+ * Template to use for a run. ref: template id, or { id, version } from a stored breakdown.
+ * Nothing given -> default template. Returns { id, version, name, definition } or null if the
+ * requested template / version does not exist.
+ */
+async function resolveTemplate(ref) {
+  const id = (typeof ref === "object" ? ref?.id : ref) || DEFAULT_TEMPLATE_ID;
+  const wanted = typeof ref === "object" ? ref?.version : undefined;
+
+  const template = await getTemplate(id);
+  if (!template) return null;
+
+  const version = wanted
+    ? template.versions.find((v) => v.version === Number(wanted))
+    : template.versions[template.versions.length - 1];
+  if (!version) return null;
+
+  return { id: template.id, version: version.version, name: template.name, definition: version.definition };
+}
+
+// { id, version, name } stored with each breakdown
+function templateRef(resolved) {
+  return { id: resolved.id, version: resolved.version, name: resolved.name };
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE_ID,
+  buildSystemPrompt,
+  validateDefinition,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  archiveTemplate,
+  resolveTemplate,
+  templateRef,
+};
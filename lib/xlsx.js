@@ -0,0 +1,167 @@
+/**
+ * ----------------------------
+ * Minimal .xlsx writer
+ * ----------------------------
+ *
+ * Just enough SpreadsheetML for our exports: several sheets of text / number cells, a bold
+ * frozen header row, column widths and wrapped text. Strings are written inline, so there is no
+ * shared-string table to keep in sync. The package is zipped with jszip (already used by docx).
+ *
+ * buildXlsx([{ name, columns: [{ header, width }], rows: [row] }]) -> Buffer
+ *   row: [string | number | null]  or  { cells: [...], bold: true }  (sub-heading rows)
+ */
+const JSZip = require("jszip");
+
+// Excel's limits on sheet names
+const MAX_SHEET_NAME = 31;
+const INVALID_SHEET_CHARS = /[\\/?*[\]:]/g;
+
+// Style indexes (see STYLES_XML): 0 default, 1 header, 2 wrapped text
+const STYLE_HEADER = 1;
+const STYLE_WRAP = 2;
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill><fill><patternFill patternType="solid"><fgColor rgb="FFD9D9D9"/></patternFill></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="3">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1"><alignment vertical="top" wrapText="1"/></xf>
+</cellXfs>
+</styleSheet>`;
+
+function escapeXml(value) {
+  return String(value)
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// 0 -> "A", 25 -> "Z", 26 -> "AA"
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function cellXml(value, ref, style) {
+  const s = style ? ` s="${style}"` : "";
+  if (value === null || value === undefined || value === "") return `<c r="${ref}"${s}/>`;
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return `<c r="${ref}"${s}><v>${value}</v></c>`;
+  }
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function sheetXml({ columns, rows }) {
+  const header = `<row r="1">${columns
+    .map((col, c) => cellXml(col.header, `${columnName(c)}1`, STYLE_HEADER))
+    .join("")}</row>`;
+  const body = rows
+    .map((row, r) => {
+      const cells = Array.isArray(row) ? row : row.cells;
+      const style = row.bold ? STYLE_HEADER : STYLE_WRAP;
+      return `<row r="${r + 2}">${columns
+        .map((_, c) => cellXml(cells[c], `${columnName(c)}${r + 2}`, style))
+        .join("")}</row>`;
+    })
+    .join("");
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<cols>${columns
+    .map((col, c) => `<col min="${c + 1}" max="${c + 1}" width="${col.width || 15}" customWidth="1"/>`)
+    .join("")}</cols>
+<sheetData>${header}${body}</sheetData>
+</worksheet>`;
+}
+
+/**
+ * Excel-safe, unique sheet names ("ART/PROPS" -> "ART-PROPS", duplicates get " (2)").
+ */
+function sheetNames(names) {
+  const used = new Set();
+  return names.map((name) => {
+    const base =
+      String(name || "Sheet").replace(INVALID_SHEET_CHARS, "-").trim().slice(0, MAX_SHEET_NAME) ||
+      "Sheet";
+    let candidate = base;
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+      const suffix = ` (${n})`;
+      candidate = base.slice(0, MAX_SHEET_NAME - suffix.length) + suffix;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+}
+
+async function buildXlsx(sheets) {
+  const names = sheetNames(sheets.map((s) => s.name));
+  const zip = new JSZip();
+
+  zip.file(
+    "[Content_Types].xml",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${sheets
+  .map(
+    (_, i) =>
+      `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+  )
+  .join("\n")}
+</Types>`
+  );
+
+  zip.file(
+    "_rels/.rels",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`
+  );
+
+  zip.file(
+    "xl/workbook.xml",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>${names
+      .map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`)
+      .join("")}</sheets>
+</workbook>`
+  );
+
+  // Sheets are rId1..n, styles comes after them
+  zip.file(
+    "xl/_rels/workbook.xml.rels",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${sheets
+  .map(
+    (_, i) =>
+      `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+  )
+  .join("\n")}
+<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`
+  );
+
+  zip.file("xl/styles.xml", STYLES_XML);
+  sheets.forEach((sheet, i) => zip.file(`xl/worksheets/sheet${i + 1}.xml`, sheetXml(sheet)));
+
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+module.exports = { buildXlsx, sheetNames };
@@ -6,15 +6,56 @@ const path = require("path");
 const { execFile } = require("child_process");
 const { promisify } = require("util");
 const execFileAsync = promisify(execFile);
-
+const WordExtractor = require("word-extractor");
+const {
+  BREAKDOWN_SECTIONS,
+  DEFAULT_EXPORT_LAYOUT,
+  parseBreakdownJson,
+  repairBreakdown,
+  validateBreakdown,
+  renderBreakdownText,
+} = require("./lib/breakdown");
+const templates = require("./lib/templates");
+const projectStore = require("./lib/project-store");
+const { diffBreakdowns } = require("./lib/breakdown-diff");
+const { createJobQueue } = require("./lib/job-queue");
+const analysisCache = require("./lib/analysis-cache");
+const { findQuotedPassage } = require("./lib/citations");
+const { verifyBreakdown, skippedReport } = require("./lib/grounding");
+const {
+  LOCKED_ITEMS_INSTRUCTION,
+  hasLockedItems,
+  enforceLockedItems,
+} = require("./lib/locked-items");
+const {
+  CONFLICTS_PROMPT_VERSION,
+  CONFLICTS_SYSTEM_PROMPT,
+  withConflictsSection,
+  definitionForBreakdown,
+  normalizeConflictReport,
+  addConflictItems,
+  conflictsPromptBlock,
+} = require("./lib/conflicts");
 const {
-  Document,
-  Packer,
-  Paragraph,
-  TextRun,
-  HeadingLevel,
-  AlignmentType,
-} = require("docx");
+  buildQuestionnaire,
+  questionnaireToText,
+  parseAnswers,
+  removeAnsweredQuestions,
+} = require("./lib/questionnaire");
+const { chunkPages, formatPageRange } = require("./lib/chunking");
+const {
+  looksLikeScreenplay,
+  parseScreenplay,
+  renderSceneListText,
+} = require("./lib/screenplay");
+const { buildSchedule, rearrangeSchedule } = require("./lib/schedule");
+const { breakdownToXlsx, breakdownToCsvZip } = require("./lib/breakdown-export");
+const rateCards = require("./lib/rate-cards");
+const { buildBudget } = require("./lib/budget");
+const inventory = require("./lib/inventory");
+const { breakdownToDocx, questionnaireToDocx } = require("./lib/docx-export");
+const { breakdownToPdf } = require("./lib/pdf-export");
+const { buildConversation, sourceContent } = require("./lib/conversation");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -25,18 +66,36 @@ const PORT = process.env.PORT || 3000;
  * ----------------------------
  */
 const MODEL = process.env.ANTHROPIC_MODEL || "claude-sonnet-4-20250514";
-const MAX_TOKENS = 8000;
+const MAX_TOKENS = 12000; // JSON output is more verbose than the old free-text breakdown
+
+// If Claude's JSON fails validation even after local repair, ask it to fix its own output this many times
+const BREAKDOWN_JSON_MAX_RETRIES = 2;
 
-// Character-based chunking for extracted PDF text (NOT tokens)
+// Max characters per chunk of extracted PDF / Word / text file content (NOT tokens).
+// Chunks are cut on page (and, for scripts, scene) boundaries within this budget; see lib/chunking.js
 const PDF_TEXT_CHUNK_CHARS = 12000;
-const PDF_TEXT_CHUNK_OVERLAP = 600;
 
-// If combined extracted PDF text is larger than this, we do multi-pass (chunk notes -> final breakdown)
+// If combined extracted document text is larger than this, we do multi-pass (chunk notes -> final breakdown)
 const MULTIPASS_THRESHOLD_CHARS = 40000;
 
+// Multi-pass chunk note calls: how many run at once, and how often a failed call is retried
+// (429 / overloaded / network errors) before that chunk is given up on
+const MULTIPASS_CONCURRENCY = parseInt(process.env.MULTIPASS_CONCURRENCY, 10) || 3;
+const CHUNK_MAX_RETRIES = 4;
+const CHUNK_RETRY_BASE_DELAY_MS = 1000;
+const CHUNK_RETRY_MAX_DELAY_MS = 30000;
+
+// Part of the analysis cache keys (see lib/analysis-cache.js).
+// Bump when extraction or the chunk notes prompt changes so old entries are no longer used.
+const PDF_EXTRACTION_VERSION = 2;
+const CHUNK_NOTES_PROMPT_VERSION = 3;
+
 // Multer: number of files
 const MAX_FILES = 10;
 
+// Background jobs running at the same time (each one may make many Claude calls)
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+
 // Visual fallback for PDFs that are basically image-only / scanned.
 // We ONLY render pages when the PDF has very little extractable text.
 // (These thresholds are conservative; tweak later with real-world samples.)
@@ -50,9 +109,10 @@ const VISUAL_RENDER_MAX_PAGES = 6;
 const VISUAL_RENDER_DPI = 150;
 const VISUAL_RENDER_JPEG_QUALITY = 70;
 
-// Express payload limits (affects revision payloads etc.)
-app.use(express.json({ limit: "150mb" }));
-app.use(express.urlencoded({ limit: "150mb", extended: true }));
+// Express payload limits. Documents come in as multipart uploads and revisions no longer carry the
+// conversation (lib/conversation.js), so JSON bodies are breakdowns and form fields at most
+app.use(express.json({ limit: "10mb" }));
+app.use(express.urlencoded({ limit: "10mb", extended: true }));
 
 /**
  * ----------------------------
@@ -102,28 +162,181 @@ const anthropic = new Anthropic({
   apiKey: process.env.ANTHROPIC_API_KEY,
 });
 
-const SYSTEM_PROMPT = `You are a professional production breakdown specialist. Your job is to analyze film/video production briefs, scripts, and related documents to create detailed production breakdowns.
+// The breakdown system prompt (rules, sections, crew format) comes from the chosen template;
+// see buildSystemPrompt() in lib/templates.js
+
+/**
+ * ----------------------------
+ * Progress events
+ * ----------------------------
+ *
+ * Long-running steps take an `onProgress(event, data)` callback. Events:
+ *  - file-received        { filename, size }
+ *  - pdf-extracted        { filename, numpages, textLength, chunkCount, cached }   (same as pdfDiagnostics)
+ *  - document-extracted   { filename, kind, textLength, chunkCount }       (same as documentDiagnostics)
+ *  - pages-rendered       { filename, pages: [pageNumber], failed: [pageNumber], cachedPages }
+ *  - screenplay-parsed    { filename, scenes, characters, locations }
+ *  - multipass-started    { chunks, concurrency }
+ *  - chunk-summarised     { index, total, completed, cached }   (chunks finish in any order)
+ *  - chunk-retry          { index, total, attempt, delayMs, error }
+ *  - chunk-failed         { index, total, completed, range, error }   (gave up after retries)
+ *  - final-started        { attempt }
+ *  - token                { text }   (final breakdown text as it arrives)
+ *  - conflicts-checked    { files, conflicts, differentProjects, cached }
+ *  - brief-compared       { comparedWith, added, removed, changed }
+ *  - locked-restored      { restored: [{ sectionId, sectionTitle, description, reason }] }
+ *  - validation-failed    { attempt, errors }
+ *  - verified             { checked, supported, contradicted, unsupported, unverifiable, downgraded }
+ *
+ * The plain JSON endpoints just don't pass a callback.
+ *
+ * The same functions also take an optional AbortSignal (`signal`); background jobs use it
+ * for cancellation. It is passed to every Claude call so in-flight requests stop too.
+ */
+function noProgress() {}
+
+/**
+ * Errors thrown from the shared generate / revise pipeline carry an HTTP status
+ * so both the JSON and the streaming endpoints can report them properly.
+ */
+function httpError(status, message, extra = {}) {
+  const err = new Error(message);
+  err.status = status;
+  err.extra = extra;
+  return err;
+}
+
+/**
+ * Catch block for routes backed by lib/ stores (templates, rate cards, inventory): errors that
+ * carry a status (404s, validation errors with their `details`) go to the client as they are;
+ * anything else is logged as a 500.
+ */
+function sendError(res, error, fallback) {
+  if (error.status) {
+    return res
+      .status(error.status)
+      .json({ error: error.message, ...(error.details && { details: error.details }) });
+  }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({ error: fallback });
+}
+
+/**
+ * Ask Claude for a breakdown and return it as a validated structured object.
+ *
+ * - Parses the JSON reply and repairs common slips locally (see lib/breakdown.js)
+ * - If it is still invalid, sends the errors back and asks Claude to fix it
+ *   (up to BREAKDOWN_JSON_MAX_RETRIES times)
+ *
+ * Streams the reply and reports each text delta as a "token" progress event
+ * so the UI can show the breakdown as it is written.
+ *
+ * `template` (from templates.resolveTemplate()) sets the system prompt and the sections the reply
+ * is validated against; default template when omitted.
+ *
+ * Returns { breakdown, breakdownText, rawText } where rawText is the canonical JSON of the
+ * breakdown.
+ */
+async function requestStructuredBreakdown(
+  messages,
+  { template, onProgress = noProgress, signal, requireCitations = true } = {}
+) {
+  const { definition } = template || (await templates.resolveTemplate());
+  const systemPrompt = templates.buildSystemPrompt(definition);
+  let attemptMessages = messages;
+  let lastErrors = [];
+
+  for (let attempt = 0; attempt <= BREAKDOWN_JSON_MAX_RETRIES; attempt++) {
+    signal?.throwIfAborted();
+    onProgress("final-started", { attempt: attempt + 1 });
+
+    const stream = anthropic.messages.stream(
+      {
+        model: MODEL,
+        max_tokens: MAX_TOKENS,
+        system: systemPrompt,
+        messages: attemptMessages,
+      },
+      { signal }
+    );
+    stream.on("text", (text) => onProgress("token", { text }));
+
+    const message = await stream.finalMessage();
+    const raw = message.content?.[0]?.text || "";
+
+    let breakdown = null;
+    try {
+      const reply = parseBreakdownJson(raw);
+      breakdown = repairBreakdown(reply, definition.sections);
+      lastErrors = validateBreakdown(breakdown, definition.sections, { requireCitations, reply });
+    } catch (err) {
+      lastErrors = [`Output is not valid JSON: ${err.message}`];
+    }
+
+    if (!lastErrors.length) {
+      return {
+        breakdown,
+        breakdownText: renderBreakdownText(breakdown),
+        rawText: JSON.stringify(breakdown),
+      };
+    }
+
+    console.warn(
+      `Breakdown JSON failed validation (attempt ${attempt + 1}): ${lastErrors
+        .slice(0, 5)
+        .join("; ")}`
+    );
+    onProgress("validation-failed", {
+      attempt: attempt + 1,
+      errors: lastErrors.slice(0, 5),
+    });
+
+    attemptMessages = [
+      ...messages,
+      { role: "assistant", content: [{ type: "text", text: raw }] },
+      {
+        role: "user",
+        content: [
+          {
+            type: "text",
+            text:
+              `Your previous reply did not match the required JSON format:\n` +
+              lastErrors.map((e) => `- ${e}`).join("\n") +
+              `\n\nReturn the complete corrected JSON object only.`,
+          },
+        ],
+      },
+    ];
+  }
 
-CRITICAL RULES:
-1. ONLY state facts explicitly mentioned in the provided documents
-2. Clearly mark any assumptions as "RECOMMENDED" or "ASSUMED"
-3. NEVER mix up details from different projects
-4. Read scripts carefully for hidden requirements (stunts, special equipment, etc.)
-5. Format crew as "Department 1x" unless specific numbers are stated
+  throw new Error(
+    `Breakdown output failed validation after ${BREAKDOWN_JSON_MAX_RETRIES + 1} attempts: ${lastErrors.join("; ")}`
+  );
+}
 
-BREAKDOWN STRUCTURE:
-- SHOOT DAYS
-- CREW (Travel CONFIRMED, Travel RECOMMENDED, Technical Crew)
-- EQUIPMENT
-- LOCATIONS
-- ART/PROPS
-- TRANSPORT
-- TALENTS (extracted from script)
-- USAGE (if mentioned)
-- SPECIAL NOTES & QUESTIONS
-- MISSING/TBD INFORMATION
+/**
+ * Validate a structured breakdown sent back by the browser (revise / export).
+ * `sections` are the breakdown's template sections.
+ * Returns { breakdown, errors } with the repaired object.
+ */
+function checkStructuredBreakdown(input, sections = BREAKDOWN_SECTIONS) {
+  if (!input || typeof input !== "object") {
+    return { breakdown: null, errors: ["Breakdown must be a JSON object"] };
+  }
+  const breakdown = repairBreakdown(input, sections);
+  return { breakdown, errors: validateBreakdown(breakdown, sections) };
+}
 
-Always separate CONFIRMED facts from RECOMMENDED assumptions.`;
+/**
+ * Sections of a breakdown as sent, for the exports: they render whatever template the breakdown
+ * was made with, so they keep its sections instead of forcing the default ones.
+ */
+function sectionsOf(input) {
+  const sections = Array.isArray(input?.sections)
+    ? input.sections.filter((s) => typeof s?.id === "string" && typeof s?.title === "string")
+    : [];
+  return sections.length ? sections.map((s) => ({ id: s.id, title: s.title })) : BREAKDOWN_SECTIONS;
+}
 
 /**
  * ----------------------------
@@ -145,6 +358,7 @@ async function getPdfParseAdapter() {
       return {
         text: (parsed?.text || "").trim(),
         numpages: parsed?.numpages ?? null,
+        pages: null, // this build doesn't report per-page text
       };
     };
     return _pdfParseAdapter;
@@ -157,6 +371,7 @@ async function getPdfParseAdapter() {
       return {
         text: (parsed?.text || "").trim(),
         numpages: parsed?.numpages ?? null,
+        pages: null, // this build doesn't report per-page text
       };
     };
     return _pdfParseAdapter;
@@ -169,6 +384,9 @@ async function getPdfParseAdapter() {
 
       const textRes = await parser.getText();
       const text = (textRes?.text || "").trim();
+      const pages = Array.isArray(textRes?.pages)
+        ? textRes.pages.map((p) => ({ num: p.num, text: p.text || "" }))
+        : null;
 
       const info = await parser.getInfo({ parsePageInfo: true });
 
@@ -178,7 +396,7 @@ async function getPdfParseAdapter() {
         (typeof info?.pages === "number" && info.pages) ||
         null;
 
-      return { text, numpages };
+      return { text, numpages, pages };
     };
     return _pdfParseAdapter;
   }
@@ -215,27 +433,127 @@ async function fileToBase64(filepath) {
   return buffer.toString("base64");
 }
 
-function chunkText(text, chunkSize, overlap) {
-  const clean = (text || "").replace(/\r\n/g, "\n");
-  if (!clean.trim()) return [];
+async function extractPdfText(filePath) {
+  const buffer = await fs.readFile(filePath);
+  const parse = await getPdfParseAdapter();
+  return await parse(buffer);
+}
 
-  const chunks = [];
-  let start = 0;
+/**
+ * ----------------------------
+ * Word / plain text extraction
+ * word-extractor reads both legacy OLE .doc and .docx without any native helpers.
+ * ----------------------------
+ */
+const wordExtractor = new WordExtractor();
 
-  while (start < clean.length) {
-    const end = Math.min(start + chunkSize, clean.length);
-    chunks.push(clean.slice(start, end));
-    if (end >= clean.length) break;
-    start = Math.max(0, end - overlap);
-  }
+// Labels used in the chunk markers we send to Claude (same idea as "PDF")
+const TEXT_DOCUMENT_LABELS = {
+  "application/msword": "DOC",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+    "DOCX",
+  "text/plain": "TEXT",
+};
 
-  return chunks;
+/**
+ * word-extractor returns table rows as tab-separated cells with a trailing tab.
+ * Turn them into "cell | cell" so table structure survives in the prompt.
+ */
+function formatWordTableRows(text) {
+  return (text || "")
+    .split("\n")
+    .map((line) => {
+      if (!line.includes("\t")) return line;
+      return line
+        .split("\t")
+        .map((cell) => cell.trim())
+        .filter(Boolean)
+        .join(" | ");
+    })
+    .join("\n");
 }
 
-async function extractPdfText(filePath) {
-  const buffer = await fs.readFile(filePath);
-  const parse = await getPdfParseAdapter();
-  return await parse(buffer);
+async function extractWordText(filePath) {
+  const doc = await wordExtractor.extract(filePath);
+
+  const headers = (doc.getHeaders({ includeFooters: false }) || "").trim();
+  const footers = (doc.getFooters() || "").trim();
+  const body = formatWordTableRows(doc.getBody()).trim();
+  const textboxes = (
+    doc.getTextboxes({ includeHeadersAndFooters: false }) || ""
+  ).trim();
+  const footnotes = (doc.getFootnotes() || "").trim();
+
+  // Headers often carry client / job number / version, so keep them first and labelled
+  const parts = [];
+  if (headers) parts.push(`[HEADER]\n${headers}`);
+  if (body) parts.push(body);
+  if (textboxes) parts.push(`[TEXT BOXES]\n${textboxes}`);
+  if (footnotes) parts.push(`[FOOTNOTES]\n${footnotes}`);
+  if (footers) parts.push(`[FOOTER]\n${footers}`);
+
+  return { text: parts.join("\n\n") };
+}
+
+async function extractPlainText(filePath) {
+  const raw = await fs.readFile(filePath, "utf8");
+  // Strip UTF-8 BOM (Windows Notepad)
+  return { text: raw.replace(/^\uFEFF/, "").trim() };
+}
+
+/**
+ * Page-aware chunks for one document (scripts are also kept together by scene).
+ * pages: [{ num, text }] -> { chunks: [{ text, pageStart, pageEnd }], screenplay }
+ * `screenplay` is the parsed scene table (lib/screenplay.js) when the document is a script, else null.
+ */
+function prepareDocumentText(pages) {
+  const isScript = looksLikeScreenplay(pages.map((p) => p.text).join("\n"));
+  return {
+    chunks: chunkPages(pages, { maxChars: PDF_TEXT_CHUNK_CHARS, screenplay: isScript }),
+    screenplay: isScript ? parseScreenplay(pages) : null,
+  };
+}
+
+// Scripts get their parsed scene table ahead of the raw chunks
+function pushSceneList(content, filename, screenplay, { screenplays, filePath, onProgress }) {
+  if (!screenplay?.scenes.length) return;
+
+  screenplays.set(filePath, screenplay);
+  content.push({ type: "text", text: renderSceneListText(filename, screenplay) });
+  onProgress("screenplay-parsed", {
+    filename,
+    scenes: screenplay.scenes.length,
+    characters: screenplay.characters.length,
+    locations: screenplay.locations.length,
+  });
+}
+
+/**
+ * Push extracted text as marked chunk blocks.
+ * The marker format (`===== LABEL: name | CHUNK i/n | PAGES a-b =====`, the page part only when
+ * the document has page numbers) is what multi-pass and citations rely on.
+ */
+function pushTextChunks(content, label, filename, chunks) {
+  if (chunks.length === 0) {
+    content.push({
+      type: "text",
+      text:
+        `===== ${label}: ${filename} =====\n` +
+        `[No extractable text found.]\n` +
+        `===== END ${label}: ${filename} =====\n`,
+    });
+    return;
+  }
+
+  const total = chunks.length;
+  for (let i = 0; i < total; i++) {
+    const pages = formatPageRange(chunks[i]);
+    const marker = `${label}: ${filename} | CHUNK ${i + 1}/${total}${pages ? ` | ${pages}` : ""}`;
+    content.push({
+      type: "text",
+      text: `===== ${marker} =====\n` + chunks[i].text + `\n===== END ${marker} =====\n`,
+    });
+  }
 }
 
 /**
@@ -297,23 +615,75 @@ async function isPdftoppmAvailable() {
   }
 }
 
+/**
+ * Cached wrappers around the PDF helpers (keyed by the file's hash, see lib/analysis-cache.js).
+ */
+async function extractPdfTextCached(filePath, fileHash, filename) {
+  const key = analysisCache.cacheKey("pdf-text", fileHash, PDF_EXTRACTION_VERSION);
+  const cached = await analysisCache.get("pdf-text", key);
+  if (cached) return { ...cached, cached: true };
+
+  const extracted = await extractPdfText(filePath);
+  await analysisCache.set("pdf-text", key, extracted, { label: filename });
+  return { ...extracted, cached: false };
+}
+
+// Returns { data: base64 JPEG, cached }
+async function renderPdfPageCached(pdfPath, fileHash, pageNumber, outputDir, filename) {
+  const key = analysisCache.cacheKey(
+    "pdf-pages",
+    fileHash,
+    pageNumber,
+    VISUAL_RENDER_DPI,
+    VISUAL_RENDER_JPEG_QUALITY
+  );
+  const cached = await analysisCache.get("pdf-pages", key);
+  if (cached) return { data: cached, cached: true };
+
+  const imagePath = await renderPdfPageToJpeg(pdfPath, pageNumber, outputDir);
+  const data = await fileToBase64(imagePath);
+  await fs.unlink(imagePath).catch(() => {});
+  await analysisCache.set("pdf-pages", key, data, {
+    label: `${filename}, page ${pageNumber}`,
+  });
+  return { data, cached: false };
+}
+
 /**
  * Build Claude "content" array:
  * - Images: sent as image base64 blocks
  * - PDFs: extracted text chunked into multiple text blocks with clear markers
  * - PDFs with very little extractable text: ALSO render a small set of pages to images and send to Claude
+ * - Word (.docx/.doc) and .txt: extracted text chunked exactly like PDFs
+ * - Scripts (any of the above): a parsed scene table block ("===== SCENE LIST: ...") before the chunks
+ * - Anything unreadable / unsupported: reported back in `warnings` (never silently dropped)
  *
  * Returns:
  *  {
  *    content: [...],
  *    pdfDiagnostics: [{ filename, numpages, textLength, chunkCount }]
- *    totalExtractedPdfChars: number
+ *    documentDiagnostics: [{ filename, kind, textLength, chunkCount }]
+ *    totalExtractedTextChars: number
+ *    warnings: [{ filename, message }]
+ *    extractedTexts: Map<file.path, text>  (what we pulled out of each PDF/Word/txt, for the project store)
+ *    screenplays: Map<file.path, parsed scene table>  (scripts only)
  *  }
+ *
+ * Options:
+ *  - onProgress: progress callback (pdf-extracted / document-extracted / pages-rendered / screenplay-parsed)
  */
-async function createContentWithFiles(files, message = null) {
+async function createContentWithFiles(
+  files,
+  message = null,
+  { onProgress = noProgress } = {}
+) {
   const content = [];
   const pdfDiagnostics = [];
-  let totalExtractedPdfChars = 0;
+  const documentDiagnostics = [];
+  const warnings = [];
+  const extractedTexts = new Map();
+  const screenplays = new Map();
+  let totalExtractedTextChars = 0;
 
   if (message) {
     content.push({ type: "text", text: message });
@@ -323,7 +693,8 @@ async function createContentWithFiles(files, message = null) {
   const canRenderPdfPages = await isPdftoppmAvailable();
 
   for (const file of files) {
-    const mediaType = getMediaType(file.originalname || file.filename);
+    const filename = file.originalname || file.filename;
+    const mediaType = getMediaType(filename);
 
     // Normal image uploads (screenshots, etc.)
     if (mediaType.startsWith("image/")) {
@@ -341,15 +712,43 @@ async function createContentWithFiles(files, message = null) {
 
     // PDFs
     if (mediaType === "application/pdf") {
-      const { text, numpages } = await extractPdfText(file.path);
+      let extracted;
+      let fileHash;
+      try {
+        fileHash = await analysisCache.hashFile(file.path);
+        extracted = await extractPdfTextCached(file.path, fileHash, filename);
+      } catch (err) {
+        console.error(`Failed extracting PDF text for ${filename}:`, err);
+        warnings.push({
+          filename,
+          message: `Could not read this PDF (${err.message}). It was NOT included in the breakdown.`,
+        });
+        continue;
+      }
+
+      const { text, numpages, cached } = extracted;
       const textChars = (text || "").length;
 
-      totalExtractedPdfChars += textChars;
+      totalExtractedTextChars += textChars;
+      extractedTexts.set(file.path, text || "");
 
-      const chunks = chunkText(text, PDF_TEXT_CHUNK_CHARS, PDF_TEXT_CHUNK_OVERLAP);
+      const { chunks, screenplay } = prepareDocumentText(
+        extracted.pages || [{ num: null, text }]
+      );
       const pages = numpages || 0;
       const charsPerPage = pages > 0 ? textChars / pages : 0;
 
+      // Diagnostics
+      const diagnostics = {
+        filename,
+        numpages,
+        textLength: textChars,
+        chunkCount: chunks.length,
+        cached,
+      };
+      pdfDiagnostics.push(diagnostics);
+      onProgress("pdf-extracted", diagnostics);
+
       // Decide whether to switch on visual fallback (PDF-level).
       // We do NOT render pages for normal text PDFs, only when it looks image-only / scanned.
       const shouldRenderVisual =
@@ -365,11 +764,11 @@ async function createContentWithFiles(files, message = null) {
           content.push({
             type: "text",
             text:
-              `===== PDF (IMAGE-HEAVY) DETECTED: ${file.originalname || file.filename} =====\n` +
+              `===== PDF (IMAGE-HEAVY) DETECTED: ${filename} =====\n` +
               `This PDF appears to have little/no extractable text (possibly scanned or image-based),\n` +
               `but server cannot render pages because 'pdftoppm' is not available.\n` +
               `Please treat any extracted text as incomplete.\n` +
-              `===== END PDF NOTICE: ${file.originalname || file.filename} =====\n`,
+              `===== END PDF NOTICE: ${filename} =====\n`,
           });
         } else {
           console.log(
@@ -390,20 +789,25 @@ async function createContentWithFiles(files, message = null) {
           const cappedPages = uniquePages.slice(0, VISUAL_RENDER_MAX_PAGES);
 
           const renderDir = path.join(__dirname, "uploads");
+          const renderedPages = [];
+          const failedPages = [];
+          let cachedPages = 0;
 
           content.push({
             type: "text",
-            text: `===== VISUAL PAGES FROM PDF: ${file.originalname || file.filename} (sampled) =====`,
+            text: `===== VISUAL PAGES FROM PDF: ${filename} (sampled) =====`,
           });
 
           for (const pageNum of cappedPages) {
             try {
-              const imagePath = await renderPdfPageToJpeg(
-                file.path,
-                pageNum,
-                renderDir
-              );
-              const base64Data = await fileToBase64(imagePath);
+              const { data: base64Data, cached: pageCached } =
+                await renderPdfPageCached(
+                  file.path,
+                  fileHash,
+                  pageNum,
+                  renderDir,
+                  filename
+                );
 
               content.push({
                 type: "image",
@@ -414,10 +818,12 @@ async function createContentWithFiles(files, message = null) {
                 },
               });
 
-              await fs.unlink(imagePath).catch(() => {});
+              renderedPages.push(pageNum);
+              if (pageCached) cachedPages++;
             } catch (err) {
+              failedPages.push(pageNum);
               console.error(
-                `Failed rendering PDF page ${pageNum} for ${file.originalname || file.filename}:`,
+                `Failed rendering PDF page ${pageNum} for ${filename}:`,
                 err
               );
             }
@@ -425,354 +831,2431 @@ async function createContentWithFiles(files, message = null) {
 
           content.push({
             type: "text",
-            text: `===== END VISUAL PAGES FROM PDF: ${file.originalname || file.filename} =====`,
+            text: `===== END VISUAL PAGES FROM PDF: ${filename} =====`,
+          });
+
+          onProgress("pages-rendered", {
+            filename,
+            pages: renderedPages,
+            failed: failedPages,
+            cachedPages,
           });
         }
       }
 
-      // Diagnostics
-      pdfDiagnostics.push({
-        filename: file.originalname || file.filename,
-        numpages,
-        textLength: textChars,
-        chunkCount: chunks.length,
-      });
-
       // Add text chunks (even for image-heavy PDFs, include whatever we extracted)
       if (chunks.length === 0) {
         content.push({
           type: "text",
           text:
-            `===== PDF: ${file.originalname || file.filename} =====\n` +
+            `===== PDF: ${filename} =====\n` +
             `[No extractable text found. This PDF may be image-only / scanned / mostly visual.]\n` +
-            `===== END PDF: ${file.originalname || file.filename} =====\n`,
+            `===== END PDF: ${filename} =====\n`,
         });
       } else {
-        const total = chunks.length;
-        for (let i = 0; i < total; i++) {
-          content.push({
-            type: "text",
-            text:
-              `===== PDF: ${file.originalname || file.filename} | CHUNK ${i + 1}/${total} =====\n` +
-              chunks[i] +
-              `\n===== END PDF: ${file.originalname || file.filename} | CHUNK ${
-                i + 1
-              }/${total} =====\n`,
-          });
-        }
+        pushSceneList(content, filename, screenplay, {
+          screenplays,
+          filePath: file.path,
+          onProgress,
+        });
+        pushTextChunks(content, "PDF", filename, chunks);
       }
 
       continue;
     }
 
-    // Other file types currently ignored (consistent with your current tool behavior)
-  }
+    // Word documents (.docx / legacy .doc) and plain text
+    if (TEXT_DOCUMENT_LABELS[mediaType]) {
+      const label = TEXT_DOCUMENT_LABELS[mediaType];
+
+      let text;
+      try {
+        ({ text } =
+          mediaType === "text/plain"
+            ? await extractPlainText(file.path)
+            : await extractWordText(file.path));
+      } catch (err) {
+        console.error(`Failed extracting ${label} text for ${filename}:`, err);
+        warnings.push({
+          filename,
+          message: `Could not read this ${label} file (${err.message}). It was NOT included in the breakdown.`,
+        });
+        continue;
+      }
 
-  return { content, pdfDiagnostics, totalExtractedPdfChars };
-}
+      const textChars = (text || "").length;
+      totalExtractedTextChars += textChars;
+      extractedTexts.set(file.path, text || "");
 
-/**
- * When PDFs are huge, do multi-pass:
- * 1) For each PDF chunk block, ask Claude to extract structured "production notes" only (compact).
- * 2) Combine notes + images and ask Claude for final breakdown.
- */
-async function runMultiPassBreakdown({ originalContent }) {
-  const imageBlocks = originalContent.filter((b) => b.type === "image");
-  const textBlocks = originalContent.filter((b) => b.type === "text");
-
-  const notes = [];
-
-  for (let i = 0; i < textBlocks.length; i++) {
-    const block = textBlocks[i];
-
-    const isGenericInstruction =
-      typeof block.text === "string" &&
-      block.text.startsWith("Please analyze these production brief documents");
-
-    if (isGenericInstruction) continue;
-
-    const msg = await anthropic.messages.create({
-      model: MODEL,
-      max_tokens: 2500,
-      system:
-        `You are extracting production-relevant facts from one chunk of source material.\n` +
-        `STRICT RULES:\n` +
-        `- ONLY include facts explicitly stated.\n` +
-        `- If uncertain, label as RECOMMENDED or QUESTION.\n` +
-        `OUTPUT FORMAT:\n` +
-        `Return compact bullet notes under these headings:\n` +
-        `SHOOT DAYS | CREW | EQUIPMENT | LOCATIONS | ART/PROPS | TRANSPORT | TALENTS | USAGE | SPECIAL NOTES & QUESTIONS | MISSING/TBD\n`,
-      messages: [
-        {
-          role: "user",
-          content: [
-            {
-              type: "text",
-              text:
-                `Extract production notes from this chunk (${i + 1}/${textBlocks.length}).\n\n` +
-                block.text,
-            },
-          ],
-        },
-      ],
-    });
+      const { chunks, screenplay } = prepareDocumentText([{ num: null, text }]);
 
-    notes.push(msg.content?.[0]?.text || "");
-  }
+      const diagnostics = {
+        filename,
+        kind: label,
+        textLength: textChars,
+        chunkCount: chunks.length,
+      };
+      documentDiagnostics.push(diagnostics);
+      onProgress("document-extracted", diagnostics);
 
-  const finalUserContent = [
-    {
-      type: "text",
-      text:
-        "You will now produce the final production breakdown. Use the notes below as the only factual source. " +
-        "If images are attached, use them only to confirm visible details and call out any uncertainties as QUESTIONS.",
-    },
-    ...imageBlocks,
-    {
-      type: "text",
-      text:
-        `\n\n===== EXTRACTED NOTES (MULTI-PASS) =====\n` +
-        notes.join("\n\n---\n\n") +
-        `\n===== END EXTRACTED NOTES =====\n`,
-    },
-  ];
+      if (chunks.length === 0) {
+        warnings.push({
+          filename,
+          message: "No text could be extracted from this file. It was NOT included in the breakdown.",
+        });
+        continue;
+      }
 
-  const finalMsg = await anthropic.messages.create({
-    model: MODEL,
-    max_tokens: MAX_TOKENS,
-    system: SYSTEM_PROMPT,
-    messages: [{ role: "user", content: finalUserContent }],
-  });
+      pushSceneList(content, filename, screenplay, {
+        screenplays,
+        filePath: file.path,
+        onProgress,
+      });
+      pushTextChunks(content, label, filename, chunks);
+      continue;
+    }
 
-  return finalMsg.content?.[0]?.text || "";
+    warnings.push({
+      filename,
+      message: "Unsupported file type. It was NOT included in the breakdown.",
+    });
+  }
+
+  return {
+    content,
+    pdfDiagnostics,
+    documentDiagnostics,
+    totalExtractedTextChars,
+    warnings,
+    extractedTexts,
+    screenplays,
+  };
 }
 
 /**
  * ----------------------------
- * API: Generate breakdown
+ * Retries for Claude calls
  * ----------------------------
+ *
+ * Rate limits (429), overload (529 / 5xx) and dropped connections are usually transient.
+ * Calls wrapped in withRetry() back off exponentially (plus jitter so parallel calls don't retry
+ * in lockstep) and honour the API's retry-after headers, up to CHUNK_RETRY_MAX_DELAY_MS per wait.
+ * The SDK's own retries are turned off for these calls (`maxRetries: 0`) so the two don't stack.
  */
-app.post(
-  "/api/generate-breakdown",
-  upload.array("files", MAX_FILES),
-  async (req, res) => {
-    const files = req.files || [];
-    const cleanupPaths = files.map((f) => f.path);
-
-    try {
-      console.log("Uploaded files:");
-      for (const f of files) {
-        console.log(
-          `- ${f.originalname} (${(f.size / (1024 * 1024)).toFixed(2)} MB)`
-        );
-      }
+function isRetryableError(err) {
+  if (err instanceof Anthropic.APIUserAbortError) return false;
+  if (err instanceof Anthropic.APIConnectionError) return true;
+  const status = err?.status;
+  return status === 408 || status === 409 || status === 429 || status >= 500;
+}
 
-      if (files.length === 0) {
-        return res.status(400).json({ error: "No files uploaded" });
-      }
+// retry-after-ms / retry-after (seconds or HTTP date) -> milliseconds, or null
+function retryAfterMs(err) {
+  const headers = err?.headers || {};
 
-      if (!process.env.ANTHROPIC_API_KEY) {
-        return res.status(500).json({
-          error:
-            "Server is missing ANTHROPIC_API_KEY environment variable. Set it and restart the server.",
-        });
-      }
+  const ms = parseFloat(headers["retry-after-ms"]);
+  if (Number.isFinite(ms)) return ms;
 
-      const { content, pdfDiagnostics, totalExtractedPdfChars } =
-        await createContentWithFiles(
-          files,
-          "Please analyze these production brief documents and create a detailed production breakdown following the format and rules in your system prompt."
-        );
+  const value = headers["retry-after"];
+  if (!value) return null;
+  const seconds = parseFloat(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
 
-      if (pdfDiagnostics.length) {
-        console.log("PDF extraction diagnostics:");
-        for (const d of pdfDiagnostics) {
-          const pages = d.numpages ?? 0;
-          const density = pages > 0 ? Math.round(d.textLength / pages) : 0;
+// A long or far-future retry-after would stall the chunk (and its job) for that long, so it is
+// capped like the backoff; a call that still fails uses up its retries and the chunk is given up on
+function retryDelayMs(err, attempt) {
+  const jitter = Math.random() * CHUNK_RETRY_BASE_DELAY_MS;
+  const requested = retryAfterMs(err);
+  if (requested !== null) return Math.min(requested + jitter, CHUNK_RETRY_MAX_DELAY_MS);
 
-          console.log(
-            `- ${d.filename}: pages=${d.numpages ?? "?"}, textChars=${
-              d.textLength
-            }, charsPerPage=${density}, chunks=${d.chunkCount}`
-          );
-        }
-      }
+  const backoff = CHUNK_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+  return Math.min(backoff + jitter, CHUNK_RETRY_MAX_DELAY_MS);
+}
 
-      let breakdown = "";
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
 
-      if (totalExtractedPdfChars > MULTIPASS_THRESHOLD_CHARS) {
-        console.log(
-          `Large extracted PDF text (${totalExtractedPdfChars} chars). Using multi-pass chunk->notes->final breakdown.`
-        );
-        breakdown = await runMultiPassBreakdown({ originalContent: content });
-      } else {
-        const message = await anthropic.messages.create({
-          model: MODEL,
-          max_tokens: MAX_TOKENS,
-          system: SYSTEM_PROMPT,
-          messages: [{ role: "user", content }],
-        });
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
 
-        breakdown = message.content?.[0]?.text || "";
+/**
+ * Run `call()` and retry transient failures up to `maxRetries` times.
+ * `onRetry({ attempt, delayMs, error })` is called before each wait.
+ */
+async function withRetry(
+  call,
+  { maxRetries = CHUNK_MAX_RETRIES, signal, onRetry = noProgress } = {}
+) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await call();
+    } catch (err) {
+      if (signal?.aborted || attempt > maxRetries || !isRetryableError(err)) {
+        throw err;
       }
 
-      const conversationHistory = [
-        { role: "user", content },
-        { role: "assistant", content: [{ type: "text", text: breakdown }] },
-      ];
+      const delayMs = Math.round(retryDelayMs(err, attempt));
+      console.warn(
+        `Claude call failed (${err.status || err.message}), retry ${attempt}/${maxRetries} in ${delayMs}ms`
+      );
+      onRetry({ attempt, delayMs, error: err.message });
+      await sleep(delayMs, signal);
+    }
+  }
+}
 
-      return res.json({ breakdown, conversationHistory });
-    } catch (error) {
-      console.error("Error generating breakdown:", error);
-      return res.status(500).json({ error: "Failed to generate breakdown" });
-    } finally {
-      for (const p of cleanupPaths) {
-        await fs.unlink(p).catch(() => {});
-      }
+// Run `worker(item, index)` over items with at most `limit` in flight; results keep input order
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function lane() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
     }
   }
-);
+
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, lane);
+  await Promise.all(lanes);
+  return results;
+}
 
 /**
  * ----------------------------
- * API: Revise breakdown
+ * Multi-pass breakdown
  * ----------------------------
  */
-app.post("/api/revise-breakdown", async (req, res) => {
-  try {
-    const { revisionRequest, currentBreakdown, conversationHistory } = req.body;
 
-    if (!revisionRequest || !currentBreakdown) {
-      return res.status(400).json({ error: "Missing required data" });
-    }
+// Notes are grouped under the template's section titles, so the final call can map them 1:1
+function chunkNotesHeadings(definition) {
+  return definition.sections.map((s) => s.title).join(" | ");
+}
 
-    if (!process.env.ANTHROPIC_API_KEY) {
-      return res.status(500).json({
-        error:
-          "Server is missing ANTHROPIC_API_KEY environment variable. Set it and restart the server.",
-      });
-    }
+function chunkNotesSystemPrompt(definition) {
+  return (
+    `You are extracting production-relevant facts from one chunk of source material.\n` +
+    `STRICT RULES:\n` +
+    `- ONLY include facts explicitly stated.\n` +
+    `- If uncertain, label as RECOMMENDED or QUESTION.\n` +
+    `- After every stated fact add its source: (source: <file name from the ===== marker>, <page from the nearest --- PAGE n --- line if any, else chunk i/n>: "<short verbatim quote>").\n` +
+    `  The final breakdown cites these, so copy the quote word for word.\n` +
+    `OUTPUT FORMAT:\n` +
+    `Return compact bullet notes under these headings:\n` +
+    `${chunkNotesHeadings(definition)}\n`
+  );
+}
 
-    const messages = [
-      ...(conversationHistory || []),
-      {
-        role: "user",
-        content: [
-          {
-            type: "text",
-            text:
-              `Please revise the breakdown based on this feedback: ${revisionRequest}\n\n` +
-              `Current breakdown:\n${currentBreakdown}`,
-          },
-        ],
-      },
-    ];
+// The chunk's content without its ===== file markers is the hash input, so the same text uploaded
+// under another file name still hits (see cachedChunkNotes()). The headings are part of the key:
+// the same chunk gives different notes for another template.
+function chunkNotesCacheKey(block, definition) {
+  return analysisCache.cacheKey(
+    "chunk-notes",
+    block.text.replace(/^===== .+ =====\n/, "").replace(/\n===== END .+ =====\n?$/, ""),
+    MODEL,
+    PDF_TEXT_CHUNK_CHARS,
+    CHUNK_NOTES_PROMPT_VERSION,
+    chunkNotesHeadings(definition)
+  );
+}
+
+// Cached notes are { filename, notes }; their sources name the file they were made from, so they
+// are moved to this chunk's file name
+function cachedChunkNotes(cached, filename) {
+  if (typeof cached?.notes !== "string") return null;
+  return cached.filename && filename && cached.filename !== filename
+    ? cached.notes.split(cached.filename).join(filename)
+    : cached.notes;
+}
+
+// "===== PDF: brief.pdf | CHUNK 3/9 | PAGES 12-15 =====" ->
+//   { filename: "brief.pdf", range: "brief.pdf, chunk 3/9 (pages 12-15)" }
+function describeChunk(block, index) {
+  const header = String(block.text || "").split("\n", 1)[0];
+  const match = header.match(
+    /^=====\s*[^:]+:\s*(.+?)(?:\s*\|\s*CHUNK\s+(\d+\/\d+))?(?:\s*\|\s*(PAGES?\s+[\d-]+))?\s*=====/
+  );
+  if (!match) return { filename: null, range: `text block ${index + 1}` };
+
+  const [, filename, chunk, pages] = match;
+  if (!chunk) return { filename, range: filename };
+  return {
+    filename,
+    range: `${filename}, chunk ${chunk}${pages ? ` (${pages.toLowerCase()})` : ""}`,
+  };
+}
+
+// Chunks we gave up on are listed in MISSING/TBD so the breakdown itself says what it didn't see
+function addMissingRangeItems(breakdown, missingRanges) {
+  const section = breakdown.sections.find((s) => s.id === "missing");
+  if (!section) return;
+
+  for (const { range } of missingRanges) {
+    section.items.push({
+      description: `Source not analysed: ${range}`,
+      quantity: null,
+      status: "RECOMMENDED",
+      group: null,
+      notes: "Extraction failed after retries; regenerate to include this part of the documents",
+    });
+  }
+}
+
+/**
+ * ----------------------------
+ * Conflicts between the uploaded files (lib/conflicts.js)
+ * ----------------------------
+ */
+
+// Blocks that carry no text of the file itself: scene lists (parsed from a script that is compared
+// anyway), the markers around sampled page images, the image-heavy PDF notice and the
+// placeholder for a file without extractable text
+const NON_TEXT_BLOCK =
+  /^===== (?:SCENE LIST|VISUAL PAGES FROM PDF|END VISUAL PAGES FROM PDF|PDF \(IMAGE-HEAVY\) DETECTED):|^\[No extractable text found/m;
+
+// Text blocks of one upload grouped per file: [{ filename, text }] with the ===== markers kept.
+// texts: one entry per block (the block itself, or the multi-pass notes made from it).
+function conflictSources(blocks, texts = blocks.map((b) => b.text)) {
+  const byFile = new Map();
+  blocks.forEach((block, i) => {
+    if (block.type !== "text" || NON_TEXT_BLOCK.test(block.text)) return;
+    const { filename } = describeChunk(block, i);
+    if (!filename || typeof texts[i] !== "string") return;
+    // Notes don't repeat the chunk's marker; keep it so the comparison knows where they came from
+    const text =
+      texts[i] === block.text ? block.text : `${block.text.split("\n", 1)[0]}\n${texts[i]}`;
+    byFile.set(filename, [...(byFile.get(filename) || []), text]);
+  });
+  return [...byFile].map(([filename, parts]) => ({ filename, text: parts.join("\n\n") }));
+}
+
+/**
+ * Ask Claude which facts the files disagree on and whether they are one project.
+ * sources: [{ filename, text }]; fewer than two files -> nothing to compare.
+ *
+ * Returns { report, warning }: report is null when nothing was compared. A failed comparison
+ * is only a warning, the breakdown goes ahead without it.
+ */
+async function compareFiles(sources, { onProgress = noProgress, signal } = {}) {
+  if (sources.length < 2) return { report: null, warning: null };
+
+  const filenames = sources.map((s) => s.filename);
+  const cacheKey = analysisCache.cacheKey(
+    "conflicts",
+    sources,
+    MODEL,
+    CONFLICTS_PROMPT_VERSION
+  );
+  let report = await analysisCache.get("conflicts", cacheKey);
+  const cached = !!report;
+
+  if (!report) {
+    try {
+      const msg = await withRetry(
+        () =>
+          anthropic.messages.create(
+            {
+              model: MODEL,
+              max_tokens: 4000,
+              system: CONFLICTS_SYSTEM_PROMPT,
+              messages: [
+                {
+                  role: "user",
+                  content: [
+                    {
+                      type: "text",
+                      text:
+                        `Compare these ${sources.length} files: ${filenames.join(", ")}.\n\n` +
+                        sources.map((s) => s.text).join("\n\n"),
+                    },
+                  ],
+                },
+              ],
+            },
+            { signal, maxRetries: 0 }
+          ),
+        { signal }
+      );
+      report = normalizeConflictReport(parseBreakdownJson(msg.content?.[0]?.text), filenames);
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      console.error("Comparing the uploaded files failed:", err.message);
+      return {
+        report: null,
+        warning: {
+          filename: filenames.join(", "),
+          message: `The files could not be compared for conflicting details (${err.message}). Check them against each other yourself.`,
+        },
+      };
+    }
+    await analysisCache.set("conflicts", cacheKey, report, { label: filenames.join(", ") });
+  }
+
+  onProgress("conflicts-checked", {
+    files: filenames.length,
+    conflicts: report.conflicts.length,
+    differentProjects: !report.sameProject,
+    cached,
+  });
+
+  const warning = report.sameProject
+    ? null
+    : {
+        filename: filenames.join(", "),
+        message:
+          "These files seem to describe different projects" +
+          (report.projectNote ? ` (${report.projectNote})` : "") +
+          ". Check that they belong to the same job before using the breakdown.",
+      };
+  return { report, warning };
+}
+
+// The template for the final call: the conflicts section only when the files were compared
+function withComparedFiles(template, conflicts) {
+  return conflicts.report
+    ? { ...template, definition: withConflictsSection(template.definition) }
+    : template;
+}
+
+/**
+ * When PDFs are huge, do multi-pass:
+ * 1) For each PDF chunk block, ask Claude to extract structured "production notes" only (compact).
+ *    Up to MULTIPASS_CONCURRENCY chunks run at once; each call is retried with backoff.
+ *    Notes are cached per chunk, so re-running the same documents only pays for new chunks.
+ *    A chunk that still fails is skipped and reported instead of failing the whole breakdown.
+ * 2) Combine notes + images and ask Claude for final breakdown.
+ *
+ * Between the two, the notes of each file are compared for conflicting details (compareFiles()).
+ *
+ * Returns the same shape as requestStructuredBreakdown(), plus
+ * `missingRanges: [{ index, filename, range, error }]` for chunks that could not be analysed
+ * and `conflicts: { report, warning }` from the comparison.
+ */
+async function runMultiPassBreakdown({
+  originalContent,
+  template,
+  onProgress = noProgress,
+  signal,
+}) {
+  const notesSystemPrompt = chunkNotesSystemPrompt(template.definition);
+  const imageBlocks = originalContent.filter((b) => b.type === "image");
+  // Parsed scene tables are already compact and exact; they go to the final call as they are
+  const sceneListBlocks = originalContent.filter(
+    (b) => b.type === "text" && b.text.startsWith("===== SCENE LIST:")
+  );
+  const textBlocks = originalContent.filter(
+    (b) =>
+      b.type === "text" &&
+      !(
+        typeof b.text === "string" &&
+        (b.text.startsWith("Please analyze these production brief documents") ||
+          b.text.startsWith("===== SCENE LIST:"))
+      )
+  );
+
+  const total = textBlocks.length;
+  const missingRanges = [];
+  let completed = 0;
+  let cachedCount = 0;
+  onProgress("multipass-started", {
+    chunks: total,
+    concurrency: MULTIPASS_CONCURRENCY,
+  });
+
+  const notes = await mapWithConcurrency(
+    textBlocks,
+    MULTIPASS_CONCURRENCY,
+    async (block, i) => {
+      // Cancelled job: don't start any more chunk calls
+      signal?.throwIfAborted();
+
+      // Same chunk seen before (re-uploaded brief): reuse its notes instead of paying again
+      const cacheKey = chunkNotesCacheKey(block, template.definition);
+      const { filename } = describeChunk(block, i);
+      const cachedNotes = cachedChunkNotes(
+        await analysisCache.get("chunk-notes", cacheKey),
+        filename
+      );
+      if (cachedNotes !== null) {
+        completed++;
+        cachedCount++;
+        onProgress("chunk-summarised", { index: i + 1, total, completed, cached: true });
+        return cachedNotes;
+      }
+
+      try {
+        const msg = await withRetry(
+          () =>
+            anthropic.messages.create(
+              {
+                model: MODEL,
+                max_tokens: 2500,
+                system: notesSystemPrompt,
+                messages: [
+                  {
+                    role: "user",
+                    content: [
+                      {
+                        type: "text",
+                        text:
+                          `Extract production notes from this chunk (${i + 1}/${total}).\n\n` +
+                          block.text,
+                      },
+                    ],
+                  },
+                ],
+              },
+              { signal, maxRetries: 0 }
+            ),
+          {
+            signal,
+            onRetry: (retry) =>
+              onProgress("chunk-retry", { index: i + 1, total, ...retry }),
+          }
+        );
+
+        const text = msg.content?.[0]?.text || "";
+        await analysisCache.set("chunk-notes", cacheKey, { filename, notes: text }, {
+          label: describeChunk(block, i).range,
+        });
+
+        completed++;
+        onProgress("chunk-summarised", { index: i + 1, total, completed, cached: false });
+        return text;
+      } catch (err) {
+        if (signal?.aborted) throw err;
+
+        const { range } = describeChunk(block, i);
+        console.error(`Chunk ${i + 1}/${total} (${range}) failed after retries:`, err.message);
+        missingRanges.push({ index: i + 1, filename, range, error: err.message });
+
+        completed++;
+        onProgress("chunk-failed", {
+          index: i + 1,
+          total,
+          completed,
+          range,
+          error: err.message,
+        });
+        return null;
+      }
+    }
+  );
+
+  if (cachedCount) {
+    console.log(`Multi-pass: reused cached notes for ${cachedCount}/${total} chunks`);
+  }
+
+  if (missingRanges.length === total) {
+    throw httpError(
+      502,
+      `Claude could not process any part of the documents (${missingRanges[0].error}). Please try again in a few minutes.`
+    );
+  }
+  missingRanges.sort((a, b) => a.index - b.index);
+
+  // Notes are compact and name their sources, so the whole upload fits in one comparison
+  const conflicts = await compareFiles(conflictSources(textBlocks, notes), { onProgress, signal });
+  const conflictsBlock = conflictsPromptBlock(conflicts.report);
+
+  const finalUserContent = [
+    {
+      type: "text",
+      text:
+        "You will now produce the final production breakdown. Use the notes below as the only factual source. " +
+        "If images are attached, use them only to confirm visible details and call out any uncertainties as QUESTIONS.",
+    },
+    ...imageBlocks,
+    ...sceneListBlocks,
+    {
+      type: "text",
+      text:
+        `\n\n===== EXTRACTED NOTES (MULTI-PASS) =====\n` +
+        notes
+          .map((n, i) =>
+            n === null ? `[MISSING: ${describeChunk(textBlocks[i], i).range} could not be analysed]` : n
+          )
+          .join("\n\n---\n\n") +
+        `\n===== END EXTRACTED NOTES =====\n`,
+    },
+  ];
+
+  if (missingRanges.length) {
+    finalUserContent.push({
+      type: "text",
+      text:
+        `\n===== MISSING SOURCE RANGES =====\n` +
+        `These parts of the documents could not be analysed, so the notes above are incomplete:\n` +
+        missingRanges.map((m) => `- ${m.range}`).join("\n") +
+        `\nDo not treat something as absent just because it isn't in the notes. ` +
+        `These ranges are added to MISSING/TBD automatically; don't list them yourself.\n` +
+        `===== END MISSING SOURCE RANGES =====\n`,
+    });
+  }
+
+  if (conflictsBlock) {
+    finalUserContent.push({ type: "text", text: conflictsBlock });
+  }
+
+  const result = await requestStructuredBreakdown(
+    [{ role: "user", content: finalUserContent }],
+    { template: withComparedFiles(template, conflicts), onProgress, signal }
+  );
+
+  if (missingRanges.length) {
+    addMissingRangeItems(result.breakdown, missingRanges);
+  }
+  if (conflicts.report) {
+    addConflictItems(result.breakdown, conflicts.report);
+  }
+  if (missingRanges.length || conflicts.report) {
+    result.breakdownText = renderBreakdownText(result.breakdown);
+    result.rawText = JSON.stringify(result.breakdown);
+  }
+
+  return { ...result, missingRanges, conflicts };
+}
+
+/**
+ * ----------------------------
+ * Generate / revise pipeline
+ * Shared by the plain JSON endpoints and their streaming (SSE) variants.
+ * ----------------------------
+ */
+function ensureApiKey() {
+  if (!process.env.ANTHROPIC_API_KEY) {
+    throw httpError(
+      500,
+      "Server is missing ANTHROPIC_API_KEY environment variable. Set it and restart the server."
+    );
+  }
+}
+
+/**
+ * Check the CONFIRMED items of `result` against the source text (lib/grounding.js) and replace
+ * its breakdown with the checked one (unsupported / contradicted items downgraded).
+ * sources: [{ filename, text }]
+ *
+ * Returns the grounding report.
+ */
+function verifyResult(result, sources, onProgress = noProgress, sectionIds = null) {
+  const { breakdown, report } = verifyBreakdown(result.breakdown, sources, { sectionIds });
+  if (report.summary.downgraded) {
+    result.breakdown = breakdown;
+    result.breakdownText = renderBreakdownText(breakdown);
+    result.rawText = JSON.stringify(breakdown);
+  }
+  console.log(
+    `Grounding: ${report.summary.checked} CONFIRMED checked, ${report.summary.downgraded} downgraded`
+  );
+  onProgress("verified", report.summary);
+  return report;
+}
+
+// Extracted text of a project's sources, for verifyResult()
+async function projectSourceTexts(project) {
+  return Promise.all(
+    project.sources.map(async (source) => ({
+      filename: source.filename,
+      text: source.hasExtractedText ? await projectStore.getSourceText(project.id, source.id) : null,
+    }))
+  );
+}
+
+/**
+ * Extract the uploaded files and have Claude write a breakdown of them with `template`
+ * (single call, or multi-pass for large documents), conflicts between the files included.
+ *
+ * Returns { result, warnings, extractedTexts, screenplays }: `result` is the
+ * requestStructuredBreakdown() result.
+ */
+async function breakdownFromFiles({ files, template, onProgress = noProgress, signal }) {
+  const {
+    content,
+    pdfDiagnostics,
+    documentDiagnostics,
+    totalExtractedTextChars,
+    warnings,
+    extractedTexts,
+    screenplays,
+  } = await createContentWithFiles(
+    files,
+    "Please analyze these production brief documents and create a detailed production breakdown following the format and rules in your system prompt.",
+    { onProgress }
+  );
+
+  for (const w of warnings) {
+    console.warn(`WARNING ${w.filename}: ${w.message}`);
+  }
+
+  // Only the instruction block left -> nothing usable was uploaded
+  if (content.length <= 1) {
+    throw httpError(400, "None of the uploaded files could be read.", {
+      warnings,
+    });
+  }
+
+  if (pdfDiagnostics.length) {
+    console.log("PDF extraction diagnostics:");
+    for (const d of pdfDiagnostics) {
+      const pages = d.numpages ?? 0;
+      const density = pages > 0 ? Math.round(d.textLength / pages) : 0;
+
+      console.log(
+        `- ${d.filename}: pages=${d.numpages ?? "?"}, textChars=${
+          d.textLength
+        }, charsPerPage=${density}, chunks=${d.chunkCount}${d.cached ? " (cached)" : ""}`
+      );
+    }
+  }
+
+  if (documentDiagnostics.length) {
+    console.log("Document extraction diagnostics:");
+    for (const d of documentDiagnostics) {
+      console.log(
+        `- ${d.filename}: kind=${d.kind}, textChars=${d.textLength}, chunks=${d.chunkCount}`
+      );
+    }
+  }
+
+  let result;
+
+  if (totalExtractedTextChars > MULTIPASS_THRESHOLD_CHARS) {
+    console.log(
+      `Large extracted document text (${totalExtractedTextChars} chars). Using multi-pass chunk->notes->final breakdown.`
+    );
+    result = await runMultiPassBreakdown({
+      originalContent: content,
+      template,
+      onProgress,
+      signal,
+    });
+  } else {
+    const conflicts = await compareFiles(conflictSources(content), { onProgress, signal });
+    const conflictsBlock = conflictsPromptBlock(conflicts.report);
+    if (conflictsBlock) content.push({ type: "text", text: conflictsBlock });
+
+    result = await requestStructuredBreakdown([{ role: "user", content }], {
+      template: withComparedFiles(template, conflicts),
+      onProgress,
+      signal,
+    });
+    if (conflicts.report) {
+      addConflictItems(result.breakdown, conflicts.report);
+      result.breakdownText = renderBreakdownText(result.breakdown);
+      result.rawText = JSON.stringify(result.breakdown);
+    }
+    result.conflicts = conflicts;
+  }
+
+  // Cancelled while the last call was finishing: don't save anything
+  signal?.throwIfAborted();
+
+  if (result.conflicts.warning) warnings.push(result.conflicts.warning);
+
+  for (const m of result.missingRanges || []) {
+    warnings.push({
+      filename: m.filename || m.range,
+      message: `Part of this file (${m.range}) could not be analysed after several retries (${m.error}). It is listed under MISSING/TBD; regenerate to include it.`,
+    });
+  }
+
+  return { result, warnings, extractedTexts, screenplays };
+}
+
+/**
+ * files: multer files (moved into the project store on success)
+ * body:  multipart fields (projectId, templateId + project metadata)
+ *
+ * Returns the response payload for /api/generate-breakdown.
+ */
+async function runGeneration({
+  files,
+  body,
+  onProgress = noProgress,
+  signal,
+}) {
+  console.log("Uploaded files:");
+  for (const f of files) {
+    console.log(
+      `- ${f.originalname} (${(f.size / (1024 * 1024)).toFixed(2)} MB)`
+    );
+    onProgress("file-received", { filename: f.originalname, size: f.size });
+  }
+
+  if (files.length === 0) {
+    throw httpError(400, "No files uploaded");
+  }
+
+  ensureApiKey();
+
+  // Optional: add this run to an existing project (otherwise a new project is created)
+  const { projectId } = body;
+  if (projectId && !(await projectStore.getProject(projectId))) {
+    throw httpError(404, "Project not found");
+  }
+
+  // Production type template; blank -> default
+  const template = await templates.resolveTemplate(body.templateId || undefined);
+  if (!template) {
+    throw httpError(404, "Template not found");
+  }
+  console.log(`Template: ${template.name} (v${template.version})`);
+
+  const { result, warnings, extractedTexts, screenplays } = await breakdownFromFiles({
+    files,
+    template,
+    onProgress,
+    signal,
+  });
+
+  const verification = verifyResult(
+    result,
+    files.map((f) => ({ filename: f.originalname, text: extractedTexts.get(f.path) ?? null })),
+    onProgress
+  );
+
+  // Persist sources + extracted text + breakdown so the job survives a page refresh
+  // Blank form fields should not wipe metadata on an existing project
+  const meta = {};
+  for (const field of projectStore.PROJECT_META_FIELDS) {
+    if (body[field]) meta[field] = body[field];
+  }
+
+  const project = projectId
+    ? await projectStore.updateProjectMeta(projectId, meta)
+    : await projectStore.createProject(meta);
+
+  await projectStore.addSources(project.id, files, extractedTexts, screenplays);
+  const stored = await projectStore.addBreakdown(project.id, {
+    source: "generate",
+    template: templates.templateRef(template),
+    structuredBreakdown: result.breakdown,
+    breakdownText: result.breakdownText,
+    verification,
+    conflicts: result.conflicts.report,
+    warnings,
+  });
+
+  return {
+    projectId: project.id,
+    version: stored.version,
+    breakdown: result.breakdownText,
+    structuredBreakdown: result.breakdown,
+    template: templates.templateRef(template),
+    verification,
+    conflicts: result.conflicts.report,
+    warnings,
+  };
+}
+
+/**
+ * Section ids a targeted revision may change; unknown ids are a 400.
+ * Returns null for a normal (whole breakdown) revision.
+ */
+function revisionScope(sectionIds, definition) {
+  if (sectionIds === undefined || sectionIds === null) return null;
+  if (!Array.isArray(sectionIds) || !sectionIds.length) {
+    throw httpError(400, "sections must be a non-empty list of section ids");
+  }
+  const unknown = sectionIds.filter((id) => !definition.sections.some((s) => s.id === id));
+  if (unknown.length) {
+    throw httpError(400, `Unknown section(s): ${unknown.join(", ")}`, {
+      sections: definition.sections.map((s) => s.id),
+    });
+  }
+  return definition.sections.filter((s) => sectionIds.includes(s.id));
+}
+
+// The targeted sections as JSON to revise; the rest only as read-only context
+function scopedRevisionText(revisionRequest, breakdown, scope) {
+  const ids = scope.map((s) => s.id);
+  const targeted = breakdown.sections.filter((s) => ids.includes(s.id));
+  const others = breakdown.sections.filter((s) => !ids.includes(s.id));
+  return (
+    `Please revise ONLY these sections of the breakdown: ${scope.map((s) => s.title).join(", ")}.\n` +
+    `Feedback: ${revisionRequest}\n\n` +
+    "Reply with a JSON object that contains only these sections, in full. Keep their items that the feedback " +
+    "does not affect exactly as they are.\n\n" +
+    `Sections to revise (JSON):\n${JSON.stringify({ ...breakdown, sections: targeted })}\n\n` +
+    "The other sections, for context only (do not return them):\n" +
+    renderBreakdownText({ sections: others })
+  );
+}
+
+// Current breakdown with only the targeted sections taken from the revision. `revised` has passed
+// validation against `scope`, so every targeted section is one Claude actually returned.
+function mergeRevisedSections(current, revised, scope) {
+  return {
+    ...current,
+    sections: current.sections.map(
+      (section) =>
+        (scope.some((s) => s.id === section.id) &&
+          revised.sections.find((r) => r.id === section.id)) ||
+        section
+    ),
+  };
+}
+
+/**
+ * body: { revisionRequest, structuredBreakdown?, projectId?, version?, template?, sections? }
+ *
+ * With a project, `version` is the version being revised (default latest) and
+ * `structuredBreakdown` defaults to it. The conversation so far is rebuilt on the server from the
+ * project's versions up to that one (lib/conversation.js), so the browser only sends the revision
+ * text; without a project the revision is sent with no earlier conversation.
+ *
+ * Revisions keep the template the breakdown was made with: the revised version's, else
+ * `template` ({ id, version } from the generate response), else the default.
+ *
+ * With `sections` (ids, e.g. ["crew"]) only those sections are sent to Claude, without the
+ * conversation, and only they are replaced; every other section is copied over unchanged and is
+ * not re-checked.
+ *
+ * Locked items (set by hand) come back exactly as they were: any change Claude made to them is
+ * undone and listed in `lockedRestored` (lib/locked-items.js).
+ * The result is checked against the project's source text; without a project there is nothing
+ * to check against and `verification` is null.
+ *
+ * Callers that build the revision themselves (client answers) can pass:
+ *  - record:       fields stored on the version instead of { source: "revise", revisionRequest }
+ *  - adjust:       (breakdown) => breakdown, applied to the model's result before it is checked
+ *  - extraSources: [{ filename, text }] checked against besides the project's sources
+ *
+ * Returns the response payload for /api/revise-breakdown.
+ */
+async function runRevision({
+  body,
+  onProgress = noProgress,
+  signal,
+  record = null,
+  adjust = null,
+  extraSources = [],
+}) {
+  const { revisionRequest, projectId } = body;
+
+  if (!revisionRequest) {
+    throw httpError(400, "Missing required data");
+  }
+
+  const project = projectId ? await projectStore.getProject(projectId) : null;
+  if (projectId && !project) {
+    throw httpError(404, "Project not found");
+  }
+
+  const base = project
+    ? body.version
+      ? projectStore.findVersion(project, body.version)
+      : project.breakdowns[project.breakdowns.length - 1]
+    : null;
+  if (project && body.version && !base) {
+    throw httpError(404, "Version not found");
+  }
+
+  const structuredBreakdown = body.structuredBreakdown || base?.structuredBreakdown;
+  if (!structuredBreakdown) {
+    throw httpError(400, "Missing required data");
+  }
+
+  const template = await templates.resolveTemplate(base?.template || body.template);
+  if (!template) {
+    throw httpError(404, "Template not found");
+  }
+
+  // Revised with the sections it was made with, conflicts between documents included
+  const definition = definitionForBreakdown(template.definition, structuredBreakdown);
+  const { breakdown: currentBreakdown, errors } = checkStructuredBreakdown(
+    structuredBreakdown,
+    definition.sections
+  );
+  if (errors.length) {
+    throw httpError(400, "Invalid structuredBreakdown", { details: errors });
+  }
+
+  const scope = revisionScope(body.sections, definition);
+
+  ensureApiKey();
+
+  const request = {
+    role: "user",
+    content: [
+      {
+        type: "text",
+        text:
+          (scope
+            ? scopedRevisionText(revisionRequest, currentBreakdown, scope)
+            : `Please revise the breakdown based on this feedback: ${revisionRequest}\n\n` +
+              `Current breakdown (JSON):\n${JSON.stringify(currentBreakdown)}`) +
+          (hasLockedItems(currentBreakdown) ? `\n\n${LOCKED_ITEMS_INSTRUCTION}` : ""),
+      },
+    ],
+  };
+  // The documents go back in as the text extracted at upload: the conversation for a full
+  // revision, ahead of the request for a scoped one (which has no history)
+  const sourceTexts = project ? await projectSourceTexts(project) : [];
+  const messages = scope
+    ? [{ ...request, content: [...sourceContent(sourceTexts, revisionRequest), ...request.content] }]
+    : [
+        ...(base ? buildConversation(project, base.version, { sources: sourceTexts, query: revisionRequest }) : []),
+        request,
+      ];
+
+  // Breakdowns saved before citations existed carry CONFIRMED items without one; insisting on
+  // citations here would make every revision of those fail. Scoped: the prompt describes, and the
+  // reply is validated against, the targeted sections only; a targeted section missing from the
+  // reply is a validation error (asked again), so it is never merged back empty.
+  const result = await requestStructuredBreakdown(messages, {
+    template: { ...template, definition: scope ? { ...definition, sections: scope } : definition },
+    onProgress,
+    signal,
+    requireCitations: false,
+  });
+  signal?.throwIfAborted();
+
+  if (scope) {
+    result.breakdown = mergeRevisedSections(currentBreakdown, result.breakdown, scope);
+    result.breakdownText = renderBreakdownText(result.breakdown);
+    result.rawText = JSON.stringify(result.breakdown);
+  }
+
+  if (adjust) {
+    result.breakdown = adjust(result.breakdown);
+  }
+
+  // Whatever Claude (or `adjust`) did to the locked items, they go back as they were
+  const { breakdown: lockedKept, restored: lockedRestored } = enforceLockedItems(
+    currentBreakdown,
+    result.breakdown
+  );
+  if (lockedRestored.length) {
+    console.warn(`Revision changed ${lockedRestored.length} locked item(s); restored them`);
+    onProgress("locked-restored", { restored: lockedRestored });
+  }
+  result.breakdown = lockedKept;
+  result.breakdownText = renderBreakdownText(result.breakdown);
+  result.rawText = JSON.stringify(result.breakdown);
+
+  const sectionIds = scope && scope.map((s) => s.id);
+  // Without a project there are no stored documents to check against; the response says so
+  const verification = project
+    ? verifyResult(
+        result,
+        [...sourceTexts, ...extraSources],
+        onProgress,
+        sectionIds
+      )
+    : skippedReport(
+        result.breakdown,
+        "Not checked against the source documents: the revision was sent without a project, so " +
+          "there are no stored documents to check it against. Send projectId to have it checked."
+      );
+  if (verification.skipped) onProgress("verification-skipped", { reason: verification.skipped });
+
+  const stored = projectId
+    ? await projectStore.addBreakdown(projectId, {
+        ...(record || {
+          source: "revise",
+          revisionRequest,
+          ...(sectionIds && { sections: sectionIds }),
+        }),
+        template: templates.templateRef(template),
+        structuredBreakdown: result.breakdown,
+        breakdownText: result.breakdownText,
+        verification,
+        lockedRestored,
+      })
+    : null;
+
+  return {
+    projectId: projectId || null,
+    version: stored?.version ?? null,
+    breakdown: result.breakdownText,
+    structuredBreakdown: result.breakdown,
+    template: templates.templateRef(template),
+    verification,
+    lockedRestored,
+  };
+}
+
+// Text of the client's reply: plain text or Word
+async function readAnswersFile(file) {
+  const mediaType = getMediaType(file.originalname);
+  if (mediaType === "text/plain") return (await extractPlainText(file.path)).text;
+  if (TEXT_DOCUMENT_LABELS[mediaType]) return (await extractWordText(file.path)).text;
+  throw httpError(400, "Upload the answers as a .txt, .doc or .docx file, or paste them");
+}
+
+function answersRevisionRequest(answers, filename) {
+  const sections = [...new Set(answers.map((a) => a.sectionTitle))].join(" and ");
+  return (
+    `The client has answered questions from our questionnaire (file "${filename}"):\n\n` +
+    answers.map((a) => `Q${a.number}. ${a.question}\nAnswer: ${a.answer}`).join("\n\n") +
+    "\n\nApply these answers to the breakdown:\n" +
+    `- Update every item an answer affects. Items the answers confirm become CONFIRMED, citing "${filename}" ` +
+    `with location "Q<number>" and the client's exact words as the quote.\n` +
+    "- Add any new items the answers call for.\n" +
+    `- Remove the answered questions from ${sections}; keep unanswered questions as they are.\n` +
+    "- Leave everything else unchanged."
+  );
+}
+
+/**
+ * Apply the client's answers to a questionnaire as a tracked revision.
+ *
+ * projectId: project the questionnaire was sent from
+ * body:      { version?, answers? }  version the questionnaire was made from (default latest);
+ *            answers = the reply pasted as text
+ * file:      the reply uploaded instead (multer file; .txt / .doc / .docx)
+ *
+ * The reply is kept as a project source (so the items it confirms can cite it and pass the
+ * source check), answered questions are removed from the breakdown, and the result is stored as
+ * a version with source "answers".
+ *
+ * Returns the revise payload plus { answers, unanswered }.
+ */
+async function runAnswers({ projectId, body, file, onProgress = noProgress, signal }) {
+  const project = await projectStore.getProject(projectId);
+  if (!project) throw httpError(404, "Project not found");
+
+  const record = body.version
+    ? projectStore.findVersion(project, body.version)
+    : project.breakdowns[project.breakdowns.length - 1];
+  if (!record) throw httpError(404, "Version not found");
+
+  // Pasted answers are kept the same way as an uploaded reply
+  let answersFile = file;
+  if (!answersFile) {
+    if (!body.answers?.trim()) {
+      throw httpError(400, "Paste the client's answers or upload them as a file");
+    }
+    const uploadDir = path.join(__dirname, "uploads");
+    const filename = `client-answers-v${record.version}.txt`;
+    await fs.mkdir(uploadDir, { recursive: true });
+    answersFile = {
+      path: path.join(uploadDir, `${Date.now()}-${filename}`),
+      originalname: filename,
+      mimetype: "text/plain",
+      size: Buffer.byteLength(body.answers),
+    };
+    await fs.writeFile(answersFile.path, body.answers);
+  }
+
+  try {
+    const text = await readAnswersFile(answersFile);
+    const questionnaire = buildQuestionnaire(record.structuredBreakdown, record.version);
+    const { answers, unanswered } = parseAnswers(text, questionnaire);
+    if (!answers.length) {
+      throw httpError(
+        400,
+        "No answers found. Keep the question numbers (1., 2., ...) from the questionnaire.",
+        { unanswered }
+      );
+    }
+    const titles = new Map(questionnaire.questions.map((q) => [q.number, q.sectionTitle]));
+    const filename = answersFile.originalname;
+
+    const payload = await runRevision({
+      body: {
+        revisionRequest: answersRevisionRequest(
+          answers.map((a) => ({ ...a, sectionTitle: titles.get(a.number) })),
+          filename
+        ),
+        structuredBreakdown: record.structuredBreakdown,
+        projectId,
+        version: record.version,
+      },
+      onProgress,
+      signal,
+      record: { source: "answers", answeredFrom: record.version, answersFile: filename, answers },
+      adjust: (breakdown) => removeAnsweredQuestions(breakdown, answers),
+      extraSources: [{ filename, text }],
+    });
+
+    await projectStore.addSources(projectId, [answersFile], new Map([[answersFile.path, text]]));
+    return { ...payload, answers, unanswered };
+  } finally {
+    // Moved into the project on success; otherwise nothing to keep
+    await fs.unlink(answersFile.path).catch(() => {});
+  }
+}
+
+// Versions whose breakdown was made from the brief itself (not a revision of one)
+const BRIEF_SOURCES = ["generate", "update"];
+
+// The brief's own breakdown for a generate / update version (an update stores it separately,
+// since its structuredBreakdown also carries the revisions)
+function briefBreakdownOf(record) {
+  return record.source === "update" ? record.briefBreakdown : record.structuredBreakdown;
+}
+
+// What the producer changed since the brief was last read: revisions and client answers
+function earlierRevisions(project, briefRecord, record) {
+  return project.breakdowns
+    .filter((b) => b.version > briefRecord.version && b.version <= record.version)
+    .map((b) => {
+      if (b.source === "revise") return b.revisionRequest;
+      if (b.source === "edit") return `Lines we edited by hand in v${b.version}`;
+      if (b.source === "answers") {
+        return `Client answers: ${b.answers.map((a) => `${a.question} -> ${a.answer}`).join("; ")}`;
+      }
+      return null;
+    })
+    .filter(Boolean);
+}
+
+function briefItemText(item) {
+  return [
+    `[${item.status}] ${item.description}`,
+    item.quantity !== null && item.quantity !== undefined && `quantity ${item.quantity}`,
+    item.notes && `(${item.notes})`,
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+function briefChangesText(changes) {
+  const lines = [];
+  for (const field of changes.meta) {
+    lines.push(`~ ${field.field}: ${field.before || "none"} -> ${field.after || "none"}`);
+  }
+  for (const section of changes.sections) {
+    if (!section.added.length && !section.removed.length && !section.changed.length) continue;
+    lines.push(
+      section.title,
+      ...section.added.map((item) => `+ added: ${briefItemText(item)}`),
+      ...section.removed.map((item) => `- removed: ${briefItemText(item)}`),
+      ...section.changed.map(
+        (c) => `~ changed: ${briefItemText(c.before)} -> ${briefItemText(c.after)}`
+      )
+    );
+  }
+  return lines.join("\n") || "No requirement changes found.";
+}
+
+function briefUpdateRequest({ filenames, changes, briefBreakdown, revisions }) {
+  return (
+    `The agency has sent a new version of the brief (${filenames.join(", ")}). ` +
+    "Compared with the brief the current breakdown was made from, these requirements changed:\n\n" +
+    `${briefChangesText(changes)}\n\n` +
+    `Breakdown of the new brief on its own (JSON, with citations):\n${JSON.stringify(briefBreakdown)}\n\n` +
+    "Update the current breakdown to the new brief:\n" +
+    "- Apply every change listed above: add the new requirements, remove the dropped ones and update the changed ones. " +
+    "Items taken from the new brief cite the new files.\n" +
+    "- Keep everything the brief did not change as it is, including the changes we made in earlier revisions" +
+    (revisions.length ? `:\n${revisions.map((r) => `  * ${r}`).join("\n")}\n` : ".\n") +
+    "- Where the new brief overrides an earlier revision, follow the new brief and say so in the item's notes."
+  );
+}
+
+/**
+ * A new version of the brief for an existing project.
+ *
+ * projectId: project to update
+ * files:     the new documents (multer files; moved into the project store on success)
+ * body:      { version? }  version to update (default latest)
+ *
+ * The new files are broken down on their own with the project's template and compared with the
+ * breakdown of the brief they replace (the last generate / update version) using
+ * diffBreakdowns(), ignoring the model's rewording of notes and descriptions between the two
+ * runs: that is the "what changed in the brief" report. The changes are then applied
+ * to the version being updated as a revision, so earlier revisions and client answers are kept.
+ * Stored as a version with source "update"; the new files become project sources.
+ *
+ * Returns the revise payload plus { briefChanges, warnings }.
+ */
+async function runBriefUpdate({ projectId, files, body, onProgress = noProgress, signal }) {
+  for (const f of files) {
+    onProgress("file-received", { filename: f.originalname, size: f.size });
+  }
+  if (files.length === 0) {
+    throw httpError(400, "No files uploaded");
+  }
+
+  const project = await projectStore.getProject(projectId);
+  if (!project) throw httpError(404, "Project not found");
+
+  const record = body.version
+    ? projectStore.findVersion(project, body.version)
+    : project.breakdowns[project.breakdowns.length - 1];
+  if (!record) throw httpError(404, "Version not found");
+
+  const briefRecord = project.breakdowns
+    .filter((b) => b.version <= record.version && BRIEF_SOURCES.includes(b.source))
+    .pop();
+  if (!briefRecord) {
+    throw httpError(400, "This version has no brief to compare with; generate a breakdown instead");
+  }
+
+  const template = await templates.resolveTemplate(record.template);
+  if (!template) throw httpError(404, "Template not found");
+
+  ensureApiKey();
+
+  const { result, warnings, extractedTexts, screenplays } = await breakdownFromFiles({
+    files,
+    template,
+    onProgress,
+    signal,
+  });
+
+  // Both sides repaired to the same template so sections line up
+  const previousBrief = checkStructuredBreakdown(
+    briefBreakdownOf(briefRecord),
+    definitionForBreakdown(template.definition, result.breakdown).sections
+  ).breakdown;
+  const briefChanges = diffBreakdowns(previousBrief, result.breakdown, { ignoreWording: true });
+  onProgress("brief-compared", { comparedWith: briefRecord.version, ...briefChanges.summary });
+
+  const filenames = files.map((f) => f.originalname);
+  const payload = await runRevision({
+    body: {
+      revisionRequest: briefUpdateRequest({
+        filenames,
+        changes: briefChanges,
+        briefBreakdown: result.breakdown,
+        revisions: earlierRevisions(project, briefRecord, record),
+      }),
+      structuredBreakdown: record.structuredBreakdown,
+      projectId,
+      version: record.version,
+    },
+    onProgress,
+    signal,
+    record: {
+      source: "update",
+      updatedFrom: record.version,
+      briefFiles: filenames,
+      briefChanges,
+      briefBreakdown: result.breakdown,
+      conflicts: result.conflicts.report,
+      warnings,
+    },
+    extraSources: files.map((f) => ({
+      filename: f.originalname,
+      text: extractedTexts.get(f.path) ?? null,
+    })),
+  });
+
+  await projectStore.addSources(projectId, files, extractedTexts, screenplays);
+  return { ...payload, briefChanges, warnings };
+}
+
+/**
+ * Server-Sent Events over a POST response (EventSource can't POST files, so the browser
+ * reads this with fetch + a stream reader).
+ *
+ * Returns { send(event, data), close() }. Sends are ignored once the client has gone away.
+ */
+function openEventStream(res) {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no"); // nginx / some proxies buffer otherwise
+  res.flushHeaders();
+
+  // res "close" (not req "close", which fires as soon as the body has been read)
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+  });
+
+  return {
+    send(event, data) {
+      if (closed || res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data ?? {})}\n\n`);
+    },
+    close() {
+      if (!res.writableEnded) res.end();
+    },
+  };
+}
+
+/**
+ * ----------------------------
+ * API: Generate breakdown
+ * ----------------------------
+ */
+app.post(
+  "/api/generate-breakdown",
+  upload.array("files", MAX_FILES),
+  async (req, res) => {
+    const files = req.files || [];
+    const cleanupPaths = files.map((f) => f.path);
+
+    try {
+      const payload = await runGeneration({ files, body: req.body });
+      return res.json(payload);
+    } catch (error) {
+      if (error.status) {
+        return res
+          .status(error.status)
+          .json({ error: error.message, ...error.extra });
+      }
+      console.error("Error generating breakdown:", error);
+      return res.status(500).json({ error: "Failed to generate breakdown" });
+    } finally {
+      for (const p of cleanupPaths) {
+        await fs.unlink(p).catch(() => {});
+      }
+    }
+  }
+);
+
+// Same as above, but streams progress events; the result arrives as a final "done" event
+app.post(
+  "/api/generate-breakdown/stream",
+  upload.array("files", MAX_FILES),
+  async (req, res) => {
+    const files = req.files || [];
+    const cleanupPaths = files.map((f) => f.path);
+    const stream = openEventStream(res);
+
+    try {
+      const payload = await runGeneration({
+        files,
+        body: req.body,
+        onProgress: stream.send,
+      });
+      stream.send("done", payload);
+    } catch (error) {
+      if (!error.status) console.error("Error generating breakdown:", error);
+      stream.send("error", {
+        error: error.status ? error.message : "Failed to generate breakdown",
+        ...error.extra,
+      });
+    } finally {
+      stream.close();
+      for (const p of cleanupPaths) {
+        await fs.unlink(p).catch(() => {});
+      }
+    }
+  }
+);
+
+/**
+ * ----------------------------
+ * API: Background jobs
+ * Submit returns 202 + job id straight away; poll GET /api/jobs/:jobId for progress / result.
+ * ----------------------------
+ */
+const jobQueue = createJobQueue({ concurrency: JOB_CONCURRENCY });
+
+// Uploads are moved into the project store when a job succeeds; the queue deletes whatever is
+// left (failed or cancelled jobs, and jobs a restart interrupted)
+function uploadPaths(files) {
+  return files.map((f) => f.path);
+}
+
+app.post(
+  "/api/jobs/generate",
+  upload.array("files", MAX_FILES),
+  async (req, res) => {
+    const files = req.files || [];
+
+    if (files.length === 0) {
+      return res.status(400).json({ error: "No files uploaded" });
+    }
+
+    const body = { ...req.body };
+    const job = jobQueue.submit(
+      "generate",
+      ({ onProgress, signal }) => runGeneration({ files, body, onProgress, signal }),
+      { projectId: body.projectId || null, uploads: uploadPaths(files) }
+    );
+
+    return res.status(202).json({ job });
+  }
+);
+
+// Multipart: projectId, version?, and the new brief's documents as "files"
+app.post("/api/jobs/update", upload.array("files", MAX_FILES), async (req, res) => {
+  const body = { ...req.body };
+  const files = req.files || [];
+
+  if (!body.projectId || files.length === 0) {
+    for (const f of files) await fs.unlink(f.path).catch(() => {});
+    return res.status(400).json({ error: "Missing required data" });
+  }
+
+  const job = jobQueue.submit(
+    "update",
+    ({ onProgress, signal }) =>
+      runBriefUpdate({ projectId: body.projectId, files, body, onProgress, signal }),
+    { projectId: body.projectId, uploads: uploadPaths(files) }
+  );
+
+  return res.status(202).json({ job });
+});
+
+app.post("/api/jobs/revise", async (req, res) => {
+  if (!req.body?.revisionRequest || !(req.body.structuredBreakdown || req.body.projectId)) {
+    return res.status(400).json({ error: "Missing required data" });
+  }
+
+  const body = req.body;
+  const job = jobQueue.submit(
+    "revise",
+    ({ onProgress, signal }) => runRevision({ body, onProgress, signal }),
+    { projectId: body.projectId || null }
+  );
+
+  return res.status(202).json({ job });
+});
+
+// Multipart: projectId, version?, and the reply as field "answers" or upload "file"
+app.post("/api/jobs/answers", upload.single("file"), async (req, res) => {
+  const body = { ...req.body };
+  const file = req.file || null;
+
+  if (!body.projectId || (!file && !body.answers?.trim())) {
+    if (file) await fs.unlink(file.path).catch(() => {});
+    return res.status(400).json({ error: "Missing required data" });
+  }
+
+  const job = jobQueue.submit(
+    "answers",
+    ({ onProgress, signal }) =>
+      runAnswers({ projectId: body.projectId, body, file, onProgress, signal }),
+    { projectId: body.projectId, uploads: uploadPaths(file ? [file] : []) }
+  );
+
+  return res.status(202).json({ job });
+});
+
+// ?active=1 -> only queued / running jobs (used to pick work back up after closing the tab)
+app.get("/api/jobs", (req, res) => {
+  return res.json({ jobs: jobQueue.list({ activeOnly: !!req.query.active }) });
+});
+
+// ?since=N -> only progress events after the first N (what a poller hasn't seen yet)
+app.get("/api/jobs/:jobId", (req, res) => {
+  const job = jobQueue.get(req.params.jobId, {
+    since: parseInt(req.query.since, 10) || 0,
+  });
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  return res.json({ job });
+});
+
+app.post("/api/jobs/:jobId/cancel", (req, res) => {
+  const job = jobQueue.cancel(req.params.jobId);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  return res.json({ job });
+});
+
+/**
+ * ----------------------------
+ * API: Revise breakdown
+ * ----------------------------
+ */
+app.post("/api/revise-breakdown", async (req, res) => {
+  try {
+    return res.json(await runRevision({ body: req.body }));
+  } catch (error) {
+    if (error.status) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, ...error.extra });
+    }
+    console.error("Error revising breakdown:", error);
+    return res.status(500).json({ error: "Failed to revise breakdown" });
+  }
+});
+
+app.post("/api/revise-breakdown/stream", async (req, res) => {
+  const stream = openEventStream(res);
+
+  try {
+    const payload = await runRevision({
+      body: req.body,
+      onProgress: stream.send,
+    });
+    stream.send("done", payload);
+  } catch (error) {
+    if (!error.status) console.error("Error revising breakdown:", error);
+    stream.send("error", {
+      error: error.status ? error.message : "Failed to revise breakdown",
+      ...error.extra,
+    });
+  } finally {
+    stream.close();
+  }
+});
+
+/**
+ * ----------------------------
+ * API: Client questionnaire
+ * SPECIAL NOTES & QUESTIONS + MISSING/TBD as numbered questions for the client
+ * (lib/questionnaire.js), and the client's answers applied back as a revision.
+ * ----------------------------
+ */
+const QUESTIONNAIRE_FORMATS = ["json", "docx", "txt"];
+
+// Body: { structuredBreakdown, projectId?, version?, format? }  format: json (default) | docx | txt
+app.post("/api/questionnaire", async (req, res) => {
+  try {
+    const { structuredBreakdown, projectId, version, format = "json" } = req.body;
+
+    if (!structuredBreakdown) {
+      return res.status(400).json({ error: "No breakdown provided" });
+    }
+    if (!QUESTIONNAIRE_FORMATS.includes(format)) {
+      return res
+        .status(400)
+        .json({ error: `format must be one of: ${QUESTIONNAIRE_FORMATS.join(", ")}` });
+    }
+
+    const { breakdown, errors } = checkStructuredBreakdown(
+      structuredBreakdown,
+      sectionsOf(structuredBreakdown)
+    );
+    if (errors.length) {
+      return res
+        .status(400)
+        .json({ error: "Invalid structuredBreakdown", details: errors });
+    }
+
+    const meta = await exportMeta(projectId, version);
+    const questionnaire = buildQuestionnaire(breakdown, meta.version ?? null);
+
+    if (format === "json") return res.json({ questionnaire });
+
+    if (format === "txt") {
+      res.setHeader("Content-Type", "text/plain; charset=utf-8");
+      res.setHeader("Content-Disposition", "attachment; filename=client-questions.txt");
+      return res.send(questionnaireToText(questionnaire, meta));
+    }
+
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+    );
+    res.setHeader("Content-Disposition", "attachment; filename=client-questions.docx");
+    return res.send(await questionnaireToDocx(questionnaire, meta));
+  } catch (error) {
+    console.error("Error generating questionnaire:", error);
+    return res.status(500).json({ error: "Failed to generate questionnaire" });
+  }
+});
+
+// The client's reply: JSON / form field "answers" (pasted) or multipart upload "file";
+// optional "version" = the version the questionnaire was made from
+app.post("/api/projects/:projectId/answers", upload.single("file"), async (req, res) => {
+  try {
+    return res.json(
+      await runAnswers({ projectId: req.params.projectId, body: req.body || {}, file: req.file })
+    );
+  } catch (error) {
+    if (error.status) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, ...error.extra });
+    }
+    console.error("Error applying answers:", error);
+    return res.status(500).json({ error: "Failed to apply answers" });
+  } finally {
+    if (req.file) await fs.unlink(req.file.path).catch(() => {});
+  }
+});
+
+// Multipart: version? and the new brief's documents as "files"
+app.post(
+  "/api/projects/:projectId/update",
+  upload.array("files", MAX_FILES),
+  async (req, res) => {
+    const files = req.files || [];
+    try {
+      return res.json(
+        await runBriefUpdate({ projectId: req.params.projectId, files, body: req.body || {} })
+      );
+    } catch (error) {
+      if (error.status) {
+        return res
+          .status(error.status)
+          .json({ error: error.message, ...error.extra });
+      }
+      console.error("Error updating breakdown from the new brief:", error);
+      return res.status(500).json({ error: "Failed to update breakdown" });
+    } finally {
+      for (const f of files) {
+        await fs.unlink(f.path).catch(() => {});
+      }
+    }
+  }
+);
+
+/**
+ * ----------------------------
+ * API: Projects
+ * ----------------------------
+ */
+app.get("/api/projects", async (req, res) => {
+  try {
+    return res.json({ projects: await projectStore.listProjects() });
+  } catch (error) {
+    console.error("Error listing projects:", error);
+    return res.status(500).json({ error: "Failed to list projects" });
+  }
+});
+
+app.post("/api/projects", async (req, res) => {
+  try {
+    const project = await projectStore.createProject(req.body || {});
+    return res.status(201).json({ project });
+  } catch (error) {
+    console.error("Error creating project:", error);
+    return res.status(500).json({ error: "Failed to create project" });
+  }
+});
+
+app.get("/api/projects/:projectId", async (req, res) => {
+  try {
+    const project = await projectStore.getProject(req.params.projectId);
+    if (!project) return res.status(404).json({ error: "Project not found" });
+    return res.json({ project });
+  } catch (error) {
+    console.error("Error loading project:", error);
+    return res.status(500).json({ error: "Failed to load project" });
+  }
+});
+
+app.put("/api/projects/:projectId", async (req, res) => {
+  try {
+    const project = await projectStore.updateProjectMeta(
+      req.params.projectId,
+      req.body || {}
+    );
+    if (!project) return res.status(404).json({ error: "Project not found" });
+    return res.json({ project });
+  } catch (error) {
+    console.error("Error updating project:", error);
+    return res.status(500).json({ error: "Failed to update project" });
+  }
+});
+
+app.delete("/api/projects/:projectId", async (req, res) => {
+  try {
+    const deleted = await projectStore.deleteProject(req.params.projectId);
+    if (!deleted) return res.status(404).json({ error: "Project not found" });
+    return res.status(204).end();
+  } catch (error) {
+    console.error("Error deleting project:", error);
+    return res.status(500).json({ error: "Failed to delete project" });
+  }
+});
+
+// Original uploaded file
+app.get("/api/projects/:projectId/sources/:sourceId", async (req, res) => {
+  try {
+    const project = await projectStore.getProject(req.params.projectId);
+    const source = project?.sources.find((s) => s.id === req.params.sourceId);
+    if (!source) return res.status(404).json({ error: "Source not found" });
+
+    return res.download(
+      projectStore.sourcePath(project.id, source),
+      source.filename
+    );
+  } catch (error) {
+    console.error("Error downloading source:", error);
+    return res.status(500).json({ error: "Failed to download source" });
+  }
+});
+
+// Text we extracted from that file
+app.get("/api/projects/:projectId/sources/:sourceId/text", async (req, res) => {
+  try {
+    const text = await projectStore.getSourceText(
+      req.params.projectId,
+      req.params.sourceId
+    );
+    if (text === null) {
+      return res.status(404).json({ error: "No extracted text for this source" });
+    }
+    return res.type("text/plain").send(text);
+  } catch (error) {
+    console.error("Error loading source text:", error);
+    return res.status(500).json({ error: "Failed to load source text" });
+  }
+});
+
+/**
+ * Resolve a citation to the quoted passage in the project's extracted source text.
+ * ?filename=...&quote=...  The cited file is searched first (latest upload with that name), then
+ * the other sources, in case the model attributed the quote to the wrong file.
+ */
+app.get("/api/projects/:projectId/citation", async (req, res) => {
+  try {
+    const project = await projectStore.getProject(req.params.projectId);
+    if (!project) return res.status(404).json({ error: "Project not found" });
+
+    const filename = String(req.query.filename || "").trim().toLowerCase();
+    const quote = String(req.query.quote || "").trim();
+    if (!quote) return res.status(400).json({ error: "Missing quote" });
+
+    const candidates = project.sources
+      .filter((s) => s.hasExtractedText)
+      .reverse()
+      .sort(
+        (a, b) =>
+          (b.filename.toLowerCase() === filename) - (a.filename.toLowerCase() === filename)
+      );
+
+    for (const source of candidates) {
+      const text = await projectStore.getSourceText(project.id, source.id);
+      const passage = findQuotedPassage(text, quote);
+      if (!passage.found) continue;
+
+      return res.json({
+        source: { id: source.id, filename: source.filename },
+        citedFileMatched: source.filename.toLowerCase() === filename,
+        passage,
+      });
+    }
+
+    const cited = candidates.find((s) => s.filename.toLowerCase() === filename);
+    return res.json({
+      source: cited ? { id: cited.id, filename: cited.filename } : null,
+      citedFileMatched: false,
+      passage: { found: false },
+    });
+  } catch (error) {
+    console.error("Error resolving citation:", error);
+    return res.status(500).json({ error: "Failed to resolve citation" });
+  }
+});
+
+/**
+ * ----------------------------
+ * API: Shooting schedule (stripboard)
+ * Proposed shoot days built from a breakdown's locations, day/night and cast, refined with the
+ * scenes of a parsed script when the project has one (lib/schedule.js). Saved on the project so
+ * manual drag & drop changes survive reloads.
+ * ----------------------------
+ */
+app.get("/api/projects/:projectId/schedule", async (req, res) => {
+  try {
+    const project = await projectStore.getProject(req.params.projectId);
+    if (!project) return res.status(404).json({ error: "Project not found" });
+    return res.json({ schedule: project.schedule || null });
+  } catch (error) {
+    console.error("Error loading schedule:", error);
+    return res.status(500).json({ error: "Failed to load schedule" });
+  }
+});
+
+// Body: { maxPagesPerDay?, sourceId?, version? }
+// (defaults to the latest breakdown version and the most recently uploaded script, if any)
+app.post("/api/projects/:projectId/schedule", async (req, res) => {
+  try {
+    const { maxPagesPerDay, sourceId, version } = req.body || {};
+    if (
+      maxPagesPerDay !== undefined &&
+      !(Number(maxPagesPerDay) > 0 && Number(maxPagesPerDay) <= 20)
+    ) {
+      return res
+        .status(400)
+        .json({ error: "maxPagesPerDay must be a number between 0 and 20" });
+    }
+
+    const updated = await projectStore.updateProject(req.params.projectId, (project) => {
+      const record =
+        version !== undefined
+          ? project.breakdowns.find((b) => b.version === Number(version))
+          : project.breakdowns[project.breakdowns.length - 1];
+      if (!record) {
+        throw httpError(
+          400,
+          version !== undefined ? `Version ${version} not found` : "Generate a breakdown first"
+        );
+      }
+
+      const scripts = project.sources.filter((s) => s.screenplay?.scenes.length);
+      const source = sourceId
+        ? scripts.find((s) => s.id === sourceId)
+        : scripts[scripts.length - 1] || null;
+      if (sourceId && !source) throw httpError(400, "That source is not a parsed script");
+
+      const schedule = buildSchedule(
+        { breakdown: record.structuredBreakdown, scenes: source?.screenplay.scenes },
+        { ...(maxPagesPerDay !== undefined && { maxPagesPerDay: Number(maxPagesPerDay) }) }
+      );
+      if (!schedule.days.length) {
+        throw httpError(400, "Nothing to schedule: the breakdown lists no locations and there is no script");
+      }
+
+      const now = new Date().toISOString();
+      project.schedule = {
+        version: record.version,
+        sourceId: source?.id || null,
+        filename: source?.filename || null,
+        createdAt: now,
+        updatedAt: now,
+        ...schedule,
+      };
+      return project.schedule;
+    });
+    if (!updated) return res.status(404).json({ error: "Project not found" });
+
+    return res.json({ schedule: updated.result });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error("Error building schedule:", error);
+    return res.status(500).json({ error: "Failed to build schedule" });
+  }
+});
+
+// Body: { days: [[stripId]] }  Manual arrangement from the stripboard
+app.put("/api/projects/:projectId/schedule", async (req, res) => {
+  try {
+    const updated = await projectStore.updateProject(req.params.projectId, (project) => {
+      if (!project.schedule) throw httpError(404, "No schedule for this project yet");
+
+      let rearranged;
+      try {
+        rearranged = rearrangeSchedule(project.schedule, req.body?.days);
+      } catch (err) {
+        throw httpError(400, err.message);
+      }
+
+      project.schedule = {
+        ...project.schedule,
+        ...rearranged,
+        updatedAt: new Date().toISOString(),
+      };
+      return project.schedule;
+    });
+    if (!updated) return res.status(404).json({ error: "Project not found" });
+
+    return res.json({ schedule: updated.result });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error("Error saving schedule:", error);
+    return res.status(500).json({ error: "Failed to save schedule" });
+  }
+});
+
+/**
+ * ----------------------------
+ * API: Versions & diff
+ * ----------------------------
+ */
+app.get("/api/projects/:projectId/versions", async (req, res) => {
+  try {
+    const project = await projectStore.getProject(req.params.projectId);
+    if (!project) return res.status(404).json({ error: "Project not found" });
+
+    return res.json({
+      versions: project.breakdowns.map((b) => ({
+        version: b.version,
+        createdAt: b.createdAt,
+        source: b.source,
+        revisionRequest: b.revisionRequest || null,
+        restoredFrom: b.restoredFrom ?? null,
+        template: b.template || null,
+      })),
+    });
+  } catch (error) {
+    console.error("Error listing versions:", error);
+    return res.status(500).json({ error: "Failed to list versions" });
+  }
+});
+
+app.get("/api/projects/:projectId/versions/:version", async (req, res) => {
+  try {
+    const project = await projectStore.getProject(req.params.projectId);
+    if (!project) return res.status(404).json({ error: "Project not found" });
+
+    const version = projectStore.findVersion(project, req.params.version);
+    if (!version) return res.status(404).json({ error: "Version not found" });
+
+    return res.json({ version });
+  } catch (error) {
+    console.error("Error loading version:", error);
+    return res.status(500).json({ error: "Failed to load version" });
+  }
+});
+
+// GET /api/projects/:projectId/diff?from=1&to=3
+app.get("/api/projects/:projectId/diff", async (req, res) => {
+  try {
+    const project = await projectStore.getProject(req.params.projectId);
+    if (!project) return res.status(404).json({ error: "Project not found" });
+
+    const from = projectStore.findVersion(project, req.query.from);
+    const to = projectStore.findVersion(project, req.query.to);
+    if (!from || !to) {
+      return res
+        .status(400)
+        .json({ error: "Query params 'from' and 'to' must be existing version numbers" });
+    }
 
-    const message = await anthropic.messages.create({
-      model: MODEL,
-      max_tokens: MAX_TOKENS,
-      system: SYSTEM_PROMPT,
-      messages,
+    return res.json({
+      from: from.version,
+      to: to.version,
+      diff: diffBreakdowns(from.structuredBreakdown, to.structuredBreakdown),
     });
+  } catch (error) {
+    console.error("Error diffing versions:", error);
+    return res.status(500).json({ error: "Failed to diff versions" });
+  }
+});
 
-    const revisedBreakdown = message.content?.[0]?.text || "";
+// Restoring never rewrites history: the old version is copied forward as a new version
+app.post(
+  "/api/projects/:projectId/versions/:version/restore",
+  async (req, res) => {
+    try {
+      const project = await projectStore.getProject(req.params.projectId);
+      if (!project) return res.status(404).json({ error: "Project not found" });
+
+      const version = projectStore.findVersion(project, req.params.version);
+      if (!version) return res.status(404).json({ error: "Version not found" });
+
+      const stored = await projectStore.addBreakdown(project.id, {
+        source: "restore",
+        restoredFrom: version.version,
+        template: version.template,
+        structuredBreakdown: version.structuredBreakdown,
+        breakdownText: version.breakdownText,
+        verification: version.verification,
+      });
 
-    const updatedHistory = [
-      ...messages,
-      { role: "assistant", content: [{ type: "text", text: revisedBreakdown }] },
-    ];
+      return res.json({
+        projectId: project.id,
+        version: stored.version,
+        breakdown: stored.breakdownText,
+        structuredBreakdown: stored.structuredBreakdown,
+      });
+    } catch (error) {
+      console.error("Error restoring version:", error);
+      return res.status(500).json({ error: "Failed to restore version" });
+    }
+  }
+);
+
+// Manual (inline) edits of a version, saved as the next version.
+// Body: { structuredBreakdown, version? }  version = the one that was edited (default latest)
+app.post("/api/projects/:projectId/edits", async (req, res) => {
+  try {
+    const project = await projectStore.getProject(req.params.projectId);
+    if (!project) return res.status(404).json({ error: "Project not found" });
+
+    const { structuredBreakdown, version } = req.body || {};
+    // repairBreakdown() would turn a breakdown without sections into an empty one
+    if (!Array.isArray(structuredBreakdown?.sections)) {
+      return res.status(400).json({ error: "Missing structuredBreakdown" });
+    }
+    const edited = version
+      ? projectStore.findVersion(project, version)
+      : project.breakdowns[project.breakdowns.length - 1];
+    if (!edited) return res.status(404).json({ error: "Version not found" });
+
+    const template = edited.template ? await templates.resolveTemplate(edited.template) : null;
+    const { breakdown, errors } = checkStructuredBreakdown(
+      structuredBreakdown,
+      template && definitionForBreakdown(template.definition, structuredBreakdown).sections
+    );
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid structuredBreakdown", details: errors });
+    }
+
+    // Typed by a person: nothing to check against the sources, so no source check report
+    const stored = await projectStore.addBreakdown(project.id, {
+      source: "edit",
+      editedFrom: edited.version,
+      template: edited.template,
+      structuredBreakdown: breakdown,
+      breakdownText: renderBreakdownText(breakdown),
+      verification: null,
+    });
 
     return res.json({
-      breakdown: revisedBreakdown,
-      conversationHistory: updatedHistory,
+      projectId: project.id,
+      version: stored.version,
+      breakdown: stored.breakdownText,
+      structuredBreakdown: stored.structuredBreakdown,
     });
   } catch (error) {
-    console.error("Error revising breakdown:", error);
-    return res.status(500).json({ error: "Failed to revise breakdown" });
+    console.error("Error saving edits:", error);
+    return res.status(500).json({ error: "Failed to save edits" });
   }
 });
 
 /**
  * ----------------------------
- * API: Download as Word doc
+ * API: Breakdown templates
+ * Per production type sections / rules / crew format / export layout (lib/templates.js).
+ * Built-in templates are read-only; custom ones get a new version on every edit.
  * ----------------------------
  */
-app.post("/api/download-docx", async (req, res) => {
+// ?includeArchived=1 also lists archived custom templates
+app.get("/api/templates", async (req, res) => {
+  try {
+    const list = await templates.listTemplates({
+      includeArchived: Boolean(req.query.includeArchived),
+    });
+    return res.json({ templates: list, defaultTemplateId: templates.DEFAULT_TEMPLATE_ID });
+  } catch (error) {
+    return sendError(res, error, "Failed to list templates");
+  }
+});
+
+app.get("/api/templates/:templateId", async (req, res) => {
+  try {
+    const template = await templates.getTemplate(req.params.templateId);
+    if (!template) return res.status(404).json({ error: "Template not found" });
+    return res.json({ template });
+  } catch (error) {
+    return sendError(res, error, "Failed to load template");
+  }
+});
+
+app.get("/api/templates/:templateId/versions/:version", async (req, res) => {
+  try {
+    const template = await templates.resolveTemplate({
+      id: req.params.templateId,
+      version: req.params.version,
+    });
+    if (!template) return res.status(404).json({ error: "Template version not found" });
+    return res.json({ template });
+  } catch (error) {
+    return sendError(res, error, "Failed to load template");
+  }
+});
+
+// Body: { name, description?, definition?, basedOn? }  (basedOn copies another template's definition)
+app.post("/api/templates", async (req, res) => {
+  try {
+    const template = await templates.createTemplate(req.body || {});
+    return res.status(201).json({ template });
+  } catch (error) {
+    return sendError(res, error, "Failed to create template");
+  }
+});
+
+// Body: { name?, description?, definition?, note? }  (a new definition becomes the next version)
+app.put("/api/templates/:templateId", async (req, res) => {
+  try {
+    const template = await templates.updateTemplate(req.params.templateId, req.body || {});
+    if (!template) return res.status(404).json({ error: "Template not found" });
+    return res.json({ template });
+  } catch (error) {
+    return sendError(res, error, "Failed to update template");
+  }
+});
+
+// Archives: breakdowns made with the template can still be revised and exported
+app.delete("/api/templates/:templateId", async (req, res) => {
+  try {
+    const archived = await templates.archiveTemplate(req.params.templateId);
+    if (!archived) return res.status(404).json({ error: "Template not found or built-in" });
+    return res.status(204).end();
+  } catch (error) {
+    return sendError(res, error, "Failed to archive template");
+  }
+});
+
+/**
+ * ----------------------------
+ * API: Rate cards & budget
+ * Local day rates (lib/rate-cards.js) used to price a breakdown into a top-sheet and line-item
+ * budget (lib/budget.js).
+ * ----------------------------
+ */
+
+/**
+ * options: { rateCardId, shootDays? } from the request body.
+ * No rate card chosen -> null (exports then leave the budget out); unknown card -> 404.
+ */
+async function budgetFor(breakdown, options) {
+  if (!options?.rateCardId) return null;
+  const rateCard = await rateCards.getRateCard(options.rateCardId);
+  if (!rateCard) throw httpError(404, "Rate card not found");
+  return buildBudget(breakdown, rateCard, { shootDays: Number(options.shootDays) || undefined });
+}
+
+app.get("/api/rate-cards", async (req, res) => {
+  try {
+    return res.json({ rateCards: await rateCards.listRateCards() });
+  } catch (error) {
+    return sendError(res, error, "Failed to list rate cards");
+  }
+});
+
+app.get("/api/rate-cards/:rateCardId", async (req, res) => {
+  try {
+    const rateCard = await rateCards.getRateCard(req.params.rateCardId);
+    if (!rateCard) return res.status(404).json({ error: "Rate card not found" });
+    return res.json({ rateCard });
+  } catch (error) {
+    return sendError(res, error, "Failed to load rate card");
+  }
+});
+
+app.post("/api/rate-cards", async (req, res) => {
+  try {
+    const rateCard = await rateCards.createRateCard(req.body || {});
+    return res.status(201).json({ rateCard });
+  } catch (error) {
+    return sendError(res, error, "Failed to create rate card");
+  }
+});
+
+// Body: the complete card (replaces its rates)
+app.put("/api/rate-cards/:rateCardId", async (req, res) => {
+  try {
+    const rateCard = await rateCards.updateRateCard(req.params.rateCardId, req.body || {});
+    if (!rateCard) return res.status(404).json({ error: "Rate card not found" });
+    return res.json({ rateCard });
+  } catch (error) {
+    return sendError(res, error, "Failed to update rate card");
+  }
+});
+
+app.delete("/api/rate-cards/:rateCardId", async (req, res) => {
+  try {
+    const deleted = await rateCards.deleteRateCard(req.params.rateCardId);
+    if (!deleted) return res.status(404).json({ error: "Rate card not found" });
+    return res.status(204).end();
+  } catch (error) {
+    return sendError(res, error, "Failed to delete rate card");
+  }
+});
+
+// Body: { structuredBreakdown, rateCardId, shootDays? }  (shootDays overrides the breakdown's count)
+app.post("/api/budget", async (req, res) => {
+  try {
+    const { structuredBreakdown, rateCardId, shootDays } = req.body;
+
+    if (!structuredBreakdown || !rateCardId) {
+      return res.status(400).json({ error: "structuredBreakdown and rateCardId are required" });
+    }
+
+    const { breakdown, errors } = checkStructuredBreakdown(
+      structuredBreakdown,
+      sectionsOf(structuredBreakdown)
+    );
+    if (errors.length) {
+      return res
+        .status(400)
+        .json({ error: "Invalid structuredBreakdown", details: errors });
+    }
+
+    return res.json({ budget: await budgetFor(breakdown, { rateCardId, shootDays }) });
+  } catch (error) {
+    return sendError(res, error, "Failed to build budget");
+  }
+});
+
+/**
+ * ----------------------------
+ * API: Equipment inventory
+ * The kit we own (lib/inventory.js); EQUIPMENT lines are matched against it for the shoot dates.
+ * ----------------------------
+ */
+
+/**
+ * options: { from, to } (YYYY-MM-DD shoot dates, both optional) from the request body.
+ * No options or no inventory uploaded -> null (exports then leave the check out).
+ */
+async function inventoryFor(breakdown, options) {
+  if (!options) return null;
+  for (const key of ["from", "to"]) {
+    if (options[key] && !/^\d{4}-\d{2}-\d{2}$/.test(options[key])) {
+      throw httpError(400, `Shoot date "${key}" must be YYYY-MM-DD`);
+    }
+  }
+  const stored = await inventory.getInventory();
+  if (!stored) return null;
+  return inventory.matchEquipment(breakdown, stored, options.from ? options : null);
+}
+
+app.get("/api/inventory", async (req, res) => {
+  try {
+    return res.json({ inventory: await inventory.getInventory() });
+  } catch (error) {
+    return sendError(res, error, "Failed to load inventory");
+  }
+});
+
+// Multipart field "file": CSV (item, category, quantity, available_from, available_to) or JSON.
+// Replaces the stored inventory.
+app.put("/api/inventory", upload.single("file"), async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+
+  try {
+    const text = await fs.readFile(req.file.path, "utf8");
+    const { items, errors } = inventory.parseInventory(req.file.originalname, text);
+    if (errors.length) {
+      return res.status(400).json({ error: "Could not read the inventory file", details: errors });
+    }
+    if (!items.length) return res.status(400).json({ error: "The inventory file has no items" });
+
+    return res.json({ inventory: await inventory.saveInventory(req.file.originalname, items) });
+  } catch (error) {
+    return sendError(res, error, "Failed to save inventory");
+  } finally {
+    await fs.unlink(req.file.path).catch(() => {});
+  }
+});
+
+app.delete("/api/inventory", async (req, res) => {
+  try {
+    const cleared = await inventory.clearInventory();
+    if (!cleared) return res.status(404).json({ error: "No inventory uploaded" });
+    return res.status(204).end();
+  } catch (error) {
+    return sendError(res, error, "Failed to clear inventory");
+  }
+});
+
+// Body: { structuredBreakdown, from?, to? }  -> { matches } (null when no inventory is uploaded)
+app.post("/api/inventory/match", async (req, res) => {
   try {
-    const { breakdown } = req.body;
+    const { structuredBreakdown, from, to } = req.body;
 
-    if (!breakdown) {
+    if (!structuredBreakdown) {
       return res.status(400).json({ error: "No breakdown provided" });
     }
 
-    const sections = breakdown.split("\n\n");
-    const paragraphs = [];
-
-    sections.forEach((section) => {
-      if (section.trim()) {
-        const lines = section.split("\n");
-        lines.forEach((line) => {
-          if (line.trim()) {
-            const isHeader =
-              /^[A-Z\s]+:?$/.test(line.trim()) || line.trim().endsWith(":");
-
-            if (isHeader) {
-              paragraphs.push(
-                new Paragraph({
-                  children: [
-                    new TextRun({
-                      text: line.trim(),
-                      bold: true,
-                      size: 28,
-                    }),
-                  ],
-                  spacing: { before: 240, after: 120 },
-                })
-              );
-            } else {
-              paragraphs.push(
-                new Paragraph({
-                  children: [new TextRun(line)],
-                  spacing: { after: 100 },
-                })
-              );
-            }
-          }
-        });
+    const { breakdown, errors } = checkStructuredBreakdown(
+      structuredBreakdown,
+      sectionsOf(structuredBreakdown)
+    );
+    if (errors.length) {
+      return res
+        .status(400)
+        .json({ error: "Invalid structuredBreakdown", details: errors });
+    }
 
-        paragraphs.push(new Paragraph({ text: "" }));
-      }
-    });
+    return res.json({ matches: await inventoryFor(breakdown, { from, to }) });
+  } catch (error) {
+    return sendError(res, error, "Failed to match inventory");
+  }
+});
 
-    const doc = new Document({
-      sections: [
-        {
-          properties: {
-            page: {
-              size: { width: 12240, height: 15840 }, // US Letter
-              margin: { top: 1440, right: 1440, bottom: 1440, left: 1440 },
-            },
-          },
-          children: [
-            new Paragraph({
-              children: [
-                new TextRun({
-                  text: "PRODUCTION BREAKDOWN",
-                  bold: true,
-                  size: 36,
-                }),
-              ],
-              heading: HeadingLevel.HEADING_1,
-              alignment: AlignmentType.CENTER,
-              spacing: { after: 400 },
-            }),
-            ...paragraphs,
-          ],
-        },
-      ],
-    });
+/**
+ * ----------------------------
+ * API: Analysis cache
+ * Inspect / clear the cached PDF text, rendered pages and chunk notes (lib/analysis-cache.js).
+ * ----------------------------
+ */
+app.get("/api/cache", async (req, res) => {
+  try {
+    return res.json(await analysisCache.stats());
+  } catch (error) {
+    console.error("Error reading cache stats:", error);
+    return res.status(500).json({ error: "Failed to read cache" });
+  }
+});
+
+app.get("/api/cache/:kind", async (req, res) => {
+  try {
+    const entries = await analysisCache.listEntries(req.params.kind);
+    if (!entries) return res.status(404).json({ error: "Unknown cache kind" });
+    return res.json({ kind: req.params.kind, entries });
+  } catch (error) {
+    console.error("Error listing cache entries:", error);
+    return res.status(500).json({ error: "Failed to read cache" });
+  }
+});
+
+app.delete("/api/cache", async (req, res) => {
+  try {
+    return res.json({ removed: await analysisCache.clear() });
+  } catch (error) {
+    console.error("Error clearing cache:", error);
+    return res.status(500).json({ error: "Failed to clear cache" });
+  }
+});
+
+app.delete("/api/cache/:kind", async (req, res) => {
+  if (!analysisCache.isCacheKind(req.params.kind)) {
+    return res.status(404).json({ error: "Unknown cache kind" });
+  }
+  try {
+    return res.json({ removed: await analysisCache.clear(req.params.kind) });
+  } catch (error) {
+    console.error("Error clearing cache:", error);
+    return res.status(500).json({ error: "Failed to clear cache" });
+  }
+});
+
+/**
+ * ----------------------------
+ * API: Download as Word doc
+ * ----------------------------
+ */
+/**
+ * Title page details for the Word / PDF exports: project metadata and the version's date,
+ * plus the layout of the version's template.
+ * Unknown / missing project -> default layout only (the export falls back to the breakdown's
+ * own title / client).
+ */
+async function exportMeta(projectId, version) {
+  const project = projectId ? await projectStore.getProject(projectId) : null;
+  if (!project) return { layout: DEFAULT_EXPORT_LAYOUT };
+
+  const record = version
+    ? projectStore.findVersion(project, version)
+    : project.breakdowns[project.breakdowns.length - 1];
+  const template = record?.template ? await templates.resolveTemplate(record.template) : null;
+  return {
+    layout: template
+      ? definitionForBreakdown(template.definition, record.structuredBreakdown).export ||
+        DEFAULT_EXPORT_LAYOUT
+      : DEFAULT_EXPORT_LAYOUT,
+    projectName: project.name,
+    client: project.client,
+    jobNumber: project.jobNumber,
+    dates: project.dates,
+    date: record?.createdAt,
+    version: record?.version,
+  };
+}
+
+// Body: { structuredBreakdown, projectId?, version?, budget?: { rateCardId, shootDays },
+//        inventory?: { from, to } }
+// (project / version fill in the title page; budget adds a BUDGET section; inventory adds the
+// equipment inventory check)
+app.post("/api/download-docx", async (req, res) => {
+  try {
+    const { structuredBreakdown, projectId, version } = req.body;
 
-    const buffer = await Packer.toBuffer(doc);
+    if (!structuredBreakdown) {
+      return res.status(400).json({ error: "No breakdown provided" });
+    }
+
+    const { breakdown, errors } = checkStructuredBreakdown(
+      structuredBreakdown,
+      sectionsOf(structuredBreakdown)
+    );
+    if (errors.length) {
+      return res
+        .status(400)
+        .json({ error: "Invalid structuredBreakdown", details: errors });
+    }
+
+    const budget = await budgetFor(breakdown, req.body.budget);
+    const matches = await inventoryFor(breakdown, req.body.inventory);
+    const buffer = await breakdownToDocx(
+      matches ? inventory.annotateEquipment(breakdown, matches) : breakdown,
+      { ...(await exportMeta(projectId, version)), budget }
+    );
 
     res.setHeader(
       "Content-Type",
@@ -784,17 +3267,139 @@ app.post("/api/download-docx", async (req, res) => {
     );
     return res.send(buffer);
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
     console.error("Error generating Word doc:", error);
     return res.status(500).json({ error: "Failed to generate Word document" });
   }
 });
 
+// Branded PDF, same layout as the Word export. Body as for /api/download-docx
+app.post("/api/download-pdf", async (req, res) => {
+  try {
+    const { structuredBreakdown, projectId, version } = req.body;
+
+    if (!structuredBreakdown) {
+      return res.status(400).json({ error: "No breakdown provided" });
+    }
+
+    const { breakdown, errors } = checkStructuredBreakdown(
+      structuredBreakdown,
+      sectionsOf(structuredBreakdown)
+    );
+    if (errors.length) {
+      return res
+        .status(400)
+        .json({ error: "Invalid structuredBreakdown", details: errors });
+    }
+
+    const budget = await budgetFor(breakdown, req.body.budget);
+    const matches = await inventoryFor(breakdown, req.body.inventory);
+    const buffer = await breakdownToPdf(
+      matches ? inventory.annotateEquipment(breakdown, matches) : breakdown,
+      { ...(await exportMeta(projectId, version)), budget }
+    );
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      "attachment; filename=production-breakdown.pdf"
+    );
+    return res.send(buffer);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error("Error generating PDF:", error);
+    return res.status(500).json({ error: "Failed to generate PDF" });
+  }
+});
+
+// Excel: Summary sheet (incl. MISSING/TBD questions) + one sheet per department
+// Body: { structuredBreakdown, budget?: { rateCardId, shootDays }, inventory?: { from, to } }
+// (budget / inventory add the budget and inventory check sheets)
+app.post("/api/download-xlsx", async (req, res) => {
+  try {
+    const { structuredBreakdown, budget: budgetOptions } = req.body;
+
+    if (!structuredBreakdown) {
+      return res.status(400).json({ error: "No breakdown provided" });
+    }
+
+    const { breakdown, errors } = checkStructuredBreakdown(
+      structuredBreakdown,
+      sectionsOf(structuredBreakdown)
+    );
+    if (errors.length) {
+      return res
+        .status(400)
+        .json({ error: "Invalid structuredBreakdown", details: errors });
+    }
+
+    const budget = await budgetFor(breakdown, budgetOptions);
+    const matches = await inventoryFor(breakdown, req.body.inventory);
+    const buffer = await breakdownToXlsx(breakdown, { budget, inventory: matches });
+
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.setHeader(
+      "Content-Disposition",
+      "attachment; filename=production-breakdown.xlsx"
+    );
+    return res.send(buffer);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error("Error generating Excel workbook:", error);
+    return res.status(500).json({ error: "Failed to generate Excel workbook" });
+  }
+});
+
+// Zip with one CSV per section
+// Body: same as /api/download-xlsx
+app.post("/api/download-csv", async (req, res) => {
+  try {
+    const { structuredBreakdown, budget: budgetOptions } = req.body;
+
+    if (!structuredBreakdown) {
+      return res.status(400).json({ error: "No breakdown provided" });
+    }
+
+    const { breakdown, errors } = checkStructuredBreakdown(
+      structuredBreakdown,
+      sectionsOf(structuredBreakdown)
+    );
+    if (errors.length) {
+      return res
+        .status(400)
+        .json({ error: "Invalid structuredBreakdown", details: errors });
+    }
+
+    const budget = await budgetFor(breakdown, budgetOptions);
+    const matches = await inventoryFor(breakdown, req.body.inventory);
+    const buffer = await breakdownToCsvZip(breakdown, { budget, inventory: matches });
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader(
+      "Content-Disposition",
+      "attachment; filename=production-breakdown-csv.zip"
+    );
+    return res.send(buffer);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error("Error generating CSV export:", error);
+    return res.status(500).json({ error: "Failed to generate CSV export" });
+  }
+});
+
 /**
  * ----------------------------
  * Start server
  * ----------------------------
  */
 if (require.main === module) {
+  jobQueue.restore().catch((err) => {
+    console.error("Failed to restore saved jobs:", err);
+  });
+
   app.listen(PORT, () => {
     console.log(`Production Breakdown Tool running on http://localhost:${PORT}`);
     if (!process.env.ANTHROPIC_API_KEY) {
@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const os = require("os");
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "cache-test-"));
+const cache = require("../lib/analysis-cache");
+
+test("entries are stored and read back by kind and key", async () => {
+  const key = cache.cacheKey("chunk-notes", "3 shoot days", "model", 1);
+  assert.match(key, /^[a-f0-9]{64}$/);
+  assert.notStrictEqual(key, cache.cacheKey("chunk-notes", "3 shoot days", "model", 2));
+
+  assert.strictEqual(await cache.get("chunk-notes", key), null);
+  await cache.set("chunk-notes", key, { filename: "brief.pdf", notes: "CREW" }, { label: "brief.pdf, chunk 1/1" });
+  assert.deepStrictEqual(await cache.get("chunk-notes", key), { filename: "brief.pdf", notes: "CREW" });
+  // Same key, other kind: a different entry
+  assert.strictEqual(await cache.get("pdf-text", key), null);
+
+  const [entry] = await cache.listEntries("chunk-notes");
+  assert.deepStrictEqual([entry.key, entry.label], [key, "brief.pdf, chunk 1/1"]);
+  assert.strictEqual(await cache.listEntries("nope"), null);
+});
+
+test("unknown kinds, malformed keys and unreadable entries are misses", async () => {
+  const key = cache.cacheKey("x");
+  await cache.set("nope", key, 1);
+  assert.strictEqual(await cache.get("nope", key), null);
+  assert.strictEqual(await cache.get("pdf-text", "../../projects/x"), null);
+
+  fs.mkdirSync(path.join(process.env.DATA_DIR, "cache", "pdf-pages"), { recursive: true });
+  fs.writeFileSync(path.join(process.env.DATA_DIR, "cache", "pdf-pages", `${key}.json`), "{not json");
+  assert.strictEqual(await cache.get("pdf-pages", key), null);
+});
+
+test("files are hashed by their bytes", async () => {
+  const file = path.join(process.env.DATA_DIR, "brief.txt");
+  fs.writeFileSync(file, "brief");
+  assert.strictEqual(await cache.hashFile(file), crypto.createHash("sha256").update("brief").digest("hex"));
+  await assert.rejects(cache.hashFile(path.join(process.env.DATA_DIR, "missing.txt")));
+});
+
+test("stats count the entries per kind and clearing removes them", async () => {
+  await cache.set("conflicts", cache.cacheKey("a"), { conflicts: [] });
+  const before = await cache.stats();
+  assert.deepStrictEqual(before.kinds.map((k) => k.kind), cache.CACHE_KINDS);
+  assert.strictEqual(before.kinds.find((k) => k.kind === "conflicts").entries, 1);
+  assert.ok(before.totalBytes > 0);
+
+  assert.strictEqual(await cache.clear("conflicts"), 1);
+  assert.strictEqual((await cache.stats()).kinds.find((k) => k.kind === "conflicts").entries, 0);
+  assert.strictEqual(await cache.clear(), before.totalEntries - 1);
+  assert.strictEqual((await cache.stats()).totalEntries, 0);
+});
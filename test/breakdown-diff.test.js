@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { diffBreakdowns } = require("../lib/breakdown-diff");
+
+function item(description, extra = {}) {
+  return { description, quantity: null, status: "CONFIRMED", group: null, notes: null, citation: null, ...extra };
+}
+
+function breakdown(sections) {
+  return {
+    title: "Spot",
+    client: null,
+    sections: Object.entries(sections).map(([id, items]) => ({ id, title: id.toUpperCase(), items })),
+  };
+}
+
+test("brief comparisons ignore reworded notes and descriptions", () => {
+  const oldBrief = breakdown({
+    shoot_days: [item("3 shoot days", { notes: "Stated on page 2" })],
+    locations: [item("Beach house with sea view", { notes: "Client prefers mornings" })],
+    crew: [item("Drone operator 1x")],
+  });
+  const newBrief = breakdown({
+    shoot_days: [item("Three shoot days", { notes: "From the production schedule" })],
+    locations: [item("Beach house, sea view", { notes: "Mornings preferred by the client" })],
+    crew: [item("Drone operator 1x", { status: "RECOMMENDED" })],
+  });
+
+  const changes = diffBreakdowns(oldBrief, newBrief, { ignoreWording: true });
+  assert.deepStrictEqual(changes.summary, { added: 0, removed: 0, changed: 1 });
+  const crew = changes.sections.find((s) => s.id === "crew");
+  assert.deepStrictEqual(crew.changed[0].fields, ["status"]);
+
+  // The version diff still shows every edit
+  assert.deepStrictEqual(diffBreakdowns(oldBrief, newBrief).summary, { added: 0, removed: 0, changed: 3 });
+});
+
+test("a brief comparison still reports changed numbers", () => {
+  const changes = diffBreakdowns(
+    breakdown({ shoot_days: [item("3 shoot days")] }),
+    breakdown({ shoot_days: [item("4 shoot days")] }),
+    { ignoreWording: true }
+  );
+  assert.deepStrictEqual(changes.sections[0].changed[0].fields, ["description"]);
+});
+
+test("items are matched by description, then by similar wording with other numbers", () => {
+  const before = breakdown({
+    crew: [item("DOP 1x"), item("Gaffer 1x"), item("Make-up artist 1x", { notes: "Natural look" })],
+    equipment: [item("Drone")],
+  });
+  const after = breakdown({
+    crew: [item("DOP 1x"), item("Gaffer 2x"), item("Make-up artist 1x"), item("Stylist 1x", { status: "RECOMMENDED" })],
+    transport: [item("Unit van")],
+  });
+
+  const changes = diffBreakdowns(before, { ...after, client: "ACME" });
+  assert.deepStrictEqual(changes.meta, [{ field: "client", before: null, after: "ACME" }]);
+  assert.deepStrictEqual(changes.summary, { added: 2, removed: 1, changed: 2 });
+
+  const crew = changes.sections.find((s) => s.id === "crew");
+  assert.deepStrictEqual(
+    crew.changed.map((c) => [c.before.description, c.after.description, c.fields]),
+    [
+      ["Make-up artist 1x", "Make-up artist 1x", ["notes"]],
+      ["Gaffer 1x", "Gaffer 2x", ["description"]],
+    ]
+  );
+  assert.strictEqual(crew.unchangedCount, 1);
+  assert.deepStrictEqual(crew.added.map((i) => i.description), ["Stylist 1x"]);
+
+  // Sections only in one of the breakdowns are compared against nothing, after's order first
+  assert.deepStrictEqual(changes.sections.map((s) => s.id), ["crew", "transport", "equipment"]);
+  assert.deepStrictEqual(changes.sections[2].removed.map((i) => i.description), ["Drone"]);
+});
+
+test("descriptions with too few words in common are different items", () => {
+  const changes = diffBreakdowns(
+    breakdown({ locations: [item("Beach house with sea view")] }),
+    breakdown({ locations: [item("City rooftop")] })
+  );
+  assert.deepStrictEqual(changes.summary, { added: 1, removed: 1, changed: 0 });
+  assert.deepStrictEqual(diffBreakdowns(null, null), { meta: [], sections: [], summary: { added: 0, removed: 0, changed: 0 } });
+});
@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const JSZip = require("jszip");
+const { breakdownToXlsx, breakdownToCsvZip, toCsv } = require("../lib/breakdown-export");
+
+function item(description, extra = {}) {
+  return { description, quantity: null, status: "CONFIRMED", group: null, notes: null, citation: null, ...extra };
+}
+
+const breakdown = {
+  title: "Spot",
+  client: "ACME",
+  sections: [
+    {
+      id: "crew",
+      title: "CREW",
+      items: [
+        item("Gaffer", {
+          quantity: 2,
+          group: "Technical Crew",
+          citation: { filename: "brief.pdf", location: "page 2", quote: "two gaffers" },
+        }),
+        item("Runner", { status: "ASSUMED", notes: 'Says "tbc", check' }),
+      ],
+    },
+    { id: "art_props", title: "ART/PROPS", items: [] },
+    { id: "missing", title: "MISSING/TBD INFORMATION", items: [item("Shoot dates", { status: "RECOMMENDED" })] },
+  ],
+};
+
+test("CSV fields with commas, quotes or line breaks are quoted", () => {
+  assert.strictEqual(
+    toCsv([["a", 'say "hi"', "x,y", "two\nlines", null, 0]]),
+    'a,"say ""hi""","x,y","two\nlines",,0'
+  );
+});
+
+test("the CSV zip has one file per section, missing/TBD included", async () => {
+  const zip = await JSZip.loadAsync(await breakdownToCsvZip(breakdown));
+  assert.deepStrictEqual(Object.keys(zip.files).sort(), ["art_props.csv", "crew.csv", "missing.csv"]);
+  assert.strictEqual(
+    await zip.file("crew.csv").async("string"),
+    "Quantity,Description,Status,Group,Notes,Source\r\n" +
+      '2,Gaffer,CONFIRMED,Technical Crew,,"brief.pdf, page 2"\r\n' +
+      ',Runner,ASSUMED,,"Says ""tbc"", check",\r\n'
+  );
+});
+
+test("the workbook starts with a summary and has a sheet per department section", async () => {
+  const budget = {
+    currency: "GBP",
+    rateCard: { name: "London" },
+    shootDays: { days: 2, status: "CONFIRMED", source: "2 shoot days" },
+    lines: [],
+    topSheet: { categories: [], totals: { CONFIRMED: 0, RECOMMENDED: 0, ASSUMED: 0, total: 0, unpriced: 0 } },
+  };
+  const zip = await JSZip.loadAsync(await breakdownToXlsx(breakdown, { budget, inventory: [] }));
+  const workbook = await zip.file("xl/workbook.xml").async("string");
+  assert.deepStrictEqual(
+    [...workbook.matchAll(/<sheet name="([^"]+)"/g)].map((m) => m[1]),
+    ["Summary", "CREW", "ART-PROPS", "Inventory Check", "Budget Top Sheet", "Budget Lines"]
+  );
+
+  const summary = await zip.file("xl/worksheets/sheet1.xml").async("string");
+  assert.match(summary, />CREW<\/t><\/is><\/c><c r="B6" s="2"><v>2<\/v><\/c><c r="C6" s="2"><v>1<\/v>/);
+  assert.match(summary, />Shoot dates</);
+});
@@ -0,0 +1,16 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { BREAKDOWN_SECTIONS, repairBreakdown, validateBreakdown } = require("../lib/breakdown");
+
+test("a section the model left out is reported even though repair adds it back", () => {
+  const reply = {
+    sections: BREAKDOWN_SECTIONS.filter((s) => s.id !== "crew").map((s) => ({ id: s.id, items: [] })),
+  };
+  const breakdown = repairBreakdown(reply);
+  assert.ok(breakdown.sections.some((s) => s.id === "crew"));
+  assert.deepStrictEqual(validateBreakdown(breakdown, BREAKDOWN_SECTIONS, { reply }), [
+    'Missing section "crew"',
+  ]);
+  // Breakdowns sent back by the browser are still repaired without complaint
+  assert.deepStrictEqual(validateBreakdown(breakdown), []);
+});
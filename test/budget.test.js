@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { buildBudget, detectShootDays, formatMoney, budgetDocumentTables } = require("../lib/budget");
+
+function item(description, extra = {}) {
+  return { description, quantity: null, status: "CONFIRMED", group: null, notes: null, citation: null, ...extra };
+}
+
+function breakdown(sections) {
+  return {
+    title: null,
+    client: null,
+    sections: Object.entries(sections).map(([id, items]) => ({ id, title: id.toUpperCase(), items })),
+  };
+}
+
+const rateCard = {
+  id: "london",
+  name: "London 2026",
+  currency: "GBP",
+  crew: [
+    { name: "Camera", match: ["dop"], dayRate: 1000 },
+    { name: "Camera operator", dayRate: 600 },
+    { name: "Gaffer", dayRate: 500 },
+  ],
+  equipment: [{ name: "Camera package", match: ["alexa"], dayRate: 900 }],
+  locations: [{ name: "Studio", dayRate: 2000 }],
+  transport: [],
+  perDiem: 50,
+  travel: 300,
+};
+
+test("shoot days are read from the stated count, in words or figures", () => {
+  assert.strictEqual(detectShootDays(breakdown({ shoot_days: [item("Twelve shoot days")] })).days, 12);
+  assert.strictEqual(detectShootDays(breakdown({ shoot_days: [item("Shooting days: 2")] })).days, 2);
+
+  const assumedFirst = breakdown({
+    shoot_days: [item("4 days", { status: "ASSUMED" }), item("3 shoot days", { status: "RECOMMENDED" })],
+  });
+  assert.deepStrictEqual(detectShootDays(assumedFirst), { days: 3, status: "RECOMMENDED", source: "3 shoot days" });
+
+  const dayLines = breakdown({ shoot_days: [item("Day 1 - studio"), item("Day 2 - beach")] });
+  assert.deepStrictEqual(detectShootDays(dayLines), { days: 2, status: "CONFIRMED", source: '2 "Day n" lines' });
+  assert.deepStrictEqual(detectShootDays(breakdown({})).days, 1);
+});
+
+test("items are priced per shoot day, locations per day used", () => {
+  const budget = buildBudget(
+    breakdown({
+      shoot_days: [item("2 shoot days")],
+      crew: [
+        item("DOP 1x", { group: "Travel CONFIRMED" }),
+        item("Camera operator 2x", { status: "RECOMMENDED" }),
+        item("Runner 1x", { status: "ASSUMED" }),
+      ],
+      equipment: [item("Alexa Mini LF")],
+      locations: [item("Studio", { quantity: 3 }), item("Studio car park")],
+    }),
+    rateCard
+  );
+
+  const line = (description) => budget.lines.find((l) => l.description === description);
+  // The longest matching phrase wins: "camera operator", not "camera"
+  assert.deepStrictEqual([line("Camera operator 2x").rateName, line("Camera operator 2x").total], ["Camera operator", 2400]);
+  assert.strictEqual(line("DOP 1x").total, 2000);
+  assert.strictEqual(line("Alexa Mini LF").total, 1800);
+  assert.deepStrictEqual([line("Studio").days, line("Studio").total], [3, 6000]);
+  assert.deepStrictEqual([line("Studio car park").total, line("Studio car park").notes], [2000, "1 day assumed"]);
+  assert.deepStrictEqual([line("Runner 1x").total, line("Runner 1x").notes], [null, "No matching rate on the card"]);
+
+  assert.strictEqual(line("Per diems, recommended crew").total, 200);
+  assert.deepStrictEqual([line("Travel, confirmed travelling crew").quantity, line("Travel, confirmed travelling crew").total], [1, 300]);
+
+  const { totals } = budget.topSheet;
+  assert.deepStrictEqual(totals, {
+    CONFIRMED: 2000 + 1800 + 6000 + 2000 + 100 + 300,
+    RECOMMENDED: 2400 + 200,
+    ASSUMED: 100,
+    total: 14900,
+    unpriced: 1,
+  });
+});
+
+test("a shoot day count entered by the user overrides the breakdown", () => {
+  const budget = buildBudget(breakdown({ shoot_days: [item("2 shoot days")], crew: [item("Gaffer 1x")] }), rateCard, {
+    shootDays: 5,
+  });
+  assert.deepStrictEqual(budget.shootDays, { days: 5, status: "CONFIRMED", source: "Entered by user" });
+  assert.strictEqual(budget.lines[0].total, 2500);
+});
+
+test("the document tables show money in whole units and list unpriced items", () => {
+  const budget = buildBudget(breakdown({ crew: [item("Gaffer 1x"), item("Runner 1x")] }), rateCard);
+  const tables = budgetDocumentTables(budget);
+
+  assert.deepStrictEqual(tables.summary, [
+    "Rate card: London 2026 (GBP)",
+    "Shoot days: 1 (ASSUMED: Shoot days not stated; 1 day assumed)",
+    "No rate for: Runner 1x",
+  ]);
+  assert.deepStrictEqual(tables.topSheet.rows[0].cells, ["Crew (1 unpriced)", "£500", "£0", "£0", "£500"]);
+  assert.strictEqual(tables.topSheet.rows.at(-1).total, true);
+  assert.deepStrictEqual(tables.lines.rows[1].cells, ["Runner 1x\nNo matching rate on the card", "CONFIRMED", "1", "1", "—", "—"]);
+  assert.strictEqual(formatMoney(1234.5, "USD"), "$1,235");
+});
@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { chunkPages, formatPageRange } = require("../lib/chunking");
+
+function page(num, words) {
+  return { num, text: `Page ${num}. ${"word ".repeat(words).trim()}` };
+}
+
+test("chunks are whole pages and know which pages they cover", () => {
+  const chunks = chunkPages([page(1, 30), page(2, 30), page(3, 30), page(4, 30)], { maxChars: 400 });
+
+  assert.strictEqual(chunks.length, 2);
+  assert.deepStrictEqual(chunks.map(formatPageRange), ["PAGES 1-2", "PAGES 3-4"]);
+  assert.match(chunks[0].text, /^--- PAGE 1 ---\n\nPage 1\..*\n\n--- PAGE 2 ---\n\nPage 2\./s);
+  assert.ok(chunks.every((c) => c.text.length <= 400));
+});
+
+test("a page larger than the budget is split on paragraphs, never over the limit", () => {
+  const paragraphs = Array.from({ length: 6 }, (_, i) => `Paragraph ${i}. ${"text ".repeat(20).trim()}`);
+  const chunks = chunkPages([{ num: 7, text: paragraphs.join("\n\n") }], { maxChars: 300 });
+
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every((c) => c.text.length <= 300));
+  assert.ok(chunks.every((c) => formatPageRange(c) === "PAGE 7"));
+  // No paragraph is cut in two
+  for (const paragraph of paragraphs) {
+    assert.ok(chunks.some((c) => c.text.includes(paragraph)));
+  }
+  // Text without paragraphs or lines still fits
+  const [long] = chunkPages([{ num: null, text: "x".repeat(1000) }], { maxChars: 300 });
+  assert.strictEqual(long.text.length, 260);
+});
+
+test("documents without page numbers have no page markers or range", () => {
+  const chunks = chunkPages([{ num: null, text: "Brief text.\r\nSecond line." }], { maxChars: 1000 });
+  assert.deepStrictEqual(chunks, [{ text: "Brief text.\nSecond line.", pageStart: null, pageEnd: null }]);
+  assert.strictEqual(formatPageRange(chunks[0]), "");
+  assert.deepStrictEqual(chunkPages([{ num: 1, text: "   " }], { maxChars: 1000 }), []);
+});
+
+test("a script chunk is cut before the scene the budget runs out in", () => {
+  const scene = (heading) => `${heading}\n\n${"Action line. ".repeat(10).trim()}`;
+  const text = [scene("INT. KITCHEN - DAY"), scene("EXT. GARDEN - NIGHT"), scene("INT. CAR - DAY")].join("\n\n");
+
+  const chunks = chunkPages([{ num: 1, text }], { maxChars: 400, screenplay: true });
+  assert.ok(chunks.every((c) => c.text.length <= 400));
+  for (const chunk of chunks) {
+    const body = chunk.text.replace(/^--- PAGE \d+ ---\n\n/, "");
+    assert.match(body, /^(INT|EXT)\. /);
+  }
+});
@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { locateQuote, findQuotedPassage } = require("../lib/citations");
+
+const text =
+  "PRODUCTION NOTES\n\nThe client’s brief asks for  a “hero”\nshot of the bottle – at golden hour. " +
+  "We will need two shoot days in Lisbon and one studio day for the packshots.";
+
+test("a quote is found regardless of case, line breaks and curly quotes", () => {
+  const range = locateQuote(text, `the client's brief asks for a "hero" shot of the bottle - at golden hour`);
+  assert.ok(range);
+  assert.strictEqual(
+    text.slice(range.start, range.end),
+    "The client’s brief asks for  a “hero”\nshot of the bottle – at golden hour"
+  );
+  assert.strictEqual(locateQuote(text, "three shoot days in Lisbon"), null);
+  assert.strictEqual(locateQuote("", "anything"), null);
+});
+
+test("a quote shortened with an ellipsis is matched on its longest fragment", () => {
+  const range = locateQuote(text, "We will need two shoot days … one studio day for the packshots");
+  assert.strictEqual(text.slice(range.start, range.end), "one studio day for the packshots");
+  // Fragments too short to point at one passage are not used
+  assert.strictEqual(locateQuote(text, "We will need four... days"), null);
+});
+
+test("the passage comes with context cut at word boundaries", () => {
+  const passage = findQuotedPassage(text, "two shoot days in Lisbon", { contextChars: 20 });
+  assert.strictEqual(passage.found, true);
+  assert.strictEqual(passage.match, "two shoot days in Lisbon");
+  assert.strictEqual(passage.before, "…hour. We will need ");
+  assert.strictEqual(passage.after, " and one studio day…");
+  assert.deepStrictEqual(findQuotedPassage(text, "not in the text"), { found: false });
+
+  const whole = findQuotedPassage(text, "production notes");
+  assert.strictEqual(whole.before, "");
+  assert.strictEqual(whole.after, text.slice("PRODUCTION NOTES".length));
+});
@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { BREAKDOWN_SECTIONS, DEFAULT_EXPORT_LAYOUT } = require("../lib/breakdown");
+const {
+  CONFLICTS_SECTION,
+  withConflictsSection,
+  definitionForBreakdown,
+  normalizeConflictReport,
+  addConflictItems,
+  conflictsPromptBlock,
+} = require("../lib/conflicts");
+
+const definition = { sections: BREAKDOWN_SECTIONS, export: DEFAULT_EXPORT_LAYOUT };
+
+test("the conflicts section is added before the open questions and numbered like them", () => {
+  const compared = withConflictsSection(definition);
+  assert.deepStrictEqual(
+    compared.sections.slice(-3).map((s) => s.id),
+    ["conflicts", "notes", "missing"]
+  );
+  assert.deepStrictEqual(compared.export.numberedSections, ["conflicts", "notes", "missing"]);
+  assert.strictEqual(withConflictsSection(compared), compared);
+  // The template itself is left alone
+  assert.ok(!definition.sections.includes(CONFLICTS_SECTION));
+});
+
+test("a saved breakdown keeps the conflicts section only if it was made with one", () => {
+  const single = { sections: [{ id: "crew", items: [] }] };
+  const compared = { sections: [{ id: "crew", items: [] }, { id: "conflicts", items: [] }] };
+  assert.strictEqual(definitionForBreakdown(definition, single), definition);
+  assert.ok(definitionForBreakdown(definition, compared).sections.includes(CONFLICTS_SECTION));
+});
+
+test("only real disagreements between different files are reported", () => {
+  const report = normalizeConflictReport(
+    {
+      sameProject: true,
+      conflicts: [
+        {
+          topic: "Shoot days",
+          values: [
+            { value: "3", filename: "BRIEF_V1.pdf", quote: "3 shoot days" },
+            { value: "2", filename: "brief_v2.pdf", location: "page 2" },
+          ],
+        },
+        { topic: "Location", values: [{ value: "Beach", filename: "brief_v1.pdf" }, { value: "beach!", filename: "brief_v2.pdf" }] },
+        { topic: "Crew", values: [{ value: "Gaffer", filename: "brief_v1.pdf" }, { value: "Spark", filename: "brief_v1.pdf" }] },
+        { topic: "Cast", values: [{ value: "2", filename: "brief_v1.pdf" }, { value: "3", filename: "other.pdf" }] },
+      ],
+    },
+    ["brief_v1.pdf", "brief_v2.pdf"]
+  );
+  assert.deepStrictEqual(report.conflicts.map((c) => c.topic), ["Shoot days"]);
+  assert.strictEqual(report.conflicts[0].values[0].filename, "brief_v1.pdf");
+  assert.strictEqual(report.projectNote, null);
+});
+
+test("conflict items and the prompt block name both files", () => {
+  const report = normalizeConflictReport(
+    {
+      sameProject: false,
+      projectNote: "Different brands",
+      projects: [{ filename: "a.pdf", project: "Cola spot" }, { filename: "b.pdf", project: "Car spot" }],
+      conflicts: [{ topic: "Shoot days", values: [{ value: "3", filename: "a.pdf", quote: "3 days" }, { value: "2", filename: "b.pdf" }] }],
+    },
+    ["a.pdf", "b.pdf"]
+  );
+  const breakdown = { sections: [{ id: "conflicts", items: [{ description: "Added by the model" }] }] };
+  addConflictItems(breakdown, report);
+  const items = breakdown.sections[0].items;
+  assert.deepStrictEqual(
+    items.map((i) => [i.description, i.status]),
+    [
+      ["The files may describe different projects: a.pdf: Cola spot; b.pdf: Car spot", "RECOMMENDED"],
+      ['Shoot days: "3" (a.pdf) vs "2" (b.pdf)', "RECOMMENDED"],
+    ]
+  );
+  assert.match(items[1].notes, /a\.pdf: "3 days"\nConfirm which is correct/);
+
+  const block = conflictsPromptBlock(report);
+  assert.match(block, /WARNING: the files seem to describe different projects/);
+  assert.match(block, /- Shoot days: "3" \(a\.pdf\) vs "2" \(b\.pdf\)/);
+  assert.strictEqual(conflictsPromptBlock(normalizeConflictReport({}, ["a.pdf", "b.pdf"])), null);
+  assert.strictEqual(conflictsPromptBlock(null), null);
+});
@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  RECENT_TURNS,
+  SOURCE_TEXT_CHARS,
+  buildConversation,
+  describeVersion,
+  sourceContent,
+} = require("../lib/conversation");
+
+function project(versions) {
+  return {
+    name: "Spot",
+    sources: [
+      { filename: "brief.pdf" },
+      { filename: "moodboard.jpg" },
+    ],
+    breakdowns: versions.map((record, i) => ({
+      version: i + 1,
+      structuredBreakdown: { sections: [{ id: "crew", items: [{}, {}] }] },
+      ...record,
+    })),
+  };
+}
+
+const sources = [
+  { filename: "brief.pdf", text: "Props: a red umbrella and two bicycles." },
+  { filename: "moodboard.jpg", text: null },
+];
+
+function textOf(message) {
+  return message.content.map((c) => c.text).join("\n");
+}
+
+test("the source text is re-attached to the opening turn", () => {
+  const messages = buildConversation(project([{ source: "generate" }]), 1, { sources, query: "add props" });
+  assert.strictEqual(messages.length, 2);
+  const opening = textOf(messages[0]);
+  assert.match(opening, /===== SOURCE TEXT: brief\.pdf =====\nProps: a red umbrella and two bicycles\./);
+  assert.match(opening, /- moodboard\.jpg \(no extractable text\)/);
+  assert.match(opening, /Create the production breakdown/);
+  assert.match(textOf(messages[1]), /Breakdown v1 \(2 items\)/);
+});
+
+test("only recent versions are turns; older ones are summarised", () => {
+  const versions = Array.from({ length: RECENT_TURNS + 2 }, (_, i) =>
+    i === 0 ? { source: "generate" } : { source: "revise", revisionRequest: `change ${i}` }
+  );
+  const messages = buildConversation(project(versions), versions.length, { sources });
+  assert.strictEqual(messages.length, RECENT_TURNS * 2);
+  assert.match(textOf(messages[0]), /Earlier versions \(summarised\):\n- v1: Create.*\n- v2: Revise the breakdown: change 1/);
+  // The documents are attached once
+  assert.strictEqual(messages.filter((m) => textOf(m).includes("SOURCE TEXT")).length, 1);
+});
+
+test("later versions are not part of an earlier version's conversation", () => {
+  const messages = buildConversation(
+    project([{ source: "generate" }, { source: "restore", restoredFrom: 1 }]),
+    1
+  );
+  assert.strictEqual(messages.length, 2);
+  assert.deepStrictEqual(buildConversation(project([]), 1), []);
+});
+
+test("documents too long to attach are cut to the passages matching the request", () => {
+  const filler = Array.from({ length: 80 }, (_, i) => `Paragraph ${i} about catering and parking.`.padEnd(3000, ".")).join("\n\n");
+  const long = [
+    { filename: "script.pdf", text: `${filler}\n\nThe hero twirls a silver cane, a prop he never puts down.\n\n${filler}` },
+  ];
+  const content = sourceContent(long, "add the silver cane prop");
+  const attached = content.map((c) => c.text).join("");
+  assert.match(content[0].text, /too long to attach in full/);
+  assert.match(attached, /===== SOURCE TEXT EXCERPT: script\.pdf =====/);
+  assert.match(attached, /silver cane/);
+  assert.ok(attached.length < SOURCE_TEXT_CHARS + 5000);
+});
+
+test("each kind of version says what was asked", () => {
+  assert.strictEqual(
+    describeVersion({ source: "revise", sections: ["crew"], revisionRequest: "add a gaffer" }),
+    "Revise the breakdown (only: crew): add a gaffer"
+  );
+  assert.strictEqual(
+    describeVersion({ source: "answers", answersFile: "answers.txt", answers: [{ question: "Days?", answer: "3" }] }),
+    "Apply the client's answers (answers.txt): Days? -> 3"
+  );
+  assert.strictEqual(describeVersion({ source: "edit", editedFrom: 2 }), "Lines edited by hand in v2.");
+});
@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const JSZip = require("jszip");
+const { breakdownToDocx, questionnaireToDocx } = require("../lib/docx-export");
+
+function item(description, extra = {}) {
+  return { description, quantity: null, status: "CONFIRMED", group: null, notes: null, citation: null, ...extra };
+}
+
+const breakdown = {
+  title: "Spot",
+  client: "ACME",
+  sections: [
+    {
+      id: "crew",
+      title: "CREW",
+      items: [
+        item("**Gaffer**", {
+          quantity: 2,
+          group: "Technical Crew",
+          citation: { filename: "brief.pdf", location: "page 2", quote: "two gaffers" },
+        }),
+      ],
+    },
+    {
+      id: "notes",
+      title: "SPECIAL NOTES & QUESTIONS",
+      items: [item("Which camera?", { status: "RECOMMENDED", notes: "Alexa or FX9" })],
+    },
+    { id: "usage", title: "USAGE", items: [] },
+  ],
+};
+
+async function part(buffer, name) {
+  return (await JSZip.loadAsync(buffer)).file(name).async("string");
+}
+
+// The document's text, one entry per paragraph
+function paragraphs(xml) {
+  return [...xml.matchAll(/<w:p>.*?<\/w:p>|<w:p [^>]*>.*?<\/w:p>/g)]
+    .map((p) => [...p[0].matchAll(/<w:t[^>]*>([^<]*)<\/w:t>/g)].map((t) => t[1]).join(""))
+    .filter(Boolean);
+}
+
+test("the breakdown has a title page, its sections and the citations as footnotes", async () => {
+  const buffer = await breakdownToDocx(breakdown, { jobNumber: "J-1", version: 3, date: "2026-05-01T12:00:00Z" });
+  const document = await part(buffer, "word/document.xml");
+  const text = paragraphs(document);
+
+  assert.deepStrictEqual(text.slice(0, 6), ["PRODUCTION BREAKDOWN", "Spot", "Client: ACME", "Job #J-1", "Date: May 1, 2026", "Version 3"]);
+  assert.ok(text.includes("SPECIAL NOTES &amp; QUESTIONS"));
+  assert.ok(text.includes("[RECOMMENDED] Which camera? — Alexa or FX9"));
+  assert.deepStrictEqual(text.slice(text.indexOf("USAGE"), text.indexOf("USAGE") + 2), ["USAGE", "None stated"]);
+
+  // Crew is a table; the markdown is rendered, not shown as asterisks
+  assert.match(document, /<w:tbl>/);
+  assert.ok(text.includes("Gaffer"));
+  assert.doesNotMatch(document, /\*\*Gaffer/);
+
+  assert.match(await part(buffer, "word/footnotes.xml"), /brief\.pdf, page 2: “two gaffers”/);
+});
+
+test("the template's layout decides which sections are tables", async () => {
+  const document = await part(
+    await breakdownToDocx(breakdown, { layout: { tableSections: [], numberedSections: [] } }),
+    "word/document.xml"
+  );
+  assert.doesNotMatch(document, /<w:tbl>/);
+  assert.ok(paragraphs(document).includes("[CONFIRMED] Gaffer"));
+});
+
+test("questionnaire numbers are written out with an answer line under each question", async () => {
+  const questionnaire = {
+    title: "Spot",
+    client: null,
+    version: 2,
+    questions: [
+      { number: 1, sectionId: "notes", sectionTitle: "NOTES", index: 0, question: "Which camera?", context: "Alexa or FX9" },
+      { number: 2, sectionId: "missing", sectionTitle: "MISSING", index: 0, question: "Shoot dates", context: null },
+    ],
+  };
+  const text = paragraphs(await part(await questionnaireToDocx(questionnaire), "word/document.xml"));
+  assert.deepStrictEqual(text.slice(0, 2), ["Spot – questions", "Breakdown version 2"]);
+  assert.deepStrictEqual(text.slice(3), ["NOTES", "1. Which camera?", "Alexa or FX9", "Answer: ", "MISSING", "2. Shoot dates", "Answer: "]);
+});
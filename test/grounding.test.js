@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { checkItem, numbersIn, skippedReport } = require("../lib/grounding");
+
+function confirmed(description, quote) {
+  return { description, status: "CONFIRMED", citation: { filename: "brief.txt", location: null, quote } };
+}
+
+test("number words only count as whole words", () => {
+  assert.deepStrictEqual([...numbersIn("Catering tent for 2 days")], [2]);
+  assert.deepStrictEqual([...numbersIn("Sixteen extras")], [16]);
+  assert.deepStrictEqual([...numbersIn("Tenant fourteen")], [14]);
+  assert.deepStrictEqual([...numbersIn("Camera 1x")], []);
+});
+
+test("items with number-word prefixes are not contradicted", () => {
+  const sources = [{ filename: "brief.txt", text: "A catering tent for 2 days.\nPlease book 16 extras." }];
+  assert.strictEqual(
+    checkItem(confirmed("Catering tent for 2 days", "catering tent for 2 days"), sources).verdict,
+    "supported"
+  );
+  assert.strictEqual(checkItem(confirmed("Sixteen extras", "16 extras"), sources).verdict, "supported");
+});
+
+test("a comma before three digits groups thousands", () => {
+  assert.deepStrictEqual([...numbersIn("We need 1,500 extras")], [1500]);
+  assert.deepStrictEqual([...numbersIn("Budget 12,000,000.50")], [12000000.5]);
+  assert.deepStrictEqual([...numbersIn("1,5 km of track")], [1.5]);
+
+  const sources = [{ filename: "brief.txt", text: "We need 1,500 extras for the stadium." }];
+  const item = { ...confirmed("1500 extras", "We need 1,500 extras"), quantity: 1500 };
+  assert.strictEqual(checkItem(item, sources).verdict, "supported");
+});
+
+test("a breakdown without sources gets a report saying it was not checked", () => {
+  const breakdown = {
+    sections: [
+      { id: "crew", items: [confirmed("Gaffer 1x", "gaffer"), { ...confirmed("DOP 1x", "dop"), locked: true }] },
+      { id: "equipment", items: [{ description: "Drone", status: "RECOMMENDED" }] },
+    ],
+  };
+  const report = skippedReport(breakdown, "No project");
+  assert.strictEqual(report.skipped, "No project");
+  assert.strictEqual(report.summary.checked, 0);
+  assert.strictEqual(report.summary.unchecked, 1);
+  assert.deepStrictEqual(report.items, []);
+});
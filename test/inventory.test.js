@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseInventory, matchEquipment, describeMatch, annotateEquipment } = require("../lib/inventory");
+
+function item(description, extra = {}) {
+  return { description, quantity: null, status: "CONFIRMED", group: null, notes: null, citation: null, ...extra };
+}
+
+function equipment(items) {
+  return { title: null, client: null, sections: [{ id: "equipment", title: "EQUIPMENT", items }] };
+}
+
+test("CSV fields may be quoted, with commas, doubled quotes and line breaks", () => {
+  const csv =
+    "\uFEFFItem,Type,Qty,Available From\r\n" +
+    '"Dolly, doorway",Grip,1,\r\n' +
+    '"Apple box ""full""",Grip,,2026-03-01\n' +
+    '"Light\nstand",Lighting,4,\n' +
+    ",,,\n";
+
+  const { items, errors } = parseInventory("kit.csv", csv);
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(items, [
+    { name: "Dolly, doorway", category: "Grip", quantity: 1, availableFrom: null, availableTo: null },
+    { name: 'Apple box "full"', category: "Grip", quantity: 1, availableFrom: "2026-03-01", availableTo: null },
+    { name: "Light\nstand", category: "Lighting", quantity: 4, availableFrom: null, availableTo: null },
+  ]);
+});
+
+test("bad rows are reported and the rest kept", () => {
+  const { items, errors } = parseInventory(
+    "kit.json",
+    JSON.stringify({ items: [{ name: "Drone" }, { qty: 2 }, { name: "Slider", qty: "1.5" }, { name: "Tripod", to: "March" }] })
+  );
+  assert.deepStrictEqual(items.map((i) => i.name), ["Drone"]);
+  assert.deepStrictEqual(errors, [
+    "row 2: item name is missing",
+    'row 3: quantity must be a whole number (got "1.5")',
+    'row 4: availableTo must be YYYY-MM-DD (got "March")',
+  ]);
+  assert.deepStrictEqual(parseInventory("kit.csv", "Qty\n1").errors, ['CSV needs a header row with an "item" column']);
+});
+
+const inventory = {
+  items: [
+    { name: "ARRI Alexa Mini", category: "Camera", quantity: 1, availableFrom: null, availableTo: null },
+    { name: "ARRI Alexa Mini", category: "Camera", quantity: 1, availableFrom: "2026-06-01", availableTo: null },
+    { name: "Sony FX9", category: "Camera", quantity: 2, availableFrom: null, availableTo: null },
+    { name: "Aputure 600d", category: "Lighting", quantity: 3, availableFrom: null, availableTo: "2026-12-31" },
+  ],
+};
+
+test("equipment lines are matched to what we own and free for the shoot dates", () => {
+  const matches = matchEquipment(
+    equipment([item("Alexa Mini camera body 2x"), item("Aputure 600d")]),
+    inventory,
+    { from: "2026-05-10", to: "2026-05-12" }
+  );
+
+  assert.deepStrictEqual(
+    matches.map((m) => [m.description, m.needed, m.status]),
+    [["Alexa Mini camera body 2x", 2, "booked"], ["Aputure 600d", 1, "available"]]
+  );
+  assert.deepStrictEqual(matches[0].item, { name: "ARRI Alexa Mini", category: "Camera", owned: 2, free: 1 });
+  assert.deepStrictEqual(matches[0].substitutes, [{ name: "Sony FX9", free: 2 }]);
+  assert.strictEqual(
+    describeMatch(matches[0]),
+    "Owned – booked: ARRI Alexa Mini (1 of 2 free for the shoot dates, 2 owned). Substitutes: Sony FX9 (2 free)"
+  );
+  // After the second body is back, both are free
+  assert.strictEqual(matchEquipment(equipment([item("Alexa Mini 2x")]), inventory, { from: "2026-07-01" })[0].status, "available");
+});
+
+test("kit we don't own needs a rental; a category it names suggests substitutes", () => {
+  const breakdown = equipment([item("RED Komodo camera", { notes: "Client request" }), item("Technocrane")]);
+  const [red, crane] = matchEquipment(breakdown, inventory);
+
+  assert.strictEqual(red.status, "rental");
+  assert.deepStrictEqual(red.substitutes.map((s) => s.name), ["ARRI Alexa Mini", "Sony FX9"]);
+  assert.deepStrictEqual([crane.status, crane.substitutes], ["rental", []]);
+
+  const annotated = annotateEquipment(breakdown, [red, crane]);
+  assert.match(annotated.sections[0].items[0].notes, /^Client request\nInventory: Needs rental\. Substitutes: /);
+  assert.strictEqual(annotated.sections[0].items[1].notes, "Inventory: Needs rental");
+  assert.strictEqual(breakdown.sections[0].items[0].notes, "Client request");
+});
@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const os = require("os");
+const path = require("path");
+const fs = require("fs");
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "jobs-test-"));
+const { createJobQueue } = require("../lib/job-queue");
+
+test("cleanup runs for a job cancelled before it started", async () => {
+  const queue = createJobQueue({ concurrency: 1 });
+  let release;
+  const cleaned = [];
+
+  queue.submit("generate", () => new Promise((resolve) => (release = resolve)), {
+    cleanup: () => cleaned.push("first"),
+  });
+  const queued = queue.submit("generate", async () => "never", {
+    cleanup: () => cleaned.push("second"),
+  });
+
+  assert.strictEqual(queue.cancel(queued.id).status, "cancelled");
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepStrictEqual(cleaned, ["second"]);
+
+  release({});
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  assert.deepStrictEqual(cleaned, ["second", "first"]);
+});
+
+test("uploads of a job interrupted by a restart are deleted on restore", async () => {
+  const upload = path.join(process.env.DATA_DIR, "upload-1");
+  fs.writeFileSync(upload, "brief");
+  fs.mkdirSync(path.join(process.env.DATA_DIR, "jobs"), { recursive: true });
+  fs.writeFileSync(
+    path.join(process.env.DATA_DIR, "jobs", "interrupted.json"),
+    JSON.stringify({
+      id: "interrupted",
+      type: "generate",
+      status: "running",
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      uploads: [upload],
+      progress: [],
+    })
+  );
+
+  const queue = createJobQueue();
+  await queue.restore();
+  assert.strictEqual(queue.get("interrupted").status, "failed");
+  assert.strictEqual(fs.existsSync(upload), false);
+});
+
+test("uploads are deleted when a job fails", async () => {
+  const upload = path.join(process.env.DATA_DIR, "upload-2");
+  fs.writeFileSync(upload, "brief");
+
+  const queue = createJobQueue();
+  const job = queue.submit("generate", async () => {
+    throw Object.assign(new Error("Bad file"), { status: 400 });
+  }, { uploads: [upload] });
+  await new Promise((resolve) => setTimeout(resolve, 20));
+
+  assert.strictEqual(queue.get(job.id).status, "failed");
+  assert.strictEqual(fs.existsSync(upload), false);
+});
@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { enforceLockedItems, hasLockedItems } = require("../lib/locked-items");
+
+function item(description, extra = {}) {
+  return { description, quantity: null, status: "CONFIRMED", group: null, notes: null, citation: null, ...extra };
+}
+
+function breakdown(sections) {
+  return {
+    title: null,
+    client: null,
+    sections: Object.entries(sections).map(([id, items]) => ({ id, title: id.toUpperCase(), items })),
+  };
+}
+
+function descriptions(result) {
+  return Object.fromEntries(result.breakdown.sections.map((s) => [s.id, s.items.map((i) => i.description)]));
+}
+
+test("a locked item Claude moved to another section is restored once", () => {
+  const before = breakdown({
+    equipment: [item("Camera package"), item("Drone", { locked: true })],
+    transport: [item("Unit van")],
+  });
+  const after = breakdown({
+    equipment: [item("Camera package")],
+    transport: [item("Unit van"), item("Drone", { locked: true })],
+  });
+
+  const result = enforceLockedItems(before, after);
+  assert.deepStrictEqual(descriptions(result), {
+    equipment: ["Camera package", "Drone"],
+    transport: ["Unit van"],
+  });
+  assert.deepStrictEqual(result.restored, [
+    { sectionId: "equipment", sectionTitle: "EQUIPMENT", description: "Drone", reason: "moved" },
+  ]);
+});
+
+test("a moved copy without the locked flag is removed too", () => {
+  const before = breakdown({ crew: [item("Gaffer 1x", { locked: true })], equipment: [] });
+  const after = breakdown({ crew: [], equipment: [item("gaffer  1x", { status: "ASSUMED" })] });
+  assert.deepStrictEqual(descriptions(enforceLockedItems(before, after)), {
+    crew: ["Gaffer 1x"],
+    equipment: [],
+  });
+});
+
+test("changed and missing locked items go back as they were", () => {
+  const before = breakdown({
+    shoot_days: [item("4 shoot days", { locked: true, quantity: 4 })],
+    crew: [item("DOP 1x"), item("Sound recordist 1x", { locked: true }), item("Gaffer 1x")],
+  });
+  const after = breakdown({
+    shoot_days: [item("3 shoot days", { locked: true, quantity: 3 })],
+    crew: [item("DOP 1x"), item("Gaffer 1x"), item("Spark 1x")],
+  });
+
+  const result = enforceLockedItems(before, after);
+  assert.deepStrictEqual(result.breakdown.sections[0].items, before.sections[0].items);
+  assert.deepStrictEqual(descriptions(result).crew, ["DOP 1x", "Sound recordist 1x", "Gaffer 1x", "Spark 1x"]);
+  assert.deepStrictEqual(
+    result.restored.map((r) => [r.description, r.reason]),
+    [["4 shoot days", "changed"], ["Sound recordist 1x", "removed"]]
+  );
+});
+
+test("identical locked items stay put and nothing else can be locked", () => {
+  const before = breakdown({ crew: [item("DOP 1x", { locked: true }), item("Gaffer 1x")] });
+  const after = breakdown({ crew: [item("Spark 1x", { locked: true }), item("DOP 1x", { locked: true })] });
+
+  const result = enforceLockedItems(before, after);
+  assert.deepStrictEqual(result.restored, []);
+  assert.deepStrictEqual(result.breakdown.sections[0].items, [item("Spark 1x"), item("DOP 1x", { locked: true })]);
+  assert.strictEqual(hasLockedItems(before), true);
+  assert.strictEqual(hasLockedItems(breakdown({ crew: [item("DOP 1x")] })), false);
+});
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseInline, stripInline, parseBlocks } = require("../lib/markdown");
+
+test("bold, italic and code spans are read, other text is kept as is", () => {
+  assert.deepStrictEqual(parseInline("**Lead** actor, *tbc*, __SAG__ `2x`"), [
+    { text: "Lead", bold: true },
+    { text: " actor, " },
+    { text: "tbc", italics: true },
+    { text: ", " },
+    { text: "SAG", bold: true },
+    { text: " " },
+    { text: "2x", code: true },
+  ]);
+  // A lone asterisk is not italics
+  assert.deepStrictEqual(parseInline("5 * 3 days"), [{ text: "5 * 3 days" }]);
+  assert.deepStrictEqual(parseInline(null), []);
+  assert.strictEqual(stripInline("**Gaffer** (*tbc*)"), "Gaffer (tbc)");
+});
+
+test("lines are read as bullets, numbered items, tables and paragraphs", () => {
+  const text = [
+    "Kit list:",
+    "- **Alexa** Mini",
+    "  * spare batteries",
+    "2) Drone",
+    "",
+    "| Role | Days |",
+    "|---|:-:|",
+    "| DOP | 2 |",
+    "| Runner |",
+  ].join("\r\n");
+
+  assert.deepStrictEqual(parseBlocks(text), [
+    { type: "paragraph", text: "Kit list:" },
+    { type: "list", ordered: false, depth: 0, text: "**Alexa** Mini" },
+    { type: "list", ordered: false, depth: 1, text: "spare batteries" },
+    { type: "list", ordered: true, depth: 0, text: "Drone" },
+    { type: "table", hasHeader: true, rows: [["Role", "Days"], ["DOP", "2"], ["Runner", ""]] },
+  ]);
+  // Without a separator line the first row is data
+  assert.strictEqual(parseBlocks("| a | b |\n| c | d |")[0].hasHeader, false);
+  assert.deepStrictEqual(parseBlocks(""), []);
+});
@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { breakdownToPdf } = require("../lib/pdf-export");
+const { buildBudget } = require("../lib/budget");
+
+function item(description, extra = {}) {
+  return { description, quantity: null, status: "CONFIRMED", group: null, notes: null, citation: null, ...extra };
+}
+
+const breakdown = {
+  title: "Спот – «Лето»",
+  client: "ACME",
+  sections: [
+    {
+      id: "crew",
+      title: "CREW",
+      items: [
+        item("**Gaffer**", { quantity: 2, citation: { filename: "brief.pdf", location: "page 2", quote: "two gaffers" } }),
+        item("Runner", { status: "ASSUMED", notes: "- local\n- | a | b |" }),
+      ],
+    },
+    { id: "notes", title: "SPECIAL NOTES & QUESTIONS", items: [item("Which camera?", { status: "RECOMMENDED" })] },
+    { id: "usage", title: "USAGE", items: [] },
+  ],
+};
+
+function pageCount(buffer) {
+  return buffer.toString("latin1").match(/\/Type \/Page\b/g).length;
+}
+
+test("the breakdown is written as a PDF with a title, contents and section pages", async () => {
+  const buffer = await breakdownToPdf(breakdown, { jobNumber: "J-1", version: 2 });
+  assert.strictEqual(buffer.subarray(0, 5).toString(), "%PDF-");
+  assert.ok(pageCount(buffer) >= 3);
+});
+
+test("a budget and the template's layout are accepted", async () => {
+  const rateCard = { id: "x", name: "Test", currency: "GBP", crew: [{ name: "Gaffer", dayRate: 500 }], equipment: [], locations: [], transport: [] };
+  const budget = buildBudget(breakdown, rateCard);
+  const withBudget = await breakdownToPdf(breakdown, { budget, layout: { tableSections: [], numberedSections: ["notes"] } });
+  assert.strictEqual(withBudget.subarray(0, 5).toString(), "%PDF-");
+  assert.ok(withBudget.length > (await breakdownToPdf(breakdown, { layout: { tableSections: [], numberedSections: [] } })).length);
+});
+
+test("a breakdown without sections still gives a document", async () => {
+  const buffer = await breakdownToPdf({ title: null, client: null, sections: [] });
+  assert.strictEqual(buffer.subarray(0, 5).toString(), "%PDF-");
+});
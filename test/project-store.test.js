@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const os = require("os");
+const path = require("path");
+const fs = require("fs");
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "projects-test-"));
+const store = require("../lib/project-store");
+
+test("breakdowns are appended as numbered versions and fill in empty metadata", async () => {
+  const project = await store.createProject({ client: "  Brand Co ", ignored: "x" });
+  assert.deepStrictEqual([project.name, project.client, project.ignored], ["", "Brand Co", undefined]);
+
+  const first = await store.addBreakdown(project.id, {
+    source: "generate",
+    structuredBreakdown: { title: "Summer spot", client: "ACME", sections: [] },
+  });
+  const second = await store.addBreakdown(project.id, { source: "revise", revisionRequest: "add a drone" });
+  assert.deepStrictEqual([first.version, second.version], [1, 2]);
+
+  const saved = await store.getProject(project.id);
+  // The name was empty, the client was not
+  assert.deepStrictEqual([saved.name, saved.client], ["Summer spot", "Brand Co"]);
+  assert.strictEqual(store.findVersion(saved, "2").revisionRequest, "add a drone");
+  assert.strictEqual(store.findVersion(saved, 3), null);
+
+  const [summary] = (await store.listProjects()).filter((p) => p.id === project.id);
+  assert.deepStrictEqual([summary.breakdownCount, summary.latestBreakdownAt], [2, second.createdAt]);
+});
+
+test("concurrent updates to one project are applied one after the other", async () => {
+  const project = await store.createProject({ name: "Busy" });
+  await Promise.all(
+    Array.from({ length: 5 }, (_, i) => store.addBreakdown(project.id, { source: "edit", editedFrom: i }))
+  );
+  const saved = await store.getProject(project.id);
+  assert.deepStrictEqual(saved.breakdowns.map((b) => b.version), [1, 2, 3, 4, 5]);
+
+  const updated = await store.updateProjectMeta(project.id, { jobNumber: 42, name: undefined });
+  assert.deepStrictEqual([updated.name, updated.jobNumber], ["Busy", "42"]);
+});
+
+test("uploaded files are moved into the project with their extracted text", async () => {
+  const project = await store.createProject();
+  const upload = path.join(process.env.DATA_DIR, "upload-tmp");
+  fs.writeFileSync(upload, "3 shoot days");
+
+  const [source] = await store.addSources(
+    project.id,
+    [{ path: upload, originalname: "brief v2 (final).txt", mimetype: "text/plain", size: 12 }],
+    new Map([[upload, "3 shoot days"]])
+  );
+
+  assert.match(source.storedName, /-brief_v2__final_\.txt$/);
+  assert.strictEqual(fs.existsSync(upload), false);
+  assert.strictEqual(fs.readFileSync(store.sourcePath(project.id, source), "utf8"), "3 shoot days");
+  assert.strictEqual(await store.getSourceText(project.id, source.id), "3 shoot days");
+  assert.deepStrictEqual([source.hasExtractedText, source.screenplay], [true, null]);
+});
+
+test("ids that could leave the data directory are refused", async () => {
+  assert.strictEqual(store.isValidId("../other"), false);
+  assert.strictEqual(await store.getProject("../other"), null);
+  assert.strictEqual(await store.updateProject("a/b", () => {}), null);
+  assert.strictEqual(await store.getSourceText("project", "../../secret"), null);
+
+  const project = await store.createProject();
+  assert.strictEqual(await store.deleteProject(project.id), true);
+  assert.strictEqual(await store.deleteProject(project.id), false);
+  assert.strictEqual(await store.addBreakdown(project.id, {}), null);
+});
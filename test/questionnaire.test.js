@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  buildQuestionnaire,
+  questionnaireToText,
+  parseAnswers,
+  removeAnsweredQuestions,
+} = require("../lib/questionnaire");
+
+function item(description, extra = {}) {
+  return { description, quantity: null, status: "RECOMMENDED", group: null, notes: null, citation: null, ...extra };
+}
+
+const breakdown = {
+  title: "Spot",
+  client: "ACME",
+  sections: [
+    { id: "crew", title: "CREW", items: [item("DOP 1x")] },
+    { id: "notes", title: "SPECIAL NOTES & QUESTIONS", items: [item("Which camera?", { notes: "Alexa\nor FX9" }), item("Is there a drone shot?")] },
+    { id: "missing", title: "MISSING/TBD INFORMATION", items: [item("Shoot dates"), item("Usage territories")] },
+  ],
+};
+
+const questionnaire = buildQuestionnaire(breakdown, 3);
+
+test("the open questions are numbered across the sections", () => {
+  assert.deepStrictEqual(
+    questionnaire.questions.map((q) => [q.number, q.sectionId, q.index, q.question]),
+    [
+      [1, "notes", 0, "Which camera?"],
+      [2, "notes", 1, "Is there a drone shot?"],
+      [3, "missing", 0, "Shoot dates"],
+      [4, "missing", 1, "Usage territories"],
+    ]
+  );
+  const text = questionnaireToText(questionnaire, { jobNumber: "J-12" });
+  assert.match(text, /^Spot – questions\nClient: ACME\nJob #J-12\nBreakdown version 3\n/);
+  assert.match(text, /1\. Which camera\?\n {3}\(Alexa or FX9\)\n {3}Answer:\n/);
+});
+
+test("answers are read by number from the filled-in questionnaire", () => {
+  const reply = questionnaireToText(questionnaire)
+    .replace("1. Which camera?\n   (Alexa or FX9)\n   Answer:", "1. Which camera?\n   (Alexa or FX9)\n   Answer: Alexa Mini")
+    .replace("3. Shoot dates\n   Answer:", "3. Shoot dates\n   Answer:\n   12-14 May\n   1. Day one is the studio");
+
+  const { answers, unanswered } = parseAnswers(reply, questionnaire);
+  assert.deepStrictEqual(
+    answers.map((a) => [a.number, a.sectionId, a.answer]),
+    [
+      [1, "notes", "Alexa Mini"],
+      // A numbered list inside an answer stays part of it
+      [3, "missing", "12-14 May\n   1. Day one is the studio"],
+    ]
+  );
+  assert.deepStrictEqual(unanswered, [2, 4]);
+});
+
+test("a short email reply without the questions or labels is read too", () => {
+  const reply = ["Hi both,", "", "Q2: No drone.", "1. It's a budget thing", "4) TBC"].join("\r\n");
+  const { answers, unanswered } = parseAnswers(reply, questionnaire);
+  // "1" after "2" is not a new answer: numbers must go up
+  assert.deepStrictEqual(answers.map((a) => [a.number, a.answer]), [[2, "No drone.\n1. It's a budget thing"]]);
+  assert.deepStrictEqual(unanswered, [1, 3, 4]);
+});
+
+test("answered questions are removed by section and text", () => {
+  const { answers } = parseAnswers("2. Yes, one drone shot\n3. 12 May", questionnaire);
+  const remaining = removeAnsweredQuestions(breakdown, answers);
+  assert.deepStrictEqual(
+    remaining.sections.map((s) => s.items.map((i) => i.description)),
+    [["DOP 1x"], ["Which camera?"], ["Usage territories"]]
+  );
+});
@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const os = require("os");
+const path = require("path");
+const fs = require("fs");
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "rate-cards-test-"));
+const {
+  validateRateCard,
+  listRateCards,
+  getRateCard,
+  createRateCard,
+  updateRateCard,
+  deleteRateCard,
+} = require("../lib/rate-cards");
+
+test("every problem with a rate card is reported", () => {
+  assert.deepStrictEqual(validateRateCard(null), ["Rate card must be an object"]);
+  assert.deepStrictEqual(
+    validateRateCard({
+      name: " ",
+      currency: "usd",
+      crew: [{ name: "Gaffer", dayRate: -1 }, { dayRate: 100, match: "gaffer" }],
+      equipment: {},
+      travel: "450",
+    }),
+    [
+      "name is required",
+      'currency must be a 3-letter code (e.g. "USD")',
+      "crew[0].dayRate must be a number >= 0",
+      "crew[1].name is required",
+      "crew[1].match must be a list of strings",
+      "equipment must be a list",
+      "travel must be a number >= 0",
+    ]
+  );
+  assert.deepStrictEqual(validateRateCard({ name: "London", currency: "GBP", perDiem: null }), []);
+});
+
+test("rate cards are stored trimmed, updated in place and deleted", async () => {
+  const card = await createRateCard({
+    name: " London 2026 ",
+    currency: "GBP",
+    crew: [{ name: " Gaffer ", match: [" spark ", " "], dayRate: 500, extra: true }],
+  });
+
+  assert.deepStrictEqual(await getRateCard(card.id), card);
+  assert.strictEqual(card.name, "London 2026");
+  assert.deepStrictEqual(card.crew, [{ name: "Gaffer", match: ["spark"], dayRate: 500 }]);
+  assert.deepStrictEqual([card.equipment, card.perDiem, card.travel], [[], null, null]);
+
+  const updated = await updateRateCard(card.id, { ...card, name: "London", perDiem: 60 });
+  assert.deepStrictEqual([updated.name, updated.perDiem, updated.createdAt], ["London", 60, card.createdAt]);
+  assert.deepStrictEqual(await listRateCards(), [
+    { id: card.id, name: "London", currency: "GBP", updatedAt: updated.updatedAt },
+  ]);
+
+  await assert.rejects(updateRateCard(card.id, { name: "London" }), (err) => err.status === 400);
+  assert.strictEqual(await deleteRateCard(card.id), true);
+  assert.strictEqual(await deleteRateCard(card.id), false);
+  assert.strictEqual(await getRateCard(card.id), null);
+  assert.strictEqual(await getRateCard("../secrets"), null);
+});
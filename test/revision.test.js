@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Messages } = require("@anthropic-ai/sdk");
+const { BREAKDOWN_SECTIONS } = require("../lib/breakdown");
+
+process.env.ANTHROPIC_API_KEY = "test";
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "breakdown-test-"));
+
+// Claude's replies, one per breakdown call; the requests are kept to check what was asked
+const replies = [];
+const requests = [];
+Messages.prototype.stream = function stream(request) {
+  requests.push(request);
+  const text = JSON.stringify(replies.shift());
+  return { on: () => {}, finalMessage: async () => ({ content: [{ type: "text", text }] }) };
+};
+
+const app = require("../server");
+
+function item(description) {
+  return { description, quantity: null, status: "ASSUMED", group: null, notes: null, citation: null };
+}
+
+function breakdown(items) {
+  return {
+    title: "Spot",
+    client: null,
+    sections: BREAKDOWN_SECTIONS.map((s) => ({ id: s.id, title: s.title, items: items[s.id] || [] })),
+  };
+}
+
+function sections(reply) {
+  return { sections: Object.entries(reply).map(([id, items]) => ({ id, items })) };
+}
+
+let server;
+let url;
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  url = `http://localhost:${server.address().port}`;
+});
+test.after(() => {
+  server.close();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+async function revise(body) {
+  const res = await fetch(`${url}/api/revise-breakdown`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+const current = breakdown({
+  crew: [item("Gaffer 1x")],
+  locations: [item("Beach house")],
+  transport: [item("Unit van")],
+});
+
+test("a scoped revision that leaves out a targeted section is asked again", async () => {
+  requests.length = 0;
+  replies.push(
+    sections({ crew: [item("Gaffer 1x"), item("Drone operator 1x")] }),
+    sections({ crew: [item("Gaffer 1x"), item("Drone operator 1x")], locations: [item("Beach house"), item("Pier")] })
+  );
+
+  const { status, body } = await revise({
+    revisionRequest: "Add a drone operator and the pier",
+    structuredBreakdown: current,
+    sections: ["crew", "locations"],
+  });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(requests.length, 2);
+  assert.match(JSON.stringify(requests[1].messages.at(-1)), /Missing section \\"locations\\"/);
+  const revised = Object.fromEntries(
+    body.structuredBreakdown.sections.map((s) => [s.id, s.items.map((i) => i.description)])
+  );
+  assert.deepStrictEqual(revised.crew, ["Gaffer 1x", "Drone operator 1x"]);
+  assert.deepStrictEqual(revised.locations, ["Beach house", "Pier"]);
+  assert.deepStrictEqual(revised.transport, ["Unit van"]);
+});
+
+test("a targeted section that never comes back is not merged empty", async () => {
+  requests.length = 0;
+  replies.push(...Array.from({ length: 3 }, () => sections({ crew: [item("Gaffer 1x")] })));
+
+  const { status, body } = await revise({
+    revisionRequest: "Add the pier",
+    structuredBreakdown: current,
+    sections: ["crew", "locations"],
+  });
+
+  assert.strictEqual(status, 500);
+  assert.strictEqual(body.structuredBreakdown, undefined);
+  assert.strictEqual(requests.length, 3);
+});
@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { buildSchedule, rearrangeSchedule } = require("../lib/schedule");
+
+function item(description, extra = {}) {
+  return { description, quantity: null, status: "CONFIRMED", group: null, notes: null, citation: null, ...extra };
+}
+
+function breakdown(sections) {
+  return {
+    title: null,
+    client: null,
+    sections: Object.entries(sections).map(([id, items]) => ({ id, title: id.toUpperCase(), items })),
+  };
+}
+
+function scene(number, location, timeOfDay, eighths, characters = [], intExt = "INT") {
+  return { number, heading: `${intExt}. ${location} - ${timeOfDay}`, intExt, location, timeOfDay, eighths, characters, pageStart: 1, pageEnd: 1 };
+}
+
+test("without a script, strips come from the breakdown's locations and talent", () => {
+  const schedule = buildSchedule({
+    breakdown: breakdown({
+      shoot_days: [item("3 shoot days")],
+      locations: [
+        item("Stadium (exterior, night)", { quantity: 2 }),
+        item("Family kitchen (interior)"),
+        item("Corner shop"),
+      ],
+      talents: [item("Striker, 20s - stadium scenes"), item("Mother, 40s")],
+    }),
+  });
+
+  assert.strictEqual(schedule.basis, "breakdown");
+  const strips = schedule.days.flatMap((d) => d.strips);
+  const stadium = strips.filter((s) => s.location === "Stadium");
+  assert.deepStrictEqual(stadium.map((s) => s.days), [1, 1]);
+  assert.deepStrictEqual(stadium.map((s) => [s.intExt, s.dayNight]), [["EXT", "NIGHT"], ["EXT", "NIGHT"]]);
+  assert.deepStrictEqual(stadium[0].characters, ["Striker", "Mother"]);
+
+  // The two unstated locations share the one shoot day the stadium leaves, on the same day
+  const kitchen = strips.find((s) => s.location === "Family kitchen");
+  const shop = strips.find((s) => s.location === "Corner shop");
+  assert.strictEqual(kitchen.days, 0.5);
+  assert.strictEqual(kitchen.intExt, "INT");
+  assert.deepStrictEqual(kitchen.characters, ["Mother"]);
+  assert.strictEqual(schedule.days.find((d) => d.strips.includes(kitchen)).strips.includes(shop), true);
+  assert.strictEqual(schedule.stats.days, 3);
+});
+
+test("a location shot day and night gets a strip for each", () => {
+  const schedule = buildSchedule({
+    breakdown: breakdown({ locations: [item("Rooftop bar, day and night", { quantity: 1 })] }),
+  });
+  const strips = schedule.days.flatMap((d) => d.strips);
+  assert.deepStrictEqual(strips.map((s) => [s.dayNight, s.days]), [["DAY", 0.5], ["NIGHT", 0.5]]);
+});
+
+test("with a script, scenes are matched to the breakdown's locations", () => {
+  const schedule = buildSchedule(
+    {
+      breakdown: breakdown({
+        locations: [item("Maria's house (kitchen, hallway)"), item("Beach"), item("Studio for packshot")],
+        talents: [item("Dog handler and dog - beach only")],
+      }),
+      scenes: [
+        scene("1", "KITCHEN", "DAY", 8, ["MARIA"]),
+        scene("2", "BEACH", "DAY", 12, ["MARIA", "TOM"], "EXT"),
+        scene("3", "MARIA'S HOUSE - HALLWAY", "DAY", 6, ["TOM"]),
+      ],
+    },
+    { maxPagesPerDay: 3 }
+  );
+
+  assert.strictEqual(schedule.basis, "script");
+  const strips = schedule.days.flatMap((d) => d.strips);
+  assert.deepStrictEqual(
+    strips.map((s) => [s.number, s.location, s.set]),
+    [
+      ["1", "Maria's house", "KITCHEN"],
+      ["3", "Maria's house", "MARIA'S HOUSE - HALLWAY"],
+      ["2", "Beach", "BEACH"],
+    ]
+  );
+  // Kitchen and hallway are one location: no company move between them
+  assert.strictEqual(schedule.stats.companyMoves, 0);
+  assert.deepStrictEqual(strips.find((s) => s.number === "2").characters, ["MARIA", "TOM", "Dog handler and dog"]);
+  assert.deepStrictEqual(schedule.unscheduledLocations, ["Studio for packshot"]);
+});
+
+test("scenes at a set no location matches keep the set as their location", () => {
+  const schedule = buildSchedule({
+    breakdown: breakdown({ locations: [] }),
+    scenes: [scene("1", "WAREHOUSE", "NIGHT", 4), scene("2", "WAREHOUSE", "CONTINUOUS", 4)],
+  });
+  const strips = schedule.days.flatMap((d) => d.strips);
+  assert.deepStrictEqual(strips.map((s) => [s.location, s.dayNight]), [["WAREHOUSE", "NIGHT"], ["WAREHOUSE", "NIGHT"]]);
+});
+
+test("a breakdown with no locations and no script has nothing to schedule", () => {
+  assert.strictEqual(buildSchedule({ breakdown: breakdown({ crew: [item("Gaffer 1x")] }) }).days.length, 0);
+});
+
+test("rearranging recomputes totals and rejects missing or repeated strips", () => {
+  const schedule = buildSchedule({
+    breakdown: breakdown({}),
+    scenes: [scene("1", "KITCHEN", "DAY", 8), scene("2", "BEACH", "DAY", 8, [], "EXT")],
+  });
+  const ids = schedule.days.flatMap((d) => d.strips.map((s) => s.id));
+
+  const together = rearrangeSchedule(schedule, [ids]);
+  assert.strictEqual(together.stats.days, 1);
+  assert.strictEqual(together.stats.companyMoves, 1);
+  assert.strictEqual(together.days[0].overLimit, false);
+
+  assert.throws(() => rearrangeSchedule(schedule, [[ids[0]]]), /missing/);
+  assert.throws(() => rearrangeSchedule(schedule, [[ids[0], ids[0], ids[1]]]), /more than once/);
+  assert.throws(() => rearrangeSchedule(schedule, [["nope"]]), /Unknown strip/);
+});
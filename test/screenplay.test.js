@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  looksLikeScreenplay,
+  parseSceneHeading,
+  parseScreenplay,
+  renderSceneListText,
+} = require("../lib/screenplay");
+
+test("the time of day is found in any part of a heading and kept bare", () => {
+  const flashback = parseSceneHeading("EXT. PARK - DAY - FLASHBACK");
+  assert.strictEqual(flashback.location, "PARK");
+  assert.strictEqual(flashback.timeOfDay, "DAY");
+  assert.deepStrictEqual(flashback.modifiers, ["FLASHBACK"]);
+
+  const dated = parseSceneHeading("INT. HOUSE - KITCHEN - DAY (1985)");
+  assert.strictEqual(dated.location, "HOUSE - KITCHEN");
+  assert.strictEqual(dated.timeOfDay, "DAY");
+  assert.deepStrictEqual(dated.modifiers, ["1985"]);
+
+  const modifierFirst = parseSceneHeading("EXT. ROAD - FLASHBACK - NIGHT");
+  assert.strictEqual(modifierFirst.location, "ROAD");
+  assert.strictEqual(modifierFirst.timeOfDay, "NIGHT");
+
+  assert.strictEqual(parseSceneHeading("INT. CAR (MOVING) - MOMENTS LATER").timeOfDay, "MOMENTS LATER");
+  assert.strictEqual(parseSceneHeading("INT. DAY CARE CENTRE - NIGHT").location, "DAY CARE CENTRE");
+  assert.strictEqual(parseSceneHeading("EXT. BEACH").timeOfDay, null);
+});
+
+test("headings carry their scene numbers and INT/EXT", () => {
+  const heading = parseSceneHeading("12A  I/E. KITCHEN - CONTINUOUS  12A");
+  assert.strictEqual(heading.number, "12A");
+  assert.strictEqual(heading.intExt, "INT/EXT");
+  assert.strictEqual(heading.timeOfDay, "CONTINUOUS");
+  assert.strictEqual(parseSceneHeading("EXT./INT. CAR - DAY").intExt, "INT/EXT");
+  assert.strictEqual(parseSceneHeading("Int. kitchen - day"), null);
+});
+
+function script(headings) {
+  return headings.map((h) => `${h}\n\nSomething happens.\n\nJOHN\nA line.\n`).join("\n");
+}
+
+test("unnumbered scenes in a numbered script never reuse a number", () => {
+  const { scenes } = parseScreenplay([
+    {
+      num: null,
+      text: script([
+        "INT. OFFICE - DAY",
+        "11 INT. OFFICE - DAY 11",
+        "EXT. STREET - DAY",
+        "EXT. STREET - NIGHT",
+        "12 INT. BAR - NIGHT 12",
+        "1 INT. OFFICE - DAY 1",
+      ]),
+    },
+  ]);
+  assert.deepStrictEqual(
+    scenes.map((s) => s.number),
+    ["1A", "11", "11A", "11B", "12", "1"]
+  );
+  assert.strictEqual(new Set(scenes.map((s) => s.number)).size, scenes.length);
+});
+
+test("a script without numbers is counted 1, 2, 3", () => {
+  const { scenes } = parseScreenplay([
+    { num: null, text: script(["INT. A - DAY", "INT. B - DAY", "INT. C - DAY"]) },
+  ]);
+  assert.deepStrictEqual(scenes.map((s) => s.number), ["1", "2", "3"]);
+});
+
+test("scenes get characters and their share of each page", () => {
+  const page1 = [
+    "INT. KITCHEN - DAY",
+    "Maria cooks.",
+    "MARIA (V.O.)",
+    "(quietly)",
+    "Not again.",
+    "EXT. GARDEN - NIGHT",
+    "TOM",
+    "Who's there?",
+  ].join("\n");
+  const page2 = "Tom waits.\nHe goes back in.";
+  const screenplay = parseScreenplay([
+    { num: 1, text: page1 },
+    { num: 2, text: page2 },
+  ]);
+
+  const [kitchen, garden] = screenplay.scenes;
+  assert.deepStrictEqual(kitchen.characters, ["MARIA"]);
+  assert.deepStrictEqual(garden.characters, ["TOM"]);
+  assert.strictEqual(kitchen.eighths, 5);
+  assert.deepStrictEqual([garden.pageStart, garden.pageEnd], [1, 2]);
+  assert.strictEqual(garden.eighths, 11);
+  assert.strictEqual(screenplay.totalEighths, 16);
+  assert.deepStrictEqual(screenplay.locations.map((l) => l.name), ["GARDEN", "KITCHEN"]);
+});
+
+test("the scene list counts qualified day and night scenes", () => {
+  const screenplay = parseScreenplay([
+    {
+      num: 1,
+      text: script(["EXT. PARK - DAY - FLASHBACK", "INT. HOUSE - DAY (1985)", "EXT. PARK - NIGHT"]),
+    },
+  ]);
+  const text = renderSceneListText("script.pdf", screenplay);
+  assert.match(text, /Day: 2 \| Night: 1/);
+  assert.match(text, /\| DAY, FLASHBACK \|/);
+});
+
+test("a document needs a few sluglines to count as a script", () => {
+  assert.strictEqual(looksLikeScreenplay("INT. OFFICE - DAY\nInterior design brief"), false);
+  assert.strictEqual(looksLikeScreenplay(script(["INT. A - DAY", "INT. B - DAY", "EXT. C - NIGHT"])), true);
+});
@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const os = require("os");
+const path = require("path");
+const fs = require("fs");
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "templates-test-"));
+const templates = require("../lib/templates");
+
+const definition = {
+  productionType: "music video",
+  sections: [
+    { id: "performers", title: " PERFORMERS ", hint: "band and dancers" },
+    { id: "missing", title: "MISSING/TBD INFORMATION" },
+  ],
+  rules: ["List playback for every performance shot"],
+  crewFormat: "Department 1x",
+  export: { tableSections: ["performers"] },
+};
+
+test("definitions need a production type, crew format and unique snake_case sections with missing", () => {
+  assert.deepStrictEqual(templates.validateDefinition(definition), []);
+  assert.deepStrictEqual(templates.validateDefinition(null), ["definition must be an object"]);
+  assert.deepStrictEqual(
+    templates.validateDefinition({
+      productionType: "",
+      crewFormat: "Department 1x",
+      sections: [{ id: "Crew", title: "CREW" }, { id: "notes", title: "" }, { id: "notes", title: "NOTES" }],
+      export: { numberedSections: ["usage"] },
+    }),
+    [
+      "productionType must be a non-empty string",
+      'sections[0].id must be lower_snake_case (got "Crew")',
+      "sections[1].title must be a non-empty string",
+      'sections[2].id "notes" is used twice',
+      'sections must include "missing" (missing / TBD information)',
+      'export.numberedSections refers to unknown section "usage"',
+    ]
+  );
+});
+
+test("the system prompt carries the template's rules and sections", () => {
+  const prompt = templates.buildSystemPrompt(definition);
+  assert.match(prompt, /analyze music video briefs/);
+  assert.match(prompt, /6\. List playback for every performance shot/);
+  assert.match(prompt, / PERFORMERS /);
+});
+
+test("the default template is the commercial one, without a conflicts section", async () => {
+  const resolved = await templates.resolveTemplate();
+  assert.deepStrictEqual(templates.templateRef(resolved), { id: "commercial", version: 1, name: "Commercial" });
+  assert.ok(resolved.definition.sections.some((s) => s.id === "missing"));
+  assert.ok(!resolved.definition.sections.some((s) => s.id === "conflicts"));
+  assert.strictEqual(await templates.resolveTemplate({ id: "commercial", version: 2 }), null);
+  assert.strictEqual(await templates.resolveTemplate("nope"), null);
+});
+
+test("custom templates are versioned on each edit and archived rather than deleted", async () => {
+  const created = await templates.createTemplate({ name: " Music video ", definition });
+  assert.strictEqual(created.name, "Music video");
+  // Stored normalized, with the layout defaults filled in
+  assert.deepStrictEqual(created.versions[0].definition.sections[0], { id: "performers", title: "PERFORMERS", hint: "band and dancers" });
+  assert.deepStrictEqual(created.versions[0].definition.export, { tableSections: ["performers"], numberedSections: [] });
+
+  await templates.updateTemplate(created.id, { definition: { ...definition, crewFormat: "Role 1x" }, note: "crew" });
+  assert.strictEqual((await templates.resolveTemplate(created.id)).version, 2);
+  assert.strictEqual((await templates.resolveTemplate({ id: created.id, version: 1 })).definition.crewFormat, "Department 1x");
+
+  assert.strictEqual(await templates.archiveTemplate(created.id), true);
+  assert.ok(!(await templates.listTemplates()).some((t) => t.id === created.id));
+  assert.ok((await templates.listTemplates({ includeArchived: true })).some((t) => t.id === created.id));
+  assert.ok(await templates.resolveTemplate(created.id));
+});
+
+test("invalid input and edits to built-ins are refused", async () => {
+  await assert.rejects(templates.createTemplate({ definition }), { status: 400, details: ["name is required"] });
+  await assert.rejects(templates.createTemplate({ name: "X", basedOn: "nope" }), { status: 400 });
+  await assert.rejects(templates.updateTemplate("commercial", { name: "Mine" }), { status: 403 });
+  assert.strictEqual(await templates.archiveTemplate("commercial"), false);
+  assert.strictEqual(await templates.updateTemplate("missing-id", { name: "X" }), null);
+
+  const copy = await templates.createTemplate({ name: "Docs", basedOn: "documentary" });
+  assert.ok(copy.versions[0].definition.sections.some((s) => s.id === "contributors"));
+});
@@ -0,0 +1,36 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const JSZip = require("jszip");
+const { buildXlsx, sheetNames } = require("../lib/xlsx");
+
+test("sheet names are made Excel-safe and unique", () => {
+  assert.deepStrictEqual(
+    sheetNames(["ART/PROPS", "Crew", "crew", "", "A very long section title that Excel would refuse"]),
+    ["ART-PROPS", "Crew", "crew (2)", "Sheet", "A very long section title that "]
+  );
+  assert.strictEqual(sheetNames(["x".repeat(40), "x".repeat(40)])[1], `${"x".repeat(27)} (2)`);
+});
+
+test("the workbook has one worksheet per sheet with a header row and typed cells", async () => {
+  const buffer = await buildXlsx([
+    {
+      name: "Crew",
+      columns: [{ header: "Quantity", width: 10 }, { header: "Description" }],
+      rows: [[2, "Gaffer & spark <LED>"], { cells: ["Totals", null], bold: true }, [null, "Bad\u0007char"]],
+    },
+    { name: "Crew", columns: [{ header: "A" }], rows: [] },
+  ]);
+  const zip = await JSZip.loadAsync(buffer);
+
+  const workbook = await zip.file("xl/workbook.xml").async("string");
+  assert.match(workbook, /<sheet name="Crew" sheetId="1" r:id="rId1"\/><sheet name="Crew \(2\)" sheetId="2"/);
+
+  const sheet = await zip.file("xl/worksheets/sheet1.xml").async("string");
+  assert.match(sheet, /<row r="1"><c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">Quantity<\/t>/);
+  assert.match(sheet, /<c r="A2" s="2"><v>2<\/v><\/c>/);
+  assert.match(sheet, /Gaffer &amp; spark &lt;LED&gt;/);
+  assert.match(sheet, /<c r="A3" s="1" t="inlineStr">/);
+  assert.match(sheet, /<c r="A4" s="2"\/><c r="B4" s="2" t="inlineStr"><is><t xml:space="preserve">Badchar</);
+  assert.match(sheet, /<col min="2" max="2" width="15" customWidth="1"\/>/);
+  assert.ok(zip.file("xl/worksheets/sheet2.xml"));
+});